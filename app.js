@@ -2,53 +2,352 @@
  * Tofu CTA Assistant Express App
  * Serves as the main entry point for the application
  */
+const crypto = require('crypto');
 const express = require('express');
+const { v4: uuidv4 } = require('uuid');
 const app = express();
 
 // Import modules
 const salesforce = require('./salesforce');
-const wiseowl = require('./wiseowl');
+const providers = require('./providers');
+const jobs = require('./jobs');
+const { getQueue } = require('./queue');
+const { getStateStore } = require('./storage');
+const worker = require('./worker');
+const { isValidId, toCaseSafeId } = require('./soql');
+const profiles = require('./profiles');
+const prompts = require('./prompts');
+const contextPacker = require('./context-packer');
+const briefing = require('./briefing');
+const audit = require('./audit');
+const emailDraft = require('./email-draft');
+const history = require('./history');
+const turns = require('./turns');
+const { getContextCache } = require('./cache');
+const credentials = require('./credentials');
+const tenants = require('./tenants');
+const apiAuth = require('./auth');
+const schema = require('./schema');
+const recordTypes = require('./record-types');
+
+// Request bodies are small JSON parameters; the raw body is kept to verify HMAC signatures
+const REQUEST_BODY_LIMIT = process.env.REQUEST_BODY_LIMIT || '1mb';
+const keepRawBody = (req, _, buf) => {
+  req.rawBody = buf;
+};
 
 // Middleware to parse JSON bodies
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ limit: '50mb', extended: true }));
+app.use(express.json({ limit: REQUEST_BODY_LIMIT, verify: keepRawBody }));
+app.use(express.urlencoded({ limit: REQUEST_BODY_LIMIT, extended: true, verify: keepRawBody }));
+
+// Authenticated callers with the scope a route needs (see auth.js)
+const canRead = [apiAuth.authenticate, apiAuth.requireScope('jobs:read')];
+const canWrite = [apiAuth.authenticate, apiAuth.requireScope('jobs:write')];
+const isAdmin = [apiAuth.authenticate, apiAuth.requireScope('admin')];
+
+/**
+ * Reads the Salesforce credentials of a request: the caller's session token (sfdcToken in the body,
+ * X-Sfdc-Token header or ?sfdcToken=) with its instance URL and org (orgId / X-Sfdc-Org-Id). Only admin
+ * callers may use the credential stored for the org, without a token or to refresh an expired one;
+ * everyone else works with their own Salesforce session.
+ * @param {object} req - Express request (authenticated, see auth.js)
+ * @returns {object} { token, instanceUrl, orgId, storedCredential, error } where error describes unusable credentials
+ */
+function sfdcAuth(req) {
+  const body = req.body || {};
+  const auth = {
+    token: body.sfdcToken || req.get('x-sfdc-token') || req.query.sfdcToken || null,
+    instanceUrl: body.instanceUrl || req.get('x-sfdc-instance-url') || null,
+    orgId: body.orgId || req.get('x-sfdc-org-id') || null,
+    storedCredential: apiAuth.hasScope(req.principal, 'admin'),
+    error: null
+  };
+  if (!auth.token && !(auth.orgId && auth.storedCredential)) {
+    auth.error = auth.orgId
+      ? 'Missing required parameter: sfdcToken (only admin callers can use the stored credential of an org)'
+      : 'Missing required parameter: sfdcToken (or orgId of a stored credential)';
+  } else if (auth.instanceUrl && !credentials.isValidInstanceUrl(auth.instanceUrl)) {
+    auth.error = 'Invalid instanceUrl: expected https://<domain>.my.salesforce.com';
+  } else if (auth.orgId && !isValidId(auth.orgId)) {
+    auth.error = 'Invalid orgId: expected a 15- or 18-character Salesforce ID';
+  }
+  return auth;
+}
+
+/**
+ * Checks the caller's Salesforce user may work on a record: within the per-user rate limit (for
+ * requests that start jobs) and able to read the record. Denials are audited and answered.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} conn - JSForce connection of the caller
+ * @param {object} check - Check options
+ * @param {object} check.profile - Collection profile naming the FSR object (defaults to the tenant's); other
+ *   record types are recognized by their ID (see record-types.js)
+ * @param {string} check.recordId - Record ID
+ * @param {boolean} check.rateLimited - Count the request against the caller's rate limit
+ * @returns {object|null} Requester ({ userId, orgId, key }), or null when the request was denied
+ */
+async function authorizeRecord(req, res, conn, { profile, recordId, rateLimited = false }) {
+  const sobject = recordTypes.sobjectFor(recordId, profile || profiles.loadProfile(tenants.forConnection(conn).profile));
+  const requester = apiAuth.requester(req, conn);
+  const denied = { recordId, sfdcUserId: requester.userId, orgId: requester.orgId };
+  // The user of a stored credential is not the caller, so its access says nothing about theirs
+  const storedCredential = conn.usesStoredCredential === true;
+
+  if (storedCredential && !apiAuth.hasScope(req.principal, 'admin')) {
+    await apiAuth.auditRequest(req, { action: 'access_denied', ...denied, reason: 'stored_credential' });
+    res.status(403).json({ error: 'Forbidden', message: 'Only admin callers can work with the stored credential of an org' });
+    return null;
+  }
+
+  if (rateLimited) {
+    const rate = apiAuth.getRateLimiter().consume(requester.key);
+    if (!rate.allowed) {
+      await apiAuth.auditRequest(req, { action: 'rate_limited', ...denied });
+      res.set('Retry-After', String(rate.retryAfterSeconds));
+      res.status(429).json({ error: 'Too many requests', message: `Retry in ${rate.retryAfterSeconds} seconds` });
+      return null;
+    }
+  }
+  if (!storedCredential && !(await apiAuth.verifyRecordAccess(conn, sobject, recordId))) {
+    await apiAuth.auditRequest(req, { action: 'access_denied', ...denied });
+    res.status(403).json({ error: 'Forbidden', message: `The Salesforce user cannot read record ${recordId}` });
+    return null;
+  }
+  return requester;
+}
+
+/**
+ * Checks the caller may work on an existing job: connects with their Salesforce credentials (see sfdcAuth)
+ * and checks the record of the job like authorizeRecord. Failures are answered.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} job - Job record (see jobs.js)
+ * @param {object} check - Check options
+ * @param {boolean} check.rateLimited - Count the request against the caller's rate limit
+ * @returns {object|null} Requester ({ userId, orgId, key }), or null when the request was denied
+ */
+async function authorizeJob(req, res, job, { rateLimited = false } = {}) {
+  const auth = sfdcAuth(req);
+  if (auth.error) {
+    res.status(400).json({ error: auth.error });
+    return null;
+  }
+
+  let conn;
+  try {
+    conn = await salesforce.createSalesforceConnection(auth.token, auth);
+  } catch (connError) {
+    console.error('Failed to create Salesforce connection:', connError.message);
+    res.status(500).json({ error: 'Failed to connect to Salesforce', message: connError.message });
+    return null;
+  }
+  const profile = profiles.loadProfile(job.profile || tenants.forConnection(conn).profile);
+  return authorizeRecord(req, res, conn, { profile, recordId: job.recordId, rateLimited });
+}
 
 // Health check endpoint
 app.get('/health', (_, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
+// List collection profiles selectable via the `profile` job parameter
+app.get('/profiles', canRead, (_, res) => {
+  try {
+    const list = profiles.listProfiles().map(name => {
+      const { description, objects } = profiles.loadProfile(name);
+      return { name, description, sections: Object.keys(objects).filter(section => objects[section]) };
+    });
+    res.json({ profiles: list, default: process.env.COLLECTION_PROFILE || profiles.DEFAULT_PROFILE });
+  } catch (err) {
+    console.error('Error listing collection profiles:', err.message);
+    res.status(500).json({ error: 'Failed to list collection profiles', message: err.message });
+  }
+});
+
+// List prompt templates, their versions and the selection rules
+app.get('/prompts', canRead, (_, res) => {
+  try {
+    res.json(prompts.listTemplates());
+  } catch (err) {
+    console.error('Error listing prompt templates:', err.message);
+    res.status(500).json({ error: 'Failed to list prompt templates', message: err.message });
+  }
+});
+
+// Dry run: render the prompt a job for this record would send, without writing anything
+app.post('/prompts/render', canRead, async (req, res) => {
+  const { recordId, message, profile: profileName, segment, template, contextBudget, outputFormat } = req.body;
+  const auth = sfdcAuth(req);
+
+  if (auth.error || !recordId) {
+    return res.status(400).json({ error: auth.error || 'Missing required parameter: recordId' });
+  }
+  if (!isValidId(recordId)) {
+    return res.status(400).json({ error: 'Invalid recordId', message: 'recordId must be a 15- or 18-character Salesforce ID' });
+  }
+
+  let profile;
+  let structured;
+  try {
+    profile = profiles.loadProfile(profileName);
+    if (template) prompts.selectTemplate({ template });
+    structured = !message && briefing.resolveOutputFormat(outputFormat, recordTypes.detectRecordType(recordId)) === 'structured';
+  } catch (err) {
+    return res.status(400).json({ error: 'Invalid prompt parameters', message: err.message });
+  }
+
+  let conn;
+  try {
+    conn = await salesforce.createSalesforceConnection(auth.token, auth);
+  } catch (connError) {
+    console.error('Failed to create Salesforce connection:', connError.message);
+    return res.status(500).json({ error: 'Failed to connect to Salesforce', message: connError.message });
+  }
+  const tenant = tenants.forConnection(conn);
+  if (!profileName) profile = profiles.loadProfile(tenant.profile);
+  if (!(await authorizeRecord(req, res, conn, { profile, recordId }))) return;
+
+  try {
+    // Same decisions as the worker: data is only collected for a new conversation
+    const existing = await salesforce.findConversationRecord(conn, recordId);
+    let wrapperDataString = '{}';
+    let ctaType;
+    let context = null;
+    if (!existing) {
+      const ctaData = await salesforce.collectAllCTAData(conn, recordId, { profile: profile.name });
+      const packed = contextPacker.packContext(ctaData, { budget: Number(contextBudget) || undefined });
+      wrapperDataString = packed.text;
+      context = packed.report;
+      ctaType = ctaData.primaryContext?.primaryCTA?.product || undefined;
+    }
+
+    // POST /jobs creates the conversation before enqueueing, so a job always has one when its prompt is built
+    const prompt = prompts.renderPrompt({
+      message,
+      conversationId: existing?.conversationId || 'new-conversation',
+      wrapperDataString,
+      recordType: recordTypes.detectRecordType(recordId),
+      ctaType,
+      segment: segment || tenant.segment || profile.name,
+      template: template || (structured ? 'cta-briefing-structured' : undefined) ||
+        (!message && recordTypes.detectRecordType(recordId) === recordTypes.FSR_TYPE && tenant.promptTemplate) || undefined,
+      variables: { schema: briefing.BRIEFING_SCHEMA }
+    });
+    res.json({
+      recordId,
+      recordType: recordTypes.detectRecordType(recordId),
+      conversationId: existing?.conversationId || null,
+      profile: profile.name,
+      template: prompt.template,
+      version: prompt.version,
+      id: prompt.id,
+      hash: prompt.hash,
+      length: prompt.text.length,
+      context,
+      prompt: prompt.text
+    });
+  } catch (err) {
+    console.error('Error rendering prompt:', err.message);
+    res.status(500).json({ error: 'Failed to render prompt', message: err.message });
+  }
+});
+
 // Create job record in Salesforce and return jobId immediately
-app.post('/jobs', async (req, res) => {
+app.post('/jobs', canWrite, async (req, res) => {
   try {
     const {
-      sfdcToken,
       access_token, // for the external API (wise-owl)
       message,
-      recordId, // Used as parentRecordId
-      isProd = true
+      recordId, // Used as parentRecordId: an FSR, Lead, Opportunity, Account or Case (see record-types.js)
+      isProd: requestedIsProd, // defaults to the tenant's provider setting, then true
+      streamMode, // 'polling' or 'stream' for the WiseOwl run (defaults to WISEOWL_STREAM_MODE)
+      provider: providerName, // 'wiseowl', 'openai' or 'mock' (defaults to the tenant's provider, see tenants.js)
+      profile: profileName, // collection profile under profiles/ (defaults to the tenant's profile)
+      segment, // sales segment for prompt template selection (defaults to the tenant's segment, then the profile name)
+      template, // prompt template override, 'name' or 'name@version'
+      contextBudget, // token budget for the CTA data payload (defaults to CONTEXT_TOKEN_BUDGET)
+      digestTranscripts, // true to digest long meeting transcripts before the briefing (defaults to TRANSCRIPT_DIGESTS, off)
+      outputFormat, // 'html' or 'structured' (JSON briefing written to discrete fields, FSR records only; defaults to BRIEFING_OUTPUT_FORMAT)
+      writeDisposition, // write the CONVERT/REJECT recommendation to the FSR record (defaults to DISPOSITION_WRITEBACK; FSR briefings only)
+      dispositionDryRun, // audit the disposition write without changing the record (defaults to DISPOSITION_DRY_RUN)
+      createEmailDraft, // draft the follow-up email for the primary contact (defaults to EMAIL_DRAFTS)
+      draftType, // 'Task' or 'EmailMessage' (defaults to EMAIL_DRAFT_TYPE, then 'Task')
+      refreshContext // re-collect the CRM data of an existing conversation and send what changed
     } = req.body;
     
     // Use recordId as parentRecordId
     const parentRecordId = recordId;
+    // sfdcToken, instanceUrl and orgId (see sfdcAuth)
+    const auth = sfdcAuth(req);
+
+    if (auth.error || !parentRecordId) {
+      return res.status(400).json({ error: auth.error || 'Missing required parameter: parentRecordId required' });
+    }
+
+    // Reject malformed IDs before any Salesforce call; they end up in SOQL
+    if (!isValidId(parentRecordId)) {
+      return res.status(400).json({ error: 'Invalid recordId', message: 'recordId must be a 15- or 18-character Salesforce ID' });
+    }
+
+    let provider;
+    try {
+      provider = providers.getProvider(providerName);
+    } catch (providerError) {
+      return res.status(400).json({ error: providerError.message });
+    }
+
+    let profile;
+    try {
+      profile = profiles.loadProfile(profileName);
+    } catch (profileError) {
+      return res.status(400).json({ error: 'Invalid collection profile', message: profileError.message });
+    }
+
+    if (template) {
+      try {
+        prompts.selectTemplate({ template });
+      } catch (templateError) {
+        return res.status(400).json({ error: 'Invalid prompt template', message: templateError.message });
+      }
+    }
 
-    if (!sfdcToken || !parentRecordId) {
-      return res.status(400).json({ error: 'Missing required parameter: sfdcToken and parentRecordId required' });
+    let format;
+    try {
+      format = briefing.resolveOutputFormat(outputFormat, recordTypes.detectRecordType(parentRecordId));
+    } catch (formatError) {
+      return res.status(400).json({ error: 'Invalid output format', message: formatError.message });
+    }
+
+    let resolvedDraftType;
+    try {
+      resolvedDraftType = emailDraft.resolveDraftType(draftType);
+    } catch (draftTypeError) {
+      return res.status(400).json({ error: 'Invalid draft type', message: draftTypeError.message });
     }
 
     // Create Salesforce connection
     let conn;
     try {
-      conn = await salesforce.createSalesforceConnection(sfdcToken);
+      conn = await salesforce.createSalesforceConnection(auth.token, auth);
     } catch (connError) {
       console.error('Failed to create Salesforce connection:', connError.message);
       return res.status(500).json({ error: 'Failed to connect to Salesforce', message: connError.message });
     }
 
+    // Settings the request leaves out come from the org's tenant
+    const tenant = tenants.forConnection(conn);
+    if (!providerName) provider = providers.getProvider(tenant.provider.name);
+    if (!profileName) profile = profiles.loadProfile(tenant.profile);
+    const isProd = requestedIsProd ?? tenant.provider.isProd ?? true;
+
+    const requester = await authorizeRecord(req, res, conn, { profile, recordId: parentRecordId, rateLimited: true });
+    if (!requester) return;
+
     // Check for existing record and create if needed
     let conversationIdToUse = null;
     try {
-      if (!access_token) {
+      if (provider.requiresAccessToken && !access_token) {
         return res.status(400).json({ 
           error: 'Missing access_token: required to initialize conversation when none exists' 
         });
@@ -64,14 +363,14 @@ app.post('/jobs', async (req, res) => {
       // If no conversation ID exists yet, create one
       if (!conversationIdToUse) {
         console.log('Creating new conversation...');
-        conversationIdToUse = await wiseowl.createConversation(access_token, isProd);
+        conversationIdToUse = await provider.createConversation({ accessToken: access_token, isProd, ...tenants.providerSettings(tenant, provider.name) });
         
         // Update the record with the new conversation ID if needed
         if (sfdcId && !existingConversationId) {
           try {
-            await conn.sobject(process.env.SFDC_OBJECT_API_NAME || 'WO_Conversation__c').update({
+            await conn.sobject(salesforce.conversationObject(conn)).update({
               Id: sfdcId,
-              Conversation_Id__c: conversationIdToUse
+              [salesforce.conversationFields(conn).conversationId]: conversationIdToUse
             });
           } catch (updateError) {
             console.error('Failed to update record with conversation ID:', updateError.message);
@@ -79,20 +378,51 @@ app.post('/jobs', async (req, res) => {
         }
       }
       
-      // Return the Salesforce record id immediately to the caller
-      res.status(201).json({ recordId: sfdcId });
-
-      // Start async processing in background (don't await)
-      processInBackground({
+      // Register the job, then persist it so a restart or crash does not lose it;
+      // the worker process picks it up
+      const jobId = uuidv4();
+      await jobs.createJob({
+        id: jobId,
+        recordId: parentRecordId,
+        sfdcId,
+        conversationId: conversationIdToUse,
+        isExisting,
+        hasMessage: !!message,
+        provider: provider.name,
+        profile: profile.name,
+        segment: segment || null
+      });
+      const job = await getQueue().enqueue({
         sfdcId,
-        sfdcToken,
+        sfdcToken: auth.token,
+        // The worker reconnects to the same instance and refreshes through the org's stored credential, if any
+        instanceUrl: conn.instanceUrl,
+        orgId: conn.userInfo?.organizationId || auth.orgId,
         access_token,
         recordId: parentRecordId,
         message,
         conversationId: conversationIdToUse,
         isExisting,
-        isProd
-      });
+        isProd,
+        streamMode,
+        provider: provider.name,
+        profile: profile.name,
+        segment,
+        promptTemplate: template,
+        contextBudget: Number(contextBudget) || undefined,
+        digestTranscripts,
+        outputFormat: format,
+        writeDisposition,
+        dispositionDryRun,
+        createEmailDraft,
+        draftType: resolvedDraftType,
+        refreshContext
+      }, { id: jobId });
+      console.log(`Enqueued job ${job.id} for SFDC record ${sfdcId}`);
+      await apiAuth.auditRequest(req, { action: 'job_requested', recordId: parentRecordId, sfdcUserId: requester.userId, orgId: requester.orgId, jobId });
+
+      // Return the Salesforce record id and job id immediately to the caller
+      res.status(201).json({ recordId: sfdcId, jobId });
       
     } catch (err) {
       console.error('Error in conversation management:', err.message);
@@ -104,77 +434,636 @@ app.post('/jobs', async (req, res) => {
   }
 });
 
-/**
- * Processes the job in the background
- * @param {object} params - Parameters for processing
- */
-async function processInBackground(params) {
-  const { 
-    sfdcId, 
-    sfdcToken, 
-    access_token, 
-    recordId, 
-    message, 
-    conversationId, 
-    isExisting,
-    isProd 
-  } = params;
-
-  try {
-    // Create Salesforce connection for processing
-    const conn = await salesforce.createSalesforceConnection(sfdcToken);
-    
-    // Set up data and prompt based on whether this is an existing conversation
-    let wrapperDataString = "{}";
-    
-    // Only collect data if this is a new conversation
-    if (!isExisting) {
-      try {
-        const ctaData = await salesforce.collectAllCTAData(conn, recordId);
-        console.log('Successfully collected CTA data for background job');
-        wrapperDataString = JSON.stringify(ctaData, null, 2);
-      } catch (dataError) {
-        console.error('Error collecting CTA data:', dataError);
+// List jobs, newest first; optional ?state=, ?recordId= and ?limit= filters. A full page carries the
+// ?before= value of the next one.
+app.get('/jobs', canRead, async (req, res) => {
+  try {
+    const { state, recordId, before } = req.query;
+    if (before && Number.isNaN(Date.parse(before))) {
+      return res.status(400).json({ error: 'Invalid before: expected an ISO timestamp' });
+    }
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    const list = await jobs.listJobs({ state, recordId, limit, before });
+    const next = list.length === limit ? list[list.length - 1].createdAt : null;
+    res.json({ jobs: list, count: list.length, next });
+  } catch (err) {
+    console.error('Failed to list jobs:', err.message);
+    res.status(500).json({ error: 'Failed to list jobs', message: err.message });
+  }
+});
+
+// Report a job's state, phase timestamps, WiseOwl ids and error details
+app.get('/jobs/:id', canRead, async (req, res) => {
+  try {
+    const job = await jobs.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  } catch (err) {
+    console.error('Failed to read job:', err.message);
+    res.status(500).json({ error: 'Failed to read job', message: err.message });
+  }
+});
+
+// Stream a job's progress as Server-Sent Events: phase changes, collection and prompt
+// milestones, intermediate WiseOwl run entries and the final done payload.
+// Reconnecting clients resume from the Last-Event-ID header. The caller's Salesforce session must be able to
+// read the job's record; EventSource clients, which cannot set headers, pass it as ?sfdcToken=.
+app.get('/jobs/:id/stream', canRead, async (req, res) => {
+  const jobId = req.params.id;
+  const job = await jobs.getJob(jobId).catch(() => null);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  try {
+    if (!(await authorizeJob(req, res, job))) return;
+  } catch (authError) {
+    console.error('Failed to authorize job stream:', authError.message);
+    return res.status(500).json({ error: 'Failed to stream job', message: authError.message });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(': connected\n\n');
+
+  let offset = Number(req.headers['last-event-id']) || 0;
+  let closed = false;
+  let lastWrite = Date.now();
+
+  const flush = async () => {
+    const { events, offset: nextOffset } = await jobs.readEvents(jobId, offset);
+    offset = nextOffset;
+    for (const event of events) {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, at: event.at })}\n\n`);
+      lastWrite = Date.now();
+    }
+  };
+
+  const tick = async () => {
+    if (closed) return;
+    try {
+      await flush();
+      const current = await jobs.getJob(jobId);
+      if (!current || jobs.isTerminal(current.state)) {
+        // Pick up anything written between the read and the state check, then close
+        await flush();
+        res.write(`event: end\ndata: ${JSON.stringify({ state: current?.state || null })}\n\n`);
+        closed = true;
+        return res.end();
       }
-    } else {
-      console.log('Using existing conversation, skipping data collection');
+      if (Date.now() - lastWrite > 15000) {
+        res.write(': keep-alive\n\n');
+        lastWrite = Date.now();
+      }
+    } catch (streamErr) {
+      console.error(`Job stream ${jobId} failed:`, streamErr.message);
+      closed = true;
+      return res.end();
     }
-    
-    // Build the prompt
-    console.log('Building prompt with conversation ID:', conversationId);
-    const input = wiseowl.buildPrompt({
-      message,
-      conversationId,
-      wrapperDataString
+    setTimeout(tick, 500);
+  };
+
+  req.on('close', () => {
+    closed = true;
+  });
+  tick();
+});
+
+// Retry a failed job, re-running only the phase that failed. The caller's Salesforce session (sfdcToken in the
+// body or X-Sfdc-Token, or for admins the orgId of a stored credential) must be able to read the job's record
+// and replaces the job's original one; the body may also carry a fresh access_token.
+app.post('/jobs/:id/retry', canWrite, async (req, res) => {
+  try {
+    const job = await jobs.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.state !== 'failed') {
+      return res.status(409).json({ error: `Only failed jobs can be retried (job is ${job.state})` });
+    }
+    if (job.error && job.error.retryable === false) {
+      return res.status(409).json({ error: 'Job failure is not retryable', details: job.error });
+    }
+
+    const { access_token, orgId } = req.body || {};
+    // The worker falls back to the stored credential of orgId, which only admins may choose
+    if (orgId && !apiAuth.hasScope(req.principal, 'admin')) {
+      return res.status(403).json({ error: 'Forbidden', message: 'Only admin callers can retry a job with the stored credential of an org' });
+    }
+    const requester = await authorizeJob(req, res, job, { rateLimited: true });
+    if (!requester) return;
+
+    const { token } = sfdcAuth(req);
+    const payloadPatch = { resumeFrom: job.error?.phase };
+    if (token) payloadPatch.sfdcToken = token;
+    if (access_token) payloadPatch.access_token = access_token;
+    if (orgId) payloadPatch.orgId = orgId;
+
+    const message = await getQueue().requeueDead(job.id, payloadPatch);
+    if (!message) {
+      return res.status(409).json({ error: 'No dead-lettered message found for this job' });
+    }
+
+    const updated = await jobs.setState(job.id, 'queued', { retriedAt: new Date().toISOString() });
+    await apiAuth.auditRequest(req, { action: 'job_retried', recordId: job.recordId, sfdcUserId: requester.userId, orgId: requester.orgId, jobId: job.id });
+    res.status(202).json({ ...updated, resumeFrom: payloadPatch.resumeFrom || null });
+  } catch (err) {
+    console.error('Failed to retry job:', err.message);
+    res.status(500).json({ error: 'Failed to retry job', message: err.message });
+  }
+});
+
+// Cancel a queued or running job of a record the caller's Salesforce session can read; the worker
+// stops its WiseOwl polling loop
+app.delete('/jobs/:id', canWrite, async (req, res) => {
+  try {
+    const existing = await jobs.getJob(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    const requester = await authorizeJob(req, res, existing);
+    if (!requester) return;
+    if (jobs.isTerminal(existing.state)) {
+      return res.status(409).json({ error: `Job already ${existing.state}`, job: existing });
+    }
+    const job = await jobs.requestCancel(req.params.id);
+    await apiAuth.auditRequest(req, { action: 'job_cancelled', recordId: existing.recordId, sfdcUserId: requester.userId, orgId: requester.orgId, jobId: existing.id });
+    res.status(202).json(job);
+  } catch (err) {
+    console.error('Failed to cancel job:', err.message);
+    res.status(500).json({ error: 'Failed to cancel job', message: err.message });
+  }
+});
+
+// Regenerate only the follow-up email of an existing briefing in another tone, as a new draft
+// Task or EmailMessage. Runs as a job in the record's existing conversation.
+app.post('/conversations/:recordId/email', canWrite, async (req, res) => {
+  const { recordId } = req.params;
+  const { access_token, tone, draftType, isProd: requestedIsProd, streamMode, provider: providerName, profile: profileName } = req.body || {};
+  const auth = sfdcAuth(req);
+
+  if (auth.error) {
+    return res.status(400).json({ error: auth.error });
+  }
+  if (!isValidId(recordId)) {
+    return res.status(400).json({ error: 'Invalid recordId', message: 'recordId must be a 15- or 18-character Salesforce ID' });
+  }
+
+  let normalizedTone;
+  let resolvedDraftType;
+  let provider;
+  let profile;
+  try {
+    normalizedTone = emailDraft.normalizeTone(tone);
+    resolvedDraftType = emailDraft.resolveDraftType(draftType);
+    provider = providers.getProvider(providerName);
+    profile = profiles.loadProfile(profileName);
+  } catch (paramError) {
+    return res.status(400).json({ error: 'Invalid email regeneration request', message: paramError.message });
+  }
+
+  try {
+    const conn = await salesforce.createSalesforceConnection(auth.token, auth);
+    const tenant = tenants.forConnection(conn);
+    if (!providerName) provider = providers.getProvider(tenant.provider.name);
+    if (!profileName) profile = profiles.loadProfile(tenant.profile);
+    const isProd = requestedIsProd ?? tenant.provider.isProd ?? true;
+    if (provider.requiresAccessToken && !access_token) {
+      return res.status(400).json({ error: 'Missing access_token' });
+    }
+    const requester = await authorizeRecord(req, res, conn, { profile, recordId, rateLimited: true });
+    if (!requester) return;
+    const existing = await salesforce.findConversationRecord(conn, recordId);
+    if (!existing || !existing.conversationId) {
+      return res.status(409).json({ error: 'No briefing to regenerate the email from', message: 'Generate a briefing for this record first' });
+    }
+
+    const jobId = uuidv4();
+    await jobs.createJob({
+      id: jobId,
+      type: 'email',
+      recordId,
+      sfdcId: existing.sfdcId,
+      conversationId: existing.conversationId,
+      isExisting: true,
+      hasMessage: true,
+      provider: provider.name,
+      profile: profile.name,
+      tone: normalizedTone
     });
-    console.log('Prompt built successfully, sending to WiseOwl');
-    
-    // Process the conversation with WiseOwl
-    console.log('Starting WiseOwl conversation processing');
-    const result = await wiseowl.processConversation({
-      accessToken: access_token,
-      input,
-      context: "the user is not on a record page to provide any context",
-      conversationId,
-      isProd
+    await getQueue().enqueue({
+      type: 'email',
+      sfdcId: existing.sfdcId,
+      sfdcToken: auth.token,
+      instanceUrl: conn.instanceUrl,
+      orgId: conn.userInfo?.organizationId || auth.orgId,
+      access_token,
+      recordId,
+      conversationId: existing.conversationId,
+      isProd,
+      streamMode,
+      provider: provider.name,
+      profile: profile.name,
+      tone: normalizedTone,
+      draftType: resolvedDraftType
+    }, { id: jobId });
+    console.log(`Enqueued email regeneration job ${jobId} for ${recordId}`);
+    await apiAuth.auditRequest(req, { action: 'email_requested', recordId, sfdcUserId: requester.userId, orgId: requester.orgId, jobId });
+    res.status(202).json({ recordId: existing.sfdcId, jobId });
+  } catch (err) {
+    console.error('Failed to regenerate email:', err.message);
+    res.status(500).json({ error: 'Failed to regenerate email', message: err.message });
+  }
+});
+
+// Full conversation thread of a record: turns archived to Files followed by the turns still in
+// the history field. The Salesforce token comes in the X-Sfdc-Token header (or ?sfdcToken=, see sfdcAuth).
+app.get('/conversations/:recordId/history', canRead, async (req, res) => {
+  const { recordId } = req.params;
+  const auth = sfdcAuth(req);
+
+  if (auth.error) {
+    return res.status(400).json({ error: auth.error });
+  }
+  if (!isValidId(recordId)) {
+    return res.status(400).json({ error: 'Invalid recordId', message: 'recordId must be a 15- or 18-character Salesforce ID' });
+  }
+
+  try {
+    const conn = await salesforce.createSalesforceConnection(auth.token, auth);
+    if (!(await authorizeRecord(req, res, conn, { recordId }))) return;
+    const existing = await salesforce.findConversationRecord(conn, recordId);
+    if (!existing) {
+      return res.status(404).json({ error: 'No conversation found for this record' });
+    }
+    const record = await conn.sobject(salesforce.conversationObject(conn)).retrieve(existing.sfdcId);
+    const thread = await history.readFullHistory(conn, existing.sfdcId, record?.[salesforce.conversationFields(conn).history] || '');
+    res.json({ recordId, sfdcId: existing.sfdcId, ...thread, count: thread.turns.length });
+  } catch (err) {
+    console.error('Failed to read conversation history:', err.message);
+    res.status(500).json({ error: 'Failed to read conversation history', message: err.message });
+  }
+});
+
+// Export the thread of a record as JSON, one entry per turn with its role and run metadata.
+// Conversations from before turns were stored fall back to the entries of the HTML history, where rep
+// messages are the entries renderTurn marked with "Rep:".
+app.get('/conversations/:recordId/export', canRead, async (req, res) => {
+  const { recordId } = req.params;
+  const auth = sfdcAuth(req);
+
+  if (auth.error) {
+    return res.status(400).json({ error: auth.error });
+  }
+  if (!isValidId(recordId)) {
+    return res.status(400).json({ error: 'Invalid recordId', message: 'recordId must be a 15- or 18-character Salesforce ID' });
+  }
+
+  try {
+    const conn = await salesforce.createSalesforceConnection(auth.token, auth);
+    const requester = await authorizeRecord(req, res, conn, { recordId });
+    if (!requester) return;
+    const existing = await salesforce.findConversationRecord(conn, recordId);
+    if (!existing) {
+      return res.status(404).json({ error: 'No conversation found for this record' });
+    }
+
+    let source = 'turns';
+    let thread = await turns.listTurns(conn, existing.sfdcId);
+    if (thread.length === 0) {
+      source = 'history';
+      const record = await conn.sobject(salesforce.conversationObject(conn)).retrieve(existing.sfdcId);
+      const full = await history.readFullHistory(conn, existing.sfdcId, record?.[salesforce.conversationFields(conn).history] || '');
+      thread = full.turns.map(turn => ({ sequence: turn.index + 1, ...history.parseTurn(turn.html) }));
+    }
+
+    await apiAuth.auditRequest(req, { action: 'thread_exported', recordId, sfdcUserId: requester.userId, orgId: requester.orgId });
+    res.setHeader('Content-Disposition', `attachment; filename="conversation-${recordId}.json"`);
+    res.json({
+      recordId,
+      sfdcId: existing.sfdcId,
+      conversationId: existing.conversationId,
+      exportedAt: new Date().toISOString(),
+      source,
+      turns: thread
     });
-    console.log('WiseOwl processing completed');
-    
-    // Update the Salesforce record with the result
-    await salesforce.updateConversationRecord(conn, sfdcId, result.assistantContent, !message);
-    
-    console.log(`Background processing completed for SFDC record ${sfdcId}`);
-  } catch (bgErr) {
-    console.error('Background job failed:', bgErr?.message || bgErr);
+  } catch (err) {
+    console.error('Failed to export conversation:', err.message);
+    res.status(500).json({ error: 'Failed to export conversation', message: err.message });
+  }
+});
+
+// Automated record changes and API requests (type=request) for review, newest first
+app.get('/audit', isAdmin, async (req, res) => {
+  try {
+    const { type, action, recordId, since } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 100, 1000);
+    res.json({ entries: await audit.listAudit({ type, action, recordId, since, limit }) });
+  } catch (err) {
+    console.error('Failed to read audit log:', err.message);
+    res.status(500).json({ error: 'Failed to read audit log', message: err.message });
+  }
+});
+
+// Report context cache usage of this process
+app.get('/cache', isAdmin, (_, res) => {
+  res.json(getContextCache().stats());
+});
+
+// Purge the cached context of an account, e.g. after a bulk data fix; applies to the worker processes too
+app.delete('/cache/accounts/:accountId', isAdmin, async (req, res) => {
+  if (!isValidId(req.params.accountId)) {
+    return res.status(400).json({ error: 'Invalid accountId', message: 'accountId must be a 15- or 18-character Salesforce ID' });
+  }
+  // Entries are tagged with the 18-character ID that Salesforce returns
+  const accountId = toCaseSafeId(req.params.accountId);
+  try {
+    const dropped = await getContextCache().invalidate(`account:${accountId}`);
+    console.log(`Purged cached context for account ${accountId}`);
+    res.json({ accountId, purged: true, dropped });
+  } catch (err) {
+    console.error('Failed to purge cached context:', err.message);
+    res.status(500).json({ error: 'Failed to purge cached context', message: err.message });
+  }
+});
+
+// Pending web server flow authorizations (state => { expiresAt, principal, replace }); the callback reaches
+// the process that issued the state
+const oauthStates = new Map();
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Stores the credential of an org and audits the change; an org's existing credential is only replaced when confirmed
+ * @param {object} req - Express request of the admin who obtained the credential
+ * @param {object} credential - Credential from credentials.exchangeCode or credentials.jwtBearerLogin
+ * @param {boolean} replace - Confirmation to replace the org's existing credential
+ * @returns {object} The stored credential
+ */
+async function storeCredential(req, credential, replace) {
+  const existed = await credentials.hasCredential(credential.orgId);
+  const entry = { orgId: credential.orgId, sfdcUserId: credential.userId, flow: credential.flow };
+  try {
+    await credentials.saveCredential(credential, { replace });
+  } catch (error) {
+    if (error.code === 'CREDENTIAL_EXISTS') await apiAuth.auditRequest(req, { action: 'credential_replace_refused', ...entry });
+    throw error;
   }
+  await apiAuth.auditRequest(req, { action: existed ? 'credential_replaced' : 'credential_stored', ...entry });
+  console.log(`${existed ? 'Replaced' : 'Stored'} Salesforce credential for org ${credential.orgId} (${credential.flow} flow)`);
+  return credential;
 }
 
-// Start the server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
-  console.log(`Health check available at http://localhost:${PORT}/health`);
-  console.log(`POST /jobs available at http://localhost:${PORT}/jobs`);
+// Connected app web server flow: sends an admin to Salesforce to authorize the app for their org.
+// ?replace=true confirms replacing a credential the org already has.
+app.get('/oauth/authorize', isAdmin, (req, res) => {
+  try {
+    const now = Date.now();
+    oauthStates.forEach((pending, key) => {
+      if (pending.expiresAt < now) oauthStates.delete(key);
+    });
+    const state = crypto.randomBytes(16).toString('hex');
+    const url = credentials.authorizeUrl(state);
+    oauthStates.set(state, {
+      expiresAt: now + OAUTH_STATE_TTL_MS,
+      principal: req.principal,
+      replace: req.query.replace === 'true'
+    });
+    res.redirect(url);
+  } catch (err) {
+    console.error('Failed to start Salesforce authorization:', err.message);
+    res.status(err.code === 'OAUTH_NOT_CONFIGURED' ? 501 : 500).json({ error: 'Failed to start Salesforce authorization', message: err.message });
+  }
+});
+
+// Web server flow callback: stores the org's refresh token so jobs outlive the caller's session. Salesforce
+// redirects the browser here, so the state stands in for the admin who started the authorization.
+app.get('/oauth/callback', async (req, res) => {
+  const { code, state, error, error_description: errorDescription } = req.query;
+  const pending = oauthStates.get(state);
+  oauthStates.delete(state);
+  if (!state || !pending || pending.expiresAt < Date.now()) {
+    return res.status(400).json({ error: 'Invalid or expired OAuth state' });
+  }
+  req.principal = pending.principal;
+  if (error || !code) {
+    return res.status(400).json({ error: 'Salesforce authorization was not granted', message: errorDescription || error || 'No authorization code' });
+  }
+
+  try {
+    const credential = await storeCredential(req, await credentials.exchangeCode(code), pending.replace);
+    res.json({ orgId: credential.orgId, userId: credential.userId, instanceUrl: credential.instanceUrl, flow: credential.flow });
+  } catch (err) {
+    console.error('Failed to complete Salesforce authorization:', err.message);
+    const status = { OAUTH_ERROR: 502, CREDENTIAL_EXISTS: 409 }[err.code] || 500;
+    res.status(status).json({ error: 'Failed to complete Salesforce authorization', message: err.message });
+  }
+});
+
+// JWT bearer flow: logs in the integration user (SFDC_JWT_USERNAME, or username in the body) and stores the session;
+// replace: true in the body confirms replacing a credential the org already has
+app.post('/oauth/jwt', isAdmin, async (req, res) => {
+  try {
+    const credential = await storeCredential(req, await credentials.jwtBearerLogin({ username: req.body?.username }), req.body?.replace === true);
+    res.status(201).json({ orgId: credential.orgId, userId: credential.userId, instanceUrl: credential.instanceUrl, flow: credential.flow });
+  } catch (err) {
+    console.error('Failed JWT bearer login:', err.message);
+    const status = { OAUTH_NOT_CONFIGURED: 501, OAUTH_ERROR: 502, CREDENTIAL_EXISTS: 409 }[err.code] || 500;
+    res.status(status).json({ error: 'Failed JWT bearer login', message: err.message });
+  }
+});
+
+// Orgs of the tenant registry with their resolved settings (see tenants.js)
+app.get('/tenants', isAdmin, (_, res) => {
+  try {
+    res.json({ tenants: tenants.listTenants() });
+  } catch (err) {
+    console.error('Failed to read tenant registry:', err.message);
+    res.status(500).json({ error: 'Failed to read tenant registry', message: err.message });
+  }
+});
+
+// Check the conversation object of the caller's org against its field mapping
+app.get('/schema', isAdmin, async (req, res) => {
+  const auth = sfdcAuth(req);
+  if (auth.error) {
+    return res.status(400).json({ error: auth.error });
+  }
+  try {
+    const conn = await salesforce.createSalesforceConnection(auth.token, auth);
+    res.json({ orgId: conn.userInfo?.organizationId || auth.orgId, ...(await checkConversationSchema(conn)) });
+  } catch (err) {
+    console.error('Failed to check storage schema:', err.message);
+    res.status(500).json({ error: 'Failed to check storage schema', message: err.message });
+  }
 });
 
+// Stored Salesforce credentials, without their tokens
+app.get('/credentials', isAdmin, async (_, res) => {
+  try {
+    res.json({ credentials: await credentials.listCredentials() });
+  } catch (err) {
+    console.error('Failed to list credentials:', err.message);
+    res.status(500).json({ error: 'Failed to list credentials', message: err.message });
+  }
+});
+
+// Forget the stored credential of an org; jobs then need the caller's live session again
+app.delete('/credentials/:orgId', isAdmin, async (req, res) => {
+  if (!isValidId(req.params.orgId)) {
+    return res.status(400).json({ error: 'Invalid orgId', message: 'orgId must be a 15- or 18-character Salesforce ID' });
+  }
+  try {
+    if (!(await credentials.deleteCredential(req.params.orgId))) {
+      return res.status(404).json({ error: 'No credential stored for this org' });
+    }
+    await apiAuth.auditRequest(req, { action: 'credential_deleted', orgId: req.params.orgId });
+    res.json({ orgId: req.params.orgId, deleted: true });
+  } catch (err) {
+    console.error('Failed to delete credential:', err.message);
+    res.status(err.code === 'INVALID_ORG_ID' ? 400 : 500).json({ error: 'Failed to delete credential', message: err.message });
+  }
+});
+
+/**
+ * Checks the conversation object of a connection's org against the tenant's field mapping
+ * @param {object} conn - JSForce connection
+ * @returns {object} Schema report (see schema.checkSchema)
+ */
+function checkConversationSchema(conn) {
+  return schema.checkSchema(conn, {
+    sobject: salesforce.conversationObject(conn),
+    fields: salesforce.conversationFields(conn)
+  });
+}
+
+/**
+ * Finds a session to check the storage schema with when no credential is stored: SFDC_ACCESS_TOKEN,
+ * else the JWT integration user when the connected app is configured for it
+ * @returns {object|null} { token, instanceUrl } or null
+ */
+async function fallbackSchemaSession() {
+  if (process.env.SFDC_ACCESS_TOKEN) {
+    return { token: process.env.SFDC_ACCESS_TOKEN, instanceUrl: process.env.SFDC_INSTANCE_URL };
+  }
+  const config = credentials.oauthConfig();
+  if (!config.clientId || !config.jwtUsername) return null;
+  const session = await credentials.jwtBearerLogin();
+  return { token: session.accessToken, instanceUrl: session.instanceUrl };
+}
+
+/**
+ * Checks the storage schema of orgs and prints a report per org
+ * @param {object} options - Check options
+ * @param {Array} options.orgIds - Orgs with a stored credential to check (default: all of them)
+ * @param {string} options.token - Session to check instead (SFDC_ACCESS_TOKEN for `check-schema`)
+ * @param {boolean} options.fallback - Without stored credentials, check SFDC_ACCESS_TOKEN or the JWT user
+ * @returns {boolean} True when every checked org has the required fields
+ */
+async function checkStorageSchemas({ orgIds, token, fallback = false } = {}) {
+  let instanceUrl = token ? process.env.SFDC_INSTANCE_URL : undefined;
+  let targets = token ? [null] : (orgIds?.length ? orgIds : (await credentials.listCredentials()).map(entry => entry.orgId));
+  if (targets.length === 0 && fallback) {
+    const session = await fallbackSchemaSession();
+    if (session) ({ token, instanceUrl } = session);
+    targets = session ? [null] : [];
+  }
+  if (targets.length === 0) {
+    console.log('Storage schema: no stored credentials or session to check');
+    return true;
+  }
+
+  let ok = true;
+  for (const orgId of targets) {
+    try {
+      const conn = await salesforce.createSalesforceConnection(token || null, { orgId, instanceUrl });
+      const report = await checkConversationSchema(conn);
+      ok = ok && report.ok;
+      (report.ok ? console.log : console.error)(`Storage schema of org ${conn.userInfo?.organizationId || orgId}\n${schema.formatReport(report)}`);
+    } catch (error) {
+      ok = false;
+      console.error(`Storage schema of org ${orgId || '(token)'} could not be checked: ${error.message}`);
+    }
+  }
+  return ok;
+}
+
+/**
+ * Checks the storage schema before a server or worker takes traffic (SCHEMA_CHECK_ON_STARTUP=false skips it);
+ * with SCHEMA_CHECK_STRICT=true a missing required field stops the process before it listens or polls
+ */
+async function checkSchemasOnStartup() {
+  if (process.env.SCHEMA_CHECK_ON_STARTUP === 'false') return;
+  const ok = await checkStorageSchemas({ fallback: true }).catch(error => {
+    console.error('Storage schema check failed:', error.message);
+    return false;
+  });
+  if (!ok && process.env.SCHEMA_CHECK_STRICT === 'true') {
+    console.error('Stopping: the storage schema is not ready (SCHEMA_CHECK_STRICT=true)');
+    process.exit(1);
+  }
+}
+
+/**
+ * Checks that the process can share its state with the others. On Heroku (DYNO is set) every dyno has its
+ * own ephemeral disk, so with the file state backend a separate worker dyno would never see the jobs of the
+ * web dyno; it refuses to start, and the web process warns unless it runs the worker itself (WORKER_IN_WEB=true).
+ * @param {string} role - 'web' or 'worker'
+ */
+function checkStateBackend(role) {
+  if (!process.env.DYNO || getStateStore().backend !== 'file') return;
+  const hint = 'set STATE_BACKEND=redis (or QUEUE_BACKEND=redis) with REDIS_URL, or run a single web dyno with WORKER_IN_WEB=true';
+  if (role === 'worker') {
+    console.error(`Stopping: job state is kept on this dyno's local disk, which the web dyno cannot see; ${hint}`);
+    process.exit(1);
+  }
+  if (process.env.WORKER_IN_WEB !== 'true') {
+    console.error(`Job state, audit log and credentials are kept on this dyno's local disk and lost on restart; ${hint}`);
+  }
+}
+
+/**
+ * Starts the background worker and stops it cleanly on SIGTERM/SIGINT
+ */
+function runWorker() {
+  console.log('Starting worker process');
+  const handle = worker.startWorker();
+  const shutdown = async (signal) => {
+    console.log(`Received ${signal}, finishing current job before exit`);
+    await handle.stop();
+    process.exit(0);
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+// Start the server (or the worker when invoked as `node app.js worker`). `node app.js check-schema [orgId...]`
+// reports missing or invalid conversation fields of the orgs with stored credentials (or of SFDC_ACCESS_TOKEN)
+if (require.main === module) {
+  if (process.argv[2] === 'check-schema') {
+    const orgIds = process.argv.slice(3);
+    checkStorageSchemas({ orgIds, token: orgIds.length ? null : process.env.SFDC_ACCESS_TOKEN })
+      .then(ok => process.exit(ok ? 0 : 1));
+  } else if (process.argv[2] === 'worker') {
+    checkStateBackend('worker');
+    checkSchemasOnStartup().then(runWorker);
+  } else {
+    checkStateBackend('web');
+    checkSchemasOnStartup().then(() => {
+      const PORT = process.env.PORT || 3000;
+      app.listen(PORT, () => {
+        console.log(`Server is running on port ${PORT}`);
+        console.log(`Health check available at http://localhost:${PORT}/health`);
+        console.log(`POST /jobs available at http://localhost:${PORT}/jobs`);
+      });
+      // Single-process mode: the worker runs next to the server and shares its disk
+      if (process.env.WORKER_IN_WEB === 'true') runWorker();
+    });
+  }
+}
+
 module.exports = app;
@@ -0,0 +1,50 @@
+/**
+ * Audit Log Module
+ * Append-only log of automated changes made to Salesforce records, so SDR managers can review what
+ * the assistant changed, when and why. Kept in the state store (see storage.js): DATA_DIR/audit/audit.jsonl
+ * with the file backend.
+ */
+const crypto = require('crypto');
+const { getStateStore } = require('./storage');
+
+/**
+ * Appends an entry to the audit log
+ * @param {object} entry - Entry fields (type, action, recordId, ... )
+ * @returns {object} The stored entry, with id and timestamp
+ */
+async function appendAudit(entry) {
+  const stored = { id: crypto.randomUUID(), at: new Date().toISOString(), ...entry };
+  await getStateStore().append('audit', 'audit', stored);
+  return stored;
+}
+
+/**
+ * Lists audit entries, newest first
+ * @param {object} filters - Optional filters
+ * @param {string} filters.type - Entry type (e.g. 'disposition')
+ * @param {string} filters.action - Entry action (e.g. 'applied', 'dry_run')
+ * @param {string} filters.recordId - Record the entry is about
+ * @param {string} filters.since - ISO timestamp; only newer entries are returned
+ * @param {number} filters.limit - Maximum number of entries (default 100)
+ * @returns {Array} Entries
+ */
+async function listAudit(filters = {}) {
+  const { type, action, recordId, since, limit = 100 } = filters;
+  const { entries: log } = await getStateStore().read('audit', 'audit');
+
+  const entries = [];
+  for (let i = log.length - 1; i >= 0 && entries.length < limit; i--) {
+    const entry = log[i].value;
+    if (type && entry.type !== type) continue;
+    if (action && entry.action !== action) continue;
+    if (recordId && entry.recordId !== recordId) continue;
+    if (since && entry.at < since) continue;
+    entries.push(entry);
+  }
+  return entries;
+}
+
+module.exports = {
+  appendAudit,
+  listAudit
+};
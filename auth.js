@@ -0,0 +1,309 @@
+/**
+ * Inbound Authentication Module
+ * Every API route except /health and the OAuth callback (bound to the state an admin started) needs one of
+ *   - an API key in the X-Api-Key header, listed (as its SHA-256 hash) in API_KEYS with the scopes it grants:
+ *       API_KEYS='[{ "id": "lwc", "hash": "<sha256 hex of the key>", "scopes": ["jobs:write", "jobs:read"] }]'
+ *   - an HMAC-signed request, as sent by an Apex callout through a Named Credential: X-Timestamp (unix
+ *     seconds) and X-Signature, the base64 or hex HMAC-SHA256 of "<timestamp>\n<METHOD>\n<path>\n<raw body>"
+ *     keyed with HMAC_SECRET; signed requests get the scopes in HMAC_SCOPES.
+ * Job requests are also checked against the caller's Salesforce access to the record, rate limited per
+ * Salesforce user and written to the audit log. AUTH_MODE=off disables authentication for local development.
+ */
+const crypto = require('crypto');
+const audit = require('./audit');
+const { soql } = require('./soql');
+
+const SCOPES = ['jobs:write', 'jobs:read', 'admin'];
+const DEFAULT_HMAC_SCOPES = 'jobs:write,jobs:read';
+
+let apiKeysCache = { raw: null, keys: [] };
+const seenSignatures = new Map();
+let rateLimiter = null;
+
+/**
+ * Creates an authentication error
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with the code set
+ */
+function authError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Hashes an API key the way API_KEYS stores it
+ * @param {string} key - API key
+ * @returns {string} SHA-256 hex digest
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Parses the API_KEYS setting (cached until it changes)
+ * @returns {Array} { id, hash, scopes }
+ */
+function loadApiKeys() {
+  const raw = process.env.API_KEYS || '';
+  if (apiKeysCache.raw === raw) return apiKeysCache.keys;
+  let keys = [];
+  if (raw.trim()) {
+    try {
+      keys = JSON.parse(raw);
+    } catch (error) {
+      throw authError(`API_KEYS is not valid JSON: ${error.message}`, 'AUTH_MISCONFIGURED');
+    }
+    if (!Array.isArray(keys)) throw authError('API_KEYS must be a JSON array', 'AUTH_MISCONFIGURED');
+    keys.forEach((key, index) => {
+      if (!key?.id || !/^[0-9a-f]{64}$/i.test(key.hash || '')) {
+        throw authError(`API_KEYS[${index}] needs an id and the SHA-256 hex hash of the key`, 'AUTH_MISCONFIGURED');
+      }
+      const unknown = (key.scopes || []).filter(scope => !SCOPES.includes(scope));
+      if (unknown.length > 0) throw authError(`API_KEYS[${index}] has unknown scopes: ${unknown.join(', ')}`, 'AUTH_MISCONFIGURED');
+    });
+  }
+  apiKeysCache = { raw, keys };
+  return keys;
+}
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Finds the API key entry of a key
+ * @param {string} key - Key from the X-Api-Key header
+ * @returns {object|null} Principal { type, id, scopes } or null if unknown
+ */
+function verifyApiKey(key) {
+  const hash = hashApiKey(key);
+  const entry = loadApiKeys().find(candidate => safeEqual(candidate.hash.toLowerCase(), hash));
+  return entry ? { type: 'api_key', id: entry.id, scopes: entry.scopes || [] } : null;
+}
+
+/**
+ * Builds the string an HMAC signature covers
+ * @param {object} parts - Request parts
+ * @param {string} parts.timestamp - X-Timestamp value
+ * @param {string} parts.method - HTTP method
+ * @param {string} parts.path - Path with query string
+ * @param {string} parts.body - Raw body ('' for none)
+ * @returns {string} Signed payload
+ */
+function signingPayload({ timestamp, method, path, body }) {
+  return `${timestamp}\n${String(method).toUpperCase()}\n${path}\n${body || ''}`;
+}
+
+/**
+ * Signs a request, e.g. for clients and tests (Apex: Crypto.generateMac('hmacSHA256', ...), base64 encoded)
+ * @param {object} parts - Request parts (see signingPayload)
+ * @param {string} secret - Shared secret (defaults to HMAC_SECRET)
+ * @returns {string} base64 signature
+ */
+function signRequest(parts, secret = process.env.HMAC_SECRET) {
+  return crypto.createHmac('sha256', String(secret)).update(signingPayload(parts)).digest('base64');
+}
+
+/**
+ * Verifies an HMAC-signed request
+ * @param {object} req - Express request (rawBody is kept by the body parsers)
+ * @returns {object} Principal { type, id, scopes }
+ */
+function verifySignature(req) {
+  const secret = process.env.HMAC_SECRET;
+  if (!secret) throw authError('Signed requests are not accepted (HMAC_SECRET is not set)', 'UNAUTHORIZED');
+  const timestamp = req.get('x-timestamp');
+  const signature = String(req.get('x-signature') || '').replace(/^sha256=/, '');
+  const toleranceSeconds = Number(process.env.HMAC_TOLERANCE_SECONDS) || 300;
+  if (!/^\d+$/.test(timestamp || '') || Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) {
+    throw authError('X-Timestamp is missing or outside the allowed clock skew', 'UNAUTHORIZED');
+  }
+
+  const digest = crypto.createHmac('sha256', secret)
+    .update(signingPayload({ timestamp, method: req.method, path: req.originalUrl, body: req.rawBody ? req.rawBody.toString('utf8') : '' }))
+    .digest();
+  if (!safeEqual(signature, digest.toString('base64')) && !safeEqual(signature.toLowerCase(), digest.toString('hex'))) {
+    throw authError('Invalid request signature', 'UNAUTHORIZED');
+  }
+
+  // A captured request cannot be replayed while its timestamp is still accepted, in either encoding
+  const now = Date.now();
+  const seenKey = digest.toString('hex');
+  seenSignatures.forEach((expiresAt, seen) => {
+    if (expiresAt < now) seenSignatures.delete(seen);
+  });
+  if (seenSignatures.has(seenKey)) throw authError('Replayed request signature', 'UNAUTHORIZED');
+  seenSignatures.set(seenKey, now + toleranceSeconds * 2000);
+
+  const scopes = (process.env.HMAC_SCOPES || DEFAULT_HMAC_SCOPES).split(',').map(scope => scope.trim()).filter(Boolean);
+  return { type: 'hmac', id: process.env.HMAC_CLIENT_ID || 'salesforce', scopes };
+}
+
+/**
+ * Express middleware authenticating the caller; sets req.principal ({ type, id, scopes })
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function authenticate(req, res, next) {
+  if (process.env.AUTH_MODE === 'off') {
+    req.principal = { type: 'anonymous', id: `ip:${req.ip}`, scopes: SCOPES };
+    return next();
+  }
+  try {
+    const apiKey = req.get('x-api-key');
+    if (apiKey) {
+      req.principal = verifyApiKey(apiKey);
+      if (!req.principal) throw authError('Unknown API key', 'UNAUTHORIZED');
+    } else if (req.get('x-signature')) {
+      req.principal = verifySignature(req);
+    } else {
+      throw authError('Send an API key (X-Api-Key) or a signed request (X-Timestamp, X-Signature)', 'UNAUTHORIZED');
+    }
+    next();
+  } catch (error) {
+    if (error.code === 'AUTH_MISCONFIGURED') {
+      console.error('Authentication is misconfigured:', error.message);
+      return res.status(500).json({ error: 'Authentication is misconfigured', message: error.message });
+    }
+    console.error(`Rejected ${req.method} ${req.path} from ${req.ip}:`, error.message);
+    res.status(401).json({ error: 'Unauthorized', message: error.message });
+  }
+}
+
+/**
+ * Checks whether an authenticated caller has a scope; admin grants every scope
+ * @param {object} principal - req.principal
+ * @param {string} scope - 'jobs:write', 'jobs:read' or 'admin'
+ * @returns {boolean} True if the scope is granted
+ */
+function hasScope(principal, scope) {
+  const scopes = principal?.scopes || [];
+  return scopes.includes(scope) || scopes.includes('admin');
+}
+
+/**
+ * Creates middleware that requires a scope of the authenticated caller
+ * @param {string} scope - 'jobs:write', 'jobs:read' or 'admin'
+ * @returns {Function} Express middleware
+ */
+function requireScope(scope) {
+  if (!SCOPES.includes(scope)) throw new Error(`Unknown scope: ${scope}`);
+  return (req, res, next) => {
+    if (!hasScope(req.principal, scope)) {
+      return res.status(403).json({ error: 'Forbidden', message: `The caller lacks the ${scope} scope` });
+    }
+    next();
+  };
+}
+
+/**
+ * Checks that the Salesforce user of a connection can read a record; the query runs with that user's
+ * session, so sharing rules decide. Disabled with RECORD_ACCESS_CHECK=false.
+ * @param {object} conn - JSForce connection
+ * @param {string} sobject - Object of the record
+ * @param {string} recordId - Record ID
+ * @returns {boolean} True if the record is readable
+ */
+async function verifyRecordAccess(conn, sobject, recordId) {
+  if (process.env.RECORD_ACCESS_CHECK === 'false') return true;
+  try {
+    const result = await conn.query(soql`SELECT Id FROM ${soql.identifier(sobject)} WHERE Id = ${soql.id(recordId, 'recordId')} LIMIT 1`);
+    return result.records.length > 0;
+  } catch (error) {
+    // Objects the user cannot see fail the query; treat that as no access
+    console.error(`Record access check of ${recordId} failed:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Creates a sliding-window rate limiter
+ * @param {object} options - Limiter options
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowMs - Window length
+ * @returns {object} { consume(key) => { allowed, remaining, retryAfterSeconds } }
+ */
+function createRateLimiter({ limit, windowMs }) {
+  const hits = new Map();
+  return {
+    consume(key) {
+      const now = Date.now();
+      const recent = (hits.get(key) || []).filter(at => at > now - windowMs);
+      if (recent.length >= limit) {
+        hits.set(key, recent);
+        return { allowed: false, remaining: 0, retryAfterSeconds: Math.ceil((recent[0] + windowMs - now) / 1000) };
+      }
+      recent.push(now);
+      hits.set(key, recent);
+      return { allowed: true, remaining: limit - recent.length, retryAfterSeconds: 0 };
+    }
+  };
+}
+
+/**
+ * Returns the rate limiter of job requests (RATE_LIMIT_JOBS_PER_MINUTE per Salesforce user, default 20)
+ * @returns {object} Rate limiter
+ */
+function getRateLimiter() {
+  if (!rateLimiter) {
+    rateLimiter = createRateLimiter({ limit: Number(process.env.RATE_LIMIT_JOBS_PER_MINUTE) || 20, windowMs: 60 * 1000 });
+  }
+  return rateLimiter;
+}
+
+/**
+ * Identifies the Salesforce user behind a request, for rate limiting and the audit log
+ * @param {object} req - Express request
+ * @param {object} conn - JSForce connection created for the request
+ * @returns {object} { userId, orgId, key } where key falls back to the authenticated principal; the
+ *   user of a stored credential is never taken as the caller
+ */
+function requester(req, conn) {
+  const userId = conn?.usesStoredCredential ? null : (conn?.userInfo?.id || null);
+  const orgId = conn?.userInfo?.organizationId || null;
+  return { userId, orgId, key: userId ? `sfdc:${orgId}:${userId}` : `${req.principal?.type}:${req.principal?.id}` };
+}
+
+/**
+ * Records who requested what in the audit log (type 'request'). Best-effort.
+ * @param {object} req - Express request
+ * @param {object} entry - { action, recordId, sfdcUserId, orgId, jobId, reason }
+ */
+async function auditRequest(req, entry) {
+  try {
+    await audit.appendAudit({
+      type: 'request',
+      ...entry,
+      principal: req.principal ? { type: req.principal.type, id: req.principal.id } : null,
+      ip: req.ip,
+      route: `${req.method} ${req.path}`
+    });
+  } catch (error) {
+    console.error(`Failed to audit ${entry.action} for ${entry.recordId}:`, error.message);
+  }
+}
+
+module.exports = {
+  SCOPES,
+  hashApiKey,
+  signRequest,
+  authenticate,
+  hasScope,
+  requireScope,
+  verifyRecordAccess,
+  createRateLimiter,
+  getRateLimiter,
+  requester,
+  auditRequest
+};
@@ -0,0 +1,272 @@
+/**
+ * Structured Briefing Module
+ * Schema, validation and rendering for briefings returned as JSON (outputFormat 'structured').
+ * The structured briefing is rendered to HTML for the rich-text fields the UI reads, and its
+ * sections are mapped to discrete WO_Conversation__c fields for reports and flows.
+ */
+const { FSR_TYPE } = require('./record-types');
+
+const OUTPUT_FORMATS = ['html', 'structured'];
+
+const text = { type: 'string' };
+const textList = { type: 'array', items: text };
+
+// JSON Schema (the subset validateBriefing understands: type, enum, minimum, maximum, required, properties, items)
+const BRIEFING_SCHEMA = {
+  type: 'object',
+  required: ['ctaOverview', 'accountSummary', 'contactSummary', 'influencers', 'buyingSignals', 'disposition', 'followUpEmail'],
+  properties: {
+    ctaOverview: text,
+    accountSummary: text,
+    contactSummary: text,
+    contactActivitySummary: text,
+    previousOutcomes: text,
+    influencers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'reason'],
+        properties: { name: text, title: text, reason: text, engagement: text }
+      }
+    },
+    buyingSignals: textList,
+    competitorRisks: textList,
+    relevantBenefits: textList,
+    peerProof: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['company'],
+        properties: { company: text, useCase: text, products: textList, metrics: text, source: text }
+      }
+    },
+    actionRecommendations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['action', 'priority'],
+        properties: { action: text, priority: { enum: ['high', 'medium', 'low'] }, reason: text }
+      }
+    },
+    disposition: {
+      type: 'object',
+      required: ['decision', 'rationale', 'confidence'],
+      properties: {
+        decision: { enum: ['CONVERT', 'REJECT'] },
+        qualification: { enum: ['hot', 'warm', 'cold', null] },
+        timeline: { type: ['string', 'null'] },
+        rationale: text,
+        nurtureApproach: { type: ['string', 'null'] },
+        confidence: { type: 'number', minimum: 0, maximum: 1, description: 'Confidence in the decision, from 0 to 1' }
+      }
+    },
+    followUpEmail: {
+      type: 'object',
+      required: ['subject', 'body'],
+      properties: { subject: text, body: text }
+    }
+  }
+};
+
+// Sections in the order of the HTML briefing
+const SECTIONS = [
+  { key: 'ctaOverview', title: 'CTA Overview' },
+  { key: 'accountSummary', title: 'Account Summary' },
+  { key: 'contactSummary', title: 'Contact Summary' },
+  { key: 'contactActivitySummary', title: 'Contact Activity Summary' },
+  { key: 'previousOutcomes', title: 'Previous SDR/AE Outcomes' },
+  { key: 'influencers', title: 'Recommended Influencers' },
+  { key: 'buyingSignals', title: 'Buying Signals & Urgency Factors' },
+  { key: 'competitorRisks', title: 'Competitor & Risk Insights' },
+  { key: 'relevantBenefits', title: 'Relevant Benefits for This Prospect' },
+  { key: 'peerProof', title: 'Industry Peer Proof' },
+  { key: 'actionRecommendations', title: 'Action Recommendations' },
+  { key: 'disposition', title: 'Disposition Brief' },
+  { key: 'followUpEmail', title: 'Follow-up Email Template' }
+];
+
+// WO_Conversation__c fields written from a structured briefing
+const RECORD_FIELDS = {
+  Briefing_JSON__c: (b) => JSON.stringify(b),
+  CTA_Overview__c: (b) => b.ctaOverview,
+  Influencers__c: (b) => b.influencers.map(i => `${i.name}${i.title ? ` (${i.title})` : ''}: ${i.reason}`).join('\n'),
+  Buying_Signals__c: (b) => b.buyingSignals.join('\n'),
+  Disposition_Decision__c: (b) => b.disposition.decision,
+  Disposition_Qualification__c: (b) => b.disposition.qualification || null,
+  Disposition_Timeline__c: (b) => b.disposition.timeline || null,
+  Disposition_Rationale__c: (b) => b.disposition.rationale,
+  Follow_Up_Email_Subject__c: (b) => b.followUpEmail.subject,
+  Follow_Up_Email_Body__c: (b) => b.followUpEmail.body
+};
+
+/**
+ * Resolves the output format of a job. The schema describes CTA briefings, so only FSR records are
+ * structured: requesting it for another record type is an error, and a structured default yields HTML.
+ * @param {string} requested - Job option; falls back to BRIEFING_OUTPUT_FORMAT, then 'html'
+ * @param {string} recordType - Type of the job's record (see record-types.js)
+ * @returns {string} 'html' or 'structured'
+ */
+function resolveOutputFormat(requested, recordType = FSR_TYPE) {
+  const format = String(requested || process.env.BRIEFING_OUTPUT_FORMAT || 'html').toLowerCase();
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown output format: ${format}. Available: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  if (format === 'structured' && recordType !== FSR_TYPE) {
+    if (requested) throw new Error(`The structured output format is only available for FSR briefings, not ${recordType} records`);
+    return 'html';
+  }
+  return format;
+}
+
+/**
+ * Returns the JSON type name of a value
+ * @param {*} value - Value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validates a value against a schema
+ * @param {*} value - Value to check
+ * @param {object} schema - Schema (defaults to the briefing schema)
+ * @param {string} at - Path of the value, for error messages
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validateBriefing(value, schema = BRIEFING_SCHEMA, at = 'briefing') {
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    return errors;
+  }
+  if (schema.type) {
+    const allowed = [].concat(schema.type);
+    const actual = typeOf(value);
+    if (!allowed.includes(actual) && !(actual === 'integer' && allowed.includes('number'))) {
+      errors.push(`${at} must be ${allowed.join(' or ')}, got ${actual}`);
+      return errors;
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} must be at least ${schema.minimum}, got ${value}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} must be at most ${schema.maximum}, got ${value}`);
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at}.${key} is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateBriefing(value[key], propertySchema, `${at}.${key}`));
+    }
+  }
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, index) => errors.push(...validateBriefing(item, schema.items, `${at}[${index}]`)));
+  }
+  return errors;
+}
+
+/**
+ * Parses and validates a structured briefing from the assistant content
+ * @param {string} content - Assistant content (JSON, possibly wrapped in prose or code fences)
+ * @returns {object} { briefing, errors } where briefing is null unless errors is empty
+ */
+function parseBriefing(content) {
+  const raw = String(content || '');
+  const start = raw.indexOf('{');
+  const end = raw.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return { briefing: null, errors: ['The answer does not contain a JSON object'] };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw.slice(start, end + 1));
+  } catch (error) {
+    return { briefing: null, errors: [`The answer is not valid JSON: ${error.message}`] };
+  }
+  const errors = validateBriefing(parsed);
+  return { briefing: errors.length === 0 ? parsed : null, errors };
+}
+
+/**
+ * Escapes text for HTML
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Renders one briefing section as HTML
+ * @param {string} key - Section key
+ * @param {*} value - Section value
+ * @returns {string} HTML body of the section
+ */
+function renderSection(key, value) {
+  const list = (items, render) => `<ul>${items.map(item => `<li>${render(item)}</li>`).join('')}</ul>`;
+  switch (key) {
+    case 'influencers':
+      return list(value, i => `<b>${escapeHtml(i.name)}</b>${i.title ? ` (${escapeHtml(i.title)})` : ''}: ${escapeHtml(i.reason)}${i.engagement ? `<br>${escapeHtml(i.engagement)}` : ''}`);
+    case 'peerProof':
+      return list(value, p => [
+        `<b>${escapeHtml(p.company)}</b>${p.useCase ? `: ${escapeHtml(p.useCase)}` : ''}`,
+        p.products?.length ? `Products: ${escapeHtml(p.products.join(', '))}` : '',
+        p.metrics ? `Results: ${escapeHtml(p.metrics)}` : '',
+        p.source ? `Source: <a href="${escapeHtml(p.source)}">${escapeHtml(p.source)}</a>` : ''
+      ].filter(Boolean).join('<br>'));
+    case 'actionRecommendations':
+      return list(value, a => `<b>${escapeHtml(a.priority)}</b>: ${escapeHtml(a.action)}${a.reason ? ` (${escapeHtml(a.reason)})` : ''}`);
+    case 'disposition':
+      return [
+        `<p><b>Recommendation:</b> ${escapeHtml(value.decision)}${value.qualification ? ` (${escapeHtml(value.qualification)})` : ''}</p>`,
+        value.timeline ? `<p><b>Timeline:</b> ${escapeHtml(value.timeline)}</p>` : '',
+        `<p>${escapeHtml(value.rationale)}</p>`,
+        value.nurtureApproach ? `<p><b>Nurture approach:</b> ${escapeHtml(value.nurtureApproach)}</p>` : ''
+      ].join('');
+    case 'followUpEmail':
+      return `<p><b>Subject:</b> ${escapeHtml(value.subject)}</p><p>${escapeHtml(value.body).replace(/\n/g, '<br>')}</p>`;
+    default:
+      return Array.isArray(value) ? list(value, escapeHtml) : `<p>${escapeHtml(value)}</p>`;
+  }
+}
+
+/**
+ * Renders a structured briefing as the HTML briefing the UI displays
+ * @param {object} briefing - Valid structured briefing
+ * @returns {string} HTML
+ */
+function renderBriefingHtml(briefing) {
+  return SECTIONS
+    .filter(({ key }) => briefing[key] !== undefined && briefing[key] !== null && !(Array.isArray(briefing[key]) && briefing[key].length === 0))
+    .map(({ key, title }) => `<h3>${escapeHtml(title)}</h3>${renderSection(key, briefing[key])}`)
+    .join('');
+}
+
+/**
+ * Maps a structured briefing to WO_Conversation__c fields
+ * @param {object} briefing - Valid structured briefing
+ * @returns {object} Field values keyed by API name
+ */
+function toRecordFields(briefing) {
+  return Object.fromEntries(Object.entries(RECORD_FIELDS).map(([field, read]) => [field, read(briefing)]));
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  BRIEFING_SCHEMA,
+  resolveOutputFormat,
+  validateBriefing,
+  parseBriefing,
+  renderBriefingHtml,
+  toRecordFields
+};
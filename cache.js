@@ -0,0 +1,178 @@
+/**
+ * Context Cache Module
+ * LRU cache with a TTL for collected Salesforce context, so CTAs on the same account that are worked
+ * within minutes of each other do not re-run every collection query.
+ *
+ * Entries live in memory; with the disk backend they are also written under DATA_DIR/cache, so the
+ * web and worker processes share them and they survive restarts. Entries carry tags (e.g. the account)
+ * and invalidating a tag writes a tombstone to disk, which every process checks before serving an
+ * entry created earlier. Values are stored as JSON, so callers always get their own copy.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { dataDir, writeJsonAtomic, readJson } = require('./storage');
+
+const hashKey = (value) => crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 32);
+
+/**
+ * Creates a cache
+ * @param {object} options - Cache options
+ * @param {string} options.name - Namespace of the cache on disk
+ * @param {number} options.maxEntries - Entries kept in memory before the least recently used is evicted
+ * @param {number} options.ttlMs - Entry lifetime; 0 disables the cache
+ * @param {string} options.backend - 'memory' or 'disk'
+ * @returns {object} Cache exposing get, set, invalidate, clear and stats
+ */
+function createCache(options = {}) {
+  const {
+    name = 'default',
+    maxEntries = 100,
+    ttlMs = 10 * 60 * 1000,
+    backend = 'memory'
+  } = options;
+  if (!['memory', 'disk'].includes(backend)) {
+    throw new Error(`Unknown cache backend: ${backend}`);
+  }
+
+  const memory = new Map();
+  const counters = { hits: 0, misses: 0, evictions: 0 };
+  const entriesDir = () => dataDir('cache', name, 'entries');
+  const tombstonesDir = () => dataDir('cache', name, 'tombstones');
+  const entryPath = (key) => path.join(entriesDir(), `${hashKey(key)}.json`);
+  const tombstonePath = (tag) => path.join(tombstonesDir(), `${hashKey(tag)}.json`);
+
+  /**
+   * Keeps the memory tier within maxEntries, evicting the least recently used entries
+   */
+  function evict() {
+    while (memory.size > maxEntries) {
+      memory.delete(memory.keys().next().value);
+      counters.evictions += 1;
+    }
+  }
+
+  /**
+   * Tells whether an entry was created before one of its tags was invalidated
+   * @param {object} entry - Cache entry
+   * @returns {boolean} True if a tombstone is newer than the entry
+   */
+  async function isInvalidated(entry) {
+    for (const tag of entry.tags || []) {
+      const tombstone = await readJson(tombstonePath(tag));
+      if (tombstone && tombstone.at >= entry.createdAt) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Reads an entry
+   * @param {string} key - Cache key
+   * @returns {object|null} { value, createdAt, ageMs } or null on a miss
+   */
+  async function get(key) {
+    if (ttlMs <= 0) return null;
+
+    let entry = memory.get(key);
+    if (!entry && backend === 'disk') {
+      entry = await readJson(entryPath(key));
+      // Hashed file names could collide in theory; the stored key settles it
+      if (entry && entry.key !== key) entry = null;
+    }
+
+    if (!entry || entry.expiresAt <= Date.now() || await isInvalidated(entry)) {
+      memory.delete(key);
+      counters.misses += 1;
+      return null;
+    }
+
+    // Re-inserting moves the entry to the most recently used end
+    memory.delete(key);
+    memory.set(key, entry);
+    evict();
+    counters.hits += 1;
+    return { value: JSON.parse(entry.json), createdAt: entry.createdAt, ageMs: Date.now() - entry.createdAt };
+  }
+
+  /**
+   * Stores an entry
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serializable value
+   * @param {object} setOptions - Entry options
+   * @param {Array} setOptions.tags - Tags the entry can be invalidated by
+   * @returns {object|null} { createdAt, expiresAt } or null when the cache is disabled
+   */
+  async function set(key, value, setOptions = {}) {
+    if (ttlMs <= 0) return null;
+    const createdAt = Date.now();
+    const entry = { key, tags: setOptions.tags || [], createdAt, expiresAt: createdAt + ttlMs, json: JSON.stringify(value) };
+
+    memory.delete(key);
+    memory.set(key, entry);
+    evict();
+    if (backend === 'disk') await writeJsonAtomic(entryPath(key), entry);
+    return { createdAt, expiresAt: entry.expiresAt };
+  }
+
+  /**
+   * Invalidates every entry carrying a tag, in this and every other process
+   * @param {string} tag - Tag to invalidate
+   * @returns {number} Number of entries dropped from this process's memory
+   */
+  async function invalidate(tag) {
+    // Entries created in the same millisecond as the tombstone count as invalidated too
+    await writeJsonAtomic(tombstonePath(tag), { tag, at: Date.now() });
+
+    let dropped = 0;
+    for (const [key, entry] of memory) {
+      if ((entry.tags || []).includes(tag)) {
+        memory.delete(key);
+        dropped += 1;
+      }
+    }
+    return dropped;
+  }
+
+  /**
+   * Removes every entry and tombstone
+   */
+  async function clear() {
+    memory.clear();
+    await fs.promises.rm(path.join(dataDir('cache'), name), { recursive: true, force: true });
+  }
+
+  /**
+   * Reports cache usage
+   * @returns {object} { backend, ttlMs, maxEntries, size, hits, misses, evictions }
+   */
+  function stats() {
+    return { backend, ttlMs, maxEntries, size: memory.size, ...counters };
+  }
+
+  return { get, set, invalidate, clear, stats };
+}
+
+let contextCache = null;
+
+/**
+ * Returns the process-wide cache for collected account context, creating it on first use
+ * (CONTEXT_CACHE_TTL_MS, CONTEXT_CACHE_MAX_ENTRIES, CONTEXT_CACHE_BACKEND; a TTL of 0 disables it)
+ * @returns {object} Cache
+ */
+function getContextCache() {
+  if (!contextCache) {
+    const ttl = process.env.CONTEXT_CACHE_TTL_MS;
+    contextCache = createCache({
+      name: 'context',
+      ttlMs: ttl === undefined || ttl === '' ? 10 * 60 * 1000 : Number(ttl),
+      maxEntries: Number(process.env.CONTEXT_CACHE_MAX_ENTRIES) || 100,
+      backend: process.env.CONTEXT_CACHE_BACKEND || 'memory'
+    });
+  }
+  return contextCache;
+}
+
+module.exports = {
+  createCache,
+  getContextCache
+};
@@ -0,0 +1,161 @@
+/**
+ * Context Packer Module
+ * Fits the collected CTA data into a token budget before it is put in the prompt. The primary CTA,
+ * the primary contact and the account are always kept; transcripts, old activities and secondary
+ * records are trimmed or dropped, lowest priority first, until the payload fits.
+ */
+
+const DEFAULT_BUDGET = 60000;
+const CHARS_PER_TOKEN = 4;
+const TRIM_MARKER = (count) => `\n[... ${count} characters trimmed ...]\n`;
+
+/**
+ * Estimates the token count of a text (about 4 characters per token for English and JSON)
+ * @param {string} text - Text
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Returns the configured budget
+ * @returns {number} Token budget for the data payload (CONTEXT_TOKEN_BUDGET)
+ */
+function defaultBudget() {
+  return Number(process.env.CONTEXT_TOKEN_BUDGET) || DEFAULT_BUDGET;
+}
+
+/**
+ * Shortens a text to maxChars, keeping its beginning and end
+ * @param {string} text - Text
+ * @param {number} maxChars - Maximum length before the marker is added
+ * @returns {string} Trimmed text
+ */
+function trimText(text, maxChars) {
+  if (typeof text !== 'string' || text.length <= maxChars) return text;
+  const head = Math.ceil(maxChars * 0.75);
+  const tail = maxChars - head;
+  return text.slice(0, head) + TRIM_MARKER(text.length - maxChars) + (tail > 0 ? text.slice(-tail) : '');
+}
+
+/**
+ * Trims a field on every item of a list
+ * @param {Array} items - Records
+ * @param {string} field - Field to trim
+ * @param {number} maxChars - Maximum length
+ * @returns {number} Number of items trimmed
+ */
+function trimField(items, field, maxChars) {
+  let count = 0;
+  (items || []).forEach(item => {
+    const trimmed = trimText(item[field], maxChars);
+    if (trimmed !== item[field]) {
+      item[field] = trimmed;
+      count += 1;
+    }
+  });
+  return count;
+}
+
+/**
+ * Removes a field from every item of a list
+ * @param {Array} items - Records
+ * @param {string} field - Field to remove
+ * @returns {number} Number of items changed
+ */
+function dropField(items, field) {
+  let count = 0;
+  (items || []).forEach(item => {
+    if (item[field]) {
+      item[field] = null;
+      count += 1;
+    }
+  });
+  return count;
+}
+
+/**
+ * Removes items from the end of a list (the oldest, as the queries sort newest first) until
+ * about `excessTokens` are saved
+ * @param {Array} items - Records
+ * @param {number} excessTokens - Tokens to save
+ * @param {number} minKeep - Items that are always kept
+ * @returns {number} Number of items removed
+ */
+function dropFromEnd(items, excessTokens, minKeep = 0) {
+  if (!Array.isArray(items)) return 0;
+  let saved = 0;
+  let count = 0;
+  while (items.length > minKeep && saved < excessTokens) {
+    // +2 for the indentation and separator of the removed array element
+    saved += estimateTokens(JSON.stringify(items.pop(), null, 2)) + 2;
+    count += 1;
+  }
+  return count;
+}
+
+// Packing steps, lowest priority first. Each step changes the data in place and returns how many items it touched.
+const STEPS = [
+  { section: 'additionalConversations', action: 'trimmed transcripts', run: (d) => trimField(d.additionalConversations, 'meetingTranscript', 2000) },
+  { section: 'accountLevelActivities', action: 'trimmed descriptions', run: (d) => trimField(d.accountLevelActivities, 'description', 500) },
+  { section: 'additionalConversations', action: 'dropped transcripts', run: (d) => dropField(d.additionalConversations, 'meetingTranscript') },
+  { section: 'primaryContext.contactConversations', action: 'trimmed transcripts', run: (d) => trimField(d.primaryContext?.contactConversations, 'meetingTranscript', 4000) },
+  { section: 'additionalConversations', action: 'dropped oldest', run: (d, excess) => dropFromEnd(d.additionalConversations, excess, 5) },
+  { section: 'accountLevelActivities', action: 'dropped oldest', run: (d, excess) => dropFromEnd(d.accountLevelActivities, excess, 10) },
+  { section: 'productSummaryWrapperResponse', action: 'dropped oldest', run: (d, excess) => dropFromEnd(d.productSummaryWrapperResponse, excess, 5) },
+  { section: 'additionalOpportunities', action: 'dropped oldest', run: (d, excess) => dropFromEnd(d.additionalOpportunities, excess, 5) },
+  { section: 'additionalContacts', action: 'dropped', run: (d, excess) => dropFromEnd(d.additionalContacts, excess, 5) },
+  { section: 'additionalCTAs', action: 'dropped', run: (d, excess) => dropFromEnd(d.additionalCTAs, excess, 3) },
+  { section: 'primaryContext.contactConversations', action: 'dropped transcripts', run: (d) => dropField(d.primaryContext?.contactConversations, 'meetingTranscript') },
+  { section: 'primaryContext.contactActivities', action: 'trimmed descriptions', run: (d) => trimField(d.primaryContext?.contactActivities, 'description', 500) },
+  { section: 'additionalConversations', action: 'dropped', run: (d, excess) => dropFromEnd(d.additionalConversations, excess, 0) },
+  { section: 'accountLevelActivities', action: 'dropped', run: (d, excess) => dropFromEnd(d.accountLevelActivities, excess, 0) },
+  { section: 'primaryContext.contactActivities', action: 'dropped oldest', run: (d, excess) => dropFromEnd(d.primaryContext?.contactActivities, excess, 5) }
+];
+
+/**
+ * Packs collected CTA data into a token budget
+ * @param {object} ctaData - Result of collectAllCTAData
+ * @param {object} options - Packing options
+ * @param {number} options.budget - Token budget for the payload (defaults to CONTEXT_TOKEN_BUDGET, then 60000)
+ * @returns {object} { text, report } where text is the JSON payload and report says what was trimmed or dropped
+ */
+function packContext(ctaData, options = {}) {
+  const budget = options.budget || defaultBudget();
+  const data = JSON.parse(JSON.stringify(ctaData || {}));
+  const serialize = () => JSON.stringify(data, null, 2);
+
+  let text = serialize();
+  const originalTokens = estimateTokens(text);
+  const changes = [];
+
+  for (const step of STEPS) {
+    const excess = estimateTokens(text) - budget;
+    if (excess <= 0) break;
+    const count = step.run(data, excess);
+    if (count > 0) {
+      changes.push({ section: step.section, action: step.action, count });
+      text = serialize();
+    }
+  }
+
+  const estimatedTokens = estimateTokens(text);
+  const report = {
+    budget,
+    originalTokens,
+    estimatedTokens,
+    overBudget: estimatedTokens > budget,
+    changes
+  };
+  if (changes.length > 0 || report.overBudget) {
+    console.log(`Packed CTA context from ~${originalTokens} to ~${estimatedTokens} tokens (budget ${budget})`);
+  }
+  return { text, report };
+}
+
+module.exports = {
+  estimateTokens,
+  trimText,
+  packContext
+};
@@ -0,0 +1,279 @@
+/**
+ * Context Refresh Module
+ * Follow-ups on an existing conversation used to rely on the data sent with the first briefing, so
+ * calls logged or opportunities moved since then went unseen. Each collection is kept as a snapshot
+ * in the state store (see storage.js); a follow-up re-collects when asked to (refreshContext) or when a
+ * LastModifiedDate check finds records changed since the snapshot, and only the difference is sent.
+ * Deletions are only noticed by an explicit refresh: a deleted record has no LastModifiedDate to find.
+ * Snapshots expire after CONTEXT_SNAPSHOT_TTL_MS (30 days by default); a follow-up on a conversation
+ * without one is sent the full context once it is refreshed.
+ */
+const { getStateStore } = require('./storage');
+const { assertId } = require('./soql');
+const salesforce = require('./salesforce');
+const profiles = require('./profiles');
+const recordTypes = require('./record-types');
+
+// Derived display values and payloads too large to diff; they change whenever their source does
+const IGNORED_FIELDS = [
+  'attributes',
+  'isPrimary',
+  'isRelatedToPrimaryContact',
+  'accountLink',
+  'contactLink',
+  'formattedAmount',
+  'formattedDate',
+  'attendeeCount',
+  'summaryPreview',
+  'meetingTranscript',
+  'transcriptDigest'
+];
+
+// Sections of the collected data, how to list their items and what identifies an item
+const SECTIONS = {
+  // The Lead, Opportunity, Account or Case a briefing started from (FSR records are the primary CTA)
+  record: {
+    key: (item) => item.Id,
+    items: (data) => [data.parentRecord]
+  },
+  account: {
+    key: (item) => item.accountId,
+    items: (data) => [data.accountData]
+  },
+  ctas: {
+    key: (item) => item.recordId,
+    items: (data) => [data.primaryContext?.primaryCTA, ...(data.additionalCTAs || [])]
+  },
+  contacts: {
+    key: (item) => item.contactId,
+    items: (data) => [data.primaryContext?.relatedContact, ...(data.additionalContacts || [])]
+  },
+  activities: {
+    key: (item) => item.id,
+    items: (data) => [...(data.primaryContext?.contactActivities || []), ...(data.accountLevelActivities || [])]
+  },
+  opportunities: {
+    key: (item) => item.id,
+    items: (data) => [...(data.primaryContext?.relatedOpportunities || []), ...(data.additionalOpportunities || [])]
+  },
+  conversations: {
+    key: (item) => item.meetingId || item.kqMeetingId,
+    items: (data) => [...(data.primaryContext?.contactConversations || []), ...(data.additionalConversations || [])]
+  },
+  products: {
+    key: (item) => item.Id,
+    items: (data) => data.productSummaryWrapperResponse || []
+  }
+};
+
+const SNAPSHOTS = 'context-snapshots';
+
+/**
+ * Tells whether a follow-up should check for records changed since the last collection
+ * @returns {boolean} False when CONTEXT_STALENESS_CHECK is 'false' (on by default)
+ */
+function stalenessChecksEnabled() {
+  return process.env.CONTEXT_STALENESS_CHECK !== 'false';
+}
+
+/**
+ * Gets how long snapshots are kept after their collection (CONTEXT_SNAPSHOT_TTL_MS, 30 days by default)
+ * @returns {number} Time to live in milliseconds
+ */
+function snapshotTtlMs() {
+  return Number(process.env.CONTEXT_SNAPSHOT_TTL_MS) || 30 * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Tells whether a snapshot outlived its time to live
+ * @param {object} snapshot - Stored snapshot
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True when it expired
+ */
+function isExpired(snapshot, now = Date.now()) {
+  return Date.parse(snapshot.collectedAt) + snapshotTtlMs() <= now;
+}
+
+/**
+ * Copies an item without the fields the diff ignores
+ * @param {object} item - Processed record
+ * @returns {object} Comparable copy
+ */
+function comparable(item) {
+  return Object.fromEntries(Object.entries(item).filter(([field]) => !IGNORED_FIELDS.includes(field)));
+}
+
+/**
+ * Lists the items of a section by key, dropping duplicates and items without a key
+ * @param {object} data - Collected data as built by collectAllCTAData
+ * @param {string} name - Section name
+ * @returns {Map} key => comparable item
+ */
+function sectionItems(data, name) {
+  const section = SECTIONS[name];
+  const items = new Map();
+  if (!data) return items;
+  section.items(data).forEach(item => {
+    const key = item ? section.key(item) : null;
+    if (key && !items.has(key)) items.set(key, comparable(item));
+  });
+  return items;
+}
+
+/**
+ * Compares two collections of the same record
+ * @param {object} previous - Snapshot data (null when there is none, so everything counts as added)
+ * @param {object} current - Freshly collected data
+ * @returns {object} { total, sections } where each section lists added, changed ({ key, item, changes }) and removed items
+ */
+function diffContext(previous, current) {
+  const sections = {};
+  let total = 0;
+  Object.keys(SECTIONS).forEach(name => {
+    const before = sectionItems(previous, name);
+    const after = sectionItems(current, name);
+    const added = [];
+    const changed = [];
+    const removed = [];
+
+    after.forEach((item, key) => {
+      const old = before.get(key);
+      if (!old) {
+        added.push(item);
+        return;
+      }
+      const changes = {};
+      new Set([...Object.keys(old), ...Object.keys(item)]).forEach(field => {
+        const from = old[field] ?? null;
+        const to = item[field] ?? null;
+        if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+      });
+      if (Object.keys(changes).length > 0) changed.push({ key, item, changes });
+    });
+    before.forEach((item, key) => {
+      if (!after.has(key)) removed.push({ key, item });
+    });
+
+    const count = added.length + changed.length + removed.length;
+    if (count > 0) {
+      sections[name] = { added, changed, removed };
+      total += count;
+    }
+  });
+  return { total, sections };
+}
+
+/**
+ * Saves the collection a conversation was last given
+ * @param {string} sfdcId - Conversation record ID
+ * @param {object} snapshot - { recordId, profile, data } where data is the collected data
+ * @returns {object} Stored snapshot
+ */
+async function saveSnapshot(sfdcId, { recordId, profile, data }) {
+  const stored = {
+    sfdcId,
+    recordId,
+    profile: profile || null,
+    collectedAt: new Date().toISOString(),
+    // Transcripts are neither diffed nor needed for the staleness check
+    data: JSON.parse(JSON.stringify(data, (key, value) => (key === 'meetingTranscript' || key === 'transcriptDigest' ? undefined : value)))
+  };
+  await getStateStore().set(SNAPSHOTS, assertId(sfdcId, 'sfdcId'), stored);
+  return stored;
+}
+
+/**
+ * Loads the collection a conversation was last given
+ * @param {string} sfdcId - Conversation record ID
+ * @returns {object|null} Snapshot, or null if the conversation predates snapshots or its snapshot expired
+ */
+async function loadSnapshot(sfdcId) {
+  const snapshot = await getStateStore().get(SNAPSHOTS, assertId(sfdcId, 'sfdcId'));
+  return snapshot && !isExpired(snapshot) ? snapshot : null;
+}
+
+/**
+ * Deletes the snapshots that outlived their time to live
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Number of deleted snapshots
+ */
+async function pruneSnapshots(now = Date.now()) {
+  const store = getStateStore();
+  let pruned = 0;
+  for (const key of await store.keys(SNAPSHOTS)) {
+    const snapshot = await store.get(SNAPSHOTS, key);
+    if (snapshot && !isExpired(snapshot, now)) continue;
+    await store.delete(SNAPSHOTS, key);
+    pruned++;
+  }
+  return pruned;
+}
+
+/**
+ * Gets how long the staleness checks of a follow-up may take together (CONTEXT_STALENESS_TIMEOUT_MS,
+ * ten seconds by default)
+ * @returns {number} Time limit in milliseconds
+ */
+function stalenessTimeoutMs() {
+  return Number(process.env.CONTEXT_STALENESS_TIMEOUT_MS) || 10000;
+}
+
+/**
+ * Finds the collection profile sections with records modified after a snapshot was taken. The sections
+ * are checked side by side; those still unanswered after the time limit count as stale, so the follow-up
+ * re-collects rather than missing changes.
+ * @param {object} conn - JSForce connection
+ * @param {object} snapshot - Snapshot from loadSnapshot
+ * @returns {Array} Names of the stale sections (empty when nothing changed)
+ */
+async function findStaleSections(conn, snapshot) {
+  const { objects } = profiles.loadProfile(snapshot.profile || undefined);
+  const variables = {
+    since: new Date(snapshot.collectedAt),
+    recordId: snapshot.recordId,
+    accountId: snapshot.data?.accountData?.accountId,
+    primaryContactId: snapshot.data?.primaryContext?.relatedContact?.contactId
+  };
+
+  // The "fsr" section reads the record the briefing started from, whatever its type;
+  // Data Cloud objects (__dlm) have no LastModifiedDate
+  const sections = Object.entries({ ...objects, fsr: recordTypes.recordSpec(recordTypes.detectRecordType(snapshot.recordId), objects) })
+    .filter(([, spec]) => spec && !/__dlm$/i.test(spec.sobject));
+  const checks = sections.map(async ([name, spec]) => {
+    try {
+      const records = await salesforce.executeProfileQuery(conn, {
+        ...spec,
+        fields: ['Id'],
+        where: { ...spec.where, LastModifiedDate: { $gt: '$since' } },
+        sort: undefined,
+        limit: 1
+      }, variables);
+      return records.length > 0;
+    } catch (error) {
+      console.error(`Staleness check of ${name} failed:`, error.message);
+      return false;
+    }
+  });
+
+  let timer;
+  const timeLimit = new Promise(resolve => {
+    timer = setTimeout(resolve, stalenessTimeoutMs(), 'timeout');
+  });
+  const results = await Promise.all(checks.map(check => Promise.race([check, timeLimit])));
+  clearTimeout(timer);
+
+  return sections.map(([name]) => name).filter((name, index) => {
+    if (results[index] !== 'timeout') return results[index];
+    console.error(`Staleness check of ${name} timed out`);
+    return true;
+  });
+}
+
+module.exports = {
+  stalenessChecksEnabled,
+  diffContext,
+  saveSnapshot,
+  loadSnapshot,
+  pruneSnapshots,
+  findStaleSections
+};
@@ -0,0 +1,460 @@
+/**
+ * Salesforce Credentials Module
+ * Keeps Salesforce sessions server-side so background jobs do not depend on the caller's live session.
+ * A connected app (SFDC_CLIENT_ID / SFDC_CLIENT_SECRET) obtains them through either
+ *   - the JWT bearer flow, for an integration user (SFDC_JWT_USERNAME, SFDC_JWT_PRIVATE_KEY), or
+ *   - the web server flow, whose refresh token is kept to mint new access tokens.
+ * Credentials are stored per org in the state store (see storage.js), encrypted with AES-256-GCM using a key
+ * derived from CREDENTIALS_KEY; connections use them to refresh an expired session and retry. The same key
+ * seals the caller tokens that jobs carry through the queue (see queue/index.js).
+ */
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const { getStateStore } = require('./storage');
+const { isValidId } = require('./soql');
+
+const FLOWS = ['jwt', 'refresh_token'];
+const JWT_LIFETIME_SECONDS = 180;
+
+const isOrgId = (value) => isValidId(value) && value.startsWith('00D');
+
+/**
+ * Creates a credentials error
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with the code set
+ */
+function credentialError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Reads the connected app settings
+ * @returns {object} { loginUrl, clientId, clientSecret, redirectUri, jwtUsername }
+ */
+function oauthConfig() {
+  return {
+    loginUrl: (process.env.SFDC_LOGIN_URL || 'https://login.salesforce.com').replace(/\/+$/, ''),
+    clientId: process.env.SFDC_CLIENT_ID || null,
+    clientSecret: process.env.SFDC_CLIENT_SECRET || null,
+    redirectUri: process.env.SFDC_REDIRECT_URI || null,
+    jwtUsername: process.env.SFDC_JWT_USERNAME || null
+  };
+}
+
+/**
+ * Reads the private key of the JWT bearer flow
+ * @returns {string} PEM key from SFDC_JWT_PRIVATE_KEY (escaped newlines allowed) or SFDC_JWT_PRIVATE_KEY_FILE
+ */
+function jwtPrivateKey() {
+  if (process.env.SFDC_JWT_PRIVATE_KEY) return process.env.SFDC_JWT_PRIVATE_KEY.replace(/\\n/g, '\n');
+  if (process.env.SFDC_JWT_PRIVATE_KEY_FILE) return fs.readFileSync(process.env.SFDC_JWT_PRIVATE_KEY_FILE, 'utf8');
+  throw credentialError('SFDC_JWT_PRIVATE_KEY or SFDC_JWT_PRIVATE_KEY_FILE is required for the JWT bearer flow', 'OAUTH_NOT_CONFIGURED');
+}
+
+/**
+ * Tells whether an instance URL sent by a caller can be trusted with a token
+ * @param {string} value - Instance URL
+ * @returns {boolean} True for https URLs on Salesforce domains
+ */
+function isValidInstanceUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch (error) {
+    return false;
+  }
+  return url.protocol === 'https:' &&
+    /(^|\.)(salesforce\.com|force\.com)$/i.test(url.hostname) &&
+    (url.pathname === '/' || url.pathname === '') && !url.search && !url.username;
+}
+
+/**
+ * Reads the org and user IDs out of an identity URL (https://login.salesforce.com/id/<orgId>/<userId>)
+ * @param {string} idUrl - Identity URL from a token response
+ * @returns {object} { orgId, userId }
+ */
+function parseIdentityUrl(idUrl) {
+  const [orgId, userId] = String(idUrl || '').split('/').slice(-2);
+  if (!isOrgId(orgId)) throw credentialError(`Unexpected identity URL: ${idUrl}`, 'OAUTH_ERROR');
+  return { orgId, userId };
+}
+
+/**
+ * Encodes a value as base64url
+ * @param {string|Buffer} value - Value
+ * @returns {string} base64url text
+ */
+function base64url(value) {
+  return Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Signs the assertion of the JWT bearer flow
+ * @param {object} params - Assertion parameters
+ * @param {string} params.clientId - Connected app consumer key
+ * @param {string} params.username - Salesforce username the token is issued for
+ * @param {string} params.audience - Login URL (login.salesforce.com, test.salesforce.com or a My Domain)
+ * @param {string} params.privateKey - PEM private key matching the connected app's certificate
+ * @returns {string} RS256-signed JWT
+ */
+function signJwt({ clientId, username, audience, privateKey }) {
+  const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+  const claims = base64url(JSON.stringify({
+    iss: clientId,
+    sub: username,
+    aud: audience,
+    exp: Math.floor(Date.now() / 1000) + JWT_LIFETIME_SECONDS
+  }));
+  const signature = crypto.createSign('RSA-SHA256').update(`${header}.${claims}`).sign(privateKey);
+  return `${header}.${claims}.${base64url(signature)}`;
+}
+
+/**
+ * Posts to the OAuth token endpoint
+ * @param {object} params - Form parameters
+ * @param {string} loginUrl - Login URL
+ * @returns {object} Token response (access_token, instance_url, id, refresh_token if issued)
+ */
+async function requestToken(params, loginUrl = oauthConfig().loginUrl) {
+  try {
+    const response = await axios.post(`${loginUrl}/services/oauth2/token`, new URLSearchParams(params).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+    return response.data;
+  } catch (error) {
+    const data = error.response?.data;
+    throw credentialError(`Salesforce token request failed: ${data?.error_description || data?.error || error.message}`, 'OAUTH_ERROR');
+  }
+}
+
+/**
+ * Builds a credential from a token response
+ * @param {object} token - Token response
+ * @param {object} extra - Flow details (flow, username, refreshToken, loginUrl)
+ * @returns {object} Credential
+ */
+function toCredential(token, extra) {
+  const { orgId, userId } = parseIdentityUrl(token.id);
+  return {
+    orgId,
+    userId,
+    instanceUrl: token.instance_url,
+    accessToken: token.access_token,
+    issuedAt: new Date(Number(token.issued_at) || Date.now()).toISOString(),
+    ...extra
+  };
+}
+
+/**
+ * Obtains a session for an integration user with the JWT bearer flow
+ * @param {object} options - Options
+ * @param {string} options.username - Salesforce username (defaults to SFDC_JWT_USERNAME)
+ * @param {string} options.loginUrl - Login URL (defaults to SFDC_LOGIN_URL)
+ * @returns {object} Credential (not stored)
+ */
+async function jwtBearerLogin(options = {}) {
+  const config = oauthConfig();
+  const username = options.username || config.jwtUsername;
+  const loginUrl = options.loginUrl || config.loginUrl;
+  if (!config.clientId || !username) {
+    throw credentialError('SFDC_CLIENT_ID and SFDC_JWT_USERNAME are required for the JWT bearer flow', 'OAUTH_NOT_CONFIGURED');
+  }
+  const assertion = signJwt({ clientId: config.clientId, username, audience: loginUrl, privateKey: jwtPrivateKey() });
+  const token = await requestToken({ grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer', assertion }, loginUrl);
+  return toCredential(token, { flow: 'jwt', username, loginUrl });
+}
+
+/**
+ * Builds the URL that sends a user to Salesforce to authorize the connected app (web server flow)
+ * @param {string} state - Opaque value echoed back to the callback
+ * @returns {string} Authorization URL
+ */
+function authorizeUrl(state) {
+  const config = oauthConfig();
+  if (!config.clientId || !config.redirectUri) {
+    throw credentialError('SFDC_CLIENT_ID and SFDC_REDIRECT_URI are required for the web server flow', 'OAUTH_NOT_CONFIGURED');
+  }
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: 'api refresh_token',
+    state
+  });
+  return `${config.loginUrl}/services/oauth2/authorize?${params}`;
+}
+
+/**
+ * Exchanges the authorization code of the web server flow for a session and refresh token
+ * @param {string} code - Authorization code from the callback
+ * @returns {object} Credential (not stored)
+ */
+async function exchangeCode(code) {
+  const config = oauthConfig();
+  if (!config.clientId || !config.redirectUri) {
+    throw credentialError('SFDC_CLIENT_ID and SFDC_REDIRECT_URI are required for the web server flow', 'OAUTH_NOT_CONFIGURED');
+  }
+  const token = await requestToken({
+    grant_type: 'authorization_code',
+    code,
+    client_id: config.clientId,
+    client_secret: config.clientSecret || '',
+    redirect_uri: config.redirectUri
+  }, config.loginUrl);
+  if (!token.refresh_token) {
+    throw credentialError('Salesforce issued no refresh token; add the refresh_token scope to the connected app', 'OAUTH_ERROR');
+  }
+  return toCredential(token, { flow: 'refresh_token', refreshToken: token.refresh_token, loginUrl: config.loginUrl });
+}
+
+/**
+ * Derives the encryption key of the credential store
+ * @returns {Buffer} 32-byte key
+ */
+function storeKey() {
+  if (!process.env.CREDENTIALS_KEY) {
+    throw credentialError('CREDENTIALS_KEY is required to store Salesforce credentials and the tokens of queued jobs', 'CREDENTIALS_KEY_MISSING');
+  }
+  return crypto.createHash('sha256').update(process.env.CREDENTIALS_KEY).digest();
+}
+
+/**
+ * Encrypts a string with the store key
+ * @param {string} plain - Text to encrypt
+ * @returns {object} { iv, tag, data } in base64
+ */
+function encrypt(plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', storeKey(), iv);
+  const data = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+  return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+}
+
+/**
+ * Decrypts the result of encrypt
+ * @param {object} sealed - { iv, tag, data } in base64
+ * @returns {string} Plain text
+ */
+function decrypt({ iv, tag, data }) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', storeKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+const SEALED_PREFIX = 'sealed:v1:';
+
+/**
+ * Encrypts a secret for storage outside the credential store (e.g. a token in a queued job)
+ * @param {string} value - Secret; empty values are returned as they are
+ * @returns {string} Sealed value, readable only with the same CREDENTIALS_KEY
+ */
+function sealSecret(value) {
+  if (!value) return value;
+  const { iv, tag, data } = encrypt(String(value));
+  return `${SEALED_PREFIX}${iv}.${tag}.${data}`;
+}
+
+/**
+ * Decrypts a value sealed by sealSecret
+ * @param {string} value - Sealed value; other values are returned as they are
+ * @returns {string} Secret
+ */
+function openSecret(value) {
+  if (typeof value !== 'string' || !value.startsWith(SEALED_PREFIX)) return value;
+  const [iv, tag, data] = value.slice(SEALED_PREFIX.length).split('.');
+  try {
+    return decrypt({ iv, tag, data });
+  } catch (error) {
+    if (error.code === 'CREDENTIALS_KEY_MISSING') throw error;
+    throw credentialError('Sealed secret cannot be decrypted (was CREDENTIALS_KEY changed?)', 'CREDENTIALS_UNREADABLE');
+  }
+}
+
+const COLLECTION = 'credentials';
+const credentialKey = (orgId) => {
+  if (!isOrgId(orgId)) throw credentialError(`Invalid org ID: ${orgId}`, 'INVALID_ORG_ID');
+  // 15- and 18-character IDs of the same org share one entry
+  return orgId.substring(0, 15);
+};
+
+/**
+ * Checks whether a credential is stored for an org, without decrypting it
+ * @param {string} orgId - Org ID
+ * @returns {boolean} True if one is stored
+ */
+async function hasCredential(orgId) {
+  return getStateStore().has(COLLECTION, credentialKey(orgId));
+}
+
+/**
+ * Stores a credential
+ * @param {object} credential - Credential from jwtBearerLogin, exchangeCode or refreshCredential
+ * @param {object} options - Store options
+ * @param {boolean} options.replace - Replace the org's previous credential; without it an org that already has
+ *   one is refused with code CREDENTIAL_EXISTS
+ * @returns {object} The credential
+ */
+async function saveCredential(credential, { replace = false } = {}) {
+  if (!FLOWS.includes(credential.flow)) throw new Error(`Unknown credential flow: ${credential.flow}`);
+  if (!replace && await hasCredential(credential.orgId)) {
+    throw credentialError(`A credential is already stored for org ${credential.orgId}; confirm replacing it`, 'CREDENTIAL_EXISTS');
+  }
+  // Org, flow and dates stay readable for listing; tokens are only in the encrypted part
+  await getStateStore().set(COLLECTION, credentialKey(credential.orgId), {
+    orgId: credential.orgId,
+    flow: credential.flow,
+    updatedAt: new Date().toISOString(),
+    ...encrypt(JSON.stringify(credential))
+  });
+  return credential;
+}
+
+/**
+ * Loads the stored credential of an org
+ * @param {string} orgId - Org ID
+ * @returns {object|null} Credential, or null if none is stored
+ */
+async function getCredential(orgId) {
+  const stored = await getStateStore().get(COLLECTION, credentialKey(orgId));
+  if (!stored) return null;
+  try {
+    return JSON.parse(decrypt(stored));
+  } catch (error) {
+    if (error.code === 'CREDENTIALS_KEY_MISSING') throw error;
+    throw credentialError(`Stored credential of org ${orgId} cannot be decrypted (was CREDENTIALS_KEY changed?)`, 'CREDENTIALS_UNREADABLE');
+  }
+}
+
+/**
+ * Lists the stored credentials without their tokens
+ * @returns {Array} { orgId, flow, updatedAt }
+ */
+async function listCredentials() {
+  const store = getStateStore();
+  const entries = await Promise.all((await store.keys(COLLECTION)).map(key => store.get(COLLECTION, key)));
+  return entries.filter(Boolean).map(({ orgId, flow, updatedAt }) => ({ orgId, flow, updatedAt }));
+}
+
+/**
+ * Removes the stored credential of an org
+ * @param {string} orgId - Org ID
+ * @returns {boolean} True if a credential was removed
+ */
+async function deleteCredential(orgId) {
+  return getStateStore().delete(COLLECTION, credentialKey(orgId));
+}
+
+/**
+ * Obtains a new access token for a stored credential and stores it
+ * @param {string} orgId - Org ID
+ * @returns {object} Updated credential
+ */
+async function refreshCredential(orgId) {
+  const credential = await getCredential(orgId);
+  if (!credential) throw credentialError(`No Salesforce credential is stored for org ${orgId}`, 'NO_CREDENTIAL');
+
+  let refreshed;
+  if (credential.flow === 'jwt') {
+    refreshed = await jwtBearerLogin({ username: credential.username, loginUrl: credential.loginUrl });
+  } else {
+    const config = oauthConfig();
+    const token = await requestToken({
+      grant_type: 'refresh_token',
+      refresh_token: credential.refreshToken,
+      client_id: config.clientId || '',
+      client_secret: config.clientSecret || ''
+    }, credential.loginUrl || config.loginUrl);
+    refreshed = { ...credential, ...toCredential(token, {}), refreshToken: token.refresh_token || credential.refreshToken };
+  }
+  await saveCredential(refreshed, { replace: true });
+  console.log(`Refreshed the Salesforce session of org ${orgId} (${credential.flow})`);
+  return refreshed;
+}
+
+/**
+ * Creates the jsforce refreshFn of a connection: on an expired session (401, INVALID_SESSION_ID)
+ * jsforce calls it and retries the request with the new token
+ * @param {Function} resolveOrgId - Returns the org of the connection (known once identity() has run)
+ * @returns {Function} (conn, callback) => void
+ */
+function createRefreshFn(resolveOrgId) {
+  return (conn, callback) => {
+    const orgId = resolveOrgId(conn);
+    if (!orgId) {
+      callback(credentialError('Salesforce session expired and the org is unknown, so it cannot be refreshed', 'NO_CREDENTIAL'));
+      return;
+    }
+    refreshCredential(orgId).then(credential => {
+      conn.instanceUrl = credential.instanceUrl;
+      callback(null, credential.accessToken, credential);
+    }, error => {
+      console.error(`Could not refresh the Salesforce session of org ${orgId}:`, error.message);
+      callback(error);
+    });
+  };
+}
+
+/**
+ * Looks up the instance URL of a token's org (userinfo endpoint of the login URL)
+ * @param {string} token - Access token
+ * @returns {object} { instanceUrl, orgId }
+ */
+async function lookupInstance(token) {
+  try {
+    const response = await axios.get(`${oauthConfig().loginUrl}/services/oauth2/userinfo`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    const rest = response.data?.urls?.rest || response.data?.profile;
+    return { instanceUrl: new URL(rest).origin, orgId: response.data?.organization_id || null };
+  } catch (error) {
+    throw credentialError(`Could not look up the Salesforce instance of the token: ${error.message}`, 'OAUTH_ERROR');
+  }
+}
+
+/**
+ * Picks the instance URL of a connection: the caller's, the stored credential's, the one registered
+ * for the org (see tenants.js), SFDC_INSTANCE_URL, or the one the login server reports for the token
+ * @param {string} token - Caller's access token, if any
+ * @param {object} options - Sources
+ * @param {string} options.instanceUrl - Instance URL sent by the caller
+ * @param {object} options.credential - Stored credential of the org
+ * @param {string} options.registeredUrl - Instance URL of the org in the tenant registry
+ * @returns {string} Instance URL
+ */
+async function resolveInstanceUrl(token, { instanceUrl, credential, registeredUrl } = {}) {
+  if (instanceUrl) {
+    if (!isValidInstanceUrl(instanceUrl)) {
+      throw credentialError(`Invalid instance URL: ${instanceUrl}. Expected https://<domain>.my.salesforce.com`, 'INVALID_INSTANCE_URL');
+    }
+    return instanceUrl.replace(/\/+$/, '');
+  }
+  if (credential?.instanceUrl) return credential.instanceUrl;
+  if (registeredUrl) return registeredUrl.replace(/\/+$/, '');
+  if (process.env.SFDC_INSTANCE_URL) return process.env.SFDC_INSTANCE_URL;
+  return (await lookupInstance(token)).instanceUrl;
+}
+
+module.exports = {
+  FLOWS,
+  oauthConfig,
+  isValidInstanceUrl,
+  parseIdentityUrl,
+  signJwt,
+  jwtBearerLogin,
+  authorizeUrl,
+  exchangeCode,
+  hasCredential,
+  saveCredential,
+  getCredential,
+  listCredentials,
+  deleteCredential,
+  refreshCredential,
+  createRefreshFn,
+  resolveInstanceUrl,
+  sealSecret,
+  openSecret
+};
@@ -0,0 +1,215 @@
+/**
+ * Disposition Write-back Module
+ * Extracts the CONVERT/REJECT recommendation of a briefing and writes it to the originating FSR__c
+ * record. Opt-in (DISPOSITION_WRITEBACK or the job's writeDisposition flag), guarded by a confidence
+ * threshold and a dry-run flag; every outcome, including skipped and dry-run writes, is audited.
+ * The confidence comes from the structured disposition or the "Confidence:" line of the HTML Disposition Brief;
+ * a disposition without one in the 0-1 range is audited but never written.
+ *
+ * Target fields come from DISPOSITION_FIELD_MAP, a JSON object mapping disposition keys (decision,
+ * qualification, timeline, rationale, confidence) to FSR__c field API names. DISPOSITION_VALUE_MAP can
+ * translate values to picklist entries, e.g. {"CONVERT": "Converted", "REJECT": "Rejected"}.
+ */
+const salesforce = require('./salesforce');
+const audit = require('./audit');
+const { assertIdentifier } = require('./soql');
+
+const DEFAULT_FIELD_MAP = {
+  decision: 'AI_Disposition__c',
+  qualification: 'AI_Qualification__c',
+  rationale: 'AI_Disposition_Rationale__c',
+  confidence: 'AI_Disposition_Confidence__c'
+};
+const DEFAULT_MIN_CONFIDENCE = 0.7;
+const RATIONALE_LIMIT = 1000;
+
+/**
+ * Parses a JSON object from an env var
+ * @param {string} name - Env var name
+ * @param {object} fallback - Value when the var is not set
+ * @returns {object} Parsed object
+ */
+function jsonEnv(name, fallback) {
+  const raw = process.env[name];
+  if (!raw) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`${name} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Resolves the write-back settings of a job
+ * @param {object} options - Job options
+ * @param {boolean} options.enabled - writeDisposition job flag (defaults to DISPOSITION_WRITEBACK)
+ * @param {boolean} options.dryRun - dispositionDryRun job flag (defaults to DISPOSITION_DRY_RUN)
+ * @param {number} options.minConfidence - Threshold (defaults to DISPOSITION_MIN_CONFIDENCE, then 0.7)
+ * @returns {object} { enabled, dryRun, minConfidence, fieldMap, valueMap }
+ */
+function resolveSettings(options = {}) {
+  const flag = (value, envName) => (value === undefined || value === null ? process.env[envName] === 'true' : value === true || value === 'true');
+  const fieldMap = jsonEnv('DISPOSITION_FIELD_MAP', DEFAULT_FIELD_MAP);
+  Object.values(fieldMap).forEach(field => assertIdentifier(field));
+  const minConfidence = Number(options.minConfidence ?? process.env.DISPOSITION_MIN_CONFIDENCE);
+
+  return {
+    enabled: flag(options.enabled, 'DISPOSITION_WRITEBACK'),
+    dryRun: flag(options.dryRun, 'DISPOSITION_DRY_RUN'),
+    minConfidence: Number.isFinite(minConfidence) ? minConfidence : DEFAULT_MIN_CONFIDENCE,
+    fieldMap,
+    valueMap: jsonEnv('DISPOSITION_VALUE_MAP', {})
+  };
+}
+
+/**
+ * Converts briefing HTML to plain text
+ * @param {string} html - HTML
+ * @returns {string} Text with tags removed and whitespace collapsed
+ */
+function htmlToText(html) {
+  return String(html || '')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Keeps a reported confidence only when it is a number from 0 to 1
+ * @param {*} value - Reported confidence
+ * @returns {number|null} Confidence
+ */
+function toConfidence(value) {
+  return typeof value === 'number' && value >= 0 && value <= 1 ? value : null;
+}
+
+/**
+ * Reads the disposition from the Disposition Brief section of an HTML briefing, with the confidence of
+ * its "Confidence: 0.8" line (a percentage is read as a fraction)
+ * @param {string} html - Briefing HTML
+ * @returns {object|null} Disposition, or null if the section has no single recommendation
+ */
+function extractFromHtml(html) {
+  const text = htmlToText(html);
+  const start = text.search(/disposition brief/i);
+  if (start === -1) return null;
+  const rest = text.slice(start + 'disposition brief'.length);
+  const end = rest.search(/follow-up email/i);
+  const section = (end === -1 ? rest : rest.slice(0, end)).trim();
+
+  // Upper-case keywords are the format the prompt asks for; prose like "convert" is a weaker signal
+  let decisions = [...new Set(section.match(/\b(CONVERT|REJECT)\b/g) || [])];
+  if (decisions.length === 0) {
+    decisions = [...new Set((section.match(/\b(convert|reject)\b/gi) || []).map(d => d.toUpperCase()))];
+  }
+  if (decisions.length !== 1) return null;
+
+  const qualification = (section.match(/\b(hot|warm|cold)\b/i) || [])[1];
+  // The timeline runs to the end of its sentence or to the confidence line after it
+  const timeline = (section.match(/timeline:?\s*(.+?)\s*(?:\.(?:\s|$)|\bconfidence\b|$)/i) || [])[1];
+  const reported = section.match(/confidence:?\s*(\d+(?:\.\d+)?|\.\d+)\s*(%?)/i);
+  return {
+    decision: decisions[0],
+    qualification: qualification ? qualification.toLowerCase() : null,
+    timeline: timeline ? timeline.trim() : null,
+    rationale: section.substring(0, RATIONALE_LIMIT),
+    confidence: reported ? toConfidence(Number(reported[1]) / (reported[2] ? 100 : 1)) : null,
+    source: 'html'
+  };
+}
+
+/**
+ * Extracts the disposition of a briefing
+ * @param {object} result - Briefing result
+ * @param {object} result.structured - Valid structured briefing, if the job used the structured format
+ * @param {string} result.html - Briefing HTML otherwise
+ * @returns {object|null} { decision, qualification, timeline, rationale, confidence, source }
+ */
+function extractDisposition({ structured, html }) {
+  if (structured?.disposition) {
+    const { decision, qualification = null, timeline = null, rationale = '', confidence } = structured.disposition;
+    return {
+      decision,
+      qualification,
+      timeline,
+      rationale: String(rationale).substring(0, RATIONALE_LIMIT),
+      confidence: toConfidence(confidence),
+      source: 'structured'
+    };
+  }
+  return extractFromHtml(html);
+}
+
+/**
+ * Writes a disposition to the FSR record, within the configured guards, and audits the outcome
+ * @param {object} conn - JSForce connection
+ * @param {object} params - Write-back parameters
+ * @param {string} params.sobject - Object of the originating record (the profile's fsr sobject)
+ * @param {string} params.recordId - Originating record ID
+ * @param {object} params.disposition - Result of extractDisposition (null when none was found)
+ * @param {object} params.settings - Result of resolveSettings
+ * @param {string} params.jobId - Job that produced the briefing
+ * @param {string} params.conversationRecordId - WO_Conversation__c record holding the briefing
+ * @returns {object} Audit entry { action: 'applied' | 'dry_run' | 'skipped' | 'failed', changes, reason, ... }
+ */
+async function applyDisposition(conn, params) {
+  const { sobject = 'FSR__c', recordId, disposition, settings, jobId = null, conversationRecordId = null } = params;
+  const base = { type: 'disposition', recordId, sobject, jobId, conversationRecordId, dryRun: settings.dryRun, disposition };
+  const record = async (entry) => {
+    const stored = await audit.appendAudit({ ...base, ...entry });
+    console.log(`Disposition write-back for ${recordId}: ${stored.action}${stored.reason ? ` (${stored.reason})` : ''}`);
+    return stored;
+  };
+
+  if (!disposition) {
+    return record({ action: 'skipped', reason: 'No disposition found in the briefing', changes: {} });
+  }
+  // A disposition without a reported confidence counts as below any threshold
+  if (typeof disposition.confidence !== 'number') {
+    return record({ action: 'skipped', reason: 'The briefing reports no confidence for the disposition', changes: {} });
+  }
+  if (disposition.confidence < settings.minConfidence) {
+    return record({ action: 'skipped', reason: `Confidence ${disposition.confidence} is below ${settings.minConfidence}`, changes: {} });
+  }
+
+  try {
+    const mapped = Object.entries(settings.fieldMap).filter(([key]) => disposition[key] !== undefined);
+    const available = await salesforce.getAvailableFields(conn, sobject, mapped.map(([, field]) => field));
+    if (available.length === 0) {
+      return record({ action: 'skipped', reason: `None of the mapped fields exist on ${sobject}`, changes: {} });
+    }
+
+    const current = await conn.sobject(sobject).retrieve(recordId);
+    const changes = {};
+    mapped.filter(([, field]) => available.includes(field)).forEach(([key, field]) => {
+      const value = disposition[key];
+      const to = typeof value === 'string' && settings.valueMap[value] !== undefined ? settings.valueMap[value] : value;
+      changes[field] = { from: current?.[field] ?? null, to };
+    });
+
+    if (settings.dryRun) {
+      return record({ action: 'dry_run', reason: 'Dry run: no changes were written', changes });
+    }
+    await conn.sobject(sobject).update({
+      Id: recordId,
+      ...Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to]))
+    });
+    return record({ action: 'applied', changes });
+  } catch (error) {
+    console.error(`Disposition write-back to ${sobject} ${recordId} failed:`, error.message);
+    return record({ action: 'failed', reason: error.message, changes: {} });
+  }
+}
+
+module.exports = {
+  DEFAULT_FIELD_MAP,
+  resolveSettings,
+  extractDisposition,
+  applyDisposition
+};
@@ -0,0 +1,285 @@
+/**
+ * Email Draft Module
+ * Turns the Follow-up Email Template of a briefing into a draft Task or EmailMessage linked to the
+ * primary contact and the record the briefing is for, with merge fields such as [First Name] or {{Company}}
+ * resolved from the collected contact data (see processContactData). A Lead is a person rather than a record
+ * activities relate to, so drafts for a Lead are addressed to the Lead itself.
+ */
+const { assertId } = require('./soql');
+const { detectRecordType } = require('./record-types');
+const { BRIEFING_SCHEMA, validateBriefing } = require('./briefing');
+
+const DRAFT_TYPES = ['Task', 'EmailMessage'];
+const MAX_TONE_LENGTH = 200;
+
+// Merge field names (lower case, letters only) and the value they resolve to
+const MERGE_FIELDS = {
+  firstname: (d) => d.contact?.contactName?.split(/\s+/)[0],
+  lastname: (d) => d.contact?.contactName?.split(/\s+/).slice(1).join(' '),
+  name: (d) => d.contact?.contactName,
+  contactname: (d) => d.contact?.contactName,
+  fullname: (d) => d.contact?.contactName,
+  title: (d) => d.contact?.title,
+  jobtitle: (d) => d.contact?.title,
+  email: (d) => d.contact?.email,
+  phone: (d) => d.contact?.phone,
+  company: (d) => d.account?.accountName,
+  companyname: (d) => d.account?.accountName,
+  account: (d) => d.account?.accountName,
+  accountname: (d) => d.account?.accountName,
+  product: (d) => d.cta?.product,
+  campaign: (d) => d.cta?.campaign,
+  yourname: (d) => d.cta?.ownerName,
+  sendername: (d) => d.cta?.ownerName,
+  myname: (d) => d.cta?.ownerName
+};
+
+/**
+ * Tells whether a job should create an email draft
+ * @param {boolean} requested - createEmailDraft job option; undefined falls back to EMAIL_DRAFTS (default off)
+ * @returns {boolean} True when the briefing's email should be drafted in Salesforce
+ */
+function draftsEnabled(requested) {
+  if (requested !== undefined && requested !== null) return requested === true || requested === 'true';
+  return process.env.EMAIL_DRAFTS === 'true';
+}
+
+/**
+ * Resolves the draft type of a job
+ * @param {string} requested - Job option; falls back to EMAIL_DRAFT_TYPE, then 'Task'
+ * @returns {string} 'Task' or 'EmailMessage'
+ */
+function resolveDraftType(requested) {
+  const wanted = String(requested || process.env.EMAIL_DRAFT_TYPE || 'Task').toLowerCase();
+  const type = DRAFT_TYPES.find(t => t.toLowerCase() === wanted);
+  if (!type) throw new Error(`Unknown email draft type: ${requested}. Available: ${DRAFT_TYPES.join(', ')}`);
+  return type;
+}
+
+/**
+ * Normalizes the tone requested for a regenerated email
+ * @param {string} tone - Tone, e.g. 'more casual' or 'executive'
+ * @returns {string} Tone without line breaks, capped in length
+ */
+function normalizeTone(tone) {
+  const normalized = String(tone || '').replace(/\s+/g, ' ').trim();
+  if (!normalized) throw new Error('tone is required');
+  return normalized.substring(0, MAX_TONE_LENGTH);
+}
+
+/**
+ * Converts HTML to plain text, keeping line breaks
+ * @param {string} html - HTML
+ * @returns {string} Text
+ */
+function htmlToText(html) {
+  return String(html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6]|tr)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Reads the follow-up email of a briefing
+ * @param {object} source - Briefing
+ * @param {object} source.structured - Valid structured briefing, if any
+ * @param {string} source.html - Briefing HTML otherwise
+ * @returns {object|null} { subject, body }, or null if the briefing has no email section
+ */
+function parseEmail({ structured, html }) {
+  if (structured?.followUpEmail) {
+    const { subject, body } = structured.followUpEmail;
+    return { subject: String(subject).trim(), body: String(body).trim() };
+  }
+
+  const text = htmlToText(html);
+  const start = text.search(/follow-up email( template)?/i);
+  if (start === -1) return null;
+  const lines = text.slice(start).split('\n').slice(1);
+
+  const subjectIndex = lines.findIndex(line => /^\W*subject( line)?\W*:/i.test(line));
+  if (subjectIndex === -1) return null;
+  const subject = lines[subjectIndex].replace(/^\W*subject( line)?\W*:\s*/i, '').replace(/\**$/, '').trim();
+  const body = lines.slice(subjectIndex + 1).join('\n')
+    .replace(/^\W*body\W*:\s*/i, '')
+    .trim();
+  if (!subject || !body) return null;
+  return { subject, body };
+}
+
+/**
+ * Parses the answer to an email regeneration prompt
+ * @param {string} content - Assistant content (a { subject, body } JSON object, possibly wrapped in prose)
+ * @returns {object} { subject, body }
+ */
+function parseEmailAnswer(content) {
+  const raw = String(content || '');
+  const start = raw.indexOf('{');
+  const end = raw.lastIndexOf('}');
+  let parsed;
+  try {
+    parsed = start === -1 || end <= start ? undefined : JSON.parse(raw.slice(start, end + 1));
+  } catch (error) {
+    parsed = undefined;
+  }
+  const errors = parsed === undefined
+    ? ['The answer does not contain a JSON object']
+    : validateBriefing(parsed, BRIEFING_SCHEMA.properties.followUpEmail, 'email');
+  if (errors.length > 0) {
+    const error = new Error(`Regenerated email is unusable: ${errors.join('; ')}`);
+    error.code = 'INVALID_EMAIL';
+    throw error;
+  }
+  return { subject: parsed.subject.trim(), body: parsed.body.trim() };
+}
+
+/**
+ * Replaces merge fields ([First Name], {{Company}}, {Your Name}) with values from the collected data
+ * @param {string} text - Subject or body
+ * @param {object} data - Merge data
+ * @param {object} data.contact - Primary contact as built by processContactData
+ * @param {object} data.account - Account data as built by processAccountData
+ * @param {object} data.cta - Primary CTA as built by processCTAData
+ * @returns {object} { text, unresolved } where unresolved lists merge fields left in place
+ */
+function resolveMergeFields(text, data) {
+  const unresolved = [];
+  const resolved = String(text || '').replace(/\{\{\s*([^{}]+?)\s*\}\}|\[([^\[\]\n]{1,40})\]|\{([^{}\n]{1,40})\}/g, (match, a, b, c) => {
+    const key = (a || b || c).toLowerCase().replace(/[^a-z]/g, '').replace(/^(contacts?|recipients?|prospects?)(?=first|last|name|title|email|phone)/, '');
+    const resolve = MERGE_FIELDS[key];
+    const value = resolve ? resolve(data) : undefined;
+    if (value === undefined || value === null || value === '') {
+      if (!unresolved.includes(match)) unresolved.push(match);
+      return match;
+    }
+    return String(value);
+  });
+  return { text: resolved, unresolved };
+}
+
+/**
+ * Builds the merge data for a job from the collected CTA data payload. An unconverted Lead is the recipient
+ * itself, so its own name, title and email fill the contact merge fields
+ * @param {string|object} wrapperData - Collected CTA data (JSON string or object)
+ * @returns {object} { contact, account, cta, record } where record is the parent record of non-FSR briefings
+ */
+function mergeDataFromContext(wrapperData) {
+  let data = wrapperData;
+  if (typeof wrapperData === 'string') {
+    try {
+      data = JSON.parse(wrapperData);
+    } catch (error) {
+      data = {};
+    }
+  }
+  const record = data?.parentRecord || null;
+  const lead = record?.type === 'lead' && !record.IsConverted ? record : null;
+  return {
+    contact: lead
+      ? { contactId: null, contactName: lead.Name, title: lead.Title, email: lead.Email, phone: lead.Phone }
+      : data?.primaryContext?.relatedContact || null,
+    account: data?.accountData || (lead?.Company ? { accountName: lead.Company } : null),
+    cta: data?.primaryContext?.primaryCTA || null,
+    record
+  };
+}
+
+/**
+ * Resolves who a draft is addressed to and what it relates to. Tasks (WhatId) and email messages (RelatedToId)
+ * can relate to an FSR, Opportunity, Account or Case, but not to a Lead: a Lead is the recipient (WhoId,
+ * EmailMessageRelation), and once converted it takes no new activities, so its contact does
+ * @param {string} recordId - Record the briefing is for
+ * @param {string} contactId - Primary contact, if any
+ * @param {object} record - Parent record from the collected data, if any
+ * @returns {object} { whatId, whoId }
+ */
+function draftRelation(recordId, contactId, record) {
+  if (detectRecordType(recordId) !== 'lead') return { whatId: recordId, whoId: contactId };
+  if (!record?.IsConverted) return { whatId: null, whoId: recordId };
+  if (!contactId) throw new Error(`Lead ${recordId} is converted and has no contact to draft the email for`);
+  return { whatId: null, whoId: contactId };
+}
+
+/**
+ * Creates the draft in Salesforce
+ * @param {object} conn - JSForce connection
+ * @param {object} params - Draft parameters
+ * @param {string} params.type - 'Task' or 'EmailMessage'
+ * @param {string} params.recordId - Record the briefing is for (see draftRelation)
+ * @param {object} params.email - { subject, body }
+ * @param {object} params.mergeData - { contact, account, cta, record } for merge fields
+ * @returns {object} { type, id, subject, body, contactId, unresolved }
+ */
+async function createDraft(conn, params) {
+  const { type, recordId, email, mergeData } = params;
+  assertId(recordId, 'recordId');
+  const contactId = mergeData.contact?.contactId ? assertId(mergeData.contact.contactId, 'contactId') : null;
+  const { whatId, whoId } = draftRelation(recordId, contactId, mergeData.record);
+
+  const subject = resolveMergeFields(email.subject, mergeData);
+  const body = resolveMergeFields(email.body, mergeData);
+  const unresolved = [...new Set([...subject.unresolved, ...body.unresolved])];
+  if (unresolved.length > 0) {
+    console.log(`Email draft for ${recordId} keeps unresolved merge fields: ${unresolved.join(', ')}`);
+  }
+
+  let id;
+  if (type === 'EmailMessage') {
+    const result = await conn.sobject('EmailMessage').create({
+      Subject: subject.text,
+      TextBody: body.text,
+      ToAddress: mergeData.contact?.email || null,
+      RelatedToId: whatId,
+      // 5 = Draft
+      Status: '5'
+    });
+    if (!result.success) throw new Error(result.errors?.[0]?.message || 'Failed to create EmailMessage draft');
+    id = result.id;
+    if (whoId) {
+      try {
+        await conn.sobject('EmailMessageRelation').create({ EmailMessageId: id, RelationId: whoId, RelationType: 'ToAddress' });
+      } catch (relationError) {
+        // The draft is still usable from the record; it just does not show on the recipient
+        console.error(`Could not link email draft ${id} to recipient ${whoId}:`, relationError.message);
+      }
+    }
+  } else {
+    const result = await conn.sobject('Task').create({
+      Subject: `Email draft: ${subject.text}`.substring(0, 255),
+      Description: `Subject: ${subject.text}\n\n${body.text}`,
+      WhoId: whoId,
+      WhatId: whatId,
+      Status: 'Not Started',
+      Type: 'Email'
+    });
+    if (!result.success) throw new Error(result.errors?.[0]?.message || 'Failed to create Task draft');
+    id = result.id;
+  }
+
+  console.log(`Created ${type} email draft ${id} for ${recordId}`);
+  return { type, id, subject: subject.text, body: body.text, contactId, unresolved };
+}
+
+module.exports = {
+  DRAFT_TYPES,
+  draftsEnabled,
+  resolveDraftType,
+  normalizeTone,
+  parseEmail,
+  parseEmailAnswer,
+  resolveMergeFields,
+  mergeDataFromContext,
+  draftRelation,
+  createDraft
+};
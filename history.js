@@ -0,0 +1,313 @@
+/**
+ * Conversation History Module
+ * Conversation_History__c holds at most 100k characters. Instead of dropping turns once a thread
+ * outgrows it, the oldest turns are archived to a JSON ContentVersion file published on the
+ * conversation record, and the field keeps a rolling window of recent turns behind a summary of
+ * everything archived. readFullHistory reassembles the whole thread from the files and the field.
+ */
+const prompts = require('./prompts');
+const { runConversation } = require('./providers/runner');
+const { soql } = require('./soql');
+
+const CHARACTER_LIMIT = 100000;
+const SUMMARY_TEMPLATE = 'history-summary';
+const ARCHIVE_TITLE = 'Conversation history';
+const SUMMARY_MAX_CHARS = 4000;
+
+// Turns kept in the field after a compaction (fewer if they do not fit)
+const WINDOW_TURNS = () => Number(process.env.HISTORY_WINDOW_TURNS) || 10;
+
+/**
+ * Escapes text for HTML
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Decodes the entities escapeHtml writes (and &nbsp;)
+ * @param {string} value - Escaped text
+ * @returns {string} Text
+ */
+function unescapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Converts turn HTML to plain text for the summary prompt
+ * @param {string} html - HTML
+ * @returns {string} Text
+ */
+function htmlToText(html) {
+  return unescapeHtml(String(html || '')
+    .replace(/<br\s*\/?>|<\/(p|li|h[1-6]|tr)>/gi, '\n')
+    .replace(/<[^>]+>/g, ' '))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+/**
+ * Splits the history field into its summary block and its turns
+ * @param {string} html - Conversation_History__c value: optional summary, then <ul> of one <li> per turn
+ * @returns {object} { summary, turns } where summary is the HTML before the list ('' if none)
+ */
+function parseHistory(html) {
+  const source = String(html || '');
+  const listStart = source.search(/<ul\b[^>]*>/i);
+  if (listStart === -1) return { summary: source.trim(), turns: [] };
+
+  const turns = [];
+  const tagPattern = /<(\/?)(ul|ol|li)\b[^>]*>/gi;
+  tagPattern.lastIndex = listStart;
+  let depth = 0;
+  let turnStart = -1;
+  let match;
+  while ((match = tagPattern.exec(source)) !== null) {
+    const [tag, closing, rawName] = match;
+    const name = rawName.toLowerCase();
+    if (!closing) {
+      // Top-level <li> elements sit at depth 1, directly inside the history list
+      if (name === 'li' && depth === 1 && turnStart === -1) turnStart = match.index + tag.length;
+      depth++;
+      continue;
+    }
+    depth--;
+    if (name === 'li' && depth === 1 && turnStart !== -1) {
+      turns.push(source.slice(turnStart, match.index));
+      turnStart = -1;
+    }
+    if (depth <= 0) break;
+  }
+  return { summary: source.slice(0, listStart).trim(), turns };
+}
+
+/**
+ * Builds the history field value
+ * @param {string} summary - Summary block HTML ('' for none)
+ * @param {Array} turns - Turn HTML, oldest first
+ * @returns {string} Field value
+ */
+function buildHistory(summary, turns) {
+  return `${summary || ''}<ul>${turns.map(turn => `<li>${turn}</li>`).join('')}</ul>`;
+}
+
+/**
+ * Builds the summary block shown above the rolling window
+ * @param {string} text - Summary text
+ * @param {number} archivedTurns - Number of turns archived so far
+ * @returns {string} HTML
+ */
+function buildSummaryBlock(text, archivedTurns) {
+  return `<p><b>Summary of the ${archivedTurns} earlier turn${archivedTurns === 1 ? '' : 's'} (full text in the record's Files):</b></p>` +
+    `<p>${escapeHtml(String(text).substring(0, SUMMARY_MAX_CHARS)).replace(/\n/g, '<br>')}</p>`;
+}
+
+/**
+ * Reads the summary text out of a summary block
+ * @param {string} block - Summary block HTML
+ * @returns {string} Summary text without the heading
+ */
+function summaryText(block) {
+  return htmlToText(String(block || '').replace(/^<p><b>Summary of[\s\S]*?<\/b><\/p>/i, ''));
+}
+
+/**
+ * Lists the archive files of a conversation record, oldest part first
+ * @param {object} conn - JSForce connection
+ * @param {string} sfdcId - Conversation record ID
+ * @returns {Array} ContentVersion records (Id, Title, PathOnClient)
+ */
+async function listArchives(conn, sfdcId) {
+  const result = await conn.query(
+    soql`SELECT Id, Title, PathOnClient FROM ContentVersion WHERE FirstPublishLocationId = ${soql.id(sfdcId, 'sfdcId')} AND Title LIKE ${`${ARCHIVE_TITLE}%`}`
+  );
+  const part = (record) => Number((String(record.PathOnClient).match(/part-(\d+)/) || [])[1]) || 0;
+  return [...result.records].sort((a, b) => part(a) - part(b));
+}
+
+/**
+ * Reads the turns stored in one archive file
+ * @param {object} conn - JSForce connection
+ * @param {string} contentVersionId - ContentVersion ID
+ * @returns {object} Archive { part, turns, archivedAt }
+ */
+async function readArchive(conn, contentVersionId) {
+  const body = await conn.request(`/services/data/v${conn.version || '42.0'}/sobjects/ContentVersion/${contentVersionId}/VersionData`);
+  if (body && typeof body === 'object' && !Buffer.isBuffer(body)) return body;
+  return JSON.parse(Buffer.isBuffer(body) ? body.toString('utf8') : String(body));
+}
+
+/**
+ * Archives turns to a new ContentVersion published on the conversation record
+ * @param {object} conn - JSForce connection
+ * @param {string} sfdcId - Conversation record ID
+ * @param {Array} turns - Turn HTML, oldest first
+ * @param {number} part - Archive part number (1 for the first archive)
+ * @returns {string} ContentVersion ID
+ */
+async function writeArchive(conn, sfdcId, turns, part) {
+  const archive = { sfdcId, part, turns, archivedAt: new Date().toISOString() };
+  const result = await conn.sobject('ContentVersion').create({
+    Title: `${ARCHIVE_TITLE} ${sfdcId} part ${part}`,
+    PathOnClient: `conversation-history-part-${part}.json`,
+    VersionData: Buffer.from(JSON.stringify(archive)).toString('base64'),
+    FirstPublishLocationId: sfdcId
+  });
+  if (!result.success) throw new Error(result.errors?.[0]?.message || 'Failed to create history archive');
+  return result.id;
+}
+
+/**
+ * Creates a summarizer that asks the LLM provider to fold archived turns into the running summary
+ * @param {object} params - Provider parameters
+ * @param {object} params.provider - Provider implementation
+ * @param {AbortSignal} params.signal - Abort signal
+ * @returns {Function} async (previousSummary, turnsText) => summary text
+ */
+function createSummarizer({ provider, signal, ...providerParams }) {
+  return async (previousSummary, turnsText) => {
+    const prompt = prompts.renderPrompt({
+      template: SUMMARY_TEMPLATE,
+      variables: { previousSummary: previousSummary || '(none yet)', turns: turnsText }
+    });
+    // A fresh conversation, so the summary request does not become part of the rep's thread
+    const result = await runConversation(provider, {
+      ...providerParams,
+      input: prompt.text,
+      context: 'the user is not on a record page to provide any context',
+      conversationId: null,
+      signal
+    });
+    return String(result.assistantContent || '').trim();
+  };
+}
+
+/**
+ * Renders one turn of the conversation model as the HTML of its history entry
+ * @param {object} turn - Turn ({ role, content }); assistant content is sanitized HTML, user content plain text
+ * @returns {string} HTML
+ */
+function renderTurn(turn) {
+  if (turn.role === 'user') return `<p><b>Rep:</b> ${escapeHtml(turn.content)}</p>`;
+  return turn.content;
+}
+
+/**
+ * Reads a history entry back into a turn (the reverse of renderTurn)
+ * @param {string} html - HTML of the history entry
+ * @returns {object} { role, content }: rep messages come back as plain text, answers as their HTML
+ */
+function parseTurn(html) {
+  const rep = /^<p><b>Rep:<\/b> ([\s\S]*)<\/p>$/.exec(String(html || ''));
+  if (rep) return { role: 'user', content: unescapeHtml(rep[1]) };
+  return { role: 'assistant', content: html };
+}
+
+/**
+ * Appends turns to the history, compacting it when it would exceed the field limit: the oldest
+ * turns go to an archive file and the field keeps the newest turns behind an updated summary
+ * @param {object} conn - JSForce connection
+ * @param {object} params - Parameters
+ * @param {string} params.sfdcId - Conversation record ID
+ * @param {string} params.history - Current Conversation_History__c value
+ * @param {Array} params.turns - HTML of the new history entries (see renderTurn), oldest first
+ * @param {Function} params.summarize - Summarizer (see createSummarizer); without one the previous summary is kept
+ * @param {number} params.limit - Field limit (defaults to 100k characters)
+ * @returns {object} { history, compacted, archived, archiveId }
+ */
+async function appendTurns(conn, params) {
+  const { sfdcId, history, summarize, limit = CHARACTER_LIMIT } = params;
+  const parsed = parseHistory(history);
+  const turns = [...parsed.turns, ...params.turns];
+  const appended = buildHistory(parsed.summary, turns);
+  if (appended.length < limit) {
+    return { history: appended, compacted: false, archived: 0, archiveId: null };
+  }
+
+  // Keep as many recent turns as fit next to a summary of maximum length
+  const reserved = buildSummaryBlock('x'.repeat(SUMMARY_MAX_CHARS), Number.MAX_SAFE_INTEGER).length;
+  let keep = Math.min(WINDOW_TURNS(), turns.length);
+  while (keep > 0 && reserved + buildHistory('', turns.slice(turns.length - keep)).length >= limit) keep--;
+  const archived = turns.slice(0, turns.length - keep);
+
+  const existing = await listArchives(conn, sfdcId);
+  const archiveId = await writeArchive(conn, sfdcId, archived, existing.length + 1);
+  let archivedTurns = archived.length;
+  for (const record of existing) {
+    try {
+      archivedTurns += (await readArchive(conn, record.Id)).turns.length;
+    } catch (readError) {
+      console.error(`Could not read history archive ${record.Id}:`, readError.message);
+    }
+  }
+
+  const previous = summaryText(parsed.summary);
+  const archivedText = archived.map(htmlToText).join('\n---\n');
+  let summary;
+  try {
+    summary = summarize ? await summarize(previous, archivedText) : '';
+  } catch (summaryError) {
+    console.error(`Could not summarize archived history of ${sfdcId}:`, summaryError.message);
+    summary = '';
+  }
+  if (!summary) {
+    summary = previous || 'Earlier turns of this conversation were archived without a summary.';
+  }
+
+  console.log(`Archived ${archived.length} history turn(s) of ${sfdcId} to ContentVersion ${archiveId}, keeping ${keep}`);
+  return {
+    history: buildHistory(buildSummaryBlock(summary, archivedTurns), turns.slice(turns.length - keep)),
+    compacted: true,
+    archived: archived.length,
+    archiveId
+  };
+}
+
+/**
+ * Reassembles the full thread of a conversation record from its archive files and history field
+ * @param {object} conn - JSForce connection
+ * @param {string} sfdcId - Conversation record ID
+ * @param {string} history - Current Conversation_History__c value
+ * @returns {object} { summary, archives, turns } where turns are { index, html, archived, part }
+ */
+async function readFullHistory(conn, sfdcId, history) {
+  const archives = await listArchives(conn, sfdcId);
+  const turns = [];
+  for (const record of archives) {
+    const archive = await readArchive(conn, record.Id);
+    archive.turns.forEach(html => turns.push({ html, archived: true, part: archive.part }));
+  }
+  const parsed = parseHistory(history);
+  parsed.turns.forEach(html => turns.push({ html, archived: false, part: null }));
+
+  return {
+    summary: parsed.summary ? summaryText(parsed.summary) : null,
+    archives: archives.map(record => ({ id: record.Id, title: record.Title })),
+    turns: turns.map((turn, index) => ({ index, ...turn }))
+  };
+}
+
+module.exports = {
+  CHARACTER_LIMIT,
+  parseHistory,
+  buildHistory,
+  createSummarizer,
+  renderTurn,
+  parseTurn,
+  appendTurns,
+  readFullHistory
+};
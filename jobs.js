@@ -0,0 +1,313 @@
+/**
+ * Job Registry Module
+ * Tracks job state, phase timestamps and results in the state store (see storage.js) so both the
+ * web and worker processes can read them. Jobs are kept for JOB_RETENTION_MS (seven days by default)
+ * after they finish; the worker prunes older ones (see pruneJobs).
+ */
+const { getStateStore } = require('./storage');
+
+// Job states in pipeline order, followed by the terminal states
+const PHASES = ['queued', 'collecting', 'prompting', 'polling', 'writing_back'];
+const TERMINAL_STATES = ['done', 'failed', 'cancelled'];
+
+/**
+ * Raised inside the worker when a job was cancelled through DELETE /jobs/:id
+ */
+class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = 'JobCancelledError';
+    this.jobId = jobId;
+  }
+}
+
+// Everything about a job is kept in the jobs collection: the record under its ID, the other
+// entries under the ID with a suffix. The IDs of the jobs created on a day are logged in the
+// index of that day, which listJobs reads newest first.
+const COLLECTION = 'jobs';
+const cancelKey = (id) => `${id}.cancel`;
+const eventsKey = (id) => `${id}.events`;
+const artifactsKey = (id) => `${id}.artifacts`;
+const indexKey = (day) => `index.${day}`;
+const isJobKey = (key) => !key.includes('.');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const dayOf = (time) => new Date(time).toISOString().slice(0, 10);
+// Job records are read in pages of this many while listing
+const LIST_PAGE_SIZE = 100;
+
+/**
+ * Gets how long finished jobs are kept (JOB_RETENTION_MS, seven days by default)
+ * @returns {number} Retention in milliseconds
+ */
+function retentionMs() {
+  return Number(process.env.JOB_RETENTION_MS) || 7 * DAY_MS;
+}
+
+/**
+ * Creates a job record in the queued state
+ * @param {object} fields - Initial fields (id, recordId, sfdcId, conversationId, ...)
+ * @returns {object} The job record
+ */
+async function createJob(fields) {
+  const now = new Date().toISOString();
+  const job = {
+    ...fields,
+    state: 'queued',
+    createdAt: now,
+    updatedAt: now,
+    phases: { queued: { startedAt: now, endedAt: null } },
+    runId: null,
+    attempts: 0,
+    error: null,
+    result: null
+  };
+  await getStateStore().set(COLLECTION, job.id, job);
+  await getStateStore().append(COLLECTION, indexKey(dayOf(now)), { id: job.id });
+  return job;
+}
+
+/**
+ * Gets a job by ID
+ * @param {string} id - Job ID
+ * @returns {object|null} The job record
+ */
+async function getJob(id) {
+  const job = await getStateStore().get(COLLECTION, id);
+  if (job) {
+    job.cancelRequested = await isCancelRequested(id);
+  }
+  return job;
+}
+
+/**
+ * Lists jobs created within the retention period, newest first. The day indexes are walked back
+ * from `before` and job records read a page at a time until `limit` jobs match.
+ * @param {object} filters - Optional filters (state, recordId, limit, before: ISO timestamp the jobs
+ *   were created before, to continue from the createdAt of the last job of a previous page)
+ * @returns {Array} Job records
+ */
+async function listJobs(filters = {}) {
+  const { state, recordId, limit = 50, before = null } = filters;
+  const store = getStateStore();
+  const matches = (job) => job
+    && (!before || job.createdAt < before)
+    && (!state || job.state === state)
+    && (!recordId || job.recordId === recordId || job.sfdcId === recordId);
+
+  const found = [];
+  const oldest = Date.now() - retentionMs() - DAY_MS;
+  for (let day = before ? Date.parse(before) : Date.now(); day >= oldest && found.length < limit; day -= DAY_MS) {
+    const { entries } = await store.read(COLLECTION, indexKey(dayOf(day)));
+    const ids = entries.map(({ value }) => value.id).reverse();
+    for (let start = 0; start < ids.length && found.length < limit; start += LIST_PAGE_SIZE) {
+      const page = await Promise.all(ids.slice(start, start + LIST_PAGE_SIZE).map(id => store.get(COLLECTION, id)));
+      found.push(...page.filter(matches));
+    }
+  }
+
+  return found
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+}
+
+/**
+ * Applies a shallow patch to a job record
+ * @param {string} id - Job ID
+ * @param {object} patch - Fields to merge
+ * @returns {object|null} The updated job record
+ */
+async function updateJob(id, patch) {
+  const job = await getStateStore().get(COLLECTION, id);
+  if (!job) return null;
+
+  const updated = { ...job, ...patch, updatedAt: new Date().toISOString() };
+  await getStateStore().set(COLLECTION, id, updated);
+  return updated;
+}
+
+/**
+ * Moves a job into a new state, closing the previous phase's timestamp
+ * @param {string} id - Job ID
+ * @param {string} state - One of PHASES or TERMINAL_STATES
+ * @param {object} patch - Extra fields to merge
+ * @returns {object|null} The updated job record
+ */
+async function setState(id, state, patch = {}) {
+  const job = await getStateStore().get(COLLECTION, id);
+  if (!job) return null;
+
+  const now = new Date().toISOString();
+  const phases = { ...job.phases };
+  if (phases[job.state] && !phases[job.state].endedAt) {
+    phases[job.state] = { ...phases[job.state], endedAt: now };
+  }
+  if (!TERMINAL_STATES.includes(state)) {
+    phases[state] = { startedAt: now, endedAt: null };
+  }
+
+  const updated = {
+    ...job,
+    ...patch,
+    state,
+    phases,
+    updatedAt: now,
+    ...(TERMINAL_STATES.includes(state) ? { finishedAt: now } : {})
+  };
+  await getStateStore().set(COLLECTION, id, updated);
+  await appendEvent(id, 'phase', { state, previousState: job.state, error: updated.error || null });
+  // Phase outputs only serve retries of failed jobs (see saveArtifacts)
+  if (TERMINAL_STATES.includes(state) && !(state === 'failed' && updated.error?.retryable !== false)) {
+    await getStateStore().delete(COLLECTION, artifactsKey(id));
+  }
+  return updated;
+}
+
+/**
+ * Appends a progress event to the job's event log (read by GET /jobs/:id/stream)
+ * @param {string} id - Job ID
+ * @param {string} type - Event type (phase, collection, prompt, run, text, done, ...)
+ * @param {object} data - Event payload
+ */
+async function appendEvent(id, type, data = {}) {
+  await getStateStore().append(COLLECTION, eventsKey(id), { type, data, at: new Date().toISOString() });
+}
+
+/**
+ * Reads events appended after an offset
+ * @param {string} id - Job ID
+ * @param {number} offset - Offset returned by the previous call (0 to read from the start)
+ * @returns {object} { events, offset } - each event carries the offset just past it as `id`
+ */
+async function readEvents(id, offset = 0) {
+  const { entries, offset: next } = await getStateStore().read(COLLECTION, eventsKey(id), offset);
+  return { events: entries.map(({ value, position }) => ({ ...value, id: position })), offset: next };
+}
+
+/**
+ * Stores intermediate outputs of completed phases so a retry can resume at the failed phase. They are
+ * dropped once the job is done, cancelled or failed for good (see setState).
+ * @param {string} id - Job ID
+ * @param {object} patch - Artifacts to merge (wrapperDataString, input, assistantContent, ...)
+ */
+async function saveArtifacts(id, patch) {
+  const store = getStateStore();
+  const current = (await store.get(COLLECTION, artifactsKey(id))) || {};
+  await store.set(COLLECTION, artifactsKey(id), { ...current, ...patch });
+}
+
+/**
+ * Gets the stored phase outputs of a job
+ * @param {string} id - Job ID
+ * @returns {object} Artifacts (empty object if none were stored)
+ */
+async function getArtifacts(id) {
+  return (await getStateStore().get(COLLECTION, artifactsKey(id))) || {};
+}
+
+/**
+ * Requests cancellation of a job. A queued job is cancelled immediately; a running job is
+ * flagged and the worker stops it at its next checkpoint.
+ * @param {string} id - Job ID
+ * @returns {object|null} The job record after the request
+ */
+async function requestCancel(id) {
+  const job = await getJob(id);
+  if (!job || TERMINAL_STATES.includes(job.state)) return job;
+
+  await getStateStore().set(COLLECTION, cancelKey(id), { requestedAt: new Date().toISOString() });
+  if (job.state === 'queued') {
+    await setState(id, 'cancelled');
+  }
+  return getJob(id);
+}
+
+/**
+ * Checks whether cancellation was requested for a job
+ * @param {string} id - Job ID
+ * @returns {boolean} True if DELETE /jobs/:id was called
+ */
+async function isCancelRequested(id) {
+  return getStateStore().has(COLLECTION, cancelKey(id));
+}
+
+/**
+ * Returns an AbortSignal that fires once cancellation is requested for the job
+ * @param {string} id - Job ID
+ * @param {number} intervalMs - How often to check for the cancel marker
+ * @returns {object} { signal, dispose } - call dispose() when the job finishes
+ */
+function watchCancellation(id, intervalMs = 1000) {
+  const controller = new AbortController();
+  const check = () => {
+    isCancelRequested(id).then(requested => {
+      if (requested && !controller.signal.aborted) controller.abort(new JobCancelledError(id));
+    }, error => {
+      console.error(`Could not check cancellation of job ${id}:`, error.message);
+    });
+  };
+  check();
+  const timer = setInterval(check, intervalMs);
+  timer.unref();
+
+  return {
+    signal: controller.signal,
+    dispose: () => clearInterval(timer)
+  };
+}
+
+/**
+ * Deletes the jobs that finished longer than the retention period ago, with their events, artifacts
+ * and cancel markers, and the day indexes listJobs no longer reads
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Number of deleted jobs
+ */
+async function pruneJobs(now = Date.now()) {
+  const store = getStateStore();
+  const horizon = new Date(now - retentionMs()).toISOString();
+  const oldestListedDay = dayOf(now - retentionMs() - DAY_MS);
+  const ids = (await store.keys(COLLECTION)).filter(isJobKey);
+  const staleDays = new Set();
+  let pruned = 0;
+
+  for (const id of ids) {
+    const job = await store.get(COLLECTION, id);
+    if (!job || !TERMINAL_STATES.includes(job.state) || (job.finishedAt || job.updatedAt) >= horizon) continue;
+
+    await Promise.all([id, cancelKey(id), eventsKey(id), artifactsKey(id)].map(key => store.delete(COLLECTION, key)));
+    const day = dayOf(job.createdAt);
+    if (day < oldestListedDay) staleDays.add(day);
+    pruned++;
+  }
+  await Promise.all([...staleDays].map(day => store.delete(COLLECTION, indexKey(day))));
+  return pruned;
+}
+
+/**
+ * Checks whether a state is terminal
+ * @param {string} state - Job state
+ * @returns {boolean} True for done, failed and cancelled
+ */
+function isTerminal(state) {
+  return TERMINAL_STATES.includes(state);
+}
+
+module.exports = {
+  PHASES,
+  TERMINAL_STATES,
+  JobCancelledError,
+  createJob,
+  getJob,
+  listJobs,
+  updateJob,
+  setState,
+  appendEvent,
+  readEvents,
+  saveArtifacts,
+  getArtifacts,
+  requestCancel,
+  isCancelRequested,
+  watchCancellation,
+  pruneJobs,
+  isTerminal
+};
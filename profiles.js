@@ -0,0 +1,156 @@
+/**
+ * Collection Profiles Module
+ * Loads the declarative profiles that drive data collection (profiles/<name>.json, .yaml or .yml).
+ *
+ * A profile maps collection sections to queries:
+ *   {
+ *     "extends": "default",                        // optional base profile; sections are overridden one by one
+ *     "objects": {
+ *       "<section>": {
+ *         "sobject": "Opportunity",
+ *         "fields": ["Id", "Name", "Owner.Name"],  // relationship paths allowed
+ *         "where": { "AccountId": "$accountId" },  // soql.buildConditions syntax; "$name" values are job variables
+ *         "conditions": ["CreatedDate >= LAST_N_MONTHS:6"],   // raw SOQL expressions (date literals, ...)
+ *         "sort": "-CreatedDate",
+ *         "limit": 50
+ *       },
+ *       "<section>": null                          // skip this section
+ *     }
+ *   }
+ */
+const fs = require('fs');
+const path = require('path');
+
+const PROFILES_DIR = process.env.COLLECTION_PROFILES_DIR || path.join(__dirname, 'profiles');
+const DEFAULT_PROFILE = 'default';
+
+// Sections collectAllCTAData knows how to use
+const SECTIONS = ['fsr', 'account', 'ctas', 'contacts', 'accountTasks', 'contactTasks', 'opportunities', 'conversations', 'products'];
+
+// Fields the collection logic reads; they are always selected whatever the profile lists
+const REQUIRED_FIELDS = {
+  fsr: ['Id', 'Inquiry_Account__c', 'Contact__c'],
+  account: ['Id'],
+  ctas: ['Id'],
+  contacts: ['Id', 'Name'],
+  accountTasks: ['Id'],
+  contactTasks: ['Id'],
+  opportunities: ['Id']
+};
+
+const cache = new Map();
+
+/**
+ * Parses a profile file by extension
+ * @param {string} filePath - Profile path
+ * @returns {object} Parsed profile
+ */
+function parseProfileFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  if (filePath.endsWith('.json')) return JSON.parse(text);
+
+  let yaml;
+  try {
+    yaml = require('yaml');
+  } catch (error) {
+    throw new Error(`YAML collection profiles require the optional "yaml" package to be installed (${path.basename(filePath)})`);
+  }
+  return yaml.parse(text);
+}
+
+/**
+ * Finds the file of a profile
+ * @param {string} name - Profile name
+ * @returns {string|null} File path
+ */
+function profilePath(name) {
+  for (const ext of ['.json', '.yaml', '.yml']) {
+    const candidate = path.join(PROFILES_DIR, `${name}${ext}`);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Validates one section of a profile and adds the required fields
+ * @param {string} profileName - Profile name (for error messages)
+ * @param {string} section - Section name
+ * @param {object} spec - Section spec
+ * @returns {object} Normalized spec
+ */
+function normalizeSection(profileName, section, spec) {
+  if (spec === null) return null;
+  const where = `collection profile "${profileName}", section "${section}"`;
+  if (!spec || typeof spec !== 'object') throw new Error(`Invalid ${where}: expected an object or null`);
+  if (!spec.sobject || typeof spec.sobject !== 'string') throw new Error(`Invalid ${where}: "sobject" is required`);
+  if (!Array.isArray(spec.fields) || spec.fields.length === 0) throw new Error(`Invalid ${where}: "fields" must be a non-empty array`);
+  if (spec.limit !== undefined && !(Number.isInteger(spec.limit) && spec.limit > 0)) throw new Error(`Invalid ${where}: "limit" must be a positive integer`);
+  if (spec.conditions !== undefined && !Array.isArray(spec.conditions)) throw new Error(`Invalid ${where}: "conditions" must be an array`);
+
+  const fields = [...spec.fields];
+  for (const required of REQUIRED_FIELDS[section] || []) {
+    if (!fields.some(f => f.toLowerCase() === required.toLowerCase())) fields.push(required);
+  }
+  return { ...spec, fields, where: spec.where || {}, conditions: spec.conditions || [] };
+}
+
+/**
+ * Loads a collection profile, resolving "extends"
+ * @param {string} name - Profile name (defaults to COLLECTION_PROFILE, then 'default')
+ * @param {Array} chain - Profiles already being loaded (cycle detection)
+ * @returns {object} { name, description, objects }
+ */
+function loadProfile(name, chain = []) {
+  const profileName = name || process.env.COLLECTION_PROFILE || DEFAULT_PROFILE;
+  if (!/^[\w-]+$/.test(profileName)) throw new Error(`Invalid collection profile name: ${profileName}`);
+  if (cache.has(profileName)) return cache.get(profileName);
+  if (chain.includes(profileName)) throw new Error(`Collection profile inheritance cycle: ${[...chain, profileName].join(' -> ')}`);
+
+  const filePath = profilePath(profileName);
+  if (!filePath) {
+    throw new Error(`Unknown collection profile: ${profileName}. Available: ${listProfiles().join(', ')}`);
+  }
+
+  const raw = parseProfileFile(filePath);
+  const base = raw.extends ? loadProfile(raw.extends, [...chain, profileName]) : { objects: {} };
+  const objects = { ...base.objects };
+  for (const [section, spec] of Object.entries(raw.objects || {})) {
+    if (!SECTIONS.includes(section)) throw new Error(`Unknown section "${section}" in collection profile "${profileName}"`);
+    objects[section] = normalizeSection(profileName, section, spec);
+  }
+  // Sections a profile leaves out are skipped rather than falling back to the getters' defaults
+  for (const section of SECTIONS) {
+    if (objects[section] === undefined) objects[section] = null;
+  }
+  if (!objects.fsr) throw new Error(`Collection profile "${profileName}" must define the "fsr" section`);
+
+  const profile = { name: profileName, description: raw.description || base.description || '', objects };
+  cache.set(profileName, profile);
+  return profile;
+}
+
+/**
+ * Lists available profile names
+ * @returns {Array} Profile names
+ */
+function listProfiles() {
+  if (!fs.existsSync(PROFILES_DIR)) return [];
+  return [...new Set(fs.readdirSync(PROFILES_DIR)
+    .filter(file => /\.(json|ya?ml)$/.test(file))
+    .map(file => file.replace(/\.(json|ya?ml)$/, '')))].sort();
+}
+
+/**
+ * Forgets loaded profiles so edited files are read again
+ */
+function clearProfileCache() {
+  cache.clear();
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  SECTIONS,
+  loadProfile,
+  listProfiles,
+  clearProfileCache
+};
@@ -0,0 +1,194 @@
+/**
+ * Prompt Templates Module
+ * Renders the LLM prompts from versioned template files under prompts/ (PROMPTS_DIR):
+ *   prompts/manifest.json                      - templates, their versions and the selection rules
+ *   prompts/templates/<name>/v<version>.txt    - template sources
+ *   prompts/partials/<path>.txt                - partials shared between templates
+ *
+ * Syntax: {{variable}} or {{data.path.to.value}} inserts a variable, {{> path}} includes a partial.
+ * Selection rules are checked in order; a rule matches when every criterion it sets (kind, recordType,
+ * ctaType, segment) equals the job's value, e.g. { "kind": "briefing", "segment": "enterprise", "template": "cta-briefing-enterprise@2" }
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(__dirname, 'prompts');
+const MAX_PARTIAL_DEPTH = 10;
+const NAME_PATTERN = /^[\w-]+(\/[\w-]+)*$/;
+
+let manifestCache = null;
+
+/**
+ * Creates an error for an unknown or invalid template reference
+ * @param {string} message - Error message
+ * @returns {Error} Error with code UNKNOWN_TEMPLATE
+ */
+function templateError(message) {
+  const error = new Error(message);
+  error.code = 'UNKNOWN_TEMPLATE';
+  return error;
+}
+
+/**
+ * Reads a prompt file, dropping the trailing newline editors add
+ * @param {string} relPath - Path relative to PROMPTS_DIR
+ * @returns {string} File contents
+ */
+function readPromptFile(relPath) {
+  return fs.readFileSync(path.join(PROMPTS_DIR, relPath), 'utf8').replace(/\r?\n$/, '');
+}
+
+/**
+ * Loads the manifest (cached)
+ * @returns {object} { templates, selection }
+ */
+function loadManifest() {
+  if (!manifestCache) {
+    manifestCache = JSON.parse(readPromptFile('manifest.json'));
+  }
+  return manifestCache;
+}
+
+/**
+ * Parses a template reference ("name" or "name@version"), defaulting to the current version
+ * @param {string} ref - Template reference
+ * @returns {object} { name, version }
+ */
+function parseTemplateRef(ref) {
+  const [name, version] = String(ref).split('@');
+  const entry = loadManifest().templates[name];
+  if (!entry) {
+    throw templateError(`Unknown prompt template: ${name}. Available: ${Object.keys(loadManifest().templates).join(', ')}`);
+  }
+  const resolved = version || entry.current;
+  if (!entry.versions.includes(resolved)) {
+    throw templateError(`Unknown version ${resolved} of prompt template ${name}. Available: ${entry.versions.join(', ')}`);
+  }
+  return { name, version: resolved };
+}
+
+/**
+ * Picks the template for a prompt
+ * @param {object} criteria - Selection criteria
+ * @param {string} criteria.kind - 'briefing', 'follow-up' or 'message'
+ * @param {string} criteria.recordType - Type of the record the job is for (see record-types.js)
+ * @param {string} criteria.ctaType - Product category of the primary CTA
+ * @param {string} criteria.segment - Sales segment
+ * @param {string} criteria.template - Explicit template reference; wins over the rules
+ * @returns {object} { name, version }
+ */
+function selectTemplate(criteria = {}) {
+  if (criteria.template) return parseTemplateRef(criteria.template);
+
+  const same = (a, b) => String(a ?? '').toLowerCase() === String(b ?? '').toLowerCase();
+  const rule = (loadManifest().selection || []).find(candidate =>
+    ['kind', 'recordType', 'ctaType', 'segment'].every(key => candidate[key] === undefined || same(candidate[key], criteria[key]))
+  );
+  if (!rule) throw templateError(`No prompt template matches ${JSON.stringify(criteria)}`);
+  return parseTemplateRef(rule.template);
+}
+
+/**
+ * Inlines {{> partial}} includes
+ * @param {string} source - Template source
+ * @param {number} depth - Current include depth
+ * @returns {string} Source with partials expanded
+ */
+function expandPartials(source, depth = 0) {
+  if (depth > MAX_PARTIAL_DEPTH) throw new Error(`Prompt partials nested deeper than ${MAX_PARTIAL_DEPTH} levels`);
+  return source.replace(/\{\{>\s*([^}\s]+)\s*\}\}/g, (_, name) => {
+    if (!NAME_PATTERN.test(name)) throw new Error(`Invalid prompt partial name: ${name}`);
+    let partial;
+    try {
+      partial = readPromptFile(path.join('partials', `${name}.txt`));
+    } catch (error) {
+      throw new Error(`Unknown prompt partial: ${name}`);
+    }
+    return expandPartials(partial, depth + 1);
+  });
+}
+
+/**
+ * Substitutes {{variable}} placeholders in one pass, so values are never re-scanned for placeholders
+ * @param {string} source - Source with partials expanded
+ * @param {object} variables - Variables; dotted paths read nested values
+ * @returns {string} Rendered text (missing values render as empty strings)
+ */
+function substitute(source, variables) {
+  return source.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, name) => {
+    const value = name.split('.').reduce((current, key) => (current == null ? undefined : current[key]), variables);
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+  });
+}
+
+/**
+ * Loads a template version with its partials expanded
+ * @param {string} name - Template name
+ * @param {string} version - Version
+ * @returns {object} { source, hash }
+ */
+function loadTemplate(name, version) {
+  const source = expandPartials(readPromptFile(path.join('templates', name, `v${version}.txt`)));
+  return { source, hash: crypto.createHash('sha256').update(source).digest('hex').slice(0, 12) };
+}
+
+/**
+ * Renders the prompt for a job
+ * @param {object} params - Prompt parameters
+ * @param {string} params.message - Rep message, if any
+ * @param {string} params.conversationId - Existing conversation ID, if any
+ * @param {string} params.wrapperDataString - Collected Salesforce data as JSON
+ * @param {string} params.recordType - Type of the record the job is for (defaults to fsr)
+ * @param {string} params.ctaType - Product category of the primary CTA
+ * @param {string} params.segment - Sales segment
+ * @param {string} params.template - Explicit template reference ("name" or "name@version")
+ * @param {object} params.variables - Extra template variables
+ * @returns {object} { text, template, version, id, hash }
+ */
+function renderPrompt(params = {}) {
+  const { message, conversationId, wrapperDataString, recordType = 'fsr', ctaType, segment, template, variables = {} } = params;
+  const kind = conversationId && message ? 'follow-up' : (message ? 'message' : 'briefing');
+
+  const selected = selectTemplate({ kind, recordType, ctaType, segment, template });
+  const { source, hash } = loadTemplate(selected.name, selected.version);
+  const text = substitute(source, { ...variables, message, conversationId, wrapperDataString, recordType, ctaType, segment, kind });
+
+  return {
+    text,
+    template: selected.name,
+    version: selected.version,
+    id: `${selected.name}@${selected.version}`,
+    hash
+  };
+}
+
+/**
+ * Lists the templates for GET /prompts
+ * @returns {object} { templates, selection }
+ */
+function listTemplates() {
+  const manifest = loadManifest();
+  const templates = Object.entries(manifest.templates).map(([name, entry]) => ({
+    name,
+    description: entry.description || '',
+    current: entry.current,
+    versions: entry.versions.map(version => ({ version, hash: loadTemplate(name, version).hash }))
+  }));
+  return { templates, selection: manifest.selection || [] };
+}
+
+/**
+ * Forgets the cached manifest so edited files are read again
+ */
+function clearTemplateCache() {
+  manifestCache = null;
+}
+
+module.exports = {
+  renderPrompt,
+  selectTemplate,
+  listTemplates,
+  clearTemplateCache
+};
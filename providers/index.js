@@ -0,0 +1,42 @@
+/**
+ * LLM Provider Module
+ * Registry of provider implementations; jobs pick one by name (request body or LLM_PROVIDER)
+ */
+const wiseowl = require('../wiseowl');
+const openai = require('./openai');
+const mock = require('./mock');
+const { runConversation } = require('./runner');
+
+const PROVIDERS = {
+  wiseowl: wiseowl.provider,
+  openai,
+  mock
+};
+
+/**
+ * Returns the provider for a name
+ * @param {string} name - Provider name (defaults to LLM_PROVIDER, then 'wiseowl')
+ * @returns {object} Provider implementation
+ */
+function getProvider(name) {
+  const key = (name || process.env.LLM_PROVIDER || 'wiseowl').toLowerCase();
+  const provider = PROVIDERS[key];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider: ${key}. Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * Lists registered provider names
+ * @returns {Array} Provider names
+ */
+function listProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+module.exports = {
+  getProvider,
+  listProviders,
+  runConversation
+};
@@ -0,0 +1,83 @@
+/**
+ * Mock Provider
+ * Deterministic offline provider: the same input always yields the same answer, so the whole
+ * pipeline can run in tests without network access. Runs take two polls to finish so the
+ * polling loop and intermediate events are exercised too.
+ */
+const crypto = require('crypto');
+
+// Runs are polled by the process that sent them (see runConversation); the IDs are random so that
+// conversations and runs of several processes sharing the state store do not collide
+const runs = new Map();
+
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 12);
+
+/**
+ * Builds the deterministic answer for an input
+ * @param {string} input - Prompt text
+ * @returns {string} HTML answer
+ */
+function renderAnswer(input) {
+  if (process.env.MOCK_PROVIDER_RESPONSE) return process.env.MOCK_PROVIDER_RESPONSE;
+  return `<h2>Mock briefing</h2><p>Input digest ${digest(input)} (${String(input).length} characters).</p>`;
+}
+
+/**
+ * Creates a mock conversation
+ * @returns {string} Conversation ID
+ */
+async function createConversation() {
+  return `mock-conversation-${crypto.randomUUID()}`;
+}
+
+/**
+ * Registers a run for the input
+ * @param {object} params - Turn parameters (conversationId, input)
+ * @returns {object} { runId, done: false }
+ */
+async function sendTurn(params) {
+  const runId = `mock-run-${crypto.randomUUID()}`;
+  runs.set(runId, { input: params.input, polls: 0 });
+  return { runId, done: false };
+}
+
+/**
+ * Polls a mock run: the first poll returns a partial message, the second the done payload
+ * @param {object} params - Poll parameters (runId)
+ * @returns {object} { done, result, entries }
+ */
+async function pollRun(params) {
+  const run = runs.get(params.runId);
+  if (!run) throw new Error(`Unknown mock run ${params.runId}`);
+
+  run.polls += 1;
+  const answer = renderAnswer(run.input);
+  if (run.polls < 2) {
+    return { done: false, result: null, entries: [['messages', [{ role: 'assistant', content: answer.slice(0, 20) }]]] };
+  }
+  runs.delete(params.runId);
+  return { done: true, result: [{ role: 'assistant', parts: [{ type: 'MARKDOWN', content: answer }] }], entries: [] };
+}
+
+/**
+ * Extracts the assistant text from a mock done payload
+ * @param {Array} result - Done payload
+ * @returns {string} Assistant content
+ */
+function extractAssistantContent(result) {
+  if (Array.isArray(result)) {
+    const assistant = result.find(m => m.role === 'assistant');
+    return assistant?.parts?.[0]?.content || assistant?.content || '';
+  }
+  return typeof result === 'string' ? result : '';
+}
+
+module.exports = {
+  name: 'mock',
+  pollIntervalMs: 0,
+  requiresAccessToken: false,
+  createConversation,
+  sendTurn,
+  pollRun,
+  extractAssistantContent
+};
@@ -0,0 +1,124 @@
+/**
+ * OpenAI-compatible Provider
+ * Runs turns against any chat-completions endpoint (OpenAI, Azure OpenAI, vLLM, LiteLLM, ...).
+ * Chat completions are stateless, so the message history of each conversation is kept in the state store
+ * (see storage.js), where both the web process that creates it and the worker can reach it. The history
+ * is capped at OPENAI_HISTORY_MAX_MESSAGES (40 by default): the first exchange, which carries the
+ * collected context, and the latest turns are kept.
+ */
+const crypto = require('crypto');
+const axios = require('axios');
+const { getStateStore } = require('../storage');
+
+const CONVERSATIONS = 'conversations/openai';
+
+/**
+ * Resolves endpoint settings from the turn parameters or the environment
+ * @param {object} params - Turn parameters (apiKey, baseUrl, model override the env)
+ * @returns {object} { apiKey, baseUrl, model }
+ */
+function settings(params = {}) {
+  return {
+    apiKey: params.apiKey || process.env.OPENAI_API_KEY,
+    baseUrl: (params.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, ''),
+    model: params.model || process.env.OPENAI_MODEL || 'gpt-4o-mini'
+  };
+}
+
+/**
+ * Drops the turns between the first exchange and the latest ones once a history outgrows its cap
+ * @param {Array} messages - Stored messages, user and assistant in turn
+ * @param {number} max - Most messages to keep (OPENAI_HISTORY_MAX_MESSAGES, 40 by default)
+ * @returns {Array} Messages to keep
+ */
+function capHistory(messages, max = Number(process.env.OPENAI_HISTORY_MAX_MESSAGES) || 40) {
+  if (messages.length <= max) return messages;
+  // Whole exchanges are kept, so the latest turns start with a user message
+  const latest = Math.max(max - 2, 0) & ~1;
+  return [...messages.slice(0, 2), ...messages.slice(messages.length - latest)];
+}
+
+/**
+ * Creates a stored conversation
+ * @returns {string} Conversation ID
+ */
+async function createConversation() {
+  const id = `openai-${crypto.randomUUID()}`;
+  await getStateStore().set(CONVERSATIONS, id, { id, messages: [], runs: {} });
+  return id;
+}
+
+/**
+ * Sends one user turn; completes inline since chat completions are synchronous
+ * @param {object} params - Turn parameters (conversationId, input, context, signal, apiKey, baseUrl, model)
+ * @returns {object} { runId, done: true, result }
+ */
+async function sendTurn(params) {
+  const { conversationId, input, context, signal } = params;
+  const { apiKey, baseUrl, model } = settings(params);
+  if (!apiKey) throw new Error('Missing OPENAI_API_KEY for OpenAI provider');
+
+  const conversation = (await getStateStore().get(CONVERSATIONS, conversationId)) || { id: conversationId, messages: [], runs: {} };
+  const messages = [
+    ...(context ? [{ role: 'system', content: `Page context: ${context}` }] : []),
+    ...conversation.messages,
+    { role: 'user', content: input }
+  ];
+
+  const response = await axios.post(`${baseUrl}/chat/completions`, { model, messages }, {
+    headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+    signal
+  });
+
+  const runId = response.data.id || crypto.randomUUID();
+  const result = response.data;
+  conversation.messages = capHistory([
+    ...conversation.messages,
+    { role: 'user', content: input },
+    { role: 'assistant', content: extractAssistantContent(result) }
+  ]);
+  // Runs are kept as long as their exchanges
+  const runs = Object.entries({ ...conversation.runs, [runId]: { model, usage: result.usage || null, at: new Date().toISOString() } });
+  conversation.runs = Object.fromEntries(runs.slice(-Math.max(conversation.messages.length / 2, 1)));
+  await getStateStore().set(CONVERSATIONS, conversationId, conversation);
+
+  return { runId, done: true, result };
+}
+
+/**
+ * Reports a finished run from the stored conversation (turns always finish inside sendTurn)
+ * @param {object} params - Poll parameters (conversationId, runId)
+ * @returns {object} { done, result, entries }
+ */
+async function pollRun(params) {
+  const conversation = await getStateStore().get(CONVERSATIONS, params.conversationId);
+  const last = conversation?.messages[conversation.messages.length - 1];
+  if (!conversation?.runs?.[params.runId] || !last) {
+    throw new Error(`Unknown OpenAI run ${params.runId}`);
+  }
+  return { done: true, result: { choices: [{ message: last }] }, entries: [] };
+}
+
+/**
+ * Extracts the assistant text from a chat-completions response
+ * @param {object} result - Chat-completions response body
+ * @returns {string} Assistant content
+ */
+function extractAssistantContent(result) {
+  if (typeof result === 'string') return result;
+  const content = result?.choices?.[0]?.message?.content;
+  if (typeof content === 'string') return content;
+  // Some compatible servers return content as an array of parts
+  if (Array.isArray(content)) return content.map(part => part.text || '').join('');
+  return result ? JSON.stringify(result) : '';
+}
+
+module.exports = {
+  name: 'openai',
+  pollIntervalMs: 0,
+  requiresAccessToken: false,
+  createConversation,
+  sendTurn,
+  pollRun,
+  extractAssistantContent
+};
@@ -0,0 +1,147 @@
+/**
+ * Provider Runner
+ * Drives one conversation turn against any LLM provider: create the conversation if needed,
+ * send the turn, poll the run until it is done and extract the assistant content.
+ *
+ * A provider implements:
+ *   name                            - provider key ('wiseowl', 'openai', 'mock')
+ *   createConversation(params)      - returns a conversation ID
+ *   sendTurn(params)                - returns { runId, done?, result? }; done when the turn finished inline
+ *   pollRun(params)                 - returns { done, result, entries } where entries are [kind, payload] tuples
+ *   extractAssistantContent(result) - returns the assistant text of a finished run
+ *   pollIntervalMs                  - delay between polls
+ */
+
+/**
+ * Waits for the given time, rejecting early if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional abort signal
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Forwards one intermediate run entry (e.g. ['messages', [...]] or a tool step) to the event callback
+ * @param {object} provider - Provider implementation
+ * @param {Array} entry - [kind, payload] tuple
+ * @param {Function} emit - Event callback
+ */
+function emitRunEntry(provider, entry, emit) {
+  if (!Array.isArray(entry) || entry.length === 0) return;
+  const [kind, payload] = entry;
+  emit('run', { kind, payload });
+
+  // Surface partial assistant text when the entry carries messages
+  if (Array.isArray(payload) && payload.some(m => m?.role && m.role.toUpperCase() === 'ASSISTANT')) {
+    const text = provider.extractAssistantContent(payload);
+    if (text) emit('text', { content: text });
+  }
+}
+
+/**
+ * Runs one conversation turn through a provider
+ * @param {object} provider - Provider implementation
+ * @param {object} params - Turn parameters (input, context, conversationId, plus provider credentials)
+ * @param {AbortSignal} params.signal - Optional signal that stops the polling loop (job cancellation)
+ * @param {Function} params.onRunStarted - Optional callback receiving { conversationId, runId }
+ * @param {Function} params.onEvent - Optional callback receiving (type, data) for intermediate run events
+ * @returns {object} { assistantContent, conversationId, runId, provider }
+ */
+async function runConversation(provider, params) {
+  const {
+    input,
+    context = "the user is not on a record page to provide any context",
+    conversationId = null,
+    signal,
+    onRunStarted,
+    onEvent
+  } = params;
+
+  if (!input) throw new Error(`Missing input for ${provider.name} provider`);
+
+  // Event callbacks must never break the run itself
+  const emit = (type, data) => {
+    if (!onEvent) return;
+    try {
+      onEvent(type, data);
+    } catch (eventError) {
+      console.error(`${provider.name} event callback failed:`, eventError.message);
+    }
+  };
+
+  // Step 1: Create conversation if necessary
+  let finalConversationId = conversationId;
+  if (!finalConversationId) {
+    finalConversationId = await provider.createConversation(params);
+  }
+
+  // Step 2: Send the turn
+  const turn = await provider.sendTurn({
+    ...params,
+    context,
+    conversationId: finalConversationId,
+    onEntry: (entry) => emitRunEntry(provider, entry, emit)
+  });
+  const runId = turn.runId || null;
+  if (onRunStarted) await onRunStarted({ conversationId: finalConversationId, runId });
+
+  // Step 3: Poll for completion unless the turn already finished inline
+  let isDoneLocal = !!turn.done;
+  let chatDoneResult = turn.result ?? null;
+  let consecutiveErrors = 0;
+  const maxConsecutiveErrors = 5;
+  const seenEntries = [];
+
+  while (!isDoneLocal) {
+    await sleep(provider.pollIntervalMs ?? 2000, signal);
+    try {
+      const poll = await provider.pollRun({ ...params, conversationId: finalConversationId, runId });
+      consecutiveErrors = 0;
+      if (poll.done) {
+        isDoneLocal = true;
+        chatDoneResult = poll.result;
+      } else {
+        // Forward intermediate entries once each; polls repeat entries that were already seen
+        (poll.entries || []).forEach((entry, index) => {
+          const serialized = JSON.stringify(entry);
+          if (seenEntries[index] === serialized) return;
+          seenEntries[index] = serialized;
+          emitRunEntry(provider, entry, emit);
+        });
+      }
+    } catch (pollError) {
+      if (signal?.aborted) throw signal.reason;
+      consecutiveErrors++;
+      if (consecutiveErrors >= maxConsecutiveErrors) throw pollError;
+      if (pollError.response?.status >= 400 && pollError.response?.status < 500) throw pollError;
+    }
+  }
+
+  const assistantContent = provider.extractAssistantContent(chatDoneResult);
+  emit('done', { conversationId: finalConversationId, runId, assistantContent });
+
+  return {
+    assistantContent,
+    conversationId: finalConversationId,
+    runId,
+    provider: provider.name
+  };
+}
+
+module.exports = {
+  sleep,
+  emitRunEntry,
+  runConversation
+};
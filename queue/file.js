@@ -0,0 +1,214 @@
+/**
+ * File-backed Job Queue
+ * Stores each message as a JSON file; state transitions are atomic renames between
+ * the pending/, processing/ and dead/ directories so several processes can share it.
+ */
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { dataDir, writeJsonAtomic, readJson } = require('../storage');
+
+/**
+ * Creates a file-backed queue
+ * @param {object} options - Queue options
+ * @param {string} options.dir - Directory holding the queue state
+ * @param {number} options.maxAttempts - Attempts before a message is dead-lettered
+ * @param {number} options.backoffMs - Base delay for exponential retry backoff
+ * @param {number} options.visibilityTimeoutMs - How long a dequeued message stays leased
+ * @param {number} options.leaseGraceMs - How long a leased message may go without its lease before it
+ *   counts as abandoned (the consumer crashed between the rename and writing the lease)
+ * @returns {object} Queue adapter
+ */
+function createFileQueue(options = {}) {
+  const {
+    dir = dataDir('queue'),
+    maxAttempts = 3,
+    backoffMs = 30000,
+    visibilityTimeoutMs = 15 * 60 * 1000,
+    leaseGraceMs = 60000
+  } = options;
+
+  const pendingDir = path.join(dir, 'pending');
+  const processingDir = path.join(dir, 'processing');
+  const deadDir = path.join(dir, 'dead');
+  [pendingDir, processingDir, deadDir].forEach(d => fs.mkdirSync(d, { recursive: true }));
+
+  // Pending file names start with the zero-padded availableAt timestamp so that
+  // a lexicographic sort of the directory gives delivery order
+  const pendingName = (message) => `${String(message.availableAt).padStart(15, '0')}-${message.id}.json`;
+  const idFromPendingName = (name) => name.slice(16, -'.json'.length);
+  // Leased messages found without their lease, by file name => when recoverExpired first saw them
+  const unleasedSince = new Map();
+
+  async function writePending(message) {
+    await writeJsonAtomic(path.join(pendingDir, pendingName(message)), message);
+  }
+
+  /**
+   * Adds a message to the queue
+   * @param {object} payload - Job payload
+   * @param {object} opts - Per-message options (id, delayMs, maxAttempts)
+   * @returns {object} The stored message
+   */
+  async function enqueue(payload, opts = {}) {
+    const now = Date.now();
+    const message = {
+      id: opts.id || uuidv4(),
+      payload,
+      attempts: 0,
+      maxAttempts: opts.maxAttempts || maxAttempts,
+      enqueuedAt: new Date(now).toISOString(),
+      availableAt: now + (opts.delayMs || 0),
+      lastError: null
+    };
+    await writePending(message);
+    return message;
+  }
+
+  /**
+   * Leases the next available message
+   * @returns {object|null} The leased message, or null if nothing is due
+   */
+  async function dequeue() {
+    const names = (await fs.promises.readdir(pendingDir)).filter(n => n.endsWith('.json')).sort();
+    const now = Date.now();
+
+    for (const name of names) {
+      if (Number(name.slice(0, 15)) > now) break;
+
+      const id = idFromPendingName(name);
+      const leasedPath = path.join(processingDir, `${id}.json`);
+      try {
+        await fs.promises.rename(path.join(pendingDir, name), leasedPath);
+      } catch (error) {
+        // Another worker won the race for this message
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      const message = await readJson(leasedPath);
+      message.leaseUntil = now + visibilityTimeoutMs;
+      await writeJsonAtomic(leasedPath, message);
+      return message;
+    }
+
+    return null;
+  }
+
+  /**
+   * Acknowledges successful processing and removes the message
+   * @param {string} id - Message ID
+   */
+  async function ack(id) {
+    await fs.promises.rm(path.join(processingDir, `${id}.json`), { force: true });
+  }
+
+  /**
+   * Records a failed attempt; retries with backoff or moves the message to the dead-letter list
+   * @param {string} id - Message ID
+   * @param {Error} error - The failure
+   * @param {object} opts - Options (retryable: false dead-letters immediately)
+   * @returns {object|null} The updated message with a `dead` flag, or null if it was not leased
+   */
+  async function fail(id, error, opts = {}) {
+    const leasedPath = path.join(processingDir, `${id}.json`);
+    const message = await readJson(leasedPath);
+    if (!message) return null;
+
+    message.attempts += 1;
+    message.lastError = { message: error?.message || String(error), at: new Date().toISOString() };
+    delete message.leaseUntil;
+
+    const retryable = opts.retryable !== false;
+    if (!retryable || message.attempts >= message.maxAttempts) {
+      message.deadAt = new Date().toISOString();
+      await writeJsonAtomic(path.join(deadDir, `${id}.json`), message);
+      await ack(id);
+      return { ...message, dead: true };
+    }
+
+    message.availableAt = Date.now() + backoffMs * Math.pow(2, message.attempts - 1);
+    await writePending(message);
+    await ack(id);
+    return { ...message, dead: false };
+  }
+
+  /**
+   * Returns leased messages whose lease expired (e.g. the worker crashed) to the pending list
+   * @returns {number} Number of recovered messages
+   */
+  async function recoverExpired() {
+    const names = (await fs.promises.readdir(processingDir)).filter(n => n.endsWith('.json'));
+    const now = Date.now();
+    let recovered = 0;
+    [...unleasedSince.keys()].filter(name => !names.includes(name)).forEach(name => unleasedSince.delete(name));
+
+    for (const name of names) {
+      const leasedPath = path.join(processingDir, name);
+      const message = await readJson(leasedPath);
+      if (!message) continue;
+
+      // A message that was just renamed may not carry its lease yet, and the rename keeps the file's
+      // mtime from when it was enqueued; it only counts as abandoned once it went without a lease for
+      // the grace period
+      if (!message.leaseUntil) {
+        if (!unleasedSince.has(name)) unleasedSince.set(name, now);
+        if (now - unleasedSince.get(name) < leaseGraceMs) continue;
+      } else {
+        unleasedSince.delete(name);
+        if (message.leaseUntil > now) continue;
+      }
+      unleasedSince.delete(name);
+
+      const result = await fail(message.id, new Error('Lease expired before the job was acknowledged'));
+      if (result) recovered++;
+    }
+
+    return recovered;
+  }
+
+  /**
+   * Lists dead-lettered messages
+   * @returns {Array} Dead messages, oldest first
+   */
+  async function deadLetters() {
+    const names = (await fs.promises.readdir(deadDir)).filter(n => n.endsWith('.json'));
+    const messages = await Promise.all(names.map(n => readJson(path.join(deadDir, n))));
+    return messages.filter(Boolean).sort((a, b) => String(a.deadAt).localeCompare(String(b.deadAt)));
+  }
+
+  /**
+   * Moves a dead-lettered message back to the pending list with a fresh attempt count
+   * @param {string} id - Message ID
+   * @param {object} payloadPatch - Optional fields merged into the payload (e.g. refreshed tokens)
+   * @returns {object|null} The re-queued message, or null if not found
+   */
+  async function requeueDead(id, payloadPatch = {}) {
+    const deadPath = path.join(deadDir, `${id}.json`);
+    const message = await readJson(deadPath);
+    if (!message) return null;
+
+    message.attempts = 0;
+    message.availableAt = Date.now();
+    message.payload = { ...message.payload, ...payloadPatch };
+    delete message.deadAt;
+    await writePending(message);
+    await fs.promises.rm(deadPath, { force: true });
+    return message;
+  }
+
+  return {
+    backend: 'file',
+    enqueue,
+    dequeue,
+    ack,
+    fail,
+    recoverExpired,
+    deadLetters,
+    requeueDead
+  };
+}
+
+module.exports = {
+  createFileQueue
+};
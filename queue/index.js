@@ -0,0 +1,84 @@
+/**
+ * Job Queue Module
+ * Selects the persistent queue backend used between the web and worker processes. Caller tokens in job
+ * payloads are sealed with CREDENTIALS_KEY (see credentials.js) before they reach the backend.
+ */
+const { createFileQueue } = require('./file');
+const { sealSecret, openSecret } = require('../credentials');
+
+// Payload fields holding caller tokens
+const SECRET_FIELDS = ['sfdcToken', 'access_token'];
+
+/**
+ * Applies a function to the secret fields of a payload
+ * @param {object} payload - Job payload or payload patch
+ * @param {Function} transform - sealSecret or openSecret
+ * @returns {object} Copy of the payload
+ */
+function mapSecrets(payload, transform) {
+  if (!payload) return payload;
+  const copy = { ...payload };
+  SECRET_FIELDS.filter(field => copy[field]).forEach(field => {
+    copy[field] = transform(copy[field]);
+  });
+  return copy;
+}
+
+/**
+ * Wraps a backend so that tokens are only stored sealed and consumers get them back in the clear
+ * @param {object} adapter - Backend queue adapter
+ * @returns {object} Queue adapter
+ */
+function withSealedSecrets(adapter) {
+  return {
+    ...adapter,
+    enqueue: (payload, opts) => adapter.enqueue(mapSecrets(payload, sealSecret), opts),
+    dequeue: async () => {
+      const message = await adapter.dequeue();
+      return message && { ...message, payload: mapSecrets(message.payload, openSecret) };
+    },
+    requeueDead: (id, payloadPatch) => adapter.requeueDead(id, mapSecrets(payloadPatch, sealSecret))
+  };
+}
+
+/**
+ * Creates a queue for the configured backend
+ * @param {object} options - Backend options (see queue/file.js and queue/redis.js)
+ * @returns {object} Queue adapter exposing enqueue, dequeue, ack, fail, recoverExpired, deadLetters, requeueDead
+ */
+function createQueue(options = {}) {
+  const backend = options.backend || process.env.QUEUE_BACKEND || 'file';
+  const settings = {
+    maxAttempts: Number(process.env.QUEUE_MAX_ATTEMPTS) || 3,
+    backoffMs: Number(process.env.QUEUE_BACKOFF_MS) || 30000,
+    visibilityTimeoutMs: Number(process.env.QUEUE_VISIBILITY_TIMEOUT_MS) || 15 * 60 * 1000,
+    ...options
+  };
+
+  switch (backend) {
+    case 'file':
+      return withSealedSecrets(createFileQueue(settings));
+    case 'redis':
+      return withSealedSecrets(require('./redis').createRedisQueue(settings));
+    default:
+      throw new Error(`Unknown QUEUE_BACKEND: ${backend}`);
+  }
+}
+
+let defaultQueue = null;
+
+/**
+ * Returns the process-wide queue, creating it on first use
+ * @returns {object} Queue adapter
+ */
+function getQueue() {
+  if (!defaultQueue) {
+    defaultQueue = createQueue();
+  }
+  return defaultQueue;
+}
+
+module.exports = {
+  createQueue,
+  getQueue
+};
@@ -0,0 +1,169 @@
+/**
+ * Redis-backed Job Queue
+ * Optional adapter for Redis-compatible servers. Requires the `ioredis` package.
+ *
+ * Keys (all prefixed):
+ *   <prefix>:msg:<id>     - message JSON
+ *   <prefix>:pending      - sorted set of ids scored by availableAt
+ *   <prefix>:processing   - sorted set of ids scored by leaseUntil
+ *   <prefix>:dead         - sorted set of ids scored by deadAt
+ */
+const { v4: uuidv4 } = require('uuid');
+
+// Atomically claims the first due id from pending and leases it
+const CLAIM_SCRIPT = `
+local ids = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, 1)
+if #ids == 0 then return nil end
+redis.call('ZREM', KEYS[1], ids[1])
+redis.call('ZADD', KEYS[2], ARGV[2], ids[1])
+return ids[1]
+`;
+
+/**
+ * Creates a Redis-backed queue
+ * @param {object} options - Queue options
+ * @param {string} options.url - Redis connection URL
+ * @param {object} options.client - Redis client to use instead of connecting to url
+ * @param {string} options.prefix - Key prefix
+ * @param {number} options.maxAttempts - Attempts before a message is dead-lettered
+ * @param {number} options.backoffMs - Base delay for exponential retry backoff
+ * @param {number} options.visibilityTimeoutMs - How long a dequeued message stays leased
+ * @returns {object} Queue adapter
+ */
+function createRedisQueue(options = {}) {
+  const {
+    url = process.env.REDIS_URL,
+    client,
+    prefix = 'tofu:jobs',
+    maxAttempts = 3,
+    backoffMs = 30000,
+    visibilityTimeoutMs = 15 * 60 * 1000
+  } = options;
+
+  let redis = client;
+  if (!redis) {
+    let Redis;
+    try {
+      Redis = require('ioredis');
+    } catch (error) {
+      throw new Error('QUEUE_BACKEND=redis requires the optional "ioredis" package to be installed');
+    }
+    redis = new Redis(url);
+  }
+  const keys = {
+    msg: (id) => `${prefix}:msg:${id}`,
+    pending: `${prefix}:pending`,
+    processing: `${prefix}:processing`,
+    dead: `${prefix}:dead`
+  };
+
+  async function readMessage(id) {
+    const raw = await redis.get(keys.msg(id));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async function enqueue(payload, opts = {}) {
+    const now = Date.now();
+    const message = {
+      id: opts.id || uuidv4(),
+      payload,
+      attempts: 0,
+      maxAttempts: opts.maxAttempts || maxAttempts,
+      enqueuedAt: new Date(now).toISOString(),
+      availableAt: now + (opts.delayMs || 0),
+      lastError: null
+    };
+    await redis.multi()
+      .set(keys.msg(message.id), JSON.stringify(message))
+      .zadd(keys.pending, message.availableAt, message.id)
+      .exec();
+    return message;
+  }
+
+  async function dequeue() {
+    const now = Date.now();
+    const id = await redis.eval(CLAIM_SCRIPT, 2, keys.pending, keys.processing, now, now + visibilityTimeoutMs);
+    if (!id) return null;
+
+    const message = await readMessage(id);
+    if (!message) {
+      await redis.zrem(keys.processing, id);
+      return null;
+    }
+    message.leaseUntil = now + visibilityTimeoutMs;
+    await redis.set(keys.msg(id), JSON.stringify(message));
+    return message;
+  }
+
+  async function ack(id) {
+    await redis.multi().zrem(keys.processing, id).del(keys.msg(id)).exec();
+  }
+
+  async function fail(id, error, opts = {}) {
+    const message = await readMessage(id);
+    if (!message) return null;
+
+    message.attempts += 1;
+    message.lastError = { message: error?.message || String(error), at: new Date().toISOString() };
+    delete message.leaseUntil;
+
+    const retryable = opts.retryable !== false;
+    const multi = redis.multi().zrem(keys.processing, id);
+    if (!retryable || message.attempts >= message.maxAttempts) {
+      message.deadAt = new Date().toISOString();
+      await multi.set(keys.msg(id), JSON.stringify(message)).zadd(keys.dead, Date.now(), id).exec();
+      return { ...message, dead: true };
+    }
+
+    message.availableAt = Date.now() + backoffMs * Math.pow(2, message.attempts - 1);
+    await multi.set(keys.msg(id), JSON.stringify(message)).zadd(keys.pending, message.availableAt, id).exec();
+    return { ...message, dead: false };
+  }
+
+  async function recoverExpired() {
+    const ids = await redis.zrangebyscore(keys.processing, '-inf', Date.now());
+    let recovered = 0;
+    for (const id of ids) {
+      const result = await fail(id, new Error('Lease expired before the job was acknowledged'));
+      if (result) recovered++;
+    }
+    return recovered;
+  }
+
+  async function deadLetters() {
+    const ids = await redis.zrange(keys.dead, 0, -1);
+    const messages = await Promise.all(ids.map(readMessage));
+    return messages.filter(Boolean);
+  }
+
+  async function requeueDead(id, payloadPatch = {}) {
+    const message = await readMessage(id);
+    if (!message || !message.deadAt) return null;
+
+    message.attempts = 0;
+    message.availableAt = Date.now();
+    message.payload = { ...message.payload, ...payloadPatch };
+    delete message.deadAt;
+    await redis.multi()
+      .zrem(keys.dead, id)
+      .set(keys.msg(id), JSON.stringify(message))
+      .zadd(keys.pending, message.availableAt, id)
+      .exec();
+    return message;
+  }
+
+  return {
+    backend: 'redis',
+    enqueue,
+    dequeue,
+    ack,
+    fail,
+    recoverExpired,
+    deadLetters,
+    requeueDead
+  };
+}
+
+module.exports = {
+  createRedisQueue
+};
@@ -0,0 +1,131 @@
+/**
+ * Record Types Module
+ * Briefings start from the record the rep is on. FSR__c (a CTA) was the only starting point; Leads,
+ * Opportunities, Accounts and Cases are recognized by the key prefix of their ID. Every type resolves its
+ * record to the account and primary contact the rest of the collection is built around; the briefing
+ * template of each type is picked by the recordType selection rules in prompts/manifest.json.
+ * IDs without a standard prefix are taken as records of the collection profile's "fsr" section, whose
+ * custom object prefix differs from org to org.
+ */
+const FSR_TYPE = 'fsr';
+
+/**
+ * Picks the contact role of an opportunity to treat as its primary contact
+ * @param {Array} roles - OpportunityContactRole records
+ * @returns {string|null} Contact ID (the primary role, else the first one)
+ */
+function primaryRoleContact(roles) {
+  const role = roles.find(candidate => candidate.IsPrimary) || roles[0];
+  return role?.ContactId || null;
+}
+
+// Types by name: sObject, key prefix, fields read from the record and the resolver to { accountId, primaryContactId }.
+// Resolvers get the record and query(spec, variables), which runs a collection profile style query.
+const TYPES = {
+  [FSR_TYPE]: {
+    label: 'FSR',
+    sobject: null,
+    keyPrefix: null,
+    fields: null,
+    resolve: async (record) => ({ accountId: record.Inquiry_Account__c, primaryContactId: record.Contact__c })
+  },
+  lead: {
+    label: 'Lead',
+    sobject: 'Lead',
+    keyPrefix: '00Q',
+    fields: ['Id', 'Name', 'Title', 'Company', 'Email', 'Phone', 'Status', 'LeadSource', 'Industry', 'Rating', 'IsConverted', 'ConvertedAccountId', 'ConvertedContactId', 'CreatedDate'],
+    // A converted lead has its account and contact; otherwise a contact with the lead's email stands in
+    resolve: async (record, query) => {
+      if (record.ConvertedAccountId) return { accountId: record.ConvertedAccountId, primaryContactId: record.ConvertedContactId || null };
+      if (!record.Email) return { accountId: null, primaryContactId: null };
+      const [contact] = await query({ sobject: 'Contact', fields: ['Id', 'AccountId'], where: { Email: '$email' }, sort: '-LastModifiedDate', limit: 1 }, { email: record.Email });
+      return { accountId: contact?.AccountId || null, primaryContactId: contact?.Id || null };
+    }
+  },
+  opportunity: {
+    label: 'Opportunity',
+    sobject: 'Opportunity',
+    keyPrefix: '006',
+    fields: ['Id', 'Name', 'AccountId', 'StageName', 'Amount', 'CloseDate', 'Probability', 'ForecastCategoryName', 'NextStep', 'Type', 'LeadSource', 'Owner.Name', 'CreatedDate'],
+    resolve: async (record, query) => {
+      const roles = await query({ sobject: 'OpportunityContactRole', fields: ['ContactId', 'IsPrimary', 'Role'], where: { OpportunityId: '$recordId' }, limit: 50 }, { recordId: record.Id });
+      return { accountId: record.AccountId, primaryContactId: primaryRoleContact(roles) };
+    }
+  },
+  account: {
+    label: 'Account',
+    sobject: 'Account',
+    keyPrefix: '001',
+    fields: ['Id', 'Name'],
+    // Account briefings cover every contact alike
+    resolve: async (record) => ({ accountId: record.Id, primaryContactId: null })
+  },
+  case: {
+    label: 'Case',
+    sobject: 'Case',
+    keyPrefix: '500',
+    fields: ['Id', 'CaseNumber', 'Subject', 'Description', 'Status', 'Priority', 'Origin', 'Type', 'Reason', 'IsEscalated', 'AccountId', 'ContactId', 'CreatedDate', 'ClosedDate'],
+    resolve: async (record) => ({ accountId: record.AccountId, primaryContactId: record.ContactId || null })
+  }
+};
+
+/**
+ * Detects the type of a record from its ID key prefix
+ * @param {string} recordId - Record ID
+ * @returns {string} Type name (fsr for IDs without a standard prefix)
+ */
+function detectRecordType(recordId) {
+  const prefix = String(recordId || '').substring(0, 3);
+  const match = Object.entries(TYPES).find(([, type]) => type.keyPrefix === prefix);
+  return match ? match[0] : FSR_TYPE;
+}
+
+/**
+ * Returns the query reading the record a briefing starts from
+ * @param {string} typeName - Type name
+ * @param {object} objects - Sections of the collection profile (their "fsr" section reads FSR records)
+ * @returns {object} Collection profile section spec
+ */
+function recordSpec(typeName, objects) {
+  const type = TYPES[typeName];
+  if (!type.sobject) return objects.fsr;
+  return { sobject: type.sobject, fields: type.fields, where: { Id: '$recordId' }, conditions: [], limit: 1 };
+}
+
+/**
+ * Returns the sObject of a record
+ * @param {string} recordId - Record ID
+ * @param {object} profile - Collection profile (names the FSR object)
+ * @returns {string} sObject API name
+ */
+function sobjectFor(recordId, profile) {
+  return TYPES[detectRecordType(recordId)].sobject || profile.objects.fsr?.sobject || 'FSR__c';
+}
+
+/**
+ * Reads the record a briefing starts from and resolves it to an account and primary contact
+ * @param {string} recordId - Record ID
+ * @param {object} objects - Sections of the collection profile
+ * @param {Function} query - Runs a section spec with variables and returns the records (see salesforce.executeProfileQuery)
+ * @returns {object} { type, label, sobject, record, accountId, primaryContactId } where record is null when not found
+ */
+async function resolveRecord(recordId, objects, query) {
+  const typeName = detectRecordType(recordId);
+  const type = TYPES[typeName];
+  const spec = recordSpec(typeName, objects);
+  const base = { type: typeName, label: type.label, sobject: spec.sobject };
+
+  const [record] = await query(spec, { recordId });
+  if (!record) return { ...base, record: null, accountId: null, primaryContactId: null };
+  const { accountId, primaryContactId } = await type.resolve(record, query);
+  return { ...base, record, accountId: accountId || null, primaryContactId: primaryContactId || null };
+}
+
+module.exports = {
+  FSR_TYPE,
+  TYPES,
+  detectRecordType,
+  recordSpec,
+  sobjectFor,
+  resolveRecord
+};
@@ -3,24 +3,53 @@
  * Handles all Salesforce API interactions using JSForce
  */
 const jsforce = require('jsforce');
-
-// SFDC instance URL (can be overridden via env var)
-const SFDC_INSTANCE_URL = process.env.SFDC_INSTANCE_URL || 'https://twlo--full.sandbox.my.salesforce.com';
+const { soql, assertId, buildConditions, toCaseSafeId } = require('./soql');
+const profiles = require('./profiles');
+const { renderAssistantHtml } = require('./sanitize');
+const history = require('./history');
+const credentials = require('./credentials');
+const tenants = require('./tenants');
+const recordTypes = require('./record-types');
 
 /**
  * Creates a Salesforce connection using JSForce
- * @param {string} token - Salesforce access token
- * @returns {object} JSForce connection object
+ * @param {string} token - Caller's Salesforce access token; optional when options.orgId has a stored credential
+ * @param {object} options - Connection options
+ * @param {string} options.instanceUrl - Instance URL of the caller's org (see credentials.resolveInstanceUrl)
+ * @param {string} options.orgId - Org whose stored credential is used without a token; must be the org of the session
+ * @param {boolean} options.storedCredential - False for a caller's own session (API requests of non-admin callers):
+ *   the org's stored credential is then neither used in place of the token nor to refresh it
+ * @returns {object} JSForce connection object; conn.usesStoredCredential is set when it runs as the stored credential's user
  */
-async function createSalesforceConnection(token) {
+async function createSalesforceConnection(token, options = {}) {
   try {
+    const { orgId, storedCredential = true } = options;
+    if (!token && !storedCredential) throw new Error('No Salesforce access token');
+    const credential = orgId && storedCredential ? await credentials.getCredential(orgId) : null;
+    if (!token && !credential) {
+      throw new Error(orgId ? `No Salesforce credential is stored for org ${orgId}` : 'No Salesforce access token');
+    }
+    const registered = orgId ? tenants.resolveTenant(orgId) : null;
     const conn = new jsforce.Connection({
-      instanceUrl: SFDC_INSTANCE_URL,
-      accessToken: token
+      instanceUrl: await credentials.resolveInstanceUrl(token, {
+        instanceUrl: options.instanceUrl,
+        credential,
+        registeredUrl: registered?.registered ? registered.instanceUrl : null
+      }),
+      accessToken: token || credential.accessToken,
+      // An expired session is refreshed from the stored credential of the session's own org (orgId only
+      // stands in until identity() has reported it) and the request retried
+      refreshFn: storedCredential ? credentials.createRefreshFn(connection => connection.userInfo?.organizationId || orgId) : undefined
     });
+    conn.usesStoredCredential = !token;
     
-    // Verify connection with a simple identity request
+    // Verify connection with a simple identity request; the org it reports selects the tenant settings
     await conn.identity();
+    const sessionOrgId = conn.userInfo?.organizationId || null;
+    if (orgId && sessionOrgId && toCaseSafeId(orgId) !== toCaseSafeId(sessionOrgId)) {
+      throw new Error(`orgId ${orgId} does not match the org of the Salesforce session (${sessionOrgId})`);
+    }
+    conn.tenant = tenants.resolveTenant(sessionOrgId || orgId || null);
     return conn;
   } catch (error) {
     console.error('Salesforce connection validation failed:', error.message);
@@ -28,19 +57,147 @@ async function createSalesforceConnection(token) {
   }
 }
 
+/**
+ * Returns the conversation object of a connection's tenant
+ * @param {object} conn - JSForce connection
+ * @returns {string} sObject API name (SFDC_OBJECT_API_NAME or WO_Conversation__c unless the tenant maps it)
+ */
+function conversationObject(conn) {
+  return tenants.forConnection(conn).objects.conversation;
+}
+
+/**
+ * Returns the conversation object fields of a connection's tenant
+ * @param {object} conn - JSForce connection
+ * @returns {object} Stored property => field API name (the WO_Conversation__c fields unless the tenant maps them, see schema.js)
+ */
+function conversationFields(conn) {
+  return tenants.forConnection(conn).fields;
+}
+
+/**
+ * Returns the default profile's spec for a collection section
+ * @param {string} section - Section name
+ * @returns {object|null} Section spec
+ */
+function defaultSpec(section) {
+  return profiles.loadProfile(profiles.DEFAULT_PROFILE).objects[section] || null;
+}
+
+// Describe results per connection, so each sObject is described once per job
+const describeCache = new WeakMap();
+
+// Failed collection queries per connection; results collected while a query failed are not cached
+const queryFailures = new WeakMap();
+
+/**
+ * Counts a failed collection query on a connection
+ * @param {object} conn - JSForce connection
+ */
+function noteQueryFailure(conn) {
+  queryFailures.set(conn, (queryFailures.get(conn) || 0) + 1);
+}
+
+/**
+ * Describes an sObject once per connection
+ * @param {object} conn - JSForce connection
+ * @param {string} sobject - sObject API name
+ * @returns {Promise<object|null>} Describe result, or null if the describe failed
+ */
+function describeSObject(conn, sobject) {
+  if (!describeCache.has(conn)) describeCache.set(conn, new Map());
+  const perConn = describeCache.get(conn);
+  if (!perConn.has(sobject)) {
+    perConn.set(sobject, conn.sobject(sobject).describe().catch(error => {
+      console.error(`Describe of ${sobject} failed, using profile fields unchecked:`, error.message);
+      return null;
+    }));
+  }
+  return perConn.get(sobject);
+}
+
+/**
+ * Drops fields the org does not have, so a missing custom field does not fail the whole query
+ * @param {object} conn - JSForce connection
+ * @param {string} sobject - sObject API name
+ * @param {Array} fields - Field names or relationship paths (e.g. Owner.Name)
+ * @returns {Array} Fields present in the org
+ */
+async function getAvailableFields(conn, sobject, fields) {
+  if (process.env.COLLECTION_VALIDATE_FIELDS === 'false') return fields;
+
+  const describe = await describeSObject(conn, sobject);
+  if (!describe) return fields;
+
+  const fieldNames = new Set(describe.fields.map(f => f.name.toLowerCase()));
+  const relationships = new Set(describe.fields.filter(f => f.relationshipName).map(f => f.relationshipName.toLowerCase()));
+
+  // Relationship paths are checked on their first hop only
+  const available = fields.filter(field => {
+    const [first, ...rest] = field.toLowerCase().split('.');
+    return rest.length === 0 ? fieldNames.has(first) : relationships.has(first);
+  });
+
+  if (available.length < fields.length) {
+    const missing = fields.filter(f => !available.includes(f));
+    console.log(`Dropping fields missing from ${sobject}: ${missing.join(', ')}`);
+  }
+  return available;
+}
+
+/**
+ * Runs the query described by a collection profile section
+ * @param {object} conn - JSForce connection
+ * @param {object} spec - Section spec (sobject, fields, where, conditions, sort, limit)
+ * @param {object} variables - Values for "$name" placeholders in the where clause (recordId, accountId, primaryContactId)
+ * @returns {Array} Records (empty if the section is disabled or a referenced variable is not set)
+ */
+async function executeProfileQuery(conn, spec, variables = {}) {
+  if (!spec) return [];
+
+  // Substitute "$name" values; a placeholder without a value means there is nothing to query
+  let unresolved = false;
+  const resolve = (value) => {
+    if (Array.isArray(value)) return value.map(resolve);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, resolve(v)]));
+    }
+    if (typeof value === 'string' && /^\$\w+$/.test(value)) {
+      const resolved = variables[value.substring(1)];
+      if (resolved === undefined || resolved === null || resolved === '') unresolved = true;
+      return resolved;
+    }
+    return value;
+  };
+  const where = resolve(spec.where || {});
+  if (unresolved) return [];
+
+  const fields = await getAvailableFields(conn, spec.sobject, spec.fields);
+  if (fields.length === 0) return [];
+
+  const conditions = [buildConditions(where), ...(spec.conditions || [])].filter(Boolean);
+  let query = conn.sobject(spec.sobject).select(fields.join(', '));
+  if (conditions.length > 0) query = query.where(conditions.map(c => (conditions.length > 1 ? `(${c})` : c)).join(' AND '));
+  if (spec.sort) query = query.sort(spec.sort);
+  if (spec.limit) query = query.limit(spec.limit);
+  try {
+    return await query.execute();
+  } catch (error) {
+    noteQueryFailure(conn);
+    throw error;
+  }
+}
+
 /**
  * Gets an FSR record by ID
  * @param {object} conn - JSForce connection
  * @param {string} recordId - FSR record ID
+ * @param {object} spec - Collection profile section (defaults to the default profile's "fsr")
  * @returns {object} FSR record
  */
-async function getFSRRecord(conn, recordId) {
+async function getFSRRecord(conn, recordId, spec = defaultSpec('fsr')) {
   try {
-    const record = await conn.sobject('FSR__c')
-      .select('Id, Name, Inquiry_Account__c, Contact__c')
-      .where({ Id: recordId })
-      .limit(1)
-      .execute();
+    const record = await executeProfileQuery(conn, spec, { recordId });
     
     return record[0];
   } catch (error) {
@@ -49,19 +206,33 @@ async function getFSRRecord(conn, recordId) {
   }
 }
 
+/**
+ * Gets the record a briefing starts from (an FSR, Lead, Opportunity, Account or Case, see record-types.js)
+ * @param {object} conn - JSForce connection
+ * @param {string} recordId - Record ID
+ * @param {object} objects - Sections of the collection profile
+ * @returns {object} { type, label, sobject, record, accountId, primaryContactId } (record is null when not found)
+ * @throws {Error} When the query fails: without its record there is nothing to brief, so collection fails
+ */
+async function getParentRecord(conn, recordId, objects) {
+  try {
+    return await recordTypes.resolveRecord(recordId, objects, (spec, variables) => executeProfileQuery(conn, spec, variables));
+  } catch (error) {
+    console.error(`Error fetching ${recordTypes.TYPES[recordTypes.detectRecordType(recordId)].label} record:`, error.message);
+    throw error;
+  }
+}
+
 /**
  * Gets account records for an account ID
  * @param {object} conn - JSForce connection
  * @param {string} accountId - Account ID
+ * @param {object} spec - Collection profile section (defaults to the default profile's "account")
  * @returns {Array} Account records
  */
-async function getAccountRecords(conn, accountId) {
+async function getAccountRecords(conn, accountId, spec = defaultSpec('account')) {
   try {
-    const accounts = await conn.sobject('Account')
-      .select('Name, Id, Industry, AnnualRevenue, Employee_Count__c, CreatedDate, Twilio_Account_Tier_Final__c')
-      .where({ Id: accountId })
-      .limit(1)
-      .execute();
+    const accounts = await executeProfileQuery(conn, spec, { accountId });
     
     return accounts;
   } catch (error) {
@@ -74,17 +245,12 @@ async function getAccountRecords(conn, accountId) {
  * Gets CTA records for an account
  * @param {object} conn - JSForce connection
  * @param {string} accountId - Account ID
+ * @param {object} spec - Collection profile section (defaults to the default profile's "ctas")
  * @returns {Array} CTA records
  */
-async function getCTARecords(conn, accountId) {
+async function getCTARecords(conn, accountId, spec = defaultSpec('ctas')) {
   try {
-    const records = await conn.sobject('FSR__c')
-      .select('Id, Name, inquiry_account__c, contact__c, OwnerId, product_category__c, Current_Interested_Product_Score_Grade__c, ' +
-              'campaign__r.Name, Inquiry_Volume__c, MQL_Status__c, Owner.Name, inquiry_account__r.Name, inquiry_account__r.Industry, ' +
-              'inquiry_account__r.AnnualRevenue, inquiry_account__r.NumberOfEmployees, inquiry_account__r.CreatedDate, ' +
-              'contact__r.Name, contact__r.Title, contact__r.Email, contact__r.Phone, contact__r.LastActivityDate')
-      .where({ inquiry_account__c: accountId, MQL_Status__c: { $ne: '1 - Open' } })
-      .execute();
+    const records = await executeProfileQuery(conn, spec, { accountId });
     
     return records;
   } catch (error) {
@@ -97,14 +263,12 @@ async function getCTARecords(conn, accountId) {
  * Gets contact records for an account
  * @param {object} conn - JSForce connection
  * @param {string} accountId - Account ID
+ * @param {object} spec - Collection profile section (defaults to the default profile's "contacts")
  * @returns {Array} Contact records
  */
-async function getContactRecords(conn, accountId) {
+async function getContactRecords(conn, accountId, spec = defaultSpec('contacts')) {
   try {
-    const contacts = await conn.sobject('Contact')
-      .select('Name, Id, Title, Email, Phone, Last_FSR_Activity__c')
-      .where({ AccountId: accountId })
-      .execute();
+    const contacts = await executeProfileQuery(conn, spec, { accountId });
     
     return contacts;
   } catch (error) {
@@ -117,16 +281,12 @@ async function getContactRecords(conn, accountId) {
  * Gets task records for an account
  * @param {object} conn - JSForce connection
  * @param {string} accountId - Account ID
+ * @param {object} spec - Collection profile section (defaults to the default profile's "accountTasks")
  * @returns {Array} Task records
  */
-async function getTaskRecords(conn, accountId) {
+async function getTaskRecords(conn, accountId, spec = defaultSpec('accountTasks')) {
   try {
-    const tasks = await conn.sobject('Task')
-      .select('Id, Subject, ActivityDate, Description, CallDisposition, Owner.Name, Type, Who.Name, What.Name, Status, WhoId, WhatId')
-      .where({ WhatId: accountId })
-      .sort('-CreatedDate')
-      .limit(50)
-      .execute();
+    const tasks = await executeProfileQuery(conn, spec, { accountId });
     
     return tasks;
   } catch (error) {
@@ -139,18 +299,14 @@ async function getTaskRecords(conn, accountId) {
  * Gets task records for a specific contact
  * @param {object} conn - JSForce connection
  * @param {string} contactId - Contact ID
+ * @param {object} spec - Collection profile section (defaults to the default profile's "contactTasks")
  * @returns {Array} Task records
  */
-async function getTasksForContact(conn, contactId) {
+async function getTasksForContact(conn, contactId, spec = defaultSpec('contactTasks')) {
   if (!contactId) return [];
   
   try {
-    const tasks = await conn.sobject('Task')
-      .select('Id, Subject, ActivityDate, Description, CallDisposition, Owner.Name, Type, Who.Name, What.Name, Status')
-      .where({ WhoId: contactId })
-      .sort('-CreatedDate')
-      .limit(25)
-      .execute();
+    const tasks = await executeProfileQuery(conn, spec, { primaryContactId: contactId });
     
     return tasks;
   } catch (error) {
@@ -163,17 +319,12 @@ async function getTasksForContact(conn, contactId) {
  * Gets opportunity records for an account
  * @param {object} conn - JSForce connection
  * @param {string} accountId - Account ID
+ * @param {object} spec - Collection profile section (defaults to the default profile's "opportunities")
  * @returns {Array} Opportunity records
  */
-async function getOpportunityRecords(conn, accountId) {
+async function getOpportunityRecords(conn, accountId, spec = defaultSpec('opportunities')) {
   try {
-    const opportunities = await conn.sobject('Opportunity')
-      .select('Name, Amount, StageName, CloseDate, OwnerId, Owner.Name, Id')
-      .where({ AccountId: accountId })
-      .where('CreatedDate >= LAST_N_MONTHS:6')
-      .sort('-CreatedDate')
-      .limit(50)
-      .execute();
+    const opportunities = await executeProfileQuery(conn, spec, { accountId });
     
     return opportunities;
   } catch (error) {
@@ -194,14 +345,15 @@ async function getOpportunityContactRoles(conn, opportunityIds, primaryContactId
   
   try {
     const opportunities = await conn.sobject('Opportunity')
-      .select('Id, (SELECT ContactId FROM OpportunityContactRoles WHERE ContactId = \'' + primaryContactId + '\')')
-      .where({ Id: { $in: opportunityIds } })
+      .select(soql`Id, (SELECT ContactId FROM OpportunityContactRoles WHERE ContactId = ${soql.id(primaryContactId, 'primaryContactId')})`)
+      .where({ Id: { $in: opportunityIds.map(id => assertId(id, 'opportunityId')) } })
       .limit(50)
       .execute();
     
     return opportunities;
   } catch (error) {
     console.error('Error fetching opportunity contact roles:', error);
+    noteQueryFailure(conn);
     return [];
   }
 }
@@ -210,17 +362,12 @@ async function getOpportunityContactRoles(conn, opportunityIds, primaryContactId
  * Gets Salesloft conversation records for an account
  * @param {object} conn - JSForce connection
  * @param {string} accountId - Account ID
+ * @param {object} spec - Collection profile section (defaults to the default profile's "conversations")
  * @returns {Array} Salesloft conversation records
  */
-async function getSalesloftConversationRecords(conn, accountId) {
+async function getSalesloftConversationRecords(conn, accountId, spec = defaultSpec('conversations')) {
   try {
-    const conversations = await conn.sobject('Salesloft_Conversations__dlm')
-      .select('accountid__c, attendeesdetails__c, createddate__c, DataSource__c, DataSourceObject__c, ' +
-              'InternalOrganization__c, KQ_meetingid__c, meetingid__c, meetingsummary__c, meetingtranscript__c')
-      .where({ accountid__c: accountId })
-      .sort('-createddate__c')
-      .limit(50)
-      .execute();
+    const conversations = await executeProfileQuery(conn, spec, { accountId });
     
     return conversations;
   } catch (error) {
@@ -233,20 +380,14 @@ async function getSalesloftConversationRecords(conn, accountId) {
  * Gets product summary for an account
  * @param {object} conn - JSForce connection
  * @param {string} accountId - Account ID
+ * @param {object} spec - Collection profile section (defaults to the default profile's "products")
  * @returns {Array} Product records
  */
-async function getProductSummary(conn, accountId) {
+async function getProductSummary(conn, accountId, spec = defaultSpec('products')) {
   try {
-    const products = await conn.query(
-      `SELECT Id, Name, Product2Id, Product2.Name, Product2.Family, Product2.Description, 
-             OpportunityId, Opportunity.Name, Opportunity.StageName, Opportunity.CloseDate,
-             Quantity, UnitPrice, TotalPrice, Description
-      FROM OpportunityLineItem 
-      WHERE Opportunity.AccountId = '${accountId}'
-      ORDER BY Opportunity.CloseDate DESC, CreatedDate DESC`
-    );
-    
-    return products.records;
+    const products = await executeProfileQuery(conn, spec, { accountId: assertId(accountId, 'accountId') });
+    
+    return products;
   } catch (error) {
     console.error('Error fetching Product Summary:', error);
     return [];
@@ -333,16 +474,17 @@ function processContactData(contacts, primaryContactId) {
 function processCTAData(ctaRecords, currentCtaId) {
   if (!ctaRecords || ctaRecords.length === 0) return [];
   
+  // The API returns fields in their declared casing, whatever casing the query used
   return ctaRecords.map(cta => ({
     ctaName: cta.Name,
     recordId: cta.Id,
     isPrimary: cta.Id === currentCtaId,
-    ctaInquiryAccountName: cta.inquiry_account__r?.Name,
+    ctaInquiryAccountName: (cta.Inquiry_Account__r || cta.inquiry_account__r)?.Name,
     ownerName: cta.Owner?.Name,
     // Additional UI fields
-    product: cta.product_category__c,
+    product: cta.Product_Category__c ?? cta.product_category__c,
     scoreGrade: cta.Current_Interested_Product_Score_Grade__c,
-    campaign: cta.campaign__r?.Name,
+    campaign: (cta.Campaign__r || cta.campaign__r)?.Name,
     expectedRevenue: cta.Inquiry_Volume__c ? String(cta.Inquiry_Volume__c) : null,
     status: cta.MQL_Status__c
   }));
@@ -474,37 +616,157 @@ function processSalesloftData(salesloftRecords) {
   });
 }
 
+/**
+ * Loads collection results through the context cache
+ * @param {object} conn - JSForce connection
+ * @param {object} cache - Cache (see cache.js), or null to always load
+ * @param {string} key - Cache key
+ * @param {Array} tags - Tags the entry can be invalidated by
+ * @param {Function} load - Loads the value on a miss
+ * @param {Function} isUsable - Optional check that a cached value still covers the request
+ * @returns {object} { value, hit, createdAt, ageMs } where createdAt is null if the value was not cached
+ */
+async function loadThroughCache(conn, cache, key, tags, load, isUsable = () => true) {
+  if (cache) {
+    try {
+      const cached = await cache.get(key);
+      if (cached && isUsable(cached.value)) return { value: cached.value, hit: true, createdAt: cached.createdAt, ageMs: cached.ageMs };
+    } catch (error) {
+      console.error(`Context cache read failed for ${key}:`, error.message);
+    }
+  }
+
+  const failuresBefore = queryFailures.get(conn) || 0;
+  const value = await load();
+  let createdAt = null;
+  // Partial results (a query failed and came back empty) are not worth keeping
+  if (cache && (queryFailures.get(conn) || 0) === failuresBefore) {
+    try {
+      createdAt = (await cache.set(key, value, { tags }))?.createdAt || null;
+    } catch (error) {
+      console.error(`Context cache write failed for ${key}:`, error.message);
+    }
+  }
+  return { value, hit: false, createdAt, ageMs: 0 };
+}
+
+/**
+ * Returns CTA data without any collected records
+ * @param {string} recordType - Type of the record
+ * @returns {object} CTA data with empty sections
+ */
+function emptyCTAData(recordType) {
+  return {
+    recordType,
+    primaryContext: { primaryCTA: null, relatedContact: null, relatedOpportunities: [], contactActivities: [], contactConversations: [] },
+    additionalCTAs: [],
+    accountData: null,
+    additionalContacts: [],
+    accountLevelActivities: [],
+    additionalOpportunities: [],
+    additionalConversations: [],
+    productSummaryWrapperResponse: []
+  };
+}
+
+/**
+ * Collects the CTA data of a record that has no account: the record itself, its primary contact and their activities
+ * @param {object} conn - JSForce connection
+ * @param {object} parent - Resolved record (see getParentRecord)
+ * @param {object} objects - Sections of the collection profile
+ * @returns {object} CTA data with parentRecord set and the account-level sections empty
+ */
+async function collectRecordWithoutAccount(conn, parent, objects) {
+  const { primaryContactId } = parent;
+  const data = emptyCTAData(parent.type);
+  const { attributes, ...record } = parent.record;
+  data.parentRecord = { type: parent.type, ...record };
+
+  if (primaryContactId) {
+    try {
+      const contacts = await executeProfileQuery(conn, objects.contacts && {
+        ...objects.contacts,
+        where: { Id: '$primaryContactId' },
+        conditions: [],
+        limit: 1
+      }, { primaryContactId });
+      data.primaryContext.relatedContact = processContactData(contacts, primaryContactId)[0] || null;
+    } catch (error) {
+      console.error(`Error fetching primary contact ${primaryContactId}:`, error);
+    }
+  }
+  // Activities on a Lead are logged against the Lead itself (Task.WhoId)
+  const whoId = primaryContactId || (parent.type === 'lead' ? parent.record.Id : null);
+  data.primaryContext.contactActivities = processActivityData(await getTasksForContact(conn, whoId, objects.contactTasks));
+  return data;
+}
+
 /**
  * Collects all CTA-related data for a record
  * @param {object} conn - JSForce connection
- * @param {string} recordId - FSR record ID
- * @returns {object} All collected and processed CTA data
+ * @param {string} recordId - FSR, Lead, Opportunity, Account or Case record ID
+ * @param {object} options - Collection options
+ * @param {string} options.profile - Collection profile name (defaults to the tenant's profile)
+ * @param {object} options.cache - Context cache (see cache.js) for the account-level results, kept per Salesforce
+ *   user (conn.userInfo); none by default
+ * @param {Function} options.onCache - Optional callback receiving { key, account, contact, ageMs } ('hit' or 'miss')
+ * @param {boolean} options.refresh - Skip cached results (fresh results are still cached)
+ * @returns {object} All collected and processed CTA data; recordType names the type of the record and
+ *   parentRecord holds the record itself for types other than FSR (whose record is the primary CTA). Such a
+ *   record without an account still comes back, with its contact and activities and no account data
  */
-async function collectAllCTAData(conn, recordId) {
+async function collectAllCTAData(conn, recordId, options = {}) {
+  assertId(recordId, 'recordId');
+  const { name: profileName, objects } = profiles.loadProfile(options.profile || tenants.forConnection(conn).profile);
+  // What a user may read depends on their sharing rules, so cached results are only served back to the same
+  // Salesforce user; without a known user nothing is cached
+  const userId = conn.userInfo?.id || null;
+  const cache = userId ? options.cache || null : null;
   try {
-    // Get the base FSR record
-    const fsr = await getFSRRecord(conn, recordId);
-    if (!fsr || !fsr.Inquiry_Account__c) {
-      console.log('No FSR record found or no account associated');
-      return { 
-        error: 'No FSR record found or no account associated',
-        primaryContext: { primaryCTA: null, relatedContact: null, relatedOpportunities: [], contactActivities: [], contactConversations: [] },
-        additionalCTAs: [],
-        accountData: null,
-        additionalContacts: [],
-        accountLevelActivities: [],
-        additionalOpportunities: [],
-        additionalConversations: [],
-        productSummaryWrapperResponse: []
-      };
+    // Get the base record and the account and contact it belongs to
+    const parent = await getParentRecord(conn, recordId, objects);
+    const isFSR = parent.type === recordTypes.FSR_TYPE;
+    // An FSR is briefed through its account; other records (e.g. an unconverted Lead) stand on their own
+    if (!parent.record || (isFSR && !parent.accountId)) {
+      const error = `No ${parent.label} record found or no account associated`;
+      console.log(error);
+      return { error, ...emptyCTAData(parent.type) };
+    }
+    if (!parent.accountId) {
+      console.log(`${parent.label} record ${recordId} has no account, collecting the record and its contact only`);
+      return collectRecordWithoutAccount(conn, parent, objects);
     }
     
-    const accountId = fsr.Inquiry_Account__c;
-    const primaryContactId = fsr.Contact__c;
-    console.log(`primaryContactId: ${primaryContactId} accountId: ${accountId} fsr: ${JSON.stringify(fsr)}`);
+    const { accountId, primaryContactId } = parent;
+    console.log(`primaryContactId: ${primaryContactId} accountId: ${accountId} ${parent.type}: ${JSON.stringify(parent.record)}`);
 
-    // Fetch all data in parallel for better performance
-    const [
+    // Account-level results are shared by every CTA on the account, so they are cached per org, user, profile and account
+    const cacheKey = `${conn.instanceUrl || 'org'}|${userId}|${profileName}|${accountId}`;
+    const cacheTags = [`account:${toCaseSafeId(accountId)}`];
+    // A CTA created after the entry was cached is not in it yet, so such an entry counts as a miss
+    const coversRecord = (cached) => !options.refresh && (!isFSR || !objects.ctas || cached.ctaRecords.some(cta => cta.Id === recordId));
+    const accountLoad = await loadThroughCache(conn, cache, cacheKey, cacheTags, async () => {
+      // Fetch all data in parallel for better performance
+      const [
+        accounts,
+        ctaRecords,
+        contacts,
+        accountTasks,
+        opportunities,
+        salesloftConversations,
+        productSummary
+      ] = await Promise.all([
+        getAccountRecords(conn, accountId, objects.account),
+        getCTARecords(conn, accountId, objects.ctas),
+        getContactRecords(conn, accountId, objects.contacts),
+        getTaskRecords(conn, accountId, objects.accountTasks),
+        getOpportunityRecords(conn, accountId, objects.opportunities),
+        getSalesloftConversationRecords(conn, accountId, objects.conversations),
+        getProductSummary(conn, accountId, objects.products)
+      ]);
+      return { accounts, ctaRecords, contacts, accountTasks, opportunities, salesloftConversations, productSummary };
+    }, coversRecord);
+    const {
       accounts,
       ctaRecords,
       contacts,
@@ -512,17 +774,34 @@ async function collectAllCTAData(conn, recordId) {
       opportunities,
       salesloftConversations,
       productSummary
-    ] = await Promise.all([
-      getAccountRecords(conn, accountId),
-      getCTARecords(conn, accountId),
-      getContactRecords(conn, accountId),
-      getTaskRecords(conn, accountId),
-      getOpportunityRecords(conn, accountId),
-      getSalesloftConversationRecords(conn, accountId),
-      getProductSummary(conn, accountId)
-    ]);
-    
-    console.log(`FSR record ${recordId} has accountId: ${accountId}, primaryContactId: ${primaryContactId}`);
+    } = accountLoad.value;
+
+    // Contact-level results are cached alongside the account entry they were derived from
+    let contactLoad = null;
+    if (primaryContactId) {
+      contactLoad = await loadThroughCache(
+        conn,
+        accountLoad.createdAt ? cache : null,
+        `${cacheKey}@${accountLoad.createdAt}|contact:${primaryContactId}`,
+        cacheTags,
+        async () => ({
+          contactTasks: await getTasksForContact(conn, primaryContactId, objects.contactTasks),
+          opportunityRoles: await getOpportunityContactRoles(conn, opportunities.map(opp => opp.Id), primaryContactId)
+        })
+      );
+    }
+    if (cache) {
+      const cacheInfo = {
+        key: cacheKey,
+        account: accountLoad.hit ? 'hit' : 'miss',
+        contact: contactLoad ? (contactLoad.hit ? 'hit' : 'miss') : null,
+        ageMs: accountLoad.ageMs
+      };
+      console.log(`Context cache ${cacheInfo.account} for account ${accountId} (contact: ${cacheInfo.contact || 'n/a'})`);
+      if (options.onCache) options.onCache(cacheInfo);
+    }
+    
+    console.log(`${parent.label} record ${recordId} has accountId: ${accountId}, primaryContactId: ${primaryContactId}`);
     
     // Get primary contact if it wasn't found in the account contacts
     let primaryContact = null;
@@ -535,11 +814,13 @@ async function collectAllCTAData(conn, recordId) {
       } else {
         console.log(`Primary contact ${primaryContactId} not found in account contacts. Fetching directly...`);
         try {
-          // Fetch the primary contact directly
-          const primaryContacts = await conn.sobject('Contact')
-            .select('Name, Id, Title, Email, Phone, Last_FSR_Activity__c')
-            .where({ Id: primaryContactId })
-            .execute();
+          // Fetch the primary contact directly, with the fields the profile collects for contacts
+          const primaryContacts = await executeProfileQuery(conn, objects.contacts && {
+            ...objects.contacts,
+            where: { Id: '$primaryContactId' },
+            conditions: [],
+            limit: 1
+          }, { primaryContactId });
             
           if (primaryContacts && primaryContacts.length > 0) {
             primaryContact = primaryContacts[0];
@@ -562,10 +843,7 @@ async function collectAllCTAData(conn, recordId) {
     }
     
     // Also get tasks for the primary contact if available
-    let contactTasks = [];
-    if (primaryContactId) {
-      contactTasks = await getTasksForContact(conn, primaryContactId);
-    }
+    const contactTasks = contactLoad ? contactLoad.value.contactTasks : [];
     
     // Process data
     const contactDataList = processContactData(contacts, primaryContactId);
@@ -583,6 +861,7 @@ async function collectAllCTAData(conn, recordId) {
     console.log('Primary Contact:', primaryContactObj ? `${primaryContactObj.contactName} (${primaryContactObj.contactId})` : 'NONE');
     
     const allData = {
+      recordType: parent.type,
       primaryContext: {
         primaryCTA,
         relatedContact: primaryContactObj,
@@ -598,6 +877,10 @@ async function collectAllCTAData(conn, recordId) {
       additionalConversations: salesloftDataList,
       productSummaryWrapperResponse: productSummary
     };
+    if (!isFSR) {
+      const { attributes, ...record } = parent.record;
+      allData.parentRecord = { type: parent.type, ...record };
+    }
     
     // If we have opportunity data and a primary contact, find related opportunities
     if (primaryContactId && opportunityDataList.length > 0) {
@@ -605,7 +888,7 @@ async function collectAllCTAData(conn, recordId) {
       if (opportunityIds.length > 0) {
         try {
           // Get opportunity contact roles to determine which opportunities are related to primary contact
-          const oppsWithRoles = await getOpportunityContactRoles(conn, opportunityIds, primaryContactId);
+          const oppsWithRoles = contactLoad.value.opportunityRoles;
           if (oppsWithRoles && oppsWithRoles.length > 0) {
             // Map of opportunity IDs that have the primary contact as a contact role
             const primaryContactOpps = new Set();
@@ -658,6 +941,23 @@ async function collectAllCTAData(conn, recordId) {
   }
 }
 
+/**
+ * Finds the conversation record of a parent record without changing anything
+ * @param {object} conn - JSForce connection
+ * @param {string} parentRecordId - FSR record ID
+ * @returns {object|null} { sfdcId, conversationId } or null if there is none
+ */
+async function findConversationRecord(conn, parentRecordId) {
+  const sfdcObject = conversationObject(conn);
+  const fields = conversationFields(conn);
+  const queryResult = await conn.query(
+    soql`SELECT Id, ${soql.identifier(fields.conversationId)} FROM ${soql.identifier(sfdcObject)} WHERE ${soql.identifier(fields.parentRecordId)} = ${soql.id(parentRecordId, 'parentRecordId')} LIMIT 1`
+  );
+  if (queryResult.totalSize === 0) return null;
+  const rec = queryResult.records[0];
+  return { sfdcId: rec.Id, conversationId: rec[fields.conversationId] || null };
+}
+
 /**
  * Check for existing conversation record and create/update as needed
  * @param {object} conn - JSForce connection
@@ -666,21 +966,21 @@ async function collectAllCTAData(conn, recordId) {
  * @returns {object} Record info with sfdcId and existing flag
  */
 async function manageConversationRecord(conn, parentRecordId, conversationId) {
-  const sfdcObject = process.env.SFDC_OBJECT_API_NAME || 'WO_Conversation__c';
+  const sfdcObject = conversationObject(conn);
+  const fields = conversationFields(conn);
   let sfdcId = null;
   let existingConversationId = null;
   let isExisting = false;
 
+  assertId(parentRecordId, 'parentRecordId');
+
   try {
-    // Check for existing record by Parent_Record_Id__c
-    const queryResult = await conn.query(
-      `SELECT Id, Conversation_Id__c FROM ${sfdcObject} WHERE Parent_Record_Id__c='${parentRecordId}' LIMIT 1`
-    );
-    
-    if (queryResult.totalSize > 0) {
-      const rec = queryResult.records[0];
-      sfdcId = rec.Id;
-      existingConversationId = rec.Conversation_Id__c || null;
+    // Check for existing record by its parent record
+    const existing = await findConversationRecord(conn, parentRecordId);
+    
+    if (existing) {
+      sfdcId = existing.sfdcId;
+      existingConversationId = existing.conversationId;
       isExisting = true;
       console.log('Found existing conversation record:', existingConversationId);
     }
@@ -693,7 +993,7 @@ async function manageConversationRecord(conn, parentRecordId, conversationId) {
     try {
       await conn.sobject(sfdcObject).update({
         Id: sfdcId,
-        Conversation_Id__c: conversationId
+        [fields.conversationId]: conversationId
       });
       existingConversationId = conversationId;
       console.log(`Updated existing record ${sfdcId} with conversation ID ${conversationId}`);
@@ -706,9 +1006,9 @@ async function manageConversationRecord(conn, parentRecordId, conversationId) {
   if (!sfdcId && parentRecordId) {
     try {
       const createResult = await conn.sobject(sfdcObject).create({
-        Conversation_Id__c: conversationId || null,
-        Parent_Record_Id__c: parentRecordId,
-        Chat_Done__c: false
+        [fields.conversationId]: conversationId || null,
+        [fields.parentRecordId]: parentRecordId,
+        [fields.chatDone]: false
       });
       
       if (createResult.success) {
@@ -728,8 +1028,8 @@ async function manageConversationRecord(conn, parentRecordId, conversationId) {
     try {
       await conn.sobject(sfdcObject).update({
         Id: sfdcId,
-        Chat_Done__c: false,
-        current_conversation__c: ''
+        [fields.chatDone]: false,
+        [fields.currentConversation]: ''
       });
     } catch (updateErr) {
       console.error('Failed to mark record processing:', updateErr.message);
@@ -749,85 +1049,213 @@ async function manageConversationRecord(conn, parentRecordId, conversationId) {
  * @param {string} sfdcId - Record ID
  * @param {string} assistantContent - Content to add to the record
  * @param {boolean} isFirstConversation - Whether this is the first conversation (no message input)
+ * @param {object} options - Options
+ * @param {Function} options.summarize - Summarizer for history compaction (see history.createSummarizer)
+ * @param {Array} options.turns - Turns of this exchange (see turns.buildTurns) the history entries are
+ *   rendered from; defaults to the assistant answer alone
+ * @throws {Error} When the record cannot be read or updated (history compaction failures are only logged)
  */
-async function updateConversationRecord(conn, sfdcId, assistantContent, isFirstConversation = false) {
+async function updateConversationRecord(conn, sfdcId, assistantContent, isFirstConversation = false, options = {}) {
   if (!conn || !sfdcId || !assistantContent) {
     console.error('Missing required parameters for updateConversationRecord');
     return;
   }
 
-  const sfdcObject = process.env.SFDC_OBJECT_API_NAME || 'WO_Conversation__c';
-  const CHARACTER_LIMIT = 100000; // 100k character limit for conversation history
+  const sfdcObject = conversationObject(conn);
+  const fields = conversationFields(conn);
 
   try {
-    // Fetch current record to get Conversation_History__c
+    // Fetch current record to get the history
     const recordResult = await conn.sobject(sfdcObject).retrieve(sfdcId);
-    const currentHistory = recordResult?.Conversation_History__c || '';
-
-    // Simple HTML escape
-    function escapeHtml(str) {
-      return String(str)
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#39;');
-    }
+    const currentHistory = recordResult?.[fields.history] || '';
 
-    const newLi = `<li>${escapeHtml(assistantContent)}</li>`;
-    let newHistory = '';
-    let shouldUpdateHistory = true;
-    
-    if (!currentHistory || currentHistory.trim() === '') {
-      newHistory = `<ul>${newLi}</ul>`;
-    } else {
-      // Attempt to insert into existing <ul> if present, else append new ul
-      const ulCloseIndex = currentHistory.lastIndexOf('</ul>');
-      if (ulCloseIndex !== -1) {
-        newHistory = currentHistory.slice(0, ulCloseIndex) + newLi + currentHistory.slice(ulCloseIndex);
-      } else {
-        newHistory = currentHistory + `<ul>${newLi}</ul>`;
-      }
-      
-      // Check if we're going to exceed the character limit
-      if (newHistory.length >= CHARACTER_LIMIT) {
-        console.log(`Conversation history would exceed ${CHARACTER_LIMIT} characters (${newHistory.length}). Skipping history update.`);
-        shouldUpdateHistory = false;
-      }
+    // The fields are rendered as rich text, so only sanitized HTML is stored, in the history too
+    const html = renderAssistantHtml(assistantContent);
+
+    // Past the field limit the oldest turns are archived to Files behind a summary; if that fails,
+    // the history is left as it is rather than losing turns
+    let newHistory = null;
+    try {
+      const entries = (options.turns || [{ role: 'assistant', content: html }]).map(history.renderTurn);
+      const appended = await history.appendTurns(conn, { sfdcId, history: currentHistory, turns: entries, summarize: options.summarize });
+      newHistory = appended.history;
+    } catch (historyError) {
+      console.error(`Could not compact conversation history of ${sfdcId}, skipping history update:`, historyError.message);
     }
 
     // Update the record using jsforce, conditionally including the history field
     const updateFields = {
       Id: sfdcId,
-      Chat_Done__c: true
+      [fields.chatDone]: true
     };
     
-    // If this is the first conversation, update First_Conversation__c
-    // Otherwise update current_conversation__c
+    // If this is the first conversation, update the first conversation field
+    // Otherwise update the current conversation field
     if (isFirstConversation) {
-      console.log('Updating First_Conversation__c field (no user message provided)');
-      updateFields.First_Conversation__c = assistantContent;
+      console.log(`Updating ${fields.firstConversation} field (no user message provided)`);
+      updateFields[fields.firstConversation] = html;
     } else {
-      console.log('Updating current_conversation__c field');
-      updateFields.current_conversation__c = assistantContent;
+      console.log(`Updating ${fields.currentConversation} field`);
+      updateFields[fields.currentConversation] = html;
     }
     
-    // Only update the history if it won't exceed the character limit
-    if (shouldUpdateHistory) {
-      updateFields.Conversation_History__c = newHistory;
+    if (newHistory !== null) {
+      updateFields[fields.history] = newHistory;
     }
     
     await conn.sobject(sfdcObject).update(updateFields);
 
-    console.log(`Updated conversation record ${sfdcId} with new content${shouldUpdateHistory ? ' and history' : ' (history skipped due to size limit)'}`);
+    console.log(`Updated conversation record ${sfdcId} with new content${newHistory !== null ? ' and history' : ' (history skipped)'}`);
+  } catch (error) {
+    // The job fails its writing_back phase, which marks the record failed and releases the UI for a retry
+    console.error('Error updating conversation record:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Writes the optional failure fields of a conversation record, skipping those the org does not have
+ * @param {object} conn - JSForce connection
+ * @param {string} sfdcObject - Conversation sObject
+ * @param {string} sfdcId - Record ID
+ * @param {object} values - Field values by field name
+ * @returns {boolean} True if the record was updated
+ */
+async function updateFailureFields(conn, sfdcObject, sfdcId, values) {
+  try {
+    const available = await getAvailableFields(conn, sfdcObject, Object.keys(values));
+    if (available.length === 0) return false;
+    await conn.sobject(sfdcObject).update({
+      Id: sfdcId,
+      ...Object.fromEntries(available.map(field => [field, values[field]]))
+    });
+    return true;
   } catch (error) {
-    console.error('Error updating conversation record:', error);
+    // Orgs without the error fields keep working; the failure fields are optional
+    console.error('Failed to write failure fields on conversation record:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Writes a job failure to the conversation record so the UI stops waiting and can offer a retry
+ * @param {object} conn - JSForce connection
+ * @param {string} sfdcId - Record ID
+ * @param {object} failure - Failure details
+ * @param {string} failure.phase - Job phase that failed (collecting, prompting, polling, writing_back)
+ * @param {string} failure.message - User-readable message
+ * @param {boolean} failure.retryable - Whether POST /jobs/:id/retry can recover the job
+ * @param {string} failure.status - Status value to write (defaults to 'Error')
+ * @returns {boolean} True if the record was updated
+ */
+async function markConversationFailed(conn, sfdcId, failure = {}) {
+  if (!conn || !sfdcId) {
+    console.error('Missing required parameters for markConversationFailed');
+    return false;
+  }
+
+  const sfdcObject = conversationObject(conn);
+  const fields = conversationFields(conn);
+  const { phase = null, message = '', retryable = false, status = 'Error' } = failure;
+
+  try {
+    // Chat done is what the UI waits on; set it on its own so the error is shown instead of a spinner
+    // even when the org lacks the optional failure fields
+    await conn.sobject(sfdcObject).update({ Id: sfdcId, [fields.chatDone]: true });
+  } catch (error) {
+    console.error('Error writing failure to conversation record:', error.message);
+    return false;
+  }
+  await updateFailureFields(conn, sfdcObject, sfdcId, {
+    [fields.status]: status,
+    [fields.errorMessage]: String(message).substring(0, 255),
+    [fields.failedPhase]: phase,
+    [fields.retryable]: !!retryable
+  });
+  console.log(`Marked conversation record ${sfdcId} as ${status} (phase: ${phase}, retryable: ${!!retryable})`);
+  return true;
+}
+
+/**
+ * Clears a previous failure from the conversation record when a job (re)starts
+ * @param {object} conn - JSForce connection
+ * @param {string} sfdcId - Record ID
+ */
+async function clearConversationFailure(conn, sfdcId) {
+  if (!conn || !sfdcId) return;
+
+  const sfdcObject = conversationObject(conn);
+  const fields = conversationFields(conn);
+  try {
+    await conn.sobject(sfdcObject).update({ Id: sfdcId, [fields.chatDone]: false });
+  } catch (error) {
+    console.error('Failed to clear failure state on conversation record:', error.message);
+  }
+  await updateFailureFields(conn, sfdcObject, sfdcId, {
+    [fields.status]: null,
+    [fields.errorMessage]: null,
+    [fields.failedPhase]: null,
+    [fields.retryable]: false
+  });
+}
+
+/**
+ * Records which prompt template version produced the briefing, so briefings are traceable
+ * @param {object} conn - JSForce connection
+ * @param {string} sfdcId - Record ID
+ * @param {string} templateVersion - Template reference (e.g. cta-briefing@1)
+ * @returns {boolean} True if the record was updated
+ */
+async function recordPromptVersion(conn, sfdcId, templateVersion) {
+  if (!conn || !sfdcId || !templateVersion) return false;
+
+  const sfdcObject = conversationObject(conn);
+  try {
+    await conn.sobject(sfdcObject).update({
+      Id: sfdcId,
+      [conversationFields(conn).promptTemplateVersion]: templateVersion
+    });
+    return true;
+  } catch (error) {
+    // Orgs without the field keep working; the version is also kept on the job record
+    console.error('Failed to record prompt template version on conversation record:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Writes the sections of a structured briefing to discrete fields of the conversation record
+ * @param {object} conn - JSForce connection
+ * @param {string} sfdcId - Record ID
+ * @param {object} fields - Field values keyed by API name (see briefing.toRecordFields)
+ * @returns {Array} Names of the fields written (fields the org does not have are skipped)
+ */
+async function writeBriefingFields(conn, sfdcId, fields) {
+  if (!conn || !sfdcId || !fields) return [];
+
+  const sfdcObject = conversationObject(conn);
+  try {
+    const available = await getAvailableFields(conn, sfdcObject, Object.keys(fields));
+    if (available.length === 0) return [];
+    await conn.sobject(sfdcObject).update({
+      Id: sfdcId,
+      ...Object.fromEntries(available.map(field => [field, fields[field]]))
+    });
+    console.log(`Wrote ${available.length} briefing field(s) to conversation record ${sfdcId}`);
+    return available;
+  } catch (error) {
+    // The briefing is still written to the rich-text fields; the discrete fields are an addition
+    console.error('Failed to write briefing fields to conversation record:', error.message);
+    return [];
   }
 }
 
 module.exports = {
   createSalesforceConnection,
+  conversationObject,
+  conversationFields,
   getFSRRecord,
+  getParentRecord,
   getAccountRecords,
   getCTARecords,
   getContactRecords,
@@ -837,6 +1265,8 @@ module.exports = {
   getOpportunityContactRoles,
   getSalesloftConversationRecords,
   getProductSummary,
+  executeProfileQuery,
+  getAvailableFields,
   processAccountData,
   processContactData,
   processCTAData,
@@ -844,6 +1274,11 @@ module.exports = {
   processOpportunityData,
   processSalesloftData,
   collectAllCTAData,
+  findConversationRecord,
   manageConversationRecord,
-  updateConversationRecord
+  updateConversationRecord,
+  markConversationFailed,
+  clearConversationFailure,
+  recordPromptVersion,
+  writeBriefingFields
 };
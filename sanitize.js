@@ -0,0 +1,287 @@
+/**
+ * Assistant Content Sanitizer
+ * Model output is written into rich-text fields the UI renders as HTML, so it goes through an
+ * allow-list sanitizer first: formatting, headings, lists and tables are kept, links must be https,
+ * and scripts, styles, event handlers and unknown tags are removed. Answers written in markdown
+ * despite the prompt's instructions are converted to HTML before sanitizing.
+ */
+
+// Allowed tags and, per tag, the attributes they may keep
+const ALLOWED_TAGS = {
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  p: [], br: [], hr: [], div: [], span: [],
+  b: [], strong: [], i: [], em: [], u: [], s: [], sub: [], sup: [],
+  blockquote: [], pre: [], code: [],
+  ul: [], ol: ['start'], li: [],
+  table: [], caption: [], thead: [], tbody: [], tfoot: [], tr: [],
+  th: ['colspan', 'rowspan'], td: ['colspan', 'rowspan'],
+  a: ['href', 'title']
+};
+const VOID_TAGS = ['br', 'hr'];
+// Removed together with their content rather than unwrapped
+const DROPPED_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'textarea', 'select', 'title', 'head', 'svg', 'math'];
+const NUMERIC_ATTRIBUTES = ['start', 'colspan', 'rowspan'];
+
+const TAG_PATTERN = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][a-zA-Z0-9]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*\/?>/g;
+const ATTRIBUTE_PATTERN = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Escapes text for HTML, leaving existing entities alone
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/&(?!(?:#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);)/gi, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Escapes an attribute value
+ * @param {string} value - Decoded value
+ * @returns {string} Value safe inside double quotes
+ */
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Decodes the entities of an attribute value, so encoded schemes like &#106;avascript: are caught
+ * @param {string} value - Raw value
+ * @returns {string} Decoded value
+ */
+function decodeEntities(value) {
+  return String(value).replace(/&(#\d+|#x[0-9a-f]+|[a-z]+);?/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Tells whether a link target is allowed
+ * @param {string} href - Decoded href
+ * @returns {boolean} True for absolute https URLs
+ */
+function isSafeHref(href) {
+  // Control characters and whitespace inside the scheme are how filters get bypassed
+  if (/[\u0000-\u001f\u007f\s]/.test(href)) return false;
+  try {
+    return new URL(href).protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Keeps the allowed attributes of a tag
+ * @param {string} tag - Tag name (lower case)
+ * @param {string} source - Raw attribute source
+ * @returns {string|null} Attributes to emit (with a leading space), or null if a required one is missing
+ */
+function sanitizeAttributes(tag, source) {
+  const allowed = ALLOWED_TAGS[tag];
+  const kept = [];
+  for (const match of (source || '').matchAll(ATTRIBUTE_PATTERN)) {
+    const name = match[1].toLowerCase();
+    if (!allowed.includes(name) || kept.some(([keptName]) => keptName === name)) continue;
+    const value = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '').trim();
+    if (name === 'href' && !isSafeHref(value)) continue;
+    if (NUMERIC_ATTRIBUTES.includes(name) && !/^\d{1,3}$/.test(value)) continue;
+    kept.push([name, value]);
+  }
+  // A link without a safe target is unwrapped to its text
+  if (tag === 'a' && !kept.some(([name]) => name === 'href')) return null;
+  return kept.map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`).join('');
+}
+
+/**
+ * Sanitizes HTML against the allow-list, balancing the tags it keeps
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Safe HTML
+ */
+function sanitizeHtml(html) {
+  const source = String(html ?? '');
+  const output = [];
+  const open = [];
+  // Allowed tags whose opening tag was dropped (e.g. <a> with an unsafe href) also drop their closing tag
+  const unwrapped = [];
+  let position = 0;
+
+  TAG_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    output.push(escapeText(source.slice(position, match.index)));
+    position = TAG_PATTERN.lastIndex;
+
+    const [, closing, rawName, attributes] = match;
+    if (!rawName) continue; // comment
+    const tag = rawName.toLowerCase();
+
+    if (DROPPED_TAGS.includes(tag)) {
+      if (!closing) {
+        const end = source.slice(position).search(new RegExp(`</${tag}\\s*>`, 'i'));
+        position = end === -1 ? source.length : position + end + source.slice(position + end).indexOf('>') + 1;
+        TAG_PATTERN.lastIndex = position;
+      }
+      continue;
+    }
+    if (!ALLOWED_TAGS[tag]) continue;
+
+    if (closing) {
+      const unwrappedIndex = unwrapped.lastIndexOf(tag);
+      const openIndex = open.lastIndexOf(tag);
+      if (unwrappedIndex !== -1 && (openIndex === -1 || unwrappedIndex > openIndex)) {
+        unwrapped.splice(unwrappedIndex, 1);
+        continue;
+      }
+      if (openIndex === -1) continue;
+      // Close anything left open inside it, so the output stays well-formed
+      while (open.length > openIndex) output.push(`</${open.pop()}>`);
+      continue;
+    }
+
+    const kept = sanitizeAttributes(tag, attributes);
+    if (kept === null) {
+      unwrapped.push(tag);
+      continue;
+    }
+    output.push(`<${tag}${kept}>`);
+    if (!VOID_TAGS.includes(tag)) open.push(tag);
+  }
+  output.push(escapeText(source.slice(position)));
+  while (open.length > 0) output.push(`</${open.pop()}>`);
+  return output.join('');
+}
+
+/**
+ * Tells whether an answer is markdown rather than HTML
+ * @param {string} text - Assistant content
+ * @returns {boolean} True when the text has markdown structure and no HTML block tags
+ */
+function looksLikeMarkdown(text) {
+  const source = String(text ?? '');
+  if (/<(h[1-6]|p|ul|ol|li|table|div|br)\b[^>]*>/i.test(source)) return false;
+  return /^\s{0,3}#{1,6}\s+\S|^\s*[-*+]\s+\S|^\s*\d+[.)]\s+\S|\*\*[^*\n]+\*\*|^\s*```|^\s*\|.+\|\s*$|\[[^\]\n]+\]\(https?:\/\/[^)\s]+\)/m.test(source);
+}
+
+/**
+ * Converts inline markdown (code, bold, italics, links) of one line to HTML. Inline HTML is passed
+ * through as markdown does; sanitizing happens afterwards.
+ * @param {string} text - Markdown line
+ * @returns {string} HTML
+ */
+function renderInline(text) {
+  const codeSpans = [];
+  let html = String(text).replace(/`([^`]+)`/g, (_, code) => {
+    codeSpans.push(escapeText(code));
+    return `\u0000${codeSpans.length - 1}\u0000`;
+  });
+  html = html
+    .replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (_, label, href) => `<a href="${escapeAttribute(decodeEntities(href))}">${label}</a>`)
+    .replace(/\*\*([^*]+)\*\*|__([^_]+)__/g, (_, a, b) => `<strong>${a || b}</strong>`)
+    .replace(/(^|[^*\w])\*([^*\s][^*]*?)\*(?!\w)|(^|[^_\w])_([^_\s][^_]*?)_(?!\w)/g, (_, p1, a, p2, b) => `${p1 ?? p2}<em>${a ?? b}</em>`);
+  return html.replace(/\u0000(\d+)\u0000/g, (_, index) => `<code>${codeSpans[Number(index)]}</code>`);
+}
+
+/**
+ * Splits a markdown table row into cells
+ * @param {string} line - Row such as "| a | b |"
+ * @returns {Array} Cell texts
+ */
+function tableCells(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+/**
+ * Converts markdown to HTML. Covers what models produce in briefings: headings, lists, tables,
+ * code blocks, quotes, rules, emphasis and links. The result still has to be sanitized.
+ * @param {string} markdown - Markdown
+ * @returns {string} HTML
+ */
+function markdownToHtml(markdown) {
+  const lines = String(markdown ?? '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+  const flushParagraph = () => {
+    if (paragraph.length > 0) blocks.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+    paragraph = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+    let match;
+
+    if (trimmed === '') {
+      flushParagraph();
+    } else if (/^```/.test(trimmed)) {
+      flushParagraph();
+      const code = [];
+      for (i++; i < lines.length && !/^\s*```/.test(lines[i]); i++) code.push(lines[i]);
+      blocks.push(`<pre><code>${escapeText(code.join('\n'))}</code></pre>`);
+    } else if ((match = trimmed.match(/^(#{1,6})\s+(.*?)\s*#*$/))) {
+      flushParagraph();
+      blocks.push(`<h${match[1].length}>${renderInline(match[2])}</h${match[1].length}>`);
+    } else if (/^([-*_])(\s*\1){2,}$/.test(trimmed)) {
+      flushParagraph();
+      blocks.push('<hr>');
+    } else if (trimmed.startsWith('|') && i + 1 < lines.length && /^\s*\|?\s*:?-{3,}/.test(lines[i + 1])) {
+      flushParagraph();
+      const header = tableCells(trimmed).map(cell => `<th>${renderInline(cell)}</th>`).join('');
+      const rows = [];
+      for (i += 2; i < lines.length && lines[i].trim().startsWith('|'); i++) {
+        rows.push(`<tr>${tableCells(lines[i]).map(cell => `<td>${renderInline(cell)}</td>`).join('')}</tr>`);
+      }
+      i--;
+      blocks.push(`<table><thead><tr>${header}</tr></thead><tbody>${rows.join('')}</tbody></table>`);
+    } else if (/^([-*+]|\d+[.)])\s+/.test(trimmed)) {
+      flushParagraph();
+      const ordered = /^\d/.test(trimmed);
+      const itemPattern = ordered ? /^\s*\d+[.)]\s+(.*)$/ : /^\s*[-*+]\s+(.*)$/;
+      const items = [];
+      // Nested items are flattened into the same list
+      for (; i < lines.length && itemPattern.test(lines[i]); i++) items.push(`<li>${renderInline(lines[i].match(itemPattern)[1])}</li>`);
+      i--;
+      blocks.push(ordered ? `<ol>${items.join('')}</ol>` : `<ul>${items.join('')}</ul>`);
+    } else if (trimmed.startsWith('>')) {
+      flushParagraph();
+      const quoted = [];
+      for (; i < lines.length && lines[i].trim().startsWith('>'); i++) quoted.push(renderInline(lines[i].trim().replace(/^>\s?/, '')));
+      i--;
+      blocks.push(`<blockquote>${quoted.join('<br>')}</blockquote>`);
+    } else {
+      paragraph.push(trimmed);
+    }
+  }
+  flushParagraph();
+  return blocks.join('');
+}
+
+/**
+ * Turns assistant content into the safe HTML stored on the conversation record
+ * @param {string} content - Assistant content (HTML as the prompt asks, or markdown)
+ * @returns {string} Sanitized HTML
+ */
+function renderAssistantHtml(content) {
+  let text = String(content ?? '').trim();
+  // Models sometimes wrap the requested HTML in a code fence
+  const fenced = text.match(/^```(?:html)?\s*\n([\s\S]*?)\n```$/i);
+  if (fenced && /<[a-z][^>]*>/i.test(fenced[1])) text = fenced[1].trim();
+  return sanitizeHtml(looksLikeMarkdown(text) ? markdownToHtml(text) : text);
+}
+
+module.exports = {
+  sanitizeHtml,
+  looksLikeMarkdown,
+  markdownToHtml,
+  renderAssistantHtml
+};
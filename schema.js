@@ -0,0 +1,132 @@
+/**
+ * Storage Schema Module
+ * Maps what the service stores on the conversation object to field API names. The defaults are the
+ * WO_Conversation__c fields; a tenant (see tenants.js) can map them to other fields, e.g. for an
+ * assistant that stores its conversations on Lead, Opportunity or Case records:
+ *   "fields": { "parentRecordId": "Lead__c", "history": "Assistant_History__c" }
+ * checkSchema compares a mapping with the object's describe and reports fields that are missing, read-only,
+ * of the wrong type or too short. It runs at startup (SCHEMA_CHECK_ON_STARTUP) and as `node app.js check-schema`.
+ */
+const { assertIdentifier } = require('./soql');
+const history = require('./history');
+
+// Stored properties: default field, accepted describe types and the length the stored values need.
+// Optional fields only add error reporting and traceability; orgs without them keep working.
+const FIELDS = {
+  conversationId: { field: 'Conversation_Id__c', types: ['string'], minLength: 36, required: true },
+  parentRecordId: { field: 'Parent_Record_Id__c', types: ['string', 'reference'], minLength: 18, required: true },
+  chatDone: { field: 'Chat_Done__c', types: ['boolean'], required: true },
+  firstConversation: { field: 'First_Conversation__c', types: ['textarea'], minLength: 32768, required: true },
+  currentConversation: { field: 'current_conversation__c', types: ['textarea'], minLength: 32768, required: true },
+  history: { field: 'Conversation_History__c', types: ['textarea'], minLength: history.CHARACTER_LIMIT, required: true },
+  status: { field: 'Status__c', types: ['string', 'picklist'], required: false },
+  errorMessage: { field: 'Error_Message__c', types: ['string', 'textarea'], minLength: 255, required: false },
+  failedPhase: { field: 'Failed_Phase__c', types: ['string', 'picklist'], required: false },
+  retryable: { field: 'Is_Retryable__c', types: ['boolean'], required: false },
+  promptTemplateVersion: { field: 'Prompt_Template_Version__c', types: ['string'], minLength: 50, required: false }
+};
+
+/**
+ * Creates a field mapping error
+ * @param {string} message - Error message
+ * @returns {Error} Error with code INVALID_FIELD_MAPPING
+ */
+function mappingError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_FIELD_MAPPING';
+  return error;
+}
+
+/**
+ * Resolves a field mapping over the defaults
+ * @param {object} overrides - Property => field API name
+ * @returns {object} Property => field API name for every stored property
+ */
+function resolveFields(overrides = {}) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) throw mappingError('The field mapping must be an object');
+  const fields = Object.fromEntries(Object.entries(FIELDS).map(([key, spec]) => [key, spec.field]));
+  Object.entries(overrides).forEach(([key, field]) => {
+    if (!FIELDS[key]) throw mappingError(`Unknown stored property "${key}". Known: ${Object.keys(FIELDS).join(', ')}`);
+    try {
+      fields[key] = assertIdentifier(field);
+    } catch (error) {
+      throw mappingError(`Invalid field for ${key}: ${error.message}`);
+    }
+  });
+  const taken = new Map();
+  Object.entries(fields).forEach(([key, field]) => {
+    const other = taken.get(field.toLowerCase());
+    if (other) throw mappingError(`${key} and ${other} are both mapped to ${field}`);
+    taken.set(field.toLowerCase(), key);
+  });
+  return fields;
+}
+
+/**
+ * Checks one mapped field against its describe entry
+ * @param {object} spec - Stored property spec
+ * @param {object} described - Field of the describe result (undefined when missing)
+ * @returns {object} { status, message } where status is ok, missing, read_only, wrong_type or too_short
+ */
+function checkField(spec, described) {
+  if (!described) return { status: 'missing', message: 'field does not exist or is not visible to this user' };
+  if (!spec.types.includes(described.type)) {
+    return { status: 'wrong_type', message: `type is ${described.type}, expected ${spec.types.join(' or ')}` };
+  }
+  if (spec.minLength && ['string', 'textarea'].includes(described.type) && (described.length || 0) < spec.minLength) {
+    return { status: 'too_short', message: `length is ${described.length || 0}, expected at least ${spec.minLength}` };
+  }
+  if (described.updateable === false) return { status: 'read_only', message: 'field is not updateable' };
+  return { status: 'ok', message: null };
+}
+
+/**
+ * Compares the conversation object of an org with a field mapping
+ * @param {object} conn - JSForce connection
+ * @param {object} mapping - Mapping to check
+ * @param {string} mapping.sobject - Conversation object
+ * @param {object} mapping.fields - Property => field API name (see resolveFields)
+ * @returns {object} { sobject, ok, error, fields: [{ key, field, required, status, message }] }; ok is false
+ *   when the object cannot be described or a required field has a problem
+ */
+async function checkSchema(conn, { sobject, fields }) {
+  let describe;
+  try {
+    describe = await conn.sobject(sobject).describe();
+  } catch (error) {
+    return { sobject, ok: false, error: `Cannot describe ${sobject}: ${error.message}`, fields: [] };
+  }
+
+  const byName = new Map((describe.fields || []).map(field => [field.name.toLowerCase(), field]));
+  const results = Object.entries(FIELDS).map(([key, spec]) => {
+    const field = fields[key] || spec.field;
+    return { key, field, required: spec.required, ...checkField(spec, byName.get(field.toLowerCase())) };
+  });
+  return {
+    sobject,
+    ok: results.every(result => !result.required || result.status === 'ok'),
+    error: null,
+    fields: results
+  };
+}
+
+/**
+ * Formats a schema report for the console
+ * @param {object} report - Result of checkSchema
+ * @returns {string} One line per field; problems of optional fields are marked as warnings
+ */
+function formatReport(report) {
+  if (report.error) return `${report.sobject}: ${report.error}`;
+  const lines = report.fields.map(result => {
+    const mark = result.status === 'ok' ? 'ok  ' : (result.required ? 'FAIL' : 'warn');
+    return `  ${mark} ${result.key.padEnd(22)} ${result.field}${result.message ? ` - ${result.message}` : ''}`;
+  });
+  return [`${report.sobject}: ${report.ok ? 'ready' : 'missing or invalid required fields'}`, ...lines].join('\n');
+}
+
+module.exports = {
+  FIELDS,
+  resolveFields,
+  checkSchema,
+  formatReport
+};
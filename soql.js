@@ -0,0 +1,206 @@
+/**
+ * SOQL Module
+ * Safe construction of SOQL strings: Salesforce ID validation, literal escaping and a
+ * tagged template that quotes every interpolated value
+ */
+
+const CHECKSUM_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ012345';
+
+/**
+ * Computes the 3-character case-safe suffix of a 15-character Salesforce ID
+ * @param {string} id15 - 15-character ID
+ * @returns {string} Checksum suffix
+ */
+function idChecksum(id15) {
+  let suffix = '';
+  for (let chunk = 0; chunk < 3; chunk++) {
+    let bits = 0;
+    for (let i = 0; i < 5; i++) {
+      const ch = id15[chunk * 5 + i];
+      if (ch >= 'A' && ch <= 'Z') bits |= 1 << i;
+    }
+    suffix += CHECKSUM_CHARS[bits];
+  }
+  return suffix;
+}
+
+/**
+ * Converts a 15-character ID to its 18-character case-safe form
+ * @param {string} id - 15- or 18-character ID
+ * @returns {string} 18-character ID
+ */
+function toCaseSafeId(id) {
+  const id15 = String(id).substring(0, 15);
+  return id15 + idChecksum(id15);
+}
+
+/**
+ * Checks whether a value is a well-formed Salesforce ID (15 characters, or 18 with a valid checksum)
+ * @param {string} id - Value to check
+ * @returns {boolean} True if valid
+ */
+function isValidId(id) {
+  if (typeof id !== 'string' || !/^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/.test(id)) return false;
+  return id.length === 15 || id.substring(15) === idChecksum(id);
+}
+
+/**
+ * Throws if a value is not a valid Salesforce ID
+ * @param {string} id - Value to check
+ * @param {string} label - Name used in the error message
+ * @returns {string} The ID
+ */
+function assertId(id, label = 'id') {
+  if (!isValidId(id)) {
+    const error = new Error(`Invalid Salesforce ID for ${label}: ${JSON.stringify(id)}`);
+    error.code = 'INVALID_ID';
+    error.status = 400;
+    throw error;
+  }
+  return id;
+}
+
+/**
+ * Throws if a value is not a valid sObject or field API name
+ * @param {string} name - API name
+ * @returns {string} The name
+ */
+function assertIdentifier(name) {
+  if (typeof name !== 'string' || !/^[A-Za-z][A-Za-z0-9_]*(\.[A-Za-z][A-Za-z0-9_]*)*$/.test(name)) {
+    const error = new Error(`Invalid SOQL identifier: ${JSON.stringify(name)}`);
+    error.code = 'INVALID_IDENTIFIER';
+    throw error;
+  }
+  return name;
+}
+
+/**
+ * Escapes a string for use inside a quoted SOQL literal
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string (without quotes)
+ */
+function escapeLiteral(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, '\\\'')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t')
+    .replace(/\f/g, '\\f')
+    .replace(/\u0008/g, '\\b');
+}
+
+// Marker for fragments that are inserted verbatim (validated IDs, identifiers, nested queries)
+class Raw {
+  constructor(text) {
+    this.text = text;
+  }
+}
+
+/**
+ * Formats a value as a SOQL literal
+ * @param {*} value - String, number, boolean, Date, null or array (for IN)
+ * @returns {string} SOQL literal
+ */
+function quote(value) {
+  if (value instanceof Raw) return value.text;
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) {
+    if (value.length === 0) throw new Error('Cannot build a SOQL IN list from an empty array');
+    return `(${value.map(quote).join(', ')})`;
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new Error(`Cannot use ${value} in SOQL`);
+    return String(value);
+  }
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  if (value instanceof Date) return value.toISOString();
+  return `'${escapeLiteral(value)}'`;
+}
+
+const OPERATORS = {
+  $eq: '=',
+  $ne: '!=',
+  $lt: '<',
+  $lte: '<=',
+  $gt: '>',
+  $gte: '>=',
+  $like: 'LIKE',
+  $in: 'IN',
+  $nin: 'NOT IN'
+};
+
+/**
+ * Builds a WHERE expression from a condition object; all conditions are ANDed
+ * e.g. { AccountId: '001...', MQL_Status__c: { $ne: '1 - Open' }, $or: [{ Type: 'Call' }, { Type: 'Email' }] }
+ * @param {object} conditions - Field conditions (scalar = equality, array = IN, object = operators)
+ * @returns {string} SOQL condition expression (empty string when there are no conditions)
+ */
+function buildConditions(conditions = {}) {
+  const expressions = Object.entries(conditions).map(([key, value]) => {
+    if (key === '$or' || key === '$and') {
+      const parts = value.map(buildConditions).filter(Boolean);
+      return parts.length > 0 ? `(${parts.join(key === '$or' ? ' OR ' : ' AND ')})` : '';
+    }
+    assertIdentifier(key);
+    if (Array.isArray(value)) return `${key} IN ${quote(value)}`;
+    if (value !== null && typeof value === 'object' && !(value instanceof Date) && !(value instanceof Raw)) {
+      return Object.entries(value).map(([op, operand]) => {
+        if (!OPERATORS[op]) throw new Error(`Unsupported SOQL operator: ${op}`);
+        return `${key} ${OPERATORS[op]} ${quote(operand)}`;
+      }).join(' AND ');
+    }
+    return `${key} = ${quote(value)}`;
+  });
+  return expressions.filter(Boolean).join(' AND ');
+}
+
+/**
+ * Tagged template that quotes every interpolated value
+ * e.g. soql`SELECT Id FROM ${soql.identifier(name)} WHERE Parent_Record_Id__c = ${soql.id(recordId)}`
+ * @returns {string} SOQL string
+ */
+function soql(strings, ...values) {
+  return strings.reduce((text, part, i) => text + part + (i < values.length ? quote(values[i]) : ''), '');
+}
+
+/**
+ * Wraps a validated Salesforce ID (or array of IDs) as a quoted literal
+ * @param {string|Array} value - ID or IDs
+ * @param {string} label - Name used in the error message
+ * @returns {Raw} Literal fragment
+ */
+soql.id = (value, label) => {
+  if (Array.isArray(value)) {
+    value.forEach(v => assertId(v, label));
+    return new Raw(quote(value));
+  }
+  return new Raw(quote(assertId(value, label)));
+};
+
+/**
+ * Wraps a validated sObject or field API name
+ * @param {string} name - API name
+ * @returns {Raw} Identifier fragment
+ */
+soql.identifier = (name) => new Raw(assertIdentifier(name));
+
+/**
+ * Wraps a trusted fragment (e.g. a nested soql`` query) to be inserted verbatim
+ * @param {string} text - SOQL fragment
+ * @returns {Raw} Fragment
+ */
+soql.raw = (text) => new Raw(text);
+
+module.exports = {
+  soql,
+  quote,
+  buildConditions,
+  escapeLiteral,
+  isValidId,
+  assertId,
+  assertIdentifier,
+  toCaseSafeId,
+  idChecksum
+};
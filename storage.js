@@ -0,0 +1,245 @@
+/**
+ * Local Storage Module
+ * Small helpers for files under DATA_DIR, and the state store shared by the web and worker processes:
+ * the job registry, the audit log, stored credentials, context snapshots and provider conversations.
+ * STATE_BACKEND selects where that state lives:
+ *   - 'file' (default): JSON files under DATA_DIR. Every process must see the same directory, so web
+ *     and worker need a shared persistent volume, or must run as one process (WORKER_IN_WEB=true).
+ *     Separate dynos each have their own ephemeral filesystem and lose it on restart.
+ *   - 'redis': keys in the Redis server of REDIS_URL (requires the optional "ioredis" package). It is
+ *     the default when QUEUE_BACKEND=redis, so the state sits next to the queue.
+ * Caches (context cache, transcript digests) stay on local disk; losing them only costs a recomputation.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Root directory for local state (can be overridden via env var)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '.data');
+
+/**
+ * Resolves a path inside the data directory, creating the directory if needed
+ * @param {...string} segments - Path segments below the data directory
+ * @returns {string} Absolute directory path
+ */
+function dataDir(...segments) {
+  const dir = path.join(DATA_DIR, ...segments);
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+/**
+ * Writes JSON to a file atomically (write to a temp file, then rename)
+ * @param {string} filePath - Destination file
+ * @param {*} value - Value to serialize
+ */
+async function writeJsonAtomic(filePath, value) {
+  const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.promises.writeFile(tmpPath, JSON.stringify(value, null, 2));
+  await fs.promises.rename(tmpPath, filePath);
+}
+
+/**
+ * Reads a JSON file
+ * @param {string} filePath - File to read
+ * @returns {*} Parsed value, or null if the file does not exist
+ */
+async function readJson(filePath) {
+  try {
+    const raw = await fs.promises.readFile(filePath, 'utf8');
+    return JSON.parse(raw);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Reads the entries of a JSON Lines file appended after a byte offset
+ * @param {string} filePath - File to read
+ * @param {number} offset - Byte offset returned by the previous call (0 to read from the start)
+ * @returns {object} { entries, offset } - each entry carries the offset just past it as `position`
+ */
+async function readJsonLines(filePath, offset = 0) {
+  let handle;
+  try {
+    handle = await fs.promises.open(filePath, 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { entries: [], offset };
+    throw error;
+  }
+
+  try {
+    const { size } = await handle.stat();
+    if (size <= offset) return { entries: [], offset };
+
+    const buffer = Buffer.alloc(size - offset);
+    await handle.read(buffer, 0, buffer.length, offset);
+
+    // Only consume complete lines; a partially written line is picked up next time
+    const lastNewline = buffer.lastIndexOf(0x0a);
+    if (lastNewline === -1) return { entries: [], offset };
+
+    const entries = [];
+    let position = offset;
+    for (const line of buffer.subarray(0, lastNewline + 1).toString('utf8').split('\n')) {
+      if (!line) continue;
+      position += Buffer.byteLength(line) + 1;
+      try {
+        entries.push({ value: JSON.parse(line), position });
+      } catch (e) {
+        // A line cut short by a crash should not hide the rest of the log
+      }
+    }
+    return { entries, offset: offset + lastNewline + 1 };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Creates a state store over JSON files under DATA_DIR: DATA_DIR/<collection>/<key>.json for values
+ * and DATA_DIR/<collection>/<key>.jsonl for logs
+ * @returns {object} State store (see createStateStore)
+ */
+function createFileStore() {
+  const filePath = (collection, key, extension = 'json') => path.join(dataDir(collection), `${path.basename(key)}.${extension}`);
+
+  return {
+    backend: 'file',
+    get: (collection, key) => readJson(filePath(collection, key)),
+    set: (collection, key, value) => writeJsonAtomic(filePath(collection, key), value),
+    async has(collection, key) {
+      return fs.existsSync(filePath(collection, key));
+    },
+    async delete(collection, key) {
+      const removed = await Promise.all([filePath(collection, key), filePath(collection, key, 'jsonl')].map(async file => {
+        try {
+          await fs.promises.unlink(file);
+          return true;
+        } catch (error) {
+          if (error.code === 'ENOENT') return false;
+          throw error;
+        }
+      }));
+      return removed.includes(true);
+    },
+    async keys(collection) {
+      const names = await fs.promises.readdir(dataDir(collection));
+      return names.filter(name => name.endsWith('.json')).map(name => name.slice(0, -'.json'.length));
+    },
+    async append(collection, key, value) {
+      // Single appends of one line are atomic enough for processes sharing the file
+      await fs.promises.appendFile(filePath(collection, key, 'jsonl'), `${JSON.stringify(value)}\n`);
+    },
+    read: (collection, key, offset = 0) => readJsonLines(filePath(collection, key, 'jsonl'), offset)
+  };
+}
+
+/**
+ * Connects to Redis with the optional ioredis package
+ * @param {string} url - Redis connection URL
+ * @param {string} setting - Setting that selected Redis, for the error message
+ * @returns {object} ioredis client
+ */
+function connectRedis(url, setting) {
+  let Redis;
+  try {
+    Redis = require('ioredis');
+  } catch (error) {
+    throw new Error(`${setting}=redis requires the optional "ioredis" package to be installed`);
+  }
+  return new Redis(url);
+}
+
+/**
+ * Creates a state store in Redis: <prefix>:<collection>:<key> for values, indexed by the set
+ * <prefix>:<collection>:keys, and lists <prefix>:<collection>:<key>:log for logs
+ * @param {object} options - Store options
+ * @param {string} options.url - Redis connection URL
+ * @param {string} options.prefix - Key prefix
+ * @param {object} options.client - Redis client to use instead of connecting to url
+ * @returns {object} State store (see createStateStore)
+ */
+function createRedisStore({ url = process.env.REDIS_URL, prefix = 'tofu:state', client } = {}) {
+  const redis = client || connectRedis(url, 'STATE_BACKEND');
+  const valueKey = (collection, key) => `${prefix}:${collection}:${key}`;
+  const indexKey = (collection) => `${prefix}:${collection}:keys`;
+  const logKey = (collection, key) => `${prefix}:${collection}:${key}:log`;
+
+  return {
+    backend: 'redis',
+    async get(collection, key) {
+      const raw = await redis.get(valueKey(collection, key));
+      return raw ? JSON.parse(raw) : null;
+    },
+    async set(collection, key, value) {
+      await redis.multi().set(valueKey(collection, key), JSON.stringify(value)).sadd(indexKey(collection), key).exec();
+    },
+    async has(collection, key) {
+      return (await redis.exists(valueKey(collection, key))) > 0;
+    },
+    async delete(collection, key) {
+      const [[, deleted]] = await redis.multi().del(valueKey(collection, key), logKey(collection, key)).srem(indexKey(collection), key).exec();
+      return deleted > 0;
+    },
+    keys: (collection) => redis.smembers(indexKey(collection)),
+    async append(collection, key, value) {
+      await redis.rpush(logKey(collection, key), JSON.stringify(value));
+    },
+    // Offsets count entries; the position of an entry is the offset just past it, as with files
+    async read(collection, key, offset = 0) {
+      const lines = await redis.lrange(logKey(collection, key), offset, -1);
+      const entries = [];
+      lines.forEach((line, index) => {
+        try {
+          entries.push({ value: JSON.parse(line), position: offset + index + 1 });
+        } catch (e) {
+          // Skip corrupt entries rather than breaking the reader
+        }
+      });
+      return { entries, offset: offset + lines.length };
+    }
+  };
+}
+
+/**
+ * Creates a state store for the configured backend
+ * @param {object} options - Store options
+ * @param {string} options.backend - 'file' or 'redis' (defaults to STATE_BACKEND, then redis when QUEUE_BACKEND=redis)
+ * @returns {object} Store exposing get(collection, key), set(collection, key, value), has, delete (the value and
+ *   log of a key), keys(collection), append(collection, key, value) and
+ *   read(collection, key, offset) => { entries: [{ value, position }], offset }
+ */
+function createStateStore(options = {}) {
+  const backend = options.backend || process.env.STATE_BACKEND || (process.env.QUEUE_BACKEND === 'redis' ? 'redis' : 'file');
+  switch (backend) {
+    case 'file':
+      return createFileStore();
+    case 'redis':
+      return createRedisStore(options);
+    default:
+      throw new Error(`Unknown STATE_BACKEND: ${backend}`);
+  }
+}
+
+let defaultStore = null;
+
+/**
+ * Returns the process-wide state store, creating it on first use
+ * @returns {object} State store
+ */
+function getStateStore() {
+  if (!defaultStore) {
+    defaultStore = createStateStore();
+  }
+  return defaultStore;
+}
+
+module.exports = {
+  DATA_DIR,
+  dataDir,
+  writeJsonAtomic,
+  readJson,
+  createStateStore,
+  getStateStore
+};
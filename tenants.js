@@ -0,0 +1,254 @@
+/**
+ * Tenants Module
+ * One deployment serves several orgs (full sandbox, UAT, production, partner orgs). The registry in
+ * TENANTS_FILE (default tenants.json next to this file; optional) maps an org ID to its settings:
+ *   {
+ *     "defaults": { "provider": { "name": "wiseowl" } },          // inherited by every tenant
+ *     "tenants": {
+ *       "00D5e000000AbCd": {                                     // 15- or 18-character org ID
+ *         "name": "partner",
+ *         "instanceUrl": "https://partner.my.salesforce.com",
+ *         "objects": { "conversation": "Partner_Conversation__c", "turn": "Partner_Conversation_Turn__c" },
+ *         "fields": { "history": "Assistant_History__c" },        // conversation object fields (see schema.js)
+ *         "provider": { "name": "openai", "model": "gpt-4o", "baseUrl": "https://...", "apiKeyEnv": "PARTNER_OPENAI_KEY" },
+ *         "profile": "enterprise",                                // collection profile
+ *         "segment": "enterprise",                                // prompt selection segment
+ *         "promptTemplate": "cta-briefing@1"                      // FSR briefing template, overrides the selection rules
+ *       }
+ *     }
+ *   }
+ * Provider settings: name, isProd, baseUrl, applicationId (WiseOwl), model and apiKeyEnv (the environment
+ * variable holding the API key; keys are never stored in the file).
+ * Orgs missing from the registry get the defaults, which fall back to the environment (SFDC_INSTANCE_URL,
+ * SFDC_OBJECT_API_NAME, SFDC_TURN_OBJECT_API_NAME, LLM_PROVIDER, COLLECTION_PROFILE), so single-org
+ * deployments need no file. TENANTS_STRICT=true rejects orgs that are not registered.
+ */
+const fs = require('fs');
+const path = require('path');
+const { isValidId, assertIdentifier } = require('./soql');
+const profiles = require('./profiles');
+const providers = require('./providers');
+const prompts = require('./prompts');
+const credentials = require('./credentials');
+const schema = require('./schema');
+
+const SETTINGS = ['name', 'instanceUrl', 'objects', 'fields', 'provider', 'profile', 'segment', 'promptTemplate'];
+const OBJECTS = ['conversation', 'turn'];
+const PROVIDER_SETTINGS = ['name', 'isProd', 'baseUrl', 'applicationId', 'model', 'apiKeyEnv'];
+
+let registryCache = null;
+
+/**
+ * Creates a tenant configuration error
+ * @param {string} message - Error message
+ * @param {string} code - Error code (INVALID_TENANT_CONFIG or UNKNOWN_TENANT)
+ * @returns {Error} Error with the code set
+ */
+function tenantError(message, code = 'INVALID_TENANT_CONFIG') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Returns the path of the registry file
+ * @returns {string} TENANTS_FILE, or tenants.json next to this module
+ */
+function registryPath() {
+  return process.env.TENANTS_FILE || path.join(__dirname, 'tenants.json');
+}
+
+/**
+ * Builds the settings of orgs without a registry entry from the environment
+ * @returns {object} Tenant settings
+ */
+function environmentDefaults() {
+  return {
+    name: 'default',
+    instanceUrl: process.env.SFDC_INSTANCE_URL || null,
+    objects: {
+      conversation: process.env.SFDC_OBJECT_API_NAME || 'WO_Conversation__c',
+      turn: process.env.SFDC_TURN_OBJECT_API_NAME || 'WO_Conversation_Turn__c'
+    },
+    fields: {},
+    provider: { name: (process.env.LLM_PROVIDER || 'wiseowl').toLowerCase() },
+    profile: process.env.COLLECTION_PROFILE || profiles.DEFAULT_PROFILE,
+    segment: null,
+    promptTemplate: null
+  };
+}
+
+/**
+ * Layers tenant settings over a base; provider settings are only inherited for the same provider
+ * @param {object} base - Base settings
+ * @param {object} overrides - Settings from the registry
+ * @returns {object} Merged settings
+ */
+function mergeSettings(base, overrides = {}) {
+  const provider = overrides.provider?.name && overrides.provider.name !== base.provider.name
+    ? { ...overrides.provider }
+    : { ...base.provider, ...overrides.provider };
+  return {
+    ...base,
+    ...overrides,
+    objects: { ...base.objects, ...overrides.objects },
+    fields: { ...base.fields, ...overrides.fields },
+    provider
+  };
+}
+
+/**
+ * Checks the keys and values of one registry entry (before merging)
+ * @param {string} label - Entry label for error messages
+ * @param {object} entry - Registry entry
+ */
+function validateEntry(label, entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) throw tenantError(`${label} must be an object`);
+  const unknown = Object.keys(entry).filter(key => !SETTINGS.includes(key));
+  if (unknown.length > 0) throw tenantError(`${label} has unknown settings: ${unknown.join(', ')}`);
+  if (entry.instanceUrl !== undefined && !credentials.isValidInstanceUrl(entry.instanceUrl)) {
+    throw tenantError(`${label}: invalid instanceUrl ${entry.instanceUrl}`);
+  }
+  Object.entries(entry.objects || {}).forEach(([key, name]) => {
+    if (!OBJECTS.includes(key)) throw tenantError(`${label}: unknown object "${key}". Known: ${OBJECTS.join(', ')}`);
+    try {
+      assertIdentifier(name);
+    } catch (error) {
+      throw tenantError(`${label}: ${error.message}`);
+    }
+  });
+  if (entry.fields !== undefined) {
+    try {
+      schema.resolveFields(entry.fields);
+    } catch (error) {
+      throw tenantError(`${label}: ${error.message}`);
+    }
+  }
+  if (entry.provider !== undefined) {
+    const unknownProvider = Object.keys(entry.provider || {}).filter(key => !PROVIDER_SETTINGS.includes(key));
+    if (unknownProvider.includes('apiKey')) throw tenantError(`${label}: name the environment variable holding the API key in apiKeyEnv instead of apiKey`);
+    if (unknownProvider.length > 0) throw tenantError(`${label} has unknown provider settings: ${unknownProvider.join(', ')}`);
+  }
+}
+
+/**
+ * Checks the merged settings of a tenant against the registered providers, profiles and prompts
+ * @param {string} label - Tenant label for error messages
+ * @param {object} settings - Merged settings
+ */
+function validateSettings(label, settings) {
+  try {
+    providers.getProvider(settings.provider.name);
+    profiles.loadProfile(settings.profile);
+    if (settings.promptTemplate) prompts.selectTemplate({ template: settings.promptTemplate });
+  } catch (error) {
+    throw tenantError(`${label}: ${error.message}`);
+  }
+  if (settings.provider.baseUrl && !/^https?:\/\/[^/]/.test(settings.provider.baseUrl)) {
+    throw tenantError(`${label}: provider baseUrl must be an http(s) URL`);
+  }
+}
+
+/**
+ * Loads and validates the registry file (cached)
+ * @returns {object} { defaults, tenants } where tenants maps 15-character org IDs to their entries
+ */
+function loadRegistry() {
+  if (registryCache) return registryCache;
+
+  const filePath = registryPath();
+  let raw = {};
+  if (fs.existsSync(filePath)) {
+    try {
+      raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw tenantError(`Invalid tenant registry ${filePath}: ${error.message}`);
+    }
+  }
+
+  const defaults = raw.defaults || {};
+  validateEntry('Tenant defaults', defaults);
+  const tenants = new Map();
+  Object.entries(raw.tenants || {}).forEach(([orgId, entry]) => {
+    if (!isValidId(orgId) || !orgId.startsWith('00D')) throw tenantError(`Invalid org ID in the tenant registry: ${orgId}`);
+    const key = orgId.substring(0, 15);
+    if (tenants.has(key)) throw tenantError(`Org ${orgId} is registered twice`);
+    validateEntry(`Tenant ${orgId}`, entry);
+    validateSettings(`Tenant ${orgId}`, mergeSettings(mergeSettings(environmentDefaults(), defaults), entry));
+    tenants.set(key, { name: key, ...entry });
+  });
+
+  registryCache = { defaults, tenants };
+  return registryCache;
+}
+
+/**
+ * Resolves the settings of an org
+ * @param {string} orgId - 15- or 18-character org ID (null when unknown)
+ * @returns {object} { orgId, registered, name, instanceUrl, objects, fields, provider, profile, segment, promptTemplate }
+ */
+function resolveTenant(orgId) {
+  const registry = loadRegistry();
+  const entry = orgId ? registry.tenants.get(String(orgId).substring(0, 15)) : null;
+  if (!entry && process.env.TENANTS_STRICT === 'true') {
+    throw tenantError(`Org ${orgId || '(unknown)'} is not registered in ${registryPath()}`, 'UNKNOWN_TENANT');
+  }
+  const settings = mergeSettings(mergeSettings(environmentDefaults(), registry.defaults), entry || {});
+  return {
+    orgId: orgId || null,
+    registered: !!entry,
+    ...settings,
+    fields: schema.resolveFields(settings.fields)
+  };
+}
+
+/**
+ * Returns the tenant of a connection, resolved once from the org its identity reported
+ * @param {object} conn - JSForce connection (createSalesforceConnection sets conn.tenant)
+ * @returns {object} Tenant settings (see resolveTenant)
+ */
+function forConnection(conn) {
+  if (!conn.tenant) conn.tenant = resolveTenant(conn.userInfo?.organizationId || null);
+  return conn.tenant;
+}
+
+/**
+ * Returns the turn parameters a tenant sets for a provider (none when the job uses another provider)
+ * @param {object} tenant - Tenant settings
+ * @param {string} providerName - Provider the job runs on
+ * @returns {object} { baseUrl, applicationId, model, apiKey } as far as configured
+ */
+function providerSettings(tenant, providerName) {
+  const settings = tenant?.provider || {};
+  if (settings.name !== providerName) return {};
+  const params = {
+    baseUrl: settings.baseUrl,
+    applicationId: settings.applicationId,
+    model: settings.model,
+    apiKey: settings.apiKeyEnv ? process.env[settings.apiKeyEnv] : undefined
+  };
+  return Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Lists the registered tenants, for GET /tenants
+ * @returns {Array} Tenant settings (API key variables are listed, never their values)
+ */
+function listTenants() {
+  return [...loadRegistry().tenants.keys()].map(orgId => resolveTenant(orgId));
+}
+
+/**
+ * Forgets the loaded registry so an edited file is read again
+ */
+function clearTenantCache() {
+  registryCache = null;
+}
+
+module.exports = {
+  resolveTenant,
+  forConnection,
+  providerSettings,
+  listTenants,
+  clearTenantCache
+};
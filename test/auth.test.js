@@ -0,0 +1,266 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { scratchDir, quiet } = require('./stubs/environment');
+
+// Jobs, the queue and the audit log are written under DATA_DIR
+scratchDir('auth-', 'DATA_DIR');
+process.env.HMAC_SECRET = 'shared-secret';
+process.env.RATE_LIMIT_JOBS_PER_MINUTE = '2';
+// Tokens in queued jobs are sealed with the credentials key
+process.env.CREDENTIALS_KEY = 'test-credentials-key';
+
+const auth = require('../auth');
+const audit = require('../audit');
+const jobs = require('../jobs');
+const { getQueue } = require('../queue');
+const salesforce = require('../salesforce');
+const { toCaseSafeId } = require('../soql');
+const app = require('../app');
+const { createFakeConnection, loadFixture } = require('./stubs/salesforce-connection');
+
+const FSR = 'a0FAb0000000001MAA';
+const UNREADABLE_FSR = toCaseSafeId('a0FAb0000000009');
+const ORG = '00DAb0000000001MAA';
+
+process.env.API_KEYS = JSON.stringify([
+  { id: 'lwc', hash: auth.hashApiKey('writer-key'), scopes: ['jobs:write', 'jobs:read'] },
+  { id: 'dashboard', hash: auth.hashApiKey('reader-key'), scopes: ['jobs:read'] },
+  { id: 'ops', hash: auth.hashApiKey('admin-key'), scopes: ['admin'] }
+]);
+
+describe('createRateLimiter', () => {
+  it('allows a number of requests per key within the window', () => {
+    const limiter = auth.createRateLimiter({ limit: 2, windowMs: 60000 });
+
+    assert.deepStrictEqual(limiter.consume('a'), { allowed: true, remaining: 1, retryAfterSeconds: 0 });
+    assert.strictEqual(limiter.consume('a').allowed, true);
+    const denied = limiter.consume('a');
+    assert.strictEqual(denied.allowed, false);
+    assert.ok(denied.retryAfterSeconds > 0 && denied.retryAfterSeconds <= 60);
+    assert.strictEqual(limiter.consume('b').allowed, true);
+  });
+});
+
+describe('verifyRecordAccess', () => {
+  quiet();
+
+  it('reads the record with the caller session and fails closed', async () => {
+    const conn = createFakeConnection(loadFixture('acme'));
+    assert.strictEqual(await auth.verifyRecordAccess(conn, 'FSR__c', FSR), true);
+    assert.strictEqual(await auth.verifyRecordAccess(conn, 'FSR__c', UNREADABLE_FSR), false);
+
+    conn.failOn('FSR__c', new Error('INVALID_TYPE: sObject type FSR__c is not supported'));
+    assert.strictEqual(await auth.verifyRecordAccess(conn, 'FSR__c', FSR), false);
+  });
+});
+
+describe('API authentication', () => {
+  quiet();
+
+  let server;
+  let url;
+  let conn;
+  const originalConnect = salesforce.createSalesforceConnection;
+  before(async () => {
+    salesforce.createSalesforceConnection = async () => conn;
+    await new Promise(resolve => {
+      server = app.listen(0, () => resolve());
+    });
+    url = `http://localhost:${server.address().port}`;
+  });
+  after(() => {
+    salesforce.createSalesforceConnection = originalConnect;
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  /**
+   * Uses a fake connection whose session belongs to the given Salesforce user
+   * @param {string} userId - Salesforce user ID
+   */
+  const connectAs = (userId) => {
+    conn = createFakeConnection(loadFixture('acme'), { userInfo: { id: userId, organizationId: ORG } });
+  };
+  const postJob = (headers, body = {}) => fetch(`${url}/jobs`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ sfdcToken: 'token', recordId: FSR, provider: 'mock', ...body })
+  });
+
+  /**
+   * Builds the headers of a signed request
+   * @param {string} method - HTTP method
+   * @param {string} requestPath - Path with query string
+   * @param {string} body - Raw body
+   * @param {number} timestamp - Unix seconds
+   * @returns {object} Headers
+   */
+  const signed = (method, requestPath, body = '', timestamp = Math.floor(Date.now() / 1000)) => ({
+    'Content-Type': 'application/json',
+    'X-Timestamp': String(timestamp),
+    'X-Signature': auth.signRequest({ timestamp, method, path: requestPath, body })
+  });
+
+  it('rejects requests without credentials and leaves /health open', async () => {
+    const response = await fetch(`${url}/jobs`);
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual((await response.json()).error, 'Unauthorized');
+    assert.strictEqual((await fetch(`${url}/jobs`, { headers: { 'X-Api-Key': 'unknown-key' } })).status, 401);
+    assert.strictEqual((await fetch(`${url}/health`)).status, 200);
+  });
+
+  it('enforces the scopes of API keys', async () => {
+    connectAs('005Ab0000000001IAA');
+    assert.strictEqual((await fetch(`${url}/jobs`, { headers: { 'X-Api-Key': 'reader-key' } })).status, 200);
+    assert.strictEqual((await postJob({ 'X-Api-Key': 'reader-key' })).status, 403);
+    assert.strictEqual((await fetch(`${url}/audit`, { headers: { 'X-Api-Key': 'writer-key' } })).status, 403);
+    assert.strictEqual((await fetch(`${url}/audit`, { headers: { 'X-Api-Key': 'admin-key' } })).status, 200);
+    // Only admins can start storing an org credential
+    assert.strictEqual((await fetch(`${url}/oauth/authorize`, { redirect: 'manual' })).status, 401);
+    assert.strictEqual((await fetch(`${url}/oauth/authorize`, { redirect: 'manual', headers: { 'X-Api-Key': 'writer-key' } })).status, 403);
+  });
+
+  it('accepts signed requests once, within the allowed clock skew', async () => {
+    connectAs('005Ab0000000002IAA');
+    const body = JSON.stringify({ sfdcToken: 'token', recordId: FSR, provider: 'mock' });
+    const headers = signed('POST', '/jobs', body);
+
+    assert.strictEqual((await fetch(`${url}/jobs`, { method: 'POST', headers, body })).status, 201);
+    // Replayed, also with the signature re-encoded
+    assert.strictEqual((await fetch(`${url}/jobs`, { method: 'POST', headers, body })).status, 401);
+    const hex = Buffer.from(headers['X-Signature'], 'base64').toString('hex');
+    for (const signature of [hex, hex.toUpperCase(), `sha256=${hex}`]) {
+      const replayed = await fetch(`${url}/jobs`, { method: 'POST', headers: { ...headers, 'X-Signature': signature }, body });
+      assert.strictEqual(replayed.status, 401);
+      assert.match((await replayed.json()).message, /Replayed request signature/);
+    }
+    // Tampered body
+    const tampered = signed('POST', '/jobs', body);
+    assert.strictEqual((await fetch(`${url}/jobs`, { method: 'POST', headers: tampered, body: body.replace('mock', 'openai') })).status, 401);
+    // Stale timestamp
+    const stale = signed('POST', '/jobs', body, Math.floor(Date.now() / 1000) - 3600);
+    assert.strictEqual((await fetch(`${url}/jobs`, { method: 'POST', headers: stale, body })).status, 401);
+  });
+
+  it('audits who requested which record', async () => {
+    connectAs('005Ab0000000003IAA');
+    const response = await postJob({ 'X-Api-Key': 'writer-key' });
+    assert.strictEqual(response.status, 201);
+    const { jobId } = await response.json();
+
+    const [entry] = await audit.listAudit({ type: 'request', action: 'job_requested', recordId: FSR, limit: 1 });
+    assert.strictEqual(entry.jobId, jobId);
+    assert.deepStrictEqual(entry.principal, { type: 'api_key', id: 'lwc' });
+    assert.strictEqual(entry.sfdcUserId, '005Ab0000000003IAA');
+    assert.strictEqual(entry.orgId, ORG);
+    assert.strictEqual(entry.route, 'POST /jobs');
+  });
+
+  it('denies records the Salesforce user cannot read', async () => {
+    connectAs('005Ab0000000004IAA');
+    const response = await postJob({ 'X-Api-Key': 'writer-key' }, { recordId: UNREADABLE_FSR });
+    assert.strictEqual(response.status, 403);
+    assert.ok(!conn.operations.some(op => op.type === 'create'));
+
+    const [entry] = await audit.listAudit({ type: 'request', action: 'access_denied', limit: 1 });
+    assert.strictEqual(entry.recordId, UNREADABLE_FSR);
+    assert.strictEqual(entry.sfdcUserId, '005Ab0000000004IAA');
+
+    const history = await fetch(`${url}/conversations/${UNREADABLE_FSR}/history`, { headers: { 'X-Api-Key': 'reader-key', 'X-Sfdc-Token': 'token' } });
+    assert.strictEqual(history.status, 403);
+  });
+
+  it('rate limits job requests per Salesforce user', async () => {
+    connectAs('005Ab0000000005IAA');
+    assert.strictEqual((await postJob({ 'X-Api-Key': 'writer-key' })).status, 201);
+    assert.strictEqual((await postJob({ 'X-Api-Key': 'writer-key' })).status, 201);
+
+    const limited = await postJob({ 'X-Api-Key': 'writer-key' });
+    assert.strictEqual(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.strictEqual((await audit.listAudit({ type: 'request', action: 'rate_limited', limit: 1 }))[0].sfdcUserId, '005Ab0000000005IAA');
+
+    // Another user of the same API key is not affected
+    connectAs('005Ab0000000006IAA');
+    assert.strictEqual((await postJob({ 'X-Api-Key': 'writer-key' })).status, 201);
+  });
+
+  it('keeps the stored credential of an org to admin callers', async () => {
+    connectAs('005Ab0000000007IAA');
+    const response = await postJob({ 'X-Api-Key': 'writer-key' }, { sfdcToken: undefined, orgId: ORG });
+    assert.strictEqual(response.status, 400);
+    assert.match((await response.json()).error, /only admin callers/);
+    assert.strictEqual(conn.operations.length, 0);
+
+    // A connection running as the stored credential's user is not checked as the caller's access
+    conn.usesStoredCredential = true;
+    const admin = await postJob({ 'X-Api-Key': 'admin-key' }, { sfdcToken: undefined, orgId: ORG });
+    assert.strictEqual(admin.status, 201);
+    const [entry] = await audit.listAudit({ type: 'request', action: 'job_requested', limit: 1 });
+    assert.strictEqual(entry.sfdcUserId, null);
+    assert.deepStrictEqual(entry.principal, { type: 'api_key', id: 'ops' });
+  });
+
+  it('checks retries of failed jobs like new job requests', async () => {
+    connectAs('005Ab0000000008IAA');
+    const { jobId } = await (await postJob({ 'X-Api-Key': 'writer-key' })).json();
+    // Dead-letter the job's message as the worker would (earlier tests' messages are dropped)
+    for (let message = await getQueue().dequeue(); message; message = await getQueue().dequeue()) {
+      if (message.id === jobId) await getQueue().fail(jobId, new Error('WiseOwl unavailable'), { retryable: false });
+      else await getQueue().ack(message.id);
+    }
+    await jobs.setState(jobId, 'failed', { error: { phase: 'prompting', message: 'WiseOwl unavailable', retryable: true } });
+    const retry = (id, headers = {}) => fetch(`${url}/jobs/${id}/retry`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Api-Key': 'writer-key', ...headers },
+      body: JSON.stringify({ sfdcToken: 'fresh-token' })
+    });
+
+    const response = await retry(jobId);
+    assert.strictEqual(response.status, 202);
+    assert.strictEqual((await response.json()).resumeFrom, 'prompting');
+    const [entry] = await audit.listAudit({ type: 'request', action: 'job_retried', limit: 1 });
+    assert.strictEqual(entry.jobId, jobId);
+    assert.strictEqual(entry.sfdcUserId, '005Ab0000000008IAA');
+
+    // Another user cannot retry a job on a record they cannot read, and retries count against the rate limit
+    await jobs.createJob({ id: 'unreadable-job', recordId: UNREADABLE_FSR, profile: 'default' });
+    await jobs.setState('unreadable-job', 'failed', { error: { phase: 'collecting', retryable: true } });
+    connectAs('005Ab0000000009IAA');
+    assert.strictEqual((await retry('unreadable-job')).status, 403);
+    assert.strictEqual((await audit.listAudit({ type: 'request', action: 'access_denied', limit: 1 }))[0].sfdcUserId, '005Ab0000000009IAA');
+    assert.strictEqual((await retry('unreadable-job')).status, 403);
+    assert.strictEqual((await retry('unreadable-job')).status, 429);
+  });
+
+  it('streams and cancels only jobs of records the caller can read', async () => {
+    await jobs.createJob({ id: 'unreadable-running-job', recordId: UNREADABLE_FSR, profile: 'default' });
+    await jobs.createJob({ id: 'readable-running-job', recordId: FSR, profile: 'default' });
+    connectAs('005Ab0000000010IAA');
+    const reader = { 'X-Api-Key': 'reader-key' };
+    const writer = { 'X-Api-Key': 'writer-key', 'X-Sfdc-Token': 'token' };
+
+    assert.strictEqual((await fetch(`${url}/jobs/unreadable-running-job/stream`, { headers: reader })).status, 400);
+    assert.strictEqual((await fetch(`${url}/jobs/unreadable-running-job/stream?sfdcToken=token`, { headers: reader })).status, 403);
+    assert.strictEqual((await fetch(`${url}/jobs/unreadable-running-job`, { method: 'DELETE', headers: writer })).status, 403);
+    assert.strictEqual((await jobs.getJob('unreadable-running-job')).cancelRequested, false);
+
+    assert.strictEqual((await fetch(`${url}/jobs/readable-running-job`, { method: 'DELETE', headers: writer })).status, 202);
+    const [entry] = await audit.listAudit({ type: 'request', action: 'job_cancelled', limit: 1 });
+    assert.strictEqual(entry.jobId, 'readable-running-job');
+    assert.strictEqual(entry.sfdcUserId, '005Ab0000000010IAA');
+  });
+
+  it('rejects oversized bodies', async () => {
+    const response = await postJob({ 'X-Api-Key': 'writer-key' }, { message: 'x'.repeat(1024 * 1024 + 1) });
+    assert.strictEqual(response.status, 413);
+  });
+
+  it('skips authentication when AUTH_MODE is off', async () => {
+    process.env.AUTH_MODE = 'off';
+    try {
+      assert.strictEqual((await fetch(`${url}/jobs`)).status, 200);
+    } finally {
+      delete process.env.AUTH_MODE;
+    }
+  });
+});
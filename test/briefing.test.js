@@ -0,0 +1,193 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { scratchDir, quiet } = require('./stubs/environment');
+
+// Job records are written under DATA_DIR
+scratchDir('briefing-', 'DATA_DIR');
+
+const briefing = require('../briefing');
+const salesforce = require('../salesforce');
+const providers = require('../providers');
+const jobs = require('../jobs');
+const worker = require('../worker');
+const { createFakeConnection, loadFixture } = require('./stubs/salesforce-connection');
+
+const VALID = {
+  ctaOverview: 'Jane requested a demo after the <b>Q3 webinar</b>.',
+  accountSummary: 'Retailer with 900 employees.',
+  contactSummary: 'Jane Doe, VP Engineering.',
+  influencers: [{ name: 'Jane Doe', title: 'VP Engineering', reason: 'Asked for the migration plan' }],
+  buyingSignals: ['Consolidating SMS vendors before Q1'],
+  actionRecommendations: [{ action: 'Send migration plan', priority: 'high' }],
+  disposition: { decision: 'CONVERT', qualification: 'hot', timeline: 'Q1', rationale: 'Active evaluation with a deadline', confidence: 0.8 },
+  followUpEmail: { subject: 'Your SMS migration plan', body: 'Hi Jane,\nAttached is the plan.' }
+};
+
+describe('validateBriefing and parseBriefing', () => {
+  it('accepts a briefing matching the schema', () => {
+    assert.deepStrictEqual(briefing.validateBriefing(VALID), []);
+    assert.deepStrictEqual(briefing.parseBriefing(`Sure:\n\`\`\`json\n${JSON.stringify(VALID)}\n\`\`\``), { briefing: VALID, errors: [] });
+  });
+
+  it('reports every violation with its path', () => {
+    const invalid = {
+      ...VALID,
+      influencers: [{ name: 'Jane Doe' }],
+      buyingSignals: 'urgent',
+      disposition: { decision: 'Convert', qualification: 'lukewarm', rationale: 'x' }
+    };
+    delete invalid.followUpEmail;
+
+    assert.deepStrictEqual(briefing.validateBriefing(invalid), [
+      'briefing.followUpEmail is required',
+      'briefing.influencers[0].reason is required',
+      'briefing.buyingSignals must be array, got string',
+      'briefing.disposition.confidence is required',
+      'briefing.disposition.decision must be one of "CONVERT", "REJECT"',
+      'briefing.disposition.qualification must be one of "hot", "warm", "cold", null'
+    ]);
+  });
+
+  it('keeps the confidence between 0 and 1', () => {
+    const withConfidence = (confidence) => briefing.validateBriefing({ ...VALID, disposition: { ...VALID.disposition, confidence } });
+
+    assert.deepStrictEqual(withConfidence(1), []);
+    assert.deepStrictEqual(withConfidence(85), ['briefing.disposition.confidence must be at most 1, got 85']);
+    assert.deepStrictEqual(withConfidence(-0.2), ['briefing.disposition.confidence must be at least 0, got -0.2']);
+  });
+
+  it('rejects answers without valid JSON', () => {
+    assert.deepStrictEqual(briefing.parseBriefing('<h2>Briefing</h2>').errors, ['The answer does not contain a JSON object']);
+    assert.match(briefing.parseBriefing('{"ctaOverview": }').errors[0], /^The answer is not valid JSON/);
+  });
+
+  it('rejects unknown output formats', () => {
+    assert.strictEqual(briefing.resolveOutputFormat(), 'html');
+    assert.strictEqual(briefing.resolveOutputFormat('Structured'), 'structured');
+    assert.throws(() => briefing.resolveOutputFormat('xml'), /Unknown output format: xml/);
+  });
+
+  it('structures FSR briefings only', () => {
+    assert.throws(() => briefing.resolveOutputFormat('structured', 'opportunity'), /only available for FSR briefings, not opportunity records/);
+    process.env.BRIEFING_OUTPUT_FORMAT = 'structured';
+    try {
+      assert.strictEqual(briefing.resolveOutputFormat(undefined, 'lead'), 'html');
+      assert.strictEqual(briefing.resolveOutputFormat(undefined, 'fsr'), 'structured');
+    } finally {
+      delete process.env.BRIEFING_OUTPUT_FORMAT;
+    }
+  });
+});
+
+describe('renderBriefingHtml and toRecordFields', () => {
+  it('renders the sections in briefing order and escapes the content', () => {
+    const html = briefing.renderBriefingHtml(VALID);
+
+    assert.ok(html.startsWith('<h3>CTA Overview</h3><p>Jane requested a demo after the &lt;b&gt;Q3 webinar&lt;/b&gt;.</p>'));
+    assert.ok(html.indexOf('Recommended Influencers') < html.indexOf('Disposition Brief'));
+    assert.ok(html.includes('<p><b>Recommendation:</b> CONVERT (hot)</p>'));
+    assert.ok(html.includes('Hi Jane,<br>Attached is the plan.'));
+    assert.ok(!html.includes('Industry Peer Proof'));
+  });
+
+  it('maps the disposition and email to discrete fields', () => {
+    const fields = briefing.toRecordFields(VALID);
+
+    assert.strictEqual(fields.Disposition_Decision__c, 'CONVERT');
+    assert.strictEqual(fields.Disposition_Qualification__c, 'hot');
+    assert.strictEqual(fields.Follow_Up_Email_Subject__c, 'Your SMS migration plan');
+    assert.strictEqual(fields.Influencers__c, 'Jane Doe (VP Engineering): Asked for the migration plan');
+    assert.deepStrictEqual(JSON.parse(fields.Briefing_JSON__c), VALID);
+  });
+});
+
+describe('structured briefing jobs', () => {
+  quiet();
+
+  const SCHEMA = {
+    WO_Conversation__c: {
+      Id: {}, Parent_Record_Id__c: {}, Conversation_Id__c: {}, Chat_Done__c: {}, First_Conversation__c: {},
+      current_conversation__c: {}, Conversation_History__c: {}, Prompt_Template_Version__c: {},
+      Disposition_Decision__c: {}, Disposition_Rationale__c: {}, Follow_Up_Email_Subject__c: {}
+    }
+  };
+  let conn;
+  let answers;
+  let inputs;
+  const originals = { connect: salesforce.createSalesforceConnection, run: providers.runConversation };
+  before(() => {
+    salesforce.createSalesforceConnection = async () => conn;
+    providers.runConversation = async (provider, params) => {
+      inputs.push(params.input);
+      return { assistantContent: answers.shift(), conversationId: 'conv-1', runId: `run-${inputs.length}`, provider: provider.name };
+    };
+  });
+  after(() => {
+    salesforce.createSalesforceConnection = originals.connect;
+    providers.runConversation = originals.run;
+  });
+  beforeEach(() => {
+    conn = createFakeConnection(loadFixture('acme'), { now: '2025-09-01T00:00:00Z', schema: SCHEMA });
+    inputs = [];
+  });
+
+  const run = async (id) => {
+    await jobs.createJob({ id, recordId: 'a0FAb0000000001MAA', sfdcId: 'a1CAb0000000001MAA' });
+    const result = await worker.processJob({
+      jobId: id,
+      sfdcId: 'a1CAb0000000001MAA',
+      sfdcToken: 'token',
+      recordId: 'a0FAb0000000001MAA',
+      provider: 'mock',
+      outputFormat: 'structured',
+      digestTranscripts: false
+    });
+    return { result, job: await jobs.getJob(id) };
+  };
+  const record = () => conn.records('WO_Conversation__c')[0];
+
+  it('writes the HTML briefing and the discrete fields the org has', async () => {
+    answers = [JSON.stringify(VALID)];
+    const { result, job } = await run('structured-valid');
+
+    assert.strictEqual(inputs.length, 1);
+    assert.ok(inputs[0].includes('"decision"'));
+    assert.ok(inputs[0].includes('disposition: **Disposition Brief**'));
+    assert.strictEqual(job.promptTemplate, 'cta-briefing-structured@1');
+    assert.strictEqual(result.structured, true);
+    assert.deepStrictEqual(job.structured, {
+      valid: true,
+      repaired: false,
+      errors: [],
+      fields: ['Disposition_Decision__c', 'Disposition_Rationale__c', 'Follow_Up_Email_Subject__c']
+    });
+    assert.strictEqual(record().Disposition_Decision__c, 'CONVERT');
+    assert.strictEqual(record().Follow_Up_Email_Subject__c, 'Your SMS migration plan');
+    assert.ok(record().First_Conversation__c.startsWith('<h3>CTA Overview</h3>'));
+    assert.strictEqual(record().Chat_Done__c, true);
+  });
+
+  it('asks for one repair when the answer does not match the schema', async () => {
+    answers = [JSON.stringify({ ...VALID, disposition: { decision: 'maybe' } }), JSON.stringify(VALID)];
+    const { job } = await run('structured-repaired');
+
+    assert.strictEqual(inputs.length, 2);
+    assert.ok(inputs[1].startsWith('Your previous answer could not be used'));
+    assert.ok(inputs[1].includes('- briefing.disposition.decision must be one of "CONVERT", "REJECT"'));
+    assert.ok(inputs[1].includes('- briefing.disposition.rationale is required'));
+    assert.strictEqual(job.structured.valid, true);
+    assert.strictEqual(job.structured.repaired, true);
+    assert.strictEqual(record().Disposition_Decision__c, 'CONVERT');
+  });
+
+  it('stores the raw answer when the repair fails too', async () => {
+    answers = ['<h2>Briefing</h2>', 'Still not JSON'];
+    const { result, job } = await run('structured-invalid');
+
+    assert.strictEqual(inputs.length, 2);
+    assert.strictEqual(result.structured, false);
+    assert.deepStrictEqual(job.structured, { valid: false, repaired: false, errors: ['The answer does not contain a JSON object'], fields: [] });
+    assert.strictEqual(record().First_Conversation__c, 'Still not JSON');
+    assert.strictEqual(record().Disposition_Decision__c, undefined);
+  });
+});
@@ -0,0 +1,174 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { scratchDir, quiet } = require('./stubs/environment');
+
+// Disk entries and tombstones are written under DATA_DIR
+scratchDir('cache-', 'DATA_DIR');
+process.env.AUTH_MODE = 'off';
+
+const { createCache, getContextCache } = require('../cache');
+const salesforce = require('../salesforce');
+const app = require('../app');
+const { createFakeConnection, loadFixture } = require('./stubs/salesforce-connection');
+
+const NOW = '2025-09-01T00:00:00Z';
+const ACCOUNT = '001Ab0000000001IAA';
+const REP = '005Ab0000000001IAA';
+const OTHER_REP = '005Ab0000000002IAA';
+
+/**
+ * Creates a fake connection of a Salesforce user, as createSalesforceConnection leaves it after identity()
+ * @param {object} fixture - Fixture (defaults to acme)
+ * @param {string} userId - Salesforce user ID
+ * @returns {object} Fake connection
+ */
+const connect = (fixture = loadFixture('acme'), userId = REP) =>
+  createFakeConnection(fixture, { now: NOW, userInfo: { id: userId, organizationId: '00DAb0000000001MAA' } });
+
+describe('createCache', () => {
+  it('evicts the least recently used entry', async () => {
+    const cache = createCache({ name: 'lru', maxEntries: 2 });
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+    await cache.get('a');
+    await cache.set('c', 3);
+
+    assert.strictEqual((await cache.get('a')).value, 1);
+    assert.strictEqual(await cache.get('b'), null);
+    assert.deepStrictEqual(cache.stats(), { backend: 'memory', ttlMs: 600000, maxEntries: 2, size: 2, hits: 2, misses: 1, evictions: 1 });
+  });
+
+  it('expires entries after the TTL and hands out copies', async () => {
+    const cache = createCache({ name: 'ttl', ttlMs: 20 });
+    await cache.set('k', { list: [1] });
+    const first = await cache.get('k');
+    first.value.list.push(2);
+
+    assert.deepStrictEqual((await cache.get('k')).value, { list: [1] });
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.strictEqual(await cache.get('k'), null);
+  });
+
+  it('is disabled with a TTL of 0', async () => {
+    const cache = createCache({ name: 'off', ttlMs: 0 });
+
+    assert.strictEqual(await cache.set('k', 1), null);
+    assert.strictEqual(await cache.get('k'), null);
+  });
+
+  it('shares disk entries and invalidations between processes', async () => {
+    const web = createCache({ name: 'shared', backend: 'disk' });
+    const worker = createCache({ name: 'shared', backend: 'disk' });
+    await worker.set('acct|1', 'context', { tags: ['account:1'] });
+    await worker.set('acct|2', 'other', { tags: ['account:2'] });
+
+    assert.strictEqual((await web.get('acct|1')).value, 'context');
+    await web.invalidate('account:1');
+
+    // The worker still holds the entry in memory but honours the tombstone
+    assert.strictEqual(await worker.get('acct|1'), null);
+    assert.strictEqual((await worker.get('acct|2')).value, 'other');
+    await new Promise(resolve => setTimeout(resolve, 2));
+    await worker.set('acct|1', 'fresh', { tags: ['account:1'] });
+    assert.strictEqual((await web.get('acct|1')).value, 'fresh');
+  });
+});
+
+describe('collectAllCTAData with a context cache', () => {
+  quiet();
+
+  const collect = async (conn, recordId, cache) => {
+    let info = null;
+    const data = await salesforce.collectAllCTAData(conn, recordId, { cache, onCache: (i) => { info = i; } });
+    return { data, info };
+  };
+  const accountQueries = (conn) => conn.operations.filter(op => op.type === 'select' && op.sobject !== 'FSR__c');
+
+  it('serves other CTAs on the account from the cache', async () => {
+    const cache = createCache({ name: 'collect-hit' });
+    const first = connect();
+    const cold = await collect(first, 'a0FAb0000000001MAA', cache);
+
+    const second = connect();
+    const warm = await collect(second, 'a0FAb0000000001MAA', cache);
+
+    assert.deepStrictEqual(cold.info, { key: `https://fake.my.salesforce.com|${REP}|default|${ACCOUNT}`, account: 'miss', contact: 'miss', ageMs: 0 });
+    assert.strictEqual(warm.info.account, 'hit');
+    assert.strictEqual(warm.info.contact, 'hit');
+    assert.deepStrictEqual(accountQueries(second), []);
+    assert.deepStrictEqual(warm.data, cold.data);
+  });
+
+  it('keeps the entries of each Salesforce user apart', async () => {
+    const cache = createCache({ name: 'collect-users' });
+    await collect(connect(), 'a0FAb0000000001MAA', cache);
+
+    const other = connect(loadFixture('acme'), OTHER_REP);
+    const { info } = await collect(other, 'a0FAb0000000001MAA', cache);
+    assert.strictEqual(info.account, 'miss');
+    assert.ok(accountQueries(other).length > 0);
+
+    const anonymous = createFakeConnection(loadFixture('acme'), { now: NOW });
+    const uncached = await collect(anonymous, 'a0FAb0000000001MAA', cache);
+    assert.strictEqual(uncached.info, null);
+    assert.strictEqual(cache.stats().size, 4);
+  });
+
+  it('misses for a CTA that is not in the cached entry yet', async () => {
+    const cache = createCache({ name: 'collect-new-cta' });
+    const fixture = loadFixture('acme');
+    const [added] = fixture.FSR__c.splice(fixture.FSR__c.findIndex(r => r.Id === 'a0FAb0000000002MAA'), 1);
+    await collect(connect(fixture), 'a0FAb0000000001MAA', cache);
+
+    fixture.FSR__c.push(added);
+    const conn = connect(fixture);
+    const { data, info } = await collect(conn, 'a0FAb0000000002MAA', cache);
+
+    assert.strictEqual(info.account, 'miss');
+    assert.strictEqual(data.primaryContext.primaryCTA.recordId, 'a0FAb0000000002MAA');
+  });
+
+  it('does not cache results collected while a query failed', async () => {
+    const cache = createCache({ name: 'collect-failure' });
+    const failing = connect();
+    failing.failOn('Opportunity', new Error('REQUEST_LIMIT_EXCEEDED'));
+    await collect(failing, 'a0FAb0000000001MAA', cache);
+
+    const { data, info } = await collect(connect(), 'a0FAb0000000001MAA', cache);
+    assert.strictEqual(info.account, 'miss');
+    assert.deepStrictEqual(data.primaryContext.relatedOpportunities.map(o => o.id), ['006Ab0000000001IAA']);
+  });
+});
+
+describe('DELETE /cache/accounts/:accountId', () => {
+  quiet();
+
+  let server;
+  let url;
+  before(async () => {
+    await new Promise(resolve => {
+      server = app.listen(0, () => resolve());
+    });
+    url = `http://localhost:${server.address().port}`;
+  });
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('purges the cached context of an account', async () => {
+    const cache = getContextCache();
+    await salesforce.collectAllCTAData(connect(), 'a0FAb0000000001MAA', { cache });
+
+    // The 15-character form of the ID purges the same entries
+    const response = await fetch(`${url}/cache/accounts/${ACCOUNT.substring(0, 15)}`, { method: 'DELETE' });
+    assert.deepStrictEqual(await response.json(), { accountId: ACCOUNT, purged: true, dropped: 2 });
+
+    let info = null;
+    await salesforce.collectAllCTAData(connect(), 'a0FAb0000000001MAA', { cache, onCache: (i) => { info = i; } });
+    assert.strictEqual(info.account, 'miss');
+  });
+
+  it('rejects malformed account IDs', async () => {
+    const response = await fetch(`${url}/cache/accounts/not-an-id`, { method: 'DELETE' });
+
+    assert.strictEqual(response.status, 400);
+  });
+});
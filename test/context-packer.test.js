@@ -0,0 +1,116 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { quiet } = require('./stubs/environment');
+const { packContext, estimateTokens, trimText } = require('../context-packer');
+const salesforce = require('../salesforce');
+const { createFakeConnection, loadFixture } = require('./stubs/salesforce-connection');
+
+/**
+ * Collects the Acme fixture inflated with long transcripts and many tasks
+ */
+async function largeAccountData() {
+  const fixture = loadFixture('acme');
+  const [meeting] = fixture.Salesloft_Conversations__dlm;
+  for (let i = 0; i < 30; i++) {
+    fixture.Salesloft_Conversations__dlm.push({
+      ...meeting,
+      attendeesdetails__c: 'Sam Seller, Someone Else',
+      meetingid__c: `m-extra-${i}`,
+      KQ_meetingid__c: `kq-extra-${i}`,
+      createddate__c: `2025-0${1 + (i % 7)}-01T16:00:00.000+0000`,
+      meetingtranscript__c: `Transcript ${i}: ${'we discussed pricing and rollout. '.repeat(800)}`
+    });
+  }
+  meeting.meetingtranscript__c = `Primary: ${'Jane asked about migration. '.repeat(1000)}`;
+  for (let i = 0; i < 45; i++) {
+    fixture.Task.push({
+      ...fixture.Task[0],
+      Id: `00TAb00000001${String(i).padStart(2, '0')}`,
+      Description: `Task ${i} ${'notes '.repeat(400)}`,
+      CreatedDate: `2025-0${1 + (i % 7)}-15T15:00:00.000+0000`
+    });
+  }
+  const conn = createFakeConnection(fixture, { now: '2025-09-01T00:00:00Z' });
+  return salesforce.collectAllCTAData(conn, 'a0FAb0000000001MAA');
+}
+
+describe('estimateTokens and trimText', () => {
+  it('estimates about four characters per token', () => {
+    assert.strictEqual(estimateTokens('abcdefgh'), 2);
+    assert.strictEqual(estimateTokens(''), 0);
+  });
+
+  it('keeps the beginning and end of trimmed text', () => {
+    const trimmed = trimText(`start ${'x'.repeat(1000)} end`, 100);
+
+    assert.ok(trimmed.startsWith('start '));
+    assert.ok(trimmed.endsWith(' end'));
+    assert.match(trimmed, /\[\.\.\. 910 characters trimmed \.\.\.\]/);
+    assert.strictEqual(trimText('short', 100), 'short');
+  });
+});
+
+describe('packContext', () => {
+  quiet();
+
+  it('leaves data within budget untouched', async () => {
+    const conn = createFakeConnection(loadFixture('acme'), { now: '2025-09-01T00:00:00Z' });
+    const data = await salesforce.collectAllCTAData(conn, 'a0FAb0000000001MAA');
+    const { text, report } = packContext(data, { budget: 100000 });
+
+    assert.strictEqual(text, JSON.stringify(data, null, 2));
+    assert.deepStrictEqual(report.changes, []);
+    assert.strictEqual(report.overBudget, false);
+    assert.strictEqual(report.originalTokens, report.estimatedTokens);
+  });
+
+  it('fits a large account into the budget, lowest priority first', async () => {
+    const data = await largeAccountData();
+    const { text, report } = packContext(data, { budget: 20000 });
+    const packed = JSON.parse(text);
+
+    assert.ok(report.originalTokens > 20000);
+    assert.ok(report.estimatedTokens <= 20000);
+    assert.strictEqual(report.estimatedTokens, estimateTokens(text));
+    assert.strictEqual(report.overBudget, false);
+    assert.deepStrictEqual(report.changes[0], { section: 'additionalConversations', action: 'trimmed transcripts', count: 30 });
+
+    // The primary context is kept
+    assert.deepStrictEqual(packed.primaryContext.primaryCTA, data.primaryContext.primaryCTA);
+    assert.deepStrictEqual(packed.primaryContext.relatedContact, data.primaryContext.relatedContact);
+    assert.deepStrictEqual(packed.accountData, data.accountData);
+    assert.strictEqual(packed.primaryContext.contactConversations.length, 1);
+    // The input is not modified
+    assert.ok(data.additionalConversations[0].meetingTranscript.length > 20000);
+  });
+
+  it('drops the oldest records when trimming is not enough', async () => {
+    const data = await largeAccountData();
+    const { text, report } = packContext(data, { budget: 8000 });
+    const packed = JSON.parse(text);
+
+    const drops = report.changes.filter(c => c.section === 'accountLevelActivities' && c.action.startsWith('dropped'));
+    const dropped = drops.reduce((sum, c) => sum + c.count, 0);
+    assert.ok(dropped > 0);
+    assert.strictEqual(packed.accountLevelActivities.length, data.accountLevelActivities.length - dropped);
+    assert.deepStrictEqual(packed.accountLevelActivities.map(t => t.id), data.accountLevelActivities.slice(0, packed.accountLevelActivities.length).map(t => t.id));
+    assert.ok(report.estimatedTokens <= 8000);
+  });
+
+  it('reports when even the primary context exceeds the budget', async () => {
+    const data = await largeAccountData();
+    const { report } = packContext(data, { budget: 500 });
+
+    assert.strictEqual(report.overBudget, true);
+    assert.ok(report.estimatedTokens > 500);
+  });
+
+  it('reads the budget from CONTEXT_TOKEN_BUDGET', async () => {
+    process.env.CONTEXT_TOKEN_BUDGET = '1234';
+    try {
+      assert.strictEqual(packContext({}).report.budget, 1234);
+    } finally {
+      delete process.env.CONTEXT_TOKEN_BUDGET;
+    }
+  });
+});
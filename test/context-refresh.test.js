@@ -0,0 +1,200 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { scratchDir, quiet } = require('./stubs/environment');
+
+// Snapshots and job records are written under DATA_DIR
+scratchDir('context-refresh-', 'DATA_DIR');
+
+const contextRefresh = require('../context-refresh');
+const salesforce = require('../salesforce');
+const providers = require('../providers');
+const jobs = require('../jobs');
+const worker = require('../worker');
+const { createFakeConnection, loadFixture } = require('./stubs/salesforce-connection');
+
+const FSR = 'a0FAb0000000001MAA';
+const CONVERSATION = 'a1CAb0000000001MAA';
+
+describe('diffContext', () => {
+  const base = () => ({
+    primaryContext: {
+      primaryCTA: { recordId: 'a0F1', ctaName: 'CTA-1', status: '2 - Working', isPrimary: true },
+      relatedContact: { contactId: '0031', contactName: 'Jane Doe', title: 'VP' },
+      relatedOpportunities: [],
+      contactActivities: [{ id: '00T1', subject: 'Call' }],
+      contactConversations: []
+    },
+    additionalCTAs: [],
+    accountData: { accountId: '0011', accountName: 'Acme', accountLink: '/0011' },
+    additionalContacts: [],
+    accountLevelActivities: [{ id: '00T1', subject: 'Call' }],
+    additionalOpportunities: [{ id: '0061', stageName: 'Discovery', amount: 1000, formattedAmount: '$1,000' }],
+    additionalConversations: [],
+    productSummaryWrapperResponse: []
+  });
+
+  it('reports added, changed and removed records per section', () => {
+    const previous = base();
+    const current = base();
+    current.additionalOpportunities = [{ id: '0061', stageName: 'Negotiation', amount: 1000, formattedAmount: '$1,000.00' }];
+    current.accountLevelActivities.push({ id: '00T2', subject: 'Pricing call' });
+    current.additionalContacts = [];
+    previous.additionalContacts = [{ contactId: '0032', contactName: 'John Roe' }];
+
+    const delta = contextRefresh.diffContext(previous, current);
+
+    assert.strictEqual(delta.total, 3);
+    assert.deepStrictEqual(Object.keys(delta.sections).sort(), ['activities', 'contacts', 'opportunities']);
+    assert.deepStrictEqual(delta.sections.opportunities.changed, [{
+      key: '0061',
+      item: { id: '0061', stageName: 'Negotiation', amount: 1000 },
+      changes: { stageName: { from: 'Discovery', to: 'Negotiation' } }
+    }]);
+    assert.deepStrictEqual(delta.sections.activities.added, [{ id: '00T2', subject: 'Pricing call' }]);
+    assert.deepStrictEqual(delta.sections.contacts.removed, [{ key: '0032', item: { contactId: '0032', contactName: 'John Roe' } }]);
+  });
+
+  it('finds nothing when only display fields differ and treats a missing snapshot as all added', () => {
+    const current = base();
+    current.accountData.accountLink = '/0011?x';
+    assert.deepStrictEqual(contextRefresh.diffContext(base(), current), { total: 0, sections: {} });
+
+    const delta = contextRefresh.diffContext(null, base());
+    assert.strictEqual(delta.sections.activities.added.length, 1);
+    assert.strictEqual(delta.total, 5);
+  });
+});
+
+describe('follow-up context refresh', () => {
+  quiet();
+
+  let conn;
+  let inputs;
+  const originals = { connect: salesforce.createSalesforceConnection, run: providers.runConversation };
+  before(() => {
+    conn = createFakeConnection(loadFixture('acme'), { now: '2025-09-01T00:00:00Z' });
+    salesforce.createSalesforceConnection = async () => conn;
+    providers.runConversation = async (provider, params) => {
+      inputs.push(params);
+      return { assistantContent: '<p>Answer</p>', conversationId: params.conversationId || 'conv-1', runId: 'run-1', provider: provider.name };
+    };
+  });
+  after(() => {
+    salesforce.createSalesforceConnection = originals.connect;
+    providers.runConversation = originals.run;
+    delete process.env.CONTEXT_STALENESS_CHECK;
+  });
+
+  const run = async (id, extra) => {
+    inputs = [];
+    await jobs.createJob({ id, recordId: FSR, sfdcId: CONVERSATION });
+    await worker.processJob({ jobId: id, sfdcId: CONVERSATION, sfdcToken: 'token', recordId: FSR, provider: 'mock', digestTranscripts: false, ...extra });
+    return jobs.getJob(id);
+  };
+  const followUp = (id, extra) => run(id, { isExisting: true, conversationId: 'conv-existing', message: 'What should I do next?', ...extra });
+
+  it('re-collects on request even without an earlier snapshot, sending everything as added', async () => {
+    const job = await followUp('refresh-requested', { refreshContext: true });
+
+    assert.strictEqual(job.refresh.reason, 'requested');
+    assert.strictEqual(job.refresh.since, null);
+    assert.strictEqual(job.refresh.full, true);
+    assert.strictEqual(job.refresh.context.overBudget, false);
+    assert.strictEqual(job.promptTemplate, 'context-update@1');
+    assert.match(inputs[0].input, /"contactName": "Jane Doe"/);
+    assert.match(inputs[0].input, /What should I do next\? \( Strictly use HTML output format\)$/);
+    assert.ok(await contextRefresh.loadSnapshot(CONVERSATION));
+  });
+
+  it('sends a plain follow-up when nothing changed since the snapshot', async () => {
+    const job = await followUp('refresh-unchanged');
+
+    assert.strictEqual(job.refresh, undefined);
+    assert.strictEqual(job.promptTemplate, 'follow-up@1');
+  });
+
+  it('notices records modified after the snapshot and sends only the difference', async () => {
+    const opportunity = conn.records('Opportunity').find(r => r.Id === '006Ab0000000001IAA');
+    opportunity.StageName = 'Negotiation';
+    opportunity.LastModifiedDate = new Date(Date.now() + 60000).toISOString();
+
+    const job = await followUp('refresh-stale');
+
+    assert.strictEqual(job.refresh.reason, 'stale');
+    assert.deepStrictEqual(job.refresh.stale, ['opportunities']);
+    assert.strictEqual(job.refresh.full, false);
+    assert.deepStrictEqual(job.refresh.sections, { opportunities: { added: 0, changed: 1, removed: 0 } });
+    assert.match(inputs[0].input, /"stageName": \{\s*"from": "Discovery",\s*"to": "Negotiation"/);
+    assert.doesNotMatch(inputs[0].input, /Jane Doe/);
+
+    // The snapshot now holds the new stage, so the same change is not sent twice
+    opportunity.LastModifiedDate = new Date(Date.now() - 60000).toISOString();
+    assert.strictEqual((await followUp('refresh-after')).promptTemplate, 'follow-up@1');
+  });
+
+  it('sends the packed current data when the changes alone exceed the budget', async () => {
+    const task = conn.records('Task').find(r => r.Id === '00TAb0000000001MAA');
+    task.Description = 'Long call notes. '.repeat(2000);
+    task.LastModifiedDate = new Date(Date.now() + 60000).toISOString();
+
+    const job = await followUp('refresh-over-budget', { contextBudget: 4000 });
+
+    assert.strictEqual(job.refresh.full, true);
+    assert.ok(job.refresh.context.changes.some(change => change.action === 'trimmed descriptions'));
+    assert.match(inputs[0].input, /characters trimmed/);
+    assert.ok(inputs[0].input.length < task.Description.length);
+    task.LastModifiedDate = new Date(Date.now() - 60000).toISOString();
+  });
+
+  it('skips the staleness check when CONTEXT_STALENESS_CHECK is false', async () => {
+    process.env.CONTEXT_STALENESS_CHECK = 'false';
+    conn.records('Task').find(r => r.Id === '00TAb0000000001MAA').LastModifiedDate = new Date(Date.now() + 60000).toISOString();
+    const queries = conn.operations.length;
+
+    const job = await followUp('refresh-disabled');
+
+    assert.strictEqual(job.refresh, undefined);
+    assert.ok(!conn.operations.slice(queries).some(op => op.type === 'select' && op.sobject === 'Task'));
+  });
+});
+
+describe('snapshot retention and staleness time limit', () => {
+  quiet();
+
+  const data = { accountData: { accountId: '001Ab0000000001IAA' } };
+
+  it('expires snapshots after their time to live', async () => {
+    await contextRefresh.saveSnapshot(CONVERSATION, { recordId: FSR, data });
+    assert.ok(await contextRefresh.loadSnapshot(CONVERSATION));
+    assert.strictEqual(await contextRefresh.pruneSnapshots(), 0);
+
+    process.env.CONTEXT_SNAPSHOT_TTL_MS = '1';
+    try {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      assert.strictEqual(await contextRefresh.loadSnapshot(CONVERSATION), null);
+      assert.strictEqual(await contextRefresh.pruneSnapshots(), 1);
+    } finally {
+      delete process.env.CONTEXT_SNAPSHOT_TTL_MS;
+    }
+    assert.strictEqual(await contextRefresh.loadSnapshot(CONVERSATION), null);
+  });
+
+  it('counts the sections whose check outlasts the time limit as stale', async () => {
+    const conn = createFakeConnection(loadFixture('acme'), { now: '2025-09-01T00:00:00Z' });
+    const snapshot = { recordId: FSR, collectedAt: new Date().toISOString(), data };
+    const originalQuery = salesforce.executeProfileQuery;
+    const checked = [];
+    salesforce.executeProfileQuery = (queryConn, spec, variables) => {
+      checked.push(spec.sobject);
+      return spec.sobject === 'Task' ? new Promise(() => {}) : originalQuery(queryConn, spec, variables);
+    };
+    process.env.CONTEXT_STALENESS_TIMEOUT_MS = '50';
+    try {
+      assert.deepStrictEqual(await contextRefresh.findStaleSections(conn, snapshot), ['accountTasks', 'contactTasks']);
+      assert.ok(checked.length > 2);
+    } finally {
+      salesforce.executeProfileQuery = originalQuery;
+      delete process.env.CONTEXT_STALENESS_TIMEOUT_MS;
+    }
+  });
+});
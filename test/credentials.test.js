@@ -0,0 +1,249 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { scratchDir, quiet } = require('./stubs/environment');
+
+// Credentials are stored under DATA_DIR
+const DATA_DIR = scratchDir('credentials-', 'DATA_DIR');
+process.env.AUTH_MODE = 'off';
+process.env.CREDENTIALS_KEY = 'test-credentials-key';
+process.env.SFDC_CLIENT_ID = 'client-id';
+process.env.SFDC_CLIENT_SECRET = 'client-secret';
+process.env.SFDC_REDIRECT_URI = 'https://assistant.example/oauth/callback';
+process.env.SFDC_JWT_USERNAME = 'integration@acme.example';
+
+const credentials = require('../credentials');
+const audit = require('../audit');
+const salesforce = require('../salesforce');
+const app = require('../app');
+
+const ORG = '00DAb0000000001MAA';
+const USER = '005Ab0000000001IAA';
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+process.env.SFDC_JWT_PRIVATE_KEY = privateKey.export({ type: 'pkcs1', format: 'pem' }).replace(/\n/g, '\\n');
+
+/**
+ * Stand-in for the Salesforce login server and the REST endpoints jsforce calls to validate a session
+ * @returns {object} { app, state } where state.valid holds the tokens currently accepted
+ */
+function createSalesforceStub() {
+  const stubApp = express();
+  const state = { base: null, valid: new Set(), issued: 0, grants: [] };
+  stubApp.use(express.urlencoded({ extended: false }));
+
+  const issue = (extra = {}) => {
+    state.issued += 1;
+    const token = `token-${state.issued}`;
+    state.valid.add(token);
+    return { access_token: token, instance_url: state.base, id: `${state.base}/id/${ORG}/${USER}`, issued_at: String(Date.now()), ...extra };
+  };
+
+  stubApp.post('/services/oauth2/token', (req, res) => {
+    const { grant_type: grant } = req.body;
+    state.grants.push(grant);
+    if (grant === 'urn:ietf:params:oauth:grant-type:jwt-bearer') {
+      const [header, claims, signature] = req.body.assertion.split('.');
+      const verified = crypto.createVerify('RSA-SHA256').update(`${header}.${claims}`).verify(publicKey, Buffer.from(signature, 'base64url'));
+      const { iss, sub, aud } = JSON.parse(Buffer.from(claims, 'base64url').toString());
+      if (!verified || iss !== 'client-id' || sub !== 'integration@acme.example' || aud !== state.base) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'invalid assertion' });
+      }
+      return res.json(issue());
+    }
+    if (grant === 'authorization_code' && req.body.code === 'good-code') return res.json(issue({ refresh_token: 'refresh-1' }));
+    if (grant === 'refresh_token' && req.body.refresh_token === 'refresh-1' && req.body.client_secret === 'client-secret') return res.json(issue());
+    res.status(400).json({ error: 'invalid_grant', error_description: 'expired access/refresh token' });
+  });
+
+  stubApp.get('/services/oauth2/userinfo', (req, res) => {
+    res.json({ organization_id: ORG, urls: { rest: 'https://acme.my.salesforce.com/services/data/v{version}/' } });
+  });
+
+  // Everything else needs a valid session
+  stubApp.use((req, res, next) => {
+    const token = String(req.get('authorization') || '').replace(/^Bearer /, '');
+    if (!state.valid.has(token)) return res.status(401).json([{ errorCode: 'INVALID_SESSION_ID', message: 'Session expired or invalid' }]);
+    next();
+  });
+  stubApp.get(/^\/services\/data\/v[\d.]+\/?$/, (req, res) => res.json({ identity: `${state.base}/id/${ORG}/${USER}` }));
+  stubApp.get('/id/:org/:user', (req, res) => res.json({ id: `${state.base}/id/${ORG}/${USER}`, user_id: USER, organization_id: ORG }));
+  stubApp.get(/^\/services\/data\/v[\d.]+\/query/, (req, res) => res.json({ totalSize: 1, done: true, records: [{ Id: 'a0FAb0000000001MAA' }] }));
+
+  return { app: stubApp, state };
+}
+
+const stub = createSalesforceStub();
+let stubServer;
+before(async () => {
+  await new Promise(resolve => { stubServer = stub.app.listen(0, resolve); });
+  stub.state.base = `http://127.0.0.1:${stubServer.address().port}`;
+  process.env.SFDC_LOGIN_URL = stub.state.base;
+});
+after(() => new Promise(resolve => stubServer.close(resolve)));
+
+describe('credential store', () => {
+  it('encrypts tokens at rest and lists credentials without them', async () => {
+    await credentials.saveCredential({ orgId: ORG, userId: USER, instanceUrl: 'https://acme.my.salesforce.com', accessToken: 'secret-access', refreshToken: 'secret-refresh', flow: 'refresh_token' });
+
+    const raw = fs.readFileSync(path.join(DATA_DIR, 'credentials', `${ORG.substring(0, 15)}.json`), 'utf8');
+    assert.doesNotMatch(raw, /secret-/);
+    assert.strictEqual((await credentials.getCredential(ORG.substring(0, 15))).refreshToken, 'secret-refresh');
+    assert.deepStrictEqual((await credentials.listCredentials()).map(c => [c.orgId, c.flow]), [[ORG, 'refresh_token']]);
+  });
+
+  it('replaces a stored credential only when asked to', async () => {
+    const replacement = { orgId: ORG, userId: USER, instanceUrl: 'https://acme.my.salesforce.com', accessToken: 'other-access', flow: 'jwt' };
+    await assert.rejects(credentials.saveCredential(replacement), { code: 'CREDENTIAL_EXISTS' });
+    assert.strictEqual((await credentials.getCredential(ORG)).accessToken, 'secret-access');
+
+    await credentials.saveCredential({ ...replacement, accessToken: 'secret-access', refreshToken: 'secret-refresh', flow: 'refresh_token' }, { replace: true });
+    assert.strictEqual(await credentials.hasCredential(ORG), true);
+  });
+
+  it('refuses to read credentials with another key', async () => {
+    process.env.CREDENTIALS_KEY = 'another-key';
+    try {
+      await assert.rejects(credentials.getCredential(ORG), { code: 'CREDENTIALS_UNREADABLE' });
+    } finally {
+      process.env.CREDENTIALS_KEY = 'test-credentials-key';
+    }
+    assert.strictEqual(await credentials.deleteCredential(ORG), true);
+    assert.strictEqual(await credentials.getCredential(ORG), null);
+  });
+});
+
+describe('instance URLs', () => {
+  it('accepts only https Salesforce domains from callers', async () => {
+    assert.ok(credentials.isValidInstanceUrl('https://acme.my.salesforce.com'));
+    assert.ok(credentials.isValidInstanceUrl('https://acme--full.sandbox.my.salesforce.com/'));
+    assert.ok(!credentials.isValidInstanceUrl('http://acme.my.salesforce.com'));
+    assert.ok(!credentials.isValidInstanceUrl('https://salesforce.com.attacker.example'));
+    assert.ok(!credentials.isValidInstanceUrl('https://acme.my.salesforce.com/services/data'));
+    await assert.rejects(credentials.resolveInstanceUrl('token', { instanceUrl: 'https://evil.example' }), { code: 'INVALID_INSTANCE_URL' });
+  });
+
+  it('looks up the instance of a token when nothing else names it', async () => {
+    assert.strictEqual(await credentials.resolveInstanceUrl('token'), 'https://acme.my.salesforce.com');
+    assert.strictEqual(await credentials.resolveInstanceUrl('token', { credential: { instanceUrl: 'https://other.my.salesforce.com' } }), 'https://other.my.salesforce.com');
+  });
+});
+
+describe('OAuth flows', () => {
+  quiet();
+
+  it('logs in the integration user with a signed JWT', async () => {
+    const credential = await credentials.jwtBearerLogin();
+
+    assert.strictEqual(credential.flow, 'jwt');
+    assert.strictEqual(credential.orgId, ORG);
+    assert.strictEqual(credential.userId, USER);
+    assert.strictEqual(credential.instanceUrl, stub.state.base);
+    assert.ok(stub.state.valid.has(credential.accessToken));
+  });
+
+  it('reports token endpoint errors', async () => {
+    await assert.rejects(credentials.jwtBearerLogin({ username: 'someone@else.example' }), { code: 'OAUTH_ERROR', message: /invalid assertion/ });
+  });
+
+  it('refreshes an expired session from the stored credential and retries the request', async () => {
+    const stored = await credentials.saveCredential(await credentials.exchangeCode('good-code'));
+    stub.state.valid.clear();
+
+    const conn = await salesforce.createSalesforceConnection('expired-caller-token', { orgId: ORG });
+    const result = await conn.query('SELECT Id FROM FSR__c');
+
+    assert.strictEqual(result.records[0].Id, 'a0FAb0000000001MAA');
+    assert.notStrictEqual(conn.accessToken, stored.accessToken);
+    assert.strictEqual((await credentials.getCredential(ORG)).accessToken, conn.accessToken);
+    assert.strictEqual(stub.state.grants.at(-1), 'refresh_token');
+  });
+
+  it('connects without a caller token when the org has a stored credential', async () => {
+    const conn = await salesforce.createSalesforceConnection(null, { orgId: ORG });
+    assert.strictEqual(conn.userInfo.organizationId, ORG);
+
+    await assert.rejects(salesforce.createSalesforceConnection(null, { orgId: '00DAb0000000002MAA' }), /No Salesforce credential is stored/);
+    // The session's own org decides, not the orgId sent along
+    process.env.SFDC_INSTANCE_URL = stub.state.base;
+    try {
+      await assert.rejects(salesforce.createSalesforceConnection(conn.accessToken, { orgId: '00DAb0000000002MAA' }), /does not match the org of the Salesforce session/);
+    } finally {
+      delete process.env.SFDC_INSTANCE_URL;
+    }
+  });
+
+  it('fails an expired session of an org without a stored credential', async () => {
+    await credentials.deleteCredential(ORG);
+    await assert.rejects(
+      salesforce.createSalesforceConnection('expired-caller-token', { instanceUrl: 'https://acme.my.salesforce.com', orgId: ORG }),
+      /Authentication failed/
+    );
+  });
+});
+
+describe('OAuth endpoints', () => {
+  quiet();
+
+  let server;
+  let url;
+  before(async () => {
+    await new Promise(resolve => { server = app.listen(0, resolve); });
+    url = `http://localhost:${server.address().port}`;
+  });
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('stores the refresh token of an authorized org', async () => {
+    const redirect = await fetch(`${url}/oauth/authorize`, { redirect: 'manual' });
+    assert.strictEqual(redirect.status, 302);
+    const location = new URL(redirect.headers.get('location'));
+    assert.strictEqual(location.origin + location.pathname, `${stub.state.base}/services/oauth2/authorize`);
+    assert.strictEqual(location.searchParams.get('scope'), 'api refresh_token');
+
+    const state = location.searchParams.get('state');
+    const callback = await fetch(`${url}/oauth/callback?code=good-code&state=${state}`);
+    assert.strictEqual(callback.status, 200);
+    assert.deepStrictEqual(await callback.json(), { orgId: ORG, userId: USER, instanceUrl: stub.state.base, flow: 'refresh_token' });
+    assert.strictEqual((await credentials.getCredential(ORG)).refreshToken, 'refresh-1');
+
+    // A state is used once
+    assert.strictEqual((await fetch(`${url}/oauth/callback?code=good-code&state=${state}`)).status, 400);
+  });
+
+  it('replaces the credential of an org only when the admin confirmed it, and audits every change', async () => {
+    const authorize = async (query = '') => {
+      const redirect = await fetch(`${url}/oauth/authorize${query}`, { redirect: 'manual' });
+      const state = new URL(redirect.headers.get('location')).searchParams.get('state');
+      return fetch(`${url}/oauth/callback?code=good-code&state=${state}`);
+    };
+    const before = (await credentials.getCredential(ORG)).accessToken;
+
+    assert.strictEqual((await authorize()).status, 409);
+    assert.strictEqual((await credentials.getCredential(ORG)).accessToken, before);
+    assert.strictEqual((await authorize('?replace=true')).status, 200);
+    assert.notStrictEqual((await credentials.getCredential(ORG)).accessToken, before);
+
+    const actions = (await audit.listAudit({ type: 'request' })).map(entry => entry.action);
+    assert.deepStrictEqual(actions.slice(0, 3), ['credential_replaced', 'credential_replace_refused', 'credential_stored']);
+  });
+
+  it('rejects unknown states and caller instance URLs outside Salesforce', async () => {
+    assert.strictEqual((await fetch(`${url}/oauth/callback?code=good-code&state=forged`)).status, 400);
+
+    const response = await fetch(`${url}/jobs`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sfdcToken: 'token', instanceUrl: 'https://evil.example', recordId: 'a0FAb0000000001MAA', provider: 'mock' })
+    });
+    assert.strictEqual(response.status, 400);
+    assert.match((await response.json()).error, /Invalid instanceUrl/);
+  });
+
+  it('removes a stored credential', async () => {
+    assert.strictEqual((await fetch(`${url}/credentials/${ORG}`, { method: 'DELETE' })).status, 200);
+    assert.strictEqual((await fetch(`${url}/credentials/${ORG}`, { method: 'DELETE' })).status, 404);
+    assert.strictEqual((await audit.listAudit({ type: 'request', limit: 1 }))[0].action, 'credential_deleted');
+  });
+});
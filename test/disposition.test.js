@@ -0,0 +1,247 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { scratchDir, quiet } = require('./stubs/environment');
+
+// The audit log and job records are written under DATA_DIR
+scratchDir('disposition-', 'DATA_DIR');
+process.env.AUTH_MODE = 'off';
+
+const disposition = require('../disposition');
+const audit = require('../audit');
+const salesforce = require('../salesforce');
+const providers = require('../providers');
+const jobs = require('../jobs');
+const worker = require('../worker');
+const app = require('../app');
+const { createFakeConnection, loadFixture } = require('./stubs/salesforce-connection');
+
+const FSR = 'a0FAb0000000001MAA';
+
+const HTML_BRIEFING = [
+  '<h3>11. Action Recommendations</h3><p>Send the plan; do not reject follow-ups.</p>',
+  '<h3>12. Disposition Brief</h3><p><b>Recommendation: CONVERT</b> - qualification <b>Hot</b>. Timeline: within 30 days. Jane is evaluating vendors now.</p><p>Confidence: 0.85</p>',
+  '<h3>13. Follow-up Email Template</h3><p>Subject: Your migration plan</p>'
+].join('');
+
+/**
+ * Loads the Acme fixture with the default disposition fields on the FSR records
+ * @returns {object} Fixture
+ */
+function fixtureWithDispositionFields() {
+  const fixture = loadFixture('acme');
+  fixture.FSR__c.forEach(record => Object.assign(record, {
+    AI_Disposition__c: null,
+    AI_Qualification__c: null,
+    AI_Disposition_Rationale__c: null,
+    AI_Disposition_Confidence__c: null
+  }));
+  return fixture;
+}
+
+describe('extractDisposition', () => {
+  it('reads the structured disposition with the confidence the model reported', () => {
+    const result = disposition.extractDisposition({
+      structured: { disposition: { decision: 'REJECT', qualification: null, rationale: 'No budget', confidence: 0.9 } }
+    });
+
+    assert.deepStrictEqual(result, { decision: 'REJECT', qualification: null, timeline: null, rationale: 'No budget', confidence: 0.9, source: 'structured' });
+  });
+
+  it('reads the Disposition Brief section of an HTML briefing', () => {
+    const result = disposition.extractDisposition({ html: HTML_BRIEFING });
+
+    assert.strictEqual(result.decision, 'CONVERT');
+    assert.strictEqual(result.qualification, 'hot');
+    assert.strictEqual(result.timeline, 'within 30 days');
+    assert.strictEqual(result.confidence, 0.85);
+    assert.ok(result.rationale.startsWith('Recommendation: CONVERT'));
+    assert.ok(!result.rationale.includes('Subject'));
+  });
+
+  it('finds no disposition in ambiguous sections', () => {
+    assert.strictEqual(disposition.extractDisposition({ html: '<h3>Disposition Brief</h3><p>We could convert this.</p>' }).decision, 'CONVERT');
+    assert.strictEqual(disposition.extractDisposition({ html: '<h3>Disposition Brief</h3><p>CONVERT now or REJECT later.</p>' }), null);
+    assert.strictEqual(disposition.extractDisposition({ html: '<h3>Account Summary</h3><p>CONVERT</p>' }), null);
+  });
+
+  it('invents no confidence the model did not report and ignores one outside 0-1', () => {
+    const result = disposition.extractDisposition({ structured: { disposition: { decision: 'CONVERT', rationale: 'Active evaluation' } } });
+    assert.strictEqual(result.confidence, null);
+    assert.strictEqual(disposition.extractDisposition({ structured: { disposition: { decision: 'CONVERT', confidence: 80 } } }).confidence, null);
+
+    const html = (line) => disposition.extractDisposition({ html: `<h3>Disposition Brief</h3><p>CONVERT. Timeline: Q1</p><p>${line}</p>` });
+    assert.strictEqual(html('').confidence, null);
+    assert.strictEqual(html('Confidence: 70%').confidence, 0.7);
+    assert.strictEqual(html('Confidence: 7').confidence, null);
+    assert.strictEqual(html('Confidence: .6').timeline, 'Q1');
+  });
+});
+
+describe('applyDisposition', () => {
+  quiet();
+
+  let conn;
+  beforeEach(() => {
+    conn = createFakeConnection(fixtureWithDispositionFields());
+  });
+
+  const apply = (found, settings = {}) => disposition.applyDisposition(conn, {
+    recordId: FSR,
+    disposition: found,
+    settings: { ...disposition.resolveSettings({ enabled: true }), ...settings },
+    jobId: 'job-1'
+  });
+  const fsr = () => conn.records('FSR__c').find(r => r.Id === FSR);
+  const CONVERT = { decision: 'CONVERT', qualification: 'hot', timeline: null, rationale: 'Active evaluation', confidence: 0.8, source: 'structured' };
+
+  it('writes the mapped fields and audits the change', async () => {
+    const entry = await apply(CONVERT, { valueMap: { CONVERT: 'Converted' } });
+
+    assert.strictEqual(entry.action, 'applied');
+    assert.deepStrictEqual(entry.changes.AI_Disposition__c, { from: null, to: 'Converted' });
+    assert.strictEqual(fsr().AI_Disposition__c, 'Converted');
+    assert.strictEqual(fsr().AI_Qualification__c, 'hot');
+    assert.strictEqual(fsr().AI_Disposition_Confidence__c, 0.8);
+
+    const [logged] = await audit.listAudit({ type: 'disposition', recordId: FSR, limit: 1 });
+    assert.strictEqual(logged.id, entry.id);
+    assert.strictEqual(logged.jobId, 'job-1');
+  });
+
+  it('only audits in dry-run mode', async () => {
+    const entry = await apply(CONVERT, { dryRun: true });
+
+    assert.strictEqual(entry.action, 'dry_run');
+    assert.strictEqual(entry.changes.AI_Disposition__c.to, 'CONVERT');
+    assert.strictEqual(fsr().AI_Disposition__c, null);
+    assert.ok(!conn.operations.some(op => op.type === 'update'));
+  });
+
+  it('skips recommendations below the confidence threshold', async () => {
+    const entry = await apply({ ...CONVERT, confidence: 0.3 });
+
+    assert.strictEqual(entry.action, 'skipped');
+    assert.strictEqual(entry.reason, 'Confidence 0.3 is below 0.7');
+    assert.ok(!conn.operations.some(op => op.type === 'update'));
+  });
+
+  it('skips recommendations without a confidence', async () => {
+    const entry = await apply({ ...CONVERT, confidence: null, source: 'html' }, { minConfidence: 0 });
+
+    assert.strictEqual(entry.action, 'skipped');
+    assert.strictEqual(entry.reason, 'The briefing reports no confidence for the disposition');
+    assert.ok(!conn.operations.some(op => op.type === 'update'));
+  });
+
+  it('skips orgs without the mapped fields', async () => {
+    conn = createFakeConnection(loadFixture('acme'));
+    const entry = await apply(CONVERT);
+
+    assert.strictEqual(entry.action, 'skipped');
+    assert.match(entry.reason, /None of the mapped fields exist on FSR__c/);
+  });
+
+  it('reads the field map from DISPOSITION_FIELD_MAP', () => {
+    process.env.DISPOSITION_FIELD_MAP = '{"decision":"Status__c"}';
+    try {
+      assert.deepStrictEqual(disposition.resolveSettings().fieldMap, { decision: 'Status__c' });
+      process.env.DISPOSITION_FIELD_MAP = '{"decision":"Status__c; DELETE"}';
+      assert.throws(() => disposition.resolveSettings());
+    } finally {
+      delete process.env.DISPOSITION_FIELD_MAP;
+    }
+  });
+});
+
+describe('disposition write-back jobs', () => {
+  quiet();
+
+  let conn;
+  let answer;
+  const originals = { connect: salesforce.createSalesforceConnection, run: providers.runConversation };
+  before(() => {
+    salesforce.createSalesforceConnection = async () => conn;
+    providers.runConversation = async (provider) => ({ assistantContent: answer, conversationId: 'conv-1', runId: 'run-1', provider: provider.name });
+  });
+  after(() => {
+    salesforce.createSalesforceConnection = originals.connect;
+    providers.runConversation = originals.run;
+  });
+
+  const run = async (id, extra, content = HTML_BRIEFING) => {
+    answer = content;
+    conn = createFakeConnection(fixtureWithDispositionFields(), { now: '2025-09-01T00:00:00Z' });
+    await jobs.createJob({ id, recordId: FSR, sfdcId: 'a1CAb0000000001MAA' });
+    await worker.processJob({ jobId: id, sfdcId: 'a1CAb0000000001MAA', sfdcToken: 'token', recordId: FSR, provider: 'mock', digestTranscripts: false, ...extra });
+    return jobs.getJob(id);
+  };
+
+  it('writes the disposition back when the job opts in', async () => {
+    const structured = {
+      ctaOverview: 'Jane requested a demo.',
+      accountSummary: 'Retailer with 900 employees.',
+      contactSummary: 'Jane Doe, VP Engineering.',
+      influencers: [],
+      buyingSignals: [],
+      actionRecommendations: [],
+      disposition: { decision: 'CONVERT', qualification: 'hot', rationale: 'Active evaluation', confidence: 0.9 },
+      followUpEmail: { subject: 'Your migration plan', body: 'Hi Jane' }
+    };
+    const job = await run('disposition-on', { writeDisposition: true, outputFormat: 'structured' }, JSON.stringify(structured));
+
+    assert.strictEqual(job.disposition.action, 'applied');
+    assert.strictEqual(conn.records('FSR__c').find(r => r.Id === FSR).AI_Disposition__c, 'CONVERT');
+    assert.strictEqual(conn.records('FSR__c').find(r => r.Id === FSR).AI_Disposition_Confidence__c, 0.9);
+  });
+
+  it('writes the disposition of an HTML briefing with the confidence of its Confidence line', async () => {
+    const job = await run('disposition-html', { writeDisposition: true });
+
+    assert.strictEqual(job.disposition.action, 'applied');
+    const [logged] = await audit.listAudit({ type: 'disposition', recordId: FSR, limit: 1 });
+    assert.strictEqual(logged.id, job.disposition.auditId);
+    assert.strictEqual(logged.disposition.source, 'html');
+    assert.strictEqual(conn.records('FSR__c').find(r => r.Id === FSR).AI_Disposition__c, 'CONVERT');
+    assert.strictEqual(conn.records('FSR__c').find(r => r.Id === FSR).AI_Disposition_Confidence__c, 0.85);
+  });
+
+  it('only audits the disposition of an HTML briefing without a confidence', async () => {
+    const job = await run('disposition-html-unsure', { writeDisposition: true }, HTML_BRIEFING.replace('<p>Confidence: 0.85</p>', ''));
+
+    assert.strictEqual(job.disposition.action, 'skipped');
+    assert.strictEqual(conn.records('FSR__c').find(r => r.Id === FSR).AI_Disposition__c, null);
+  });
+
+  it('leaves the record alone by default', async () => {
+    const job = await run('disposition-off', {});
+
+    assert.strictEqual(job.disposition, undefined);
+    assert.strictEqual(conn.records('FSR__c').find(r => r.Id === FSR).AI_Disposition__c, null);
+  });
+});
+
+describe('GET /audit', () => {
+  quiet();
+
+  let server;
+  let url;
+  before(async () => {
+    await new Promise(resolve => {
+      server = app.listen(0, () => resolve());
+    });
+    url = `http://localhost:${server.address().port}`;
+  });
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('lists entries newest first with filters', async () => {
+    await audit.appendAudit({ type: 'disposition', action: 'dry_run', recordId: 'a0FAb0000000005MAA' });
+    await audit.appendAudit({ type: 'disposition', action: 'applied', recordId: 'a0FAb0000000005MAA' });
+
+    const response = await fetch(`${url}/audit?recordId=a0FAb0000000005MAA`);
+    const { entries } = await response.json();
+    assert.deepStrictEqual(entries.map(e => e.action), ['applied', 'dry_run']);
+
+    const filtered = await (await fetch(`${url}/audit?recordId=a0FAb0000000005MAA&action=dry_run`)).json();
+    assert.strictEqual(filtered.entries.length, 1);
+  });
+});
@@ -0,0 +1,262 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { scratchDir, quiet } = require('./stubs/environment');
+
+// Job records and the queue are written under DATA_DIR
+scratchDir('email-draft-', 'DATA_DIR');
+process.env.AUTH_MODE = 'off';
+// Tokens in queued jobs are sealed with the credentials key
+process.env.CREDENTIALS_KEY = 'test-credentials-key';
+
+const emailDraft = require('../email-draft');
+const salesforce = require('../salesforce');
+const providers = require('../providers');
+const jobs = require('../jobs');
+const worker = require('../worker');
+const app = require('../app');
+const { getQueue } = require('../queue');
+const { createFakeConnection, loadFixture } = require('./stubs/salesforce-connection');
+
+const FSR = 'a0FAb0000000001MAA';
+const JANE = '003Ab0000000001IAA';
+const LEAD = '00QAb0000000001MAA';
+
+const HTML_BRIEFING = [
+  '<h3>12. Disposition Brief</h3><p><b>Recommendation: CONVERT</b></p>',
+  '<h3>13. Follow-up Email Template</h3>',
+  '<p><b>Subject:</b> Scaling messaging at [Company]</p>',
+  '<p>Hi [First Name],</p><p>Congrats on the launch &amp; the new {{ Title }} role.<br>Worth a call?</p><p>Best,<br>[Your Name]</p>'
+].join('');
+
+const MERGE_DATA = {
+  contact: { contactId: JANE, contactName: 'Jane Doe', title: 'VP Engineering', email: 'jane.doe@acme.example' },
+  account: { accountName: 'Acme Corp' },
+  cta: { ownerName: 'Sam Seller', product: 'Messaging' }
+};
+
+describe('parseEmail', () => {
+  it('reads the subject and body of the Follow-up Email Template section', () => {
+    const email = emailDraft.parseEmail({ html: HTML_BRIEFING });
+
+    assert.strictEqual(email.subject, 'Scaling messaging at [Company]');
+    assert.strictEqual(email.body, 'Hi [First Name],\nCongrats on the launch & the new {{ Title }} role.\nWorth a call?\nBest,\n[Your Name]');
+  });
+
+  it('prefers the structured briefing and returns null without an email section', () => {
+    assert.deepStrictEqual(
+      emailDraft.parseEmail({ structured: { followUpEmail: { subject: ' Hello ', body: 'Body\n' } }, html: HTML_BRIEFING }),
+      { subject: 'Hello', body: 'Body' }
+    );
+    assert.strictEqual(emailDraft.parseEmail({ html: '<h3>Account Summary</h3><p>Subject: not an email</p>' }), null);
+  });
+});
+
+describe('resolveMergeFields', () => {
+  it('fills merge fields from the contact, account and CTA data', () => {
+    const { text, unresolved } = emailDraft.resolveMergeFields('Hi [First Name] ({{contact.title}}) at {Company}, from [Your Name]', MERGE_DATA);
+
+    assert.strictEqual(text, 'Hi Jane (VP Engineering) at Acme Corp, from Sam Seller');
+    assert.deepStrictEqual(unresolved, []);
+  });
+
+  it('leaves unknown or empty merge fields in place and reports them', () => {
+    const { text, unresolved } = emailDraft.resolveMergeFields('Hi [First Name], see [Case Study Link] and [Phone]', MERGE_DATA);
+
+    assert.strictEqual(text, 'Hi Jane, see [Case Study Link] and [Phone]');
+    assert.deepStrictEqual(unresolved, ['[Case Study Link]', '[Phone]']);
+  });
+});
+
+describe('parseEmailAnswer', () => {
+  it('accepts a { subject, body } object and rejects anything else', () => {
+    assert.deepStrictEqual(emailDraft.parseEmailAnswer('Here you go: {"subject": "Hi", "body": "Short note"}'), { subject: 'Hi', body: 'Short note' });
+    assert.throws(() => emailDraft.parseEmailAnswer('{"subject": "Hi"}'), { code: 'INVALID_EMAIL', message: /email\.body is required/ });
+    assert.throws(() => emailDraft.parseEmailAnswer('no JSON here'), { code: 'INVALID_EMAIL' });
+  });
+});
+
+describe('createDraft', () => {
+  quiet();
+
+  const email = { subject: 'Scaling messaging at [Company]', body: 'Hi [First Name],\nWorth a call?' };
+
+  it('creates a Task on the FSR record for the primary contact', async () => {
+    const conn = createFakeConnection(loadFixture('acme'));
+    const draft = await emailDraft.createDraft(conn, { type: 'Task', recordId: FSR, email, mergeData: MERGE_DATA });
+
+    const task = conn.records('Task').find(r => r.Id === draft.id);
+    assert.strictEqual(task.WhoId, JANE);
+    assert.strictEqual(task.WhatId, FSR);
+    assert.strictEqual(task.Status, 'Not Started');
+    assert.strictEqual(task.Subject, 'Email draft: Scaling messaging at Acme Corp');
+    assert.strictEqual(task.Description, 'Subject: Scaling messaging at Acme Corp\n\nHi Jane,\nWorth a call?');
+  });
+
+  it('creates a draft EmailMessage addressed to the primary contact', async () => {
+    const conn = createFakeConnection(loadFixture('acme'));
+    const draft = await emailDraft.createDraft(conn, { type: 'EmailMessage', recordId: FSR, email, mergeData: MERGE_DATA });
+
+    const message = conn.records('EmailMessage').find(r => r.Id === draft.id);
+    assert.strictEqual(message.Status, '5');
+    assert.strictEqual(message.ToAddress, 'jane.doe@acme.example');
+    assert.strictEqual(message.RelatedToId, FSR);
+    assert.deepStrictEqual(
+      conn.records('EmailMessageRelation').map(r => [r.EmailMessageId, r.RelationId, r.RelationType]),
+      [[draft.id, JANE, 'ToAddress']]
+    );
+  });
+
+  it('addresses drafts for a Lead to the Lead, since activities cannot relate to one', async () => {
+    const conn = createFakeConnection(loadFixture('acme'));
+    const mergeData = emailDraft.mergeDataFromContext({
+      parentRecord: { type: 'lead', Id: LEAD, Name: 'Lee Lead', Company: 'Lead Co', Email: 'lee@lead.example', IsConverted: false },
+      primaryContext: { relatedContact: MERGE_DATA.contact }
+    });
+    const task = await emailDraft.createDraft(conn, { type: 'Task', recordId: LEAD, email, mergeData });
+    const message = await emailDraft.createDraft(conn, { type: 'EmailMessage', recordId: LEAD, email, mergeData });
+
+    const taskRecord = conn.records('Task').find(r => r.Id === task.id);
+    assert.strictEqual(taskRecord.WhoId, LEAD);
+    assert.strictEqual(taskRecord.WhatId, null);
+    assert.strictEqual(task.subject, 'Scaling messaging at Lead Co');
+    assert.ok(task.body.startsWith('Hi Lee,'));
+
+    const messageRecord = conn.records('EmailMessage').find(r => r.Id === message.id);
+    assert.strictEqual(messageRecord.RelatedToId, null);
+    assert.strictEqual(messageRecord.ToAddress, 'lee@lead.example');
+    assert.deepStrictEqual(conn.records('EmailMessageRelation').map(r => r.RelationId), [LEAD]);
+  });
+
+  it('addresses drafts for a converted Lead to its contact', async () => {
+    const conn = createFakeConnection(loadFixture('acme'));
+    const record = { type: 'lead', Id: LEAD, IsConverted: true, ConvertedContactId: JANE };
+    const draft = await emailDraft.createDraft(conn, { type: 'Task', recordId: LEAD, email, mergeData: { ...MERGE_DATA, record } });
+
+    const task = conn.records('Task').find(r => r.Id === draft.id);
+    assert.strictEqual(task.WhoId, JANE);
+    assert.strictEqual(task.WhatId, null);
+    await assert.rejects(
+      emailDraft.createDraft(conn, { type: 'Task', recordId: LEAD, email, mergeData: { record } }),
+      /Lead 00QAb0000000001MAA is converted and has no contact/
+    );
+  });
+
+  it('rejects unknown draft types', () => {
+    assert.strictEqual(emailDraft.resolveDraftType('emailmessage'), 'EmailMessage');
+    assert.throws(() => emailDraft.resolveDraftType('Letter'), /Unknown email draft type/);
+  });
+});
+
+describe('email draft jobs', () => {
+  quiet();
+
+  let conn;
+  let inputs;
+  let answer;
+  const originals = { connect: salesforce.createSalesforceConnection, run: providers.runConversation };
+  before(() => {
+    salesforce.createSalesforceConnection = async () => conn;
+    providers.runConversation = async (provider, params) => {
+      inputs.push(params);
+      return { assistantContent: answer, conversationId: params.conversationId || 'conv-1', runId: 'run-1', provider: provider.name };
+    };
+  });
+  after(() => {
+    salesforce.createSalesforceConnection = originals.connect;
+    providers.runConversation = originals.run;
+  });
+
+  const run = async (id, extra) => {
+    conn = createFakeConnection(loadFixture('acme'), { now: '2025-09-01T00:00:00Z' });
+    inputs = [];
+    await jobs.createJob({ id, recordId: FSR, sfdcId: 'a1CAb0000000001MAA' });
+    await worker.processJob({ jobId: id, sfdcId: 'a1CAb0000000001MAA', sfdcToken: 'token', recordId: FSR, provider: 'mock', digestTranscripts: false, ...extra });
+    return jobs.getJob(id);
+  };
+
+  it('drafts the briefing email for the primary contact when the job opts in', async () => {
+    answer = HTML_BRIEFING;
+    const job = await run('email-on', { createEmailDraft: true });
+
+    assert.strictEqual(job.emailDraft.status, 'created');
+    assert.strictEqual(job.emailDraft.type, 'Task');
+    assert.deepStrictEqual(job.emailDraft.unresolved, []);
+    const task = conn.records('Task').find(r => r.Id === job.emailDraft.id);
+    assert.strictEqual(task.WhoId, JANE);
+    assert.match(task.Description, /^Subject: Scaling messaging at Acme Corp\n\nHi Jane,\nCongrats on the launch & the new VP Engineering role\./);
+    assert.match(task.Description, /Sam Seller$/);
+  });
+
+  it('creates no draft by default', async () => {
+    answer = HTML_BRIEFING;
+    const job = await run('email-off', {});
+
+    assert.strictEqual(job.emailDraft, undefined);
+    assert.ok(!conn.operations.some(op => op.type === 'create' && op.sobject === 'Task'));
+  });
+
+  it('regenerates only the email in the existing conversation', async () => {
+    answer = '{"subject": "Quick question, [First Name]", "body": "Hey [First Name], got 15 minutes this week?"}';
+    const job = await run('email-regenerate', { type: 'email', conversationId: 'conv-existing', tone: 'casual', draftType: 'EmailMessage' });
+
+    assert.strictEqual(inputs.length, 1);
+    assert.strictEqual(inputs[0].conversationId, 'conv-existing');
+    assert.match(inputs[0].input, /for Jane Doe, in this tone: casual\./);
+    assert.strictEqual(job.promptTemplate, 'email-regenerate@1');
+    assert.strictEqual(job.emailDraft.type, 'EmailMessage');
+    const message = conn.records('EmailMessage').find(r => r.Id === job.emailDraft.id);
+    assert.strictEqual(message.Subject, 'Quick question, Jane');
+    assert.strictEqual(message.TextBody, 'Hey Jane, got 15 minutes this week?');
+    // The briefing on the conversation record is left alone
+    assert.ok(!conn.operations.some(op => op.type === 'update' && op.sobject === 'WO_Conversation__c'));
+  });
+});
+
+describe('POST /conversations/:recordId/email', () => {
+  quiet();
+
+  let server;
+  let url;
+  let conn;
+  const originalConnect = salesforce.createSalesforceConnection;
+  before(async () => {
+    salesforce.createSalesforceConnection = async () => conn;
+    await new Promise(resolve => {
+      server = app.listen(0, () => resolve());
+    });
+    url = `http://localhost:${server.address().port}`;
+  });
+  after(() => {
+    salesforce.createSalesforceConnection = originalConnect;
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  const post = (recordId, body) => fetch(`${url}/conversations/${recordId}/email`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sfdcToken: 'token', provider: 'mock', ...body })
+  });
+
+  it('enqueues an email job for a record with a briefing', async () => {
+    conn = createFakeConnection(loadFixture('acme'));
+    const response = await post('a0FAb0000000002MAA', { tone: '  more\nformal ', draftType: 'EmailMessage' });
+    assert.strictEqual(response.status, 202);
+    const { jobId, recordId } = await response.json();
+
+    assert.strictEqual(recordId, 'a1CAb0000000001MAA');
+    const job = await jobs.getJob(jobId);
+    assert.strictEqual(job.type, 'email');
+    assert.strictEqual(job.tone, 'more formal');
+    const message = await getQueue().dequeue();
+    assert.strictEqual(message.payload.type, 'email');
+    assert.strictEqual(message.payload.conversationId, 'conv-existing');
+    assert.strictEqual(message.payload.draftType, 'EmailMessage');
+  });
+
+  it('rejects records without a briefing and requests without a tone', async () => {
+    conn = createFakeConnection(loadFixture('acme'));
+    assert.strictEqual((await post(FSR, { tone: 'casual' })).status, 409);
+    assert.strictEqual((await post(FSR, {})).status, 400);
+    assert.strictEqual((await post(FSR, { tone: 'casual', draftType: 'Fax' })).status, 400);
+  });
+});
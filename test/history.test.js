@@ -0,0 +1,163 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { scratchDir, quiet } = require('./stubs/environment');
+
+// The queue and job registry used by app.js live under DATA_DIR
+scratchDir('history-', 'DATA_DIR');
+process.env.AUTH_MODE = 'off';
+
+const history = require('../history');
+const salesforce = require('../salesforce');
+const app = require('../app');
+const { createFakeConnection, loadFixture } = require('./stubs/salesforce-connection');
+
+const CONVERSATION = 'a1CAb0000000001MAA';
+
+/**
+ * Appends turns one by one, as successive jobs would
+ * @param {object} conn - Fake connection
+ * @param {Array} turns - Turn HTML
+ * @param {object} options - appendTurn options (limit, summarize)
+ * @returns {string} Final history
+ */
+async function appendAll(conn, turns, options) {
+  let value = '';
+  for (const turn of turns) {
+    value = (await history.appendTurns(conn, { sfdcId: CONVERSATION, history: value, turns: [turn], ...options })).history;
+  }
+  return value;
+}
+
+const turn = (n) => `<p>Turn ${n} ${'.'.repeat(1000)}</p>`;
+const TURNS = Array.from({ length: 12 }, (_, i) => turn(i + 1));
+
+describe('parseHistory', () => {
+  it('splits the summary and the top-level turns, keeping nested lists inside their turn', () => {
+    const parsed = history.parseHistory('<p>Summary</p><ul><li><h3>A</h3><ul><li>one</li></ul></li><li>B</li></ul>');
+
+    assert.strictEqual(parsed.summary, '<p>Summary</p>');
+    assert.deepStrictEqual(parsed.turns, ['<h3>A</h3><ul><li>one</li></ul>', 'B']);
+    assert.strictEqual(history.buildHistory(parsed.summary, parsed.turns), '<p>Summary</p><ul><li><h3>A</h3><ul><li>one</li></ul></li><li>B</li></ul>');
+  });
+
+  it('reads an empty field as no turns', () => {
+    assert.deepStrictEqual(history.parseHistory(''), { summary: '', turns: [] });
+  });
+});
+
+describe('appendTurns', () => {
+  quiet();
+
+  it('appends without archiving below the limit', async () => {
+    const conn = createFakeConnection(loadFixture('acme'));
+    const result = await history.appendTurns(conn, { sfdcId: CONVERSATION, history: '<ul><li>A</li></ul>', turns: ['B'] });
+
+    assert.deepStrictEqual(result, { history: '<ul><li>A</li><li>B</li></ul>', compacted: false, archived: 0, archiveId: null });
+    assert.strictEqual(conn.records('ContentVersion').length, 0);
+  });
+
+  it('archives older turns behind a rolling summary and keeps the newest ones', async () => {
+    const conn = createFakeConnection(loadFixture('acme'));
+    const summaries = [];
+    const value = await appendAll(conn, TURNS, {
+      limit: 6000,
+      summarize: async (previous, text) => {
+        summaries.push({ previous, text });
+        return `Summary ${summaries.length}`;
+      }
+    });
+
+    const parsed = history.parseHistory(value);
+    assert.ok(value.length < 6000);
+    assert.strictEqual(parsed.turns[parsed.turns.length - 1], TURNS[11]);
+    assert.match(parsed.summary, /Summary of the \d+ earlier turns/);
+    assert.strictEqual(summaries[1].previous, 'Summary 1');
+    assert.match(summaries[0].text, /^Turn 1/);
+
+    // Every turn is either archived or still in the field, exactly once
+    const thread = await history.readFullHistory(conn, CONVERSATION, value);
+    assert.deepStrictEqual(thread.turns.map(t => t.html), TURNS);
+    assert.strictEqual(thread.summary, `Summary ${summaries.length}`);
+    assert.deepStrictEqual(thread.turns.filter(t => t.archived).map(t => t.part), thread.turns.filter(t => t.archived).map(t => t.part).sort());
+  });
+
+  it('keeps the previous summary when the summarizer fails', async () => {
+    const conn = createFakeConnection(loadFixture('acme'));
+    let calls = 0;
+    const value = await appendAll(conn, TURNS, {
+      limit: 6000,
+      summarize: async () => {
+        calls++;
+        if (calls > 1) throw new Error('provider down');
+        return 'First summary';
+      }
+    });
+
+    assert.ok(calls > 1);
+    assert.ok(value.includes('<p>First summary</p>'));
+  });
+});
+
+describe('GET /conversations/:recordId/history', () => {
+  quiet();
+
+  let server;
+  let url;
+  let conn;
+  const originalConnect = salesforce.createSalesforceConnection;
+  before(async () => {
+    salesforce.createSalesforceConnection = async () => conn;
+    await new Promise(resolve => {
+      server = app.listen(0, () => resolve());
+    });
+    url = `http://localhost:${server.address().port}`;
+  });
+  after(() => {
+    salesforce.createSalesforceConnection = originalConnect;
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  it('reassembles the archived and current turns', async () => {
+    conn = createFakeConnection(loadFixture('acme'));
+    const value = await appendAll(conn, TURNS.slice(0, 6), { limit: 6000 });
+    conn.records('WO_Conversation__c')[0].Conversation_History__c = value;
+
+    const response = await fetch(`${url}/conversations/a0FAb0000000002MAA/history`, { headers: { 'X-Sfdc-Token': 'token' } });
+    assert.strictEqual(response.status, 200);
+    const body = await response.json();
+
+    assert.strictEqual(body.sfdcId, CONVERSATION);
+    assert.strictEqual(body.count, 6);
+    assert.deepStrictEqual(body.turns.map(t => t.index), [0, 1, 2, 3, 4, 5]);
+    assert.ok(body.archives.length > 0);
+    assert.ok(body.turns[0].archived);
+    assert.ok(!body.turns[5].archived);
+  });
+
+  it('rejects requests without a token and records without a conversation', async () => {
+    conn = createFakeConnection(loadFixture('acme'));
+    assert.strictEqual((await fetch(`${url}/conversations/a0FAb0000000002MAA/history`)).status, 400);
+    assert.strictEqual((await fetch(`${url}/conversations/a0FAb0000000001MAA/history?sfdcToken=token`)).status, 404);
+  });
+});
+
+describe('createSummarizer', () => {
+  it('asks the provider in a fresh conversation', async () => {
+    const calls = [];
+    const provider = {
+      name: 'scripted',
+      pollIntervalMs: 0,
+      createConversation: async () => 'summary-conv',
+      sendTurn: async (params) => {
+        calls.push(params);
+        return { runId: 'run-1', done: true, result: 'Updated summary' };
+      },
+      pollRun: async () => ({ done: true }),
+      extractAssistantContent: (result) => result
+    };
+    const summarize = history.createSummarizer({ provider });
+
+    assert.strictEqual(await summarize('Old summary', 'Turn text'), 'Updated summary');
+    assert.match(calls[0].input, /Old summary[\s\S]*Turn text/);
+  });
+});
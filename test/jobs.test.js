@@ -0,0 +1,84 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { scratchDir } = require('./stubs/environment');
+
+// The job registry lives under DATA_DIR
+scratchDir('jobs-', 'DATA_DIR');
+process.env.AUTH_MODE = 'off';
+
+const jobs = require('../jobs');
+const app = require('../app');
+
+const FSR = 'a0FAb0000000001MAA';
+
+describe('listJobs', () => {
+  let server;
+  let url;
+  before(async () => {
+    await new Promise(resolve => { server = app.listen(0, resolve); });
+    url = `http://localhost:${server.address().port}`;
+  });
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('lists job records only, next to their artifacts, events and cancel markers', async () => {
+    await jobs.createJob({ id: '0b7f5e7e-1111-4a4a-8b8b-000000000001', recordId: FSR, sfdcId: 'a1CAb0000000001MAA' });
+    await jobs.createJob({ id: '0b7f5e7e-1111-4a4a-8b8b-000000000002', recordId: FSR, sfdcId: 'a1CAb0000000002MAA' });
+    await jobs.saveArtifacts('0b7f5e7e-1111-4a4a-8b8b-000000000001', { wrapperDataString: '{}' });
+    await jobs.appendEvent('0b7f5e7e-1111-4a4a-8b8b-000000000001', 'phase', { state: 'collecting' });
+    await jobs.requestCancel('0b7f5e7e-1111-4a4a-8b8b-000000000002');
+
+    const list = await jobs.listJobs();
+    assert.deepStrictEqual(list.map(job => job.id).sort(), ['0b7f5e7e-1111-4a4a-8b8b-000000000001', '0b7f5e7e-1111-4a4a-8b8b-000000000002']);
+
+    const response = await fetch(`${url}/jobs?recordId=${FSR}`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual((await response.json()).count, 2);
+  });
+
+  it('pages through the jobs with the createdAt of the last job of a page', async () => {
+    for (let n = 1; n <= 3; n++) {
+      await jobs.createJob({ id: `paged-job-${n}`, recordId: 'a0FAb0000000002MAA' });
+      await new Promise(resolve => setTimeout(resolve, 2));
+    }
+
+    const first = await (await fetch(`${url}/jobs?recordId=a0FAb0000000002MAA&limit=2`)).json();
+    assert.deepStrictEqual(first.jobs.map(job => job.id), ['paged-job-3', 'paged-job-2']);
+    const second = await (await fetch(`${url}/jobs?recordId=a0FAb0000000002MAA&limit=2&before=${first.next}`)).json();
+    assert.deepStrictEqual(second.jobs.map(job => job.id), ['paged-job-1']);
+    assert.strictEqual(second.next, null);
+    assert.strictEqual((await fetch(`${url}/jobs?before=yesterday`)).status, 400);
+  });
+});
+
+describe('job retention', () => {
+  it('drops the artifacts of jobs that cannot be retried', async () => {
+    for (const id of ['retryable-job', 'final-job', 'done-job']) {
+      await jobs.createJob({ id, recordId: FSR });
+      await jobs.saveArtifacts(id, { wrapperDataString: '{}' });
+    }
+    await jobs.setState('retryable-job', 'failed', { error: { phase: 'prompting', retryable: true } });
+    await jobs.setState('final-job', 'failed', { error: { phase: 'prompting', retryable: false } });
+    await jobs.setState('done-job', 'done');
+
+    assert.deepStrictEqual(await jobs.getArtifacts('retryable-job'), { wrapperDataString: '{}' });
+    assert.deepStrictEqual(await jobs.getArtifacts('final-job'), {});
+    assert.deepStrictEqual(await jobs.getArtifacts('done-job'), {});
+  });
+
+  it('deletes finished jobs past the retention period with their entries', async () => {
+    await jobs.createJob({ id: 'expired-job', recordId: FSR });
+    await jobs.saveArtifacts('expired-job', { wrapperDataString: '{}' });
+    await jobs.setState('expired-job', 'failed', { error: { phase: 'prompting', retryable: true } });
+    await jobs.createJob({ id: 'running-job', recordId: FSR });
+    await jobs.setState('running-job', 'collecting');
+
+    assert.strictEqual(await jobs.pruneJobs(), 0);
+    const later = Date.now() + 8 * 24 * 60 * 60 * 1000;
+    assert.ok(await jobs.pruneJobs(later) >= 1);
+
+    assert.strictEqual(await jobs.getJob('expired-job'), null);
+    assert.deepStrictEqual(await jobs.getArtifacts('expired-job'), {});
+    assert.deepStrictEqual((await jobs.readEvents('expired-job')).events, []);
+    assert.strictEqual((await jobs.getJob('running-job')).state, 'collecting');
+  });
+});
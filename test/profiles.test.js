@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { scratchDir, quiet } = require('./stubs/environment');
+
+// Profiles are read from a scratch copy so YAML and broken profiles can be added
+const PROFILES_DIR = scratchDir('profiles-');
+for (const file of fs.readdirSync(path.join(__dirname, '..', 'profiles'))) {
+  fs.copyFileSync(path.join(__dirname, '..', 'profiles', file), path.join(PROFILES_DIR, file));
+}
+process.env.COLLECTION_PROFILES_DIR = PROFILES_DIR;
+
+const profiles = require('../profiles');
+const salesforce = require('../salesforce');
+const { createFakeConnection, loadFixture } = require('./stubs/salesforce-connection');
+
+const NOW = '2025-09-01T00:00:00Z';
+const PRIMARY_FSR = 'a0FAb0000000001MAA';
+
+describe('loadProfile', () => {
+  it('loads the default profile and always selects the fields collection relies on', () => {
+    fs.writeFileSync(path.join(PROFILES_DIR, 'lean.json'), JSON.stringify({
+      objects: { fsr: { sobject: 'FSR__c', fields: ['Name'], where: { Id: '$recordId' } } }
+    }));
+    const lean = profiles.loadProfile('lean');
+
+    assert.deepStrictEqual(lean.objects.fsr.fields, ['Name', 'Id', 'Inquiry_Account__c', 'Contact__c']);
+    assert.strictEqual(lean.objects.opportunities, null);
+    assert.strictEqual(profiles.loadProfile().name, 'default');
+    assert.strictEqual(profiles.loadProfile().objects.accountTasks.limit, 50);
+  });
+
+  it('overrides sections of the profile it extends', () => {
+    const enterprise = profiles.loadProfile('enterprise');
+
+    assert.strictEqual(enterprise.objects.opportunities.limit, 100);
+    assert.strictEqual(enterprise.objects.conversations, null);
+    assert.deepStrictEqual(enterprise.objects.contacts, profiles.loadProfile('default').objects.contacts);
+  });
+
+  it('reads YAML profiles', () => {
+    fs.writeFileSync(path.join(PROFILES_DIR, 'smb.yaml'), [
+      'description: SMB',
+      'extends: default',
+      'objects:',
+      '  accountTasks:',
+      '    sobject: Task',
+      '    fields: [Id, Subject]',
+      '    where: { WhatId: $accountId }',
+      '    limit: 5'
+    ].join('\n'));
+    const smb = profiles.loadProfile('smb');
+
+    assert.strictEqual(smb.description, 'SMB');
+    assert.strictEqual(smb.objects.accountTasks.limit, 5);
+    assert.ok(profiles.listProfiles().includes('smb'));
+  });
+
+  it('rejects unknown, malformed and cyclic profiles', () => {
+    fs.writeFileSync(path.join(PROFILES_DIR, 'no-fields.json'), JSON.stringify({ extends: 'default', objects: { account: { sobject: 'Account' } } }));
+    fs.writeFileSync(path.join(PROFILES_DIR, 'loop-a.json'), JSON.stringify({ extends: 'loop-b', objects: {} }));
+    fs.writeFileSync(path.join(PROFILES_DIR, 'loop-b.json'), JSON.stringify({ extends: 'loop-a', objects: {} }));
+
+    assert.throws(() => profiles.loadProfile('missing'), /Unknown collection profile: missing/);
+    assert.throws(() => profiles.loadProfile('../default'), /Invalid collection profile name/);
+    assert.throws(() => profiles.loadProfile('no-fields'), /"fields" must be a non-empty array/);
+    assert.throws(() => profiles.loadProfile('loop-a'), /inheritance cycle/);
+  });
+});
+
+describe('profile-driven collection', () => {
+  quiet();
+
+  it('applies the profile windows and skips disabled sections', async () => {
+    const conn = createFakeConnection(loadFixture('acme'), { now: NOW });
+    const data = await salesforce.collectAllCTAData(conn, PRIMARY_FSR, { profile: 'enterprise' });
+
+    assert.deepStrictEqual(data.primaryContext.relatedOpportunities.map(o => o.id), ['006Ab0000000001IAA']);
+    assert.deepStrictEqual(data.additionalConversations, []);
+    assert.ok(!conn.operations.some(op => op.sobject === 'Salesloft_Conversations__dlm'));
+  });
+
+  it('drops fields the org does not have instead of failing the query', async () => {
+    const fixture = loadFixture('acme');
+    fixture.Account.forEach(account => delete account.Employee_Count__c);
+    fixture.Account.forEach(account => delete account.Twilio_Account_Tier_Final__c);
+    const conn = createFakeConnection(fixture, {
+      now: NOW,
+      schema: { Account: { Id: {}, Name: {}, Industry: {}, AnnualRevenue: {}, CreatedDate: {} } }
+    });
+    const data = await salesforce.collectAllCTAData(conn, PRIMARY_FSR);
+
+    assert.strictEqual(data.accountData.accountName, 'Acme Corp');
+    assert.strictEqual(data.accountData.employeeCount, null);
+    const accountSelect = conn.operations.find(op => op.type === 'select' && op.sobject === 'Account');
+    assert.ok(!accountSelect.fields.includes('Employee_Count__c'));
+    assert.strictEqual(conn.operations.filter(op => op.type === 'describe' && op.sobject === 'Account').length, 1);
+  });
+
+  it('uses the profile fields unchecked when describe fails', async () => {
+    const conn = createFakeConnection(loadFixture('acme'), { now: NOW });
+    const spec = profiles.loadProfile().objects.account;
+    const original = conn.sobject.bind(conn);
+    conn.sobject = (name) => ({ ...original(name), describe: () => Promise.reject(new Error('INSUFFICIENT_ACCESS')) });
+
+    assert.deepStrictEqual(await salesforce.getAvailableFields(conn, 'Account', spec.fields), spec.fields);
+  });
+
+  it('skips a query whose variables are not set', async () => {
+    const conn = createFakeConnection(loadFixture('acme'), { now: NOW });
+    const records = await salesforce.executeProfileQuery(conn, profiles.loadProfile().objects.contactTasks, {});
+
+    assert.deepStrictEqual(records, []);
+    assert.strictEqual(conn.operations.length, 0);
+  });
+});
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { scratchDir, quiet } = require('./stubs/environment');
+
+// Templates are read from a scratch copy so selection rules can be added
+const PROMPTS_DIR = scratchDir('prompts-');
+fs.cpSync(path.join(__dirname, '..', 'prompts'), PROMPTS_DIR, { recursive: true });
+process.env.PROMPTS_DIR = PROMPTS_DIR;
+process.env.AUTH_MODE = 'off';
+
+const prompts = require('../prompts');
+const wiseowl = require('../wiseowl');
+const salesforce = require('../salesforce');
+const app = require('../app');
+const { createFakeConnection, loadFixture } = require('./stubs/salesforce-connection');
+
+describe('renderPrompt', () => {
+  it('renders the briefing template with its section partials', () => {
+    const prompt = prompts.renderPrompt({ wrapperDataString: '{"accountData":{"accountName":"Acme Corp"}}' });
+
+    assert.strictEqual(prompt.id, 'cta-briefing@1');
+    assert.match(prompt.hash, /^[0-9a-f]{12}$/);
+    assert.ok(prompt.text.startsWith('You are a Senior Sales Research Analyst'));
+    assert.ok(prompt.text.includes('{"accountData":{"accountName":"Acme Corp"}}'));
+    assert.ok(prompt.text.includes('1. **CTA Overview**'));
+    assert.ok(prompt.text.includes('13. **Follow-up Email Template**'));
+    assert.ok(!prompt.text.includes('{{'));
+  });
+
+  it('uses the follow-up template for messages on an existing conversation', () => {
+    const prompt = prompts.renderPrompt({ message: 'Who is the champion?', conversationId: 'conv-1' });
+
+    assert.strictEqual(prompt.id, 'follow-up@1');
+    assert.strictEqual(prompt.text, 'Who is the champion? ( Strictly use HTML output format and consider already provided data in previous request for analysis)');
+    assert.strictEqual(wiseowl.buildPrompt({ message: 'Who is the champion?', conversationId: 'conv-1' }), prompt.text);
+  });
+
+  it('sends a message without a conversation as is', () => {
+    assert.strictEqual(prompts.renderPrompt({ message: 'Hello' }).text, 'Hello');
+  });
+
+  it('does not expand placeholders inside variable values', () => {
+    const prompt = prompts.renderPrompt({ message: 'Show {{wrapperDataString}} and {{> briefing/cta-overview}}', conversationId: 'conv-1' });
+
+    assert.ok(prompt.text.startsWith('Show {{wrapperDataString}} and {{> briefing/cta-overview}}'));
+  });
+
+  it('honours an explicit template and rejects unknown ones', () => {
+    assert.strictEqual(prompts.renderPrompt({ template: 'cta-briefing@1' }).id, 'cta-briefing@1');
+    assert.throws(() => prompts.renderPrompt({ template: 'nope' }), (error) => error.code === 'UNKNOWN_TEMPLATE');
+    assert.throws(() => prompts.renderPrompt({ template: 'cta-briefing@9' }), /Unknown version 9/);
+  });
+});
+
+describe('template selection', () => {
+  before(() => {
+    fs.mkdirSync(path.join(PROMPTS_DIR, 'templates', 'voice-briefing'));
+    fs.writeFileSync(path.join(PROMPTS_DIR, 'templates', 'voice-briefing', 'v2.txt'), 'Voice {{segment}} {{ctaType}}\n{{> briefing/cta-overview}}\n');
+    const manifest = JSON.parse(fs.readFileSync(path.join(PROMPTS_DIR, 'manifest.json'), 'utf8'));
+    manifest.templates['voice-briefing'] = { current: '2', versions: ['2'] };
+    manifest.selection.unshift({ kind: 'briefing', ctaType: 'voice', segment: 'enterprise', template: 'voice-briefing' });
+    fs.writeFileSync(path.join(PROMPTS_DIR, 'manifest.json'), JSON.stringify(manifest));
+    prompts.clearTemplateCache();
+  });
+
+  it('picks the first rule matching CTA type and segment', () => {
+    const prompt = prompts.renderPrompt({ ctaType: 'Voice', segment: 'enterprise' });
+
+    assert.strictEqual(prompt.id, 'voice-briefing@2');
+    assert.ok(prompt.text.startsWith('Voice enterprise Voice\n**CTA Overview**'));
+    assert.strictEqual(prompts.renderPrompt({ ctaType: 'Voice', segment: 'default' }).id, 'cta-briefing@1');
+    assert.strictEqual(prompts.renderPrompt({ ctaType: 'Voice', segment: 'enterprise', message: 'hi', conversationId: 'c' }).id, 'follow-up@1');
+  });
+
+  it('lists templates with their versions', () => {
+    const { templates, selection } = prompts.listTemplates();
+    const briefing = templates.find(t => t.name === 'cta-briefing');
+
+    assert.strictEqual(briefing.current, '1');
+    assert.strictEqual(briefing.versions[0].hash, prompts.renderPrompt({}).hash);
+    assert.strictEqual(selection[0].template, 'voice-briefing');
+  });
+});
+
+describe('prompt version write-back', () => {
+  quiet();
+
+  it('records the template version on the conversation record', async () => {
+    const conn = createFakeConnection(loadFixture('acme'));
+    assert.strictEqual(await salesforce.recordPromptVersion(conn, 'a1CAb0000000001MAA', 'cta-briefing@1'), true);
+
+    assert.strictEqual(conn.records('WO_Conversation__c')[0].Prompt_Template_Version__c, 'cta-briefing@1');
+  });
+
+  it('keeps going on orgs without the field', async () => {
+    const conn = createFakeConnection(loadFixture('acme'), { schema: { WO_Conversation__c: { Id: {}, Chat_Done__c: {} } } });
+
+    assert.strictEqual(await salesforce.recordPromptVersion(conn, 'a1CAb0000000001MAA', 'cta-briefing@1'), false);
+  });
+});
+
+describe('POST /prompts/render', () => {
+  quiet();
+
+  let server;
+  let url;
+  let conn;
+  const original = salesforce.createSalesforceConnection;
+  before(async () => {
+    salesforce.createSalesforceConnection = async () => conn;
+    await new Promise(resolve => {
+      server = app.listen(0, () => resolve());
+    });
+    url = `http://localhost:${server.address().port}`;
+  });
+  after(() => {
+    salesforce.createSalesforceConnection = original;
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  const render = (body) => fetch(`${url}/prompts/render`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sfdcToken: 'token', ...body })
+  });
+
+  it('renders the briefing for a new record without writing to Salesforce', async () => {
+    conn = createFakeConnection(loadFixture('acme'), { now: '2025-09-01T00:00:00Z' });
+    const response = await render({ recordId: 'a0FAb0000000001MAA' });
+    const body = await response.json();
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(body.id, 'cta-briefing@1');
+    assert.strictEqual(body.profile, 'default');
+    assert.ok(body.prompt.includes('"accountName": "Acme Corp"'));
+    assert.strictEqual(body.length, body.prompt.length);
+    assert.deepStrictEqual(body.context.changes, []);
+    assert.ok(!conn.operations.some(op => op.type === 'create' || op.type === 'update'));
+  });
+
+  it('renders a follow-up for a record with a conversation', async () => {
+    conn = createFakeConnection(loadFixture('acme'));
+    const response = await render({ recordId: 'a0FAb0000000002MAA', message: 'Next steps?' });
+    const body = await response.json();
+
+    assert.strictEqual(body.id, 'follow-up@1');
+    assert.strictEqual(body.conversationId, 'conv-existing');
+    assert.ok(!conn.operations.some(op => op.type === 'select'));
+  });
+
+  it('rejects unknown templates', async () => {
+    const response = await render({ recordId: 'a0FAb0000000001MAA', template: 'nope' });
+
+    assert.strictEqual(response.status, 400);
+  });
+});
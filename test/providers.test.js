@@ -0,0 +1,238 @@
+const express = require('express');
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { scratchDir, quiet } = require('./stubs/environment');
+
+// OpenAI conversations and the job queue live under DATA_DIR
+scratchDir('providers-', 'DATA_DIR');
+process.env.AUTH_MODE = 'off';
+// Tokens in queued jobs are sealed with the credentials key
+process.env.CREDENTIALS_KEY = 'test-credentials-key';
+
+const providers = require('../providers');
+const openai = require('../providers/openai');
+const mock = require('../providers/mock');
+const wiseowl = require('../wiseowl');
+const worker = require('../worker');
+const salesforce = require('../salesforce');
+const app = require('../app');
+const { getStateStore } = require('../storage');
+const { createFakeConnection, loadFixture } = require('./stubs/salesforce-connection');
+
+const FSR = 'a0FAb0000000001MAA';
+
+/**
+ * Starts a chat-completions endpoint answering with the given handler
+ * @param {Function} handle - Receives the request body and returns { status, body }
+ * @returns {Promise<object>} { server, baseUrl, requests }
+ */
+const startCompletions = (handle) => {
+  const requests = [];
+  const stub = express();
+  stub.use(express.json());
+  stub.post('/v1/chat/completions', (req, res) => {
+    requests.push({ headers: req.headers, body: req.body });
+    const { status = 200, body } = handle(req.body, requests.length);
+    res.status(status).json(body);
+  });
+  return new Promise(resolve => {
+    const server = stub.listen(0, () => resolve({ server, baseUrl: `http://localhost:${server.address().port}/v1`, requests }));
+  });
+};
+
+describe('getProvider', () => {
+  afterEach(() => delete process.env.LLM_PROVIDER);
+
+  it('selects providers by name, then LLM_PROVIDER, then WiseOwl', () => {
+    delete process.env.LLM_PROVIDER;
+    assert.strictEqual(providers.getProvider('openai'), openai);
+    assert.strictEqual(providers.getProvider('MOCK'), mock);
+    assert.strictEqual(providers.getProvider(), wiseowl.provider);
+    process.env.LLM_PROVIDER = 'mock';
+    assert.strictEqual(providers.getProvider(), mock);
+    assert.deepStrictEqual(providers.listProviders(), ['wiseowl', 'openai', 'mock']);
+  });
+
+  it('rejects unknown providers with the available ones', () => {
+    assert.throws(() => providers.getProvider('claude'), /^Error: Unknown LLM provider: claude. Available: wiseowl, openai, mock$/);
+  });
+
+  it('only requires an access token for WiseOwl', () => {
+    assert.strictEqual(wiseowl.provider.requiresAccessToken, true);
+    assert.strictEqual(openai.requiresAccessToken, false);
+    assert.strictEqual(mock.requiresAccessToken, false);
+  });
+});
+
+describe('runConversation', () => {
+  quiet();
+
+  it('runs the mock provider deterministically through the polling loop', async () => {
+    const events = [];
+    const first = await providers.runConversation(mock, { input: 'Brief me', onEvent: (type) => events.push(type) });
+    const again = await providers.runConversation(mock, { input: 'Brief me', conversationId: first.conversationId });
+
+    assert.match(first.conversationId, /^mock-conversation-[0-9a-f-]{36}$/);
+    assert.notStrictEqual(again.runId, first.runId);
+    assert.strictEqual(first.provider, 'mock');
+    assert.match(first.assistantContent, /^<h2>Mock briefing<\/h2><p>Input digest [0-9a-f]{12} \(8 characters\)/);
+    assert.strictEqual(again.assistantContent, first.assistantContent);
+    assert.strictEqual(again.conversationId, first.conversationId);
+    assert.deepStrictEqual(events, ['run', 'text', 'done']);
+  });
+
+  it('requires an input', async () => {
+    await assert.rejects(providers.runConversation(mock, { input: '' }), /^Error: Missing input for mock provider$/);
+  });
+
+  it('keeps failing event callbacks from breaking the run', async () => {
+    const result = await providers.runConversation(mock, { input: 'Brief me', onEvent: () => { throw new Error('UI gone'); } });
+    assert.match(result.assistantContent, /Mock briefing/);
+  });
+});
+
+describe('openai provider', () => {
+  quiet();
+
+  let completions;
+  before(async () => {
+    completions = await startCompletions((body, count) => ({
+      body: { id: `chatcmpl-${count}`, choices: [{ message: { role: 'assistant', content: `Answer ${count} to ${body.messages.length} messages` } }], usage: { total_tokens: 10 } }
+    }));
+  });
+  after(() => new Promise(resolve => completions.server.close(resolve)));
+
+  it('sends the stored history with each turn and completes it inline', async () => {
+    const params = { apiKey: 'sk-test', baseUrl: completions.baseUrl, model: 'test-model', context: 'FSR page' };
+    const first = await providers.runConversation(openai, { ...params, input: 'Brief me' });
+    const second = await providers.runConversation(openai, { ...params, input: 'And the risks?', conversationId: first.conversationId });
+
+    assert.match(first.conversationId, /^openai-/);
+    assert.strictEqual(first.runId, 'chatcmpl-1');
+    assert.strictEqual(first.assistantContent, 'Answer 1 to 2 messages');
+    assert.strictEqual(second.assistantContent, 'Answer 2 to 4 messages');
+
+    const [, { headers, body }] = completions.requests;
+    assert.strictEqual(headers.authorization, 'Bearer sk-test');
+    assert.strictEqual(body.model, 'test-model');
+    assert.deepStrictEqual(body.messages.map(m => m.role), ['system', 'user', 'assistant', 'user']);
+    assert.deepStrictEqual(await openai.pollRun({ conversationId: first.conversationId, runId: 'chatcmpl-2' }),
+      { done: true, result: { choices: [{ message: { role: 'assistant', content: 'Answer 2 to 4 messages' } }] }, entries: [] });
+    await assert.rejects(openai.pollRun({ conversationId: first.conversationId, runId: 'chatcmpl-9' }), /Unknown OpenAI run chatcmpl-9/);
+  });
+
+  it('keeps the first exchange and the latest turns of a long history', async () => {
+    process.env.OPENAI_HISTORY_MAX_MESSAGES = '6';
+    try {
+      const params = { apiKey: 'sk-test', baseUrl: completions.baseUrl };
+      let { conversationId } = await providers.runConversation(openai, { ...params, input: 'Turn 1' });
+      for (let turn = 2; turn <= 5; turn++) {
+        ({ conversationId } = await providers.runConversation(openai, { ...params, input: `Turn ${turn}`, conversationId }));
+      }
+
+      const { body } = completions.requests[completions.requests.length - 1];
+      assert.deepStrictEqual(body.messages.filter(m => m.role === 'user').map(m => m.content), ['Turn 1', 'Turn 3', 'Turn 4', 'Turn 5']);
+      const stored = await getStateStore().get('conversations/openai', conversationId);
+      assert.deepStrictEqual(stored.messages.filter(m => m.role === 'user').map(m => m.content), ['Turn 1', 'Turn 4', 'Turn 5']);
+      assert.strictEqual(Object.keys(stored.runs).length, 3);
+    } finally {
+      delete process.env.OPENAI_HISTORY_MAX_MESSAGES;
+    }
+  });
+
+  it('requires an API key', async () => {
+    const key = process.env.OPENAI_API_KEY;
+    delete process.env.OPENAI_API_KEY;
+    try {
+      await assert.rejects(providers.runConversation(openai, { input: 'Brief me', baseUrl: completions.baseUrl }), /Missing OPENAI_API_KEY for OpenAI provider/);
+    } finally {
+      if (key !== undefined) process.env.OPENAI_API_KEY = key;
+    }
+  });
+
+  it('reads content parts of compatible servers', () => {
+    assert.strictEqual(openai.extractAssistantContent({ choices: [{ message: { content: [{ text: 'a' }, { text: 'b' }] } }] }), 'ab');
+    assert.strictEqual(openai.extractAssistantContent('plain'), 'plain');
+  });
+});
+
+describe('provider error mapping', () => {
+  quiet();
+
+  let completions;
+  let status;
+  before(async () => {
+    completions = await startCompletions(() => ({ status, body: { error: { message: 'Injected failure' } } }));
+  });
+  after(() => new Promise(resolve => completions.server.close(resolve)));
+
+  const failure = async (code) => {
+    status = code;
+    try {
+      await providers.runConversation(openai, { apiKey: 'sk-test', baseUrl: completions.baseUrl, input: 'Brief me' });
+    } catch (error) {
+      return error;
+    }
+    throw new Error('The turn did not fail');
+  };
+
+  it('retries throttled and server errors', async () => {
+    for (const code of [429, 500, 503]) {
+      const error = await failure(code);
+      assert.strictEqual(error.response.status, code);
+      assert.strictEqual(worker.isRetryableError(error), true, `status ${code}`);
+      assert.strictEqual(worker.describeFailure(error, 'polling'), 'The assistant did not return a response. Please retry in a few minutes.');
+    }
+  });
+
+  it('asks for a fresh session on rejected credentials and stops retrying rejected requests', async () => {
+    const unauthorized = await failure(401);
+    assert.strictEqual(worker.isRetryableError(unauthorized), false);
+    assert.strictEqual(worker.canRetryManually(unauthorized), true);
+    assert.strictEqual(worker.describeFailure(unauthorized, 'polling'), 'Your session expired before the briefing finished. Refresh the page and retry.');
+
+    const rejected = await failure(400);
+    assert.strictEqual(worker.isRetryableError(rejected), false);
+    assert.strictEqual(worker.canRetryManually(rejected), false);
+  });
+});
+
+describe('POST /jobs provider selection', () => {
+  quiet();
+
+  let server;
+  let url;
+  const original = salesforce.createSalesforceConnection;
+  before(async () => {
+    salesforce.createSalesforceConnection = async () => createFakeConnection(loadFixture('acme'));
+    await new Promise(resolve => { server = app.listen(0, resolve); });
+    url = `http://localhost:${server.address().port}`;
+  });
+  after(() => {
+    salesforce.createSalesforceConnection = original;
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  const post = (body) => fetch(`${url}/jobs`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sfdcToken: 'token', recordId: FSR, ...body })
+  });
+
+  it('rejects unknown providers', async () => {
+    const response = await post({ provider: 'claude' });
+
+    assert.strictEqual(response.status, 400);
+    assert.match((await response.json()).error, /^Unknown LLM provider: claude/);
+  });
+
+  it('requires an access_token for WiseOwl only', async () => {
+    const missing = await post({ provider: 'wiseowl' });
+    assert.strictEqual(missing.status, 400);
+    assert.strictEqual((await missing.json()).error, 'Missing access_token: required to initialize conversation when none exists');
+
+    const queued = await post({ provider: 'mock' });
+    assert.strictEqual(queued.status, 201);
+    assert.ok((await queued.json()).jobId);
+  });
+});
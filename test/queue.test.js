@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { scratchDir, quiet } = require('./stubs/environment');
+
+// The file queue, and the job registry the worker updates, live under DATA_DIR
+const DATA_DIR = scratchDir('queue-', 'DATA_DIR');
+// Tokens in queued jobs are sealed with the credentials key
+process.env.CREDENTIALS_KEY = 'test-credentials-key';
+
+const { createQueue } = require('../queue');
+const worker = require('../worker');
+const jobs = require('../jobs');
+const salesforce = require('../salesforce');
+const providers = require('../providers');
+const { createRedisStub } = require('./stubs/redis');
+const { createFakeConnection, loadFixture } = require('./stubs/salesforce-connection');
+
+const BACKOFF_MS = 60000;
+const VISIBILITY_TIMEOUT_MS = 5 * 60000;
+
+/**
+ * Runs a function with the clock moved forward
+ * @param {number} ms - How far to move the clock
+ * @param {Function} fn - Function to run
+ * @returns {Promise<*>} Result of fn
+ */
+const later = async (ms, fn) => {
+  const now = Date.now;
+  Date.now = () => now() + ms;
+  try {
+    return await fn();
+  } finally {
+    Date.now = now;
+  }
+};
+
+let dirCounter = 0;
+const backends = {
+  file: (options) => {
+    dirCounter += 1;
+    return createQueue({ backend: 'file', dir: path.join(DATA_DIR, `queue-${dirCounter}`), ...options });
+  },
+  redis: (options) => createQueue({ backend: 'redis', client: createRedisStub(), ...options })
+};
+
+Object.entries(backends).forEach(([backend, create]) => {
+  describe(`${backend} queue`, () => {
+    const queue = (options = {}) => create({ maxAttempts: 3, backoffMs: BACKOFF_MS, visibilityTimeoutMs: VISIBILITY_TIMEOUT_MS, ...options });
+
+    it('delivers messages in order and leases each to one consumer', async () => {
+      const q = queue();
+      const first = await q.enqueue({ n: 1 });
+      await q.enqueue({ n: 2 }, { id: 'second' });
+      await q.enqueue({ n: 3 }, { delayMs: BACKOFF_MS });
+
+      const leased = await q.dequeue();
+      assert.strictEqual(leased.id, first.id);
+      assert.deepStrictEqual(leased.payload, { n: 1 });
+      assert.strictEqual(leased.attempts, 0);
+      assert.ok(leased.leaseUntil >= Date.now() + VISIBILITY_TIMEOUT_MS - 1000);
+      assert.strictEqual((await q.dequeue()).id, 'second');
+      // The delayed message is not due yet
+      assert.strictEqual(await q.dequeue(), null);
+
+      await q.ack(first.id);
+      assert.strictEqual(await q.recoverExpired(), 0);
+    });
+
+    it('retries failed messages with exponential backoff', async () => {
+      const q = queue();
+      const { id } = await q.enqueue({ n: 1 });
+
+      await q.dequeue();
+      const retry = await q.fail(id, new Error('Temporary outage'));
+      assert.strictEqual(retry.dead, false);
+      assert.strictEqual(retry.attempts, 1);
+      assert.strictEqual(retry.lastError.message, 'Temporary outage');
+      assert.ok(Math.abs(retry.availableAt - (Date.now() + BACKOFF_MS)) < 1000);
+      assert.strictEqual(await q.dequeue(), null);
+
+      const second = await later(BACKOFF_MS, () => q.dequeue());
+      assert.strictEqual(second.id, id);
+      assert.strictEqual(second.attempts, 1);
+      const again = await later(BACKOFF_MS, () => q.fail(id, new Error('Still down')));
+      assert.ok(Math.abs(again.availableAt - (Date.now() + 3 * BACKOFF_MS)) < 1000);
+    });
+
+    it('dead-letters messages after the last attempt or a permanent failure, and requeues them', async () => {
+      const q = queue({ maxAttempts: 1 });
+      const { id } = await q.enqueue({ sfdcToken: 'expired' });
+      const rejected = await q.enqueue({ n: 2 }, { maxAttempts: 5 });
+
+      await q.dequeue();
+      assert.strictEqual((await q.fail(id, new Error('Timed out'))).dead, true);
+      await q.dequeue();
+      assert.strictEqual((await q.fail(rejected.id, new Error('Bad request'), { retryable: false })).dead, true);
+
+      const dead = await q.deadLetters();
+      assert.deepStrictEqual(dead.map(message => message.id).sort(), [id, rejected.id].sort());
+      assert.strictEqual(dead.find(message => message.id === id).lastError.message, 'Timed out');
+      assert.strictEqual(await q.dequeue(), null);
+
+      const requeued = await q.requeueDead(id, { sfdcToken: 'fresh' });
+      assert.strictEqual(requeued.attempts, 0);
+      const leased = await q.dequeue();
+      assert.strictEqual(leased.id, id);
+      assert.deepStrictEqual(leased.payload, { sfdcToken: 'fresh' });
+      assert.strictEqual(await q.requeueDead('missing'), null);
+    });
+
+    it('stores the tokens of a job sealed and hands them to the consumer in the clear', async () => {
+      const q = queue();
+      const { id } = await q.enqueue({ sfdcToken: 'sfdc-secret', access_token: 'wo-secret', recordId: 'a0FAb0000000001MAA' });
+      assert.strictEqual((await q.dequeue()).payload.sfdcToken, 'sfdc-secret');
+      await q.fail(id, new Error('Session expired'), { retryable: false });
+
+      const [stored] = await q.deadLetters();
+      assert.match(stored.payload.sfdcToken, /^sealed:v1:/);
+      assert.ok(!JSON.stringify(stored).includes('secret'));
+      assert.strictEqual(stored.payload.recordId, 'a0FAb0000000001MAA');
+
+      await q.requeueDead(id, { sfdcToken: 'fresh-secret' });
+      const { payload } = await q.dequeue();
+      assert.strictEqual(payload.sfdcToken, 'fresh-secret');
+      assert.strictEqual(payload.access_token, 'wo-secret');
+    });
+
+    it('returns messages whose lease expired to the queue as a failed attempt', async () => {
+      const q = queue();
+      const { id } = await q.enqueue({ n: 1 });
+      await q.dequeue();
+
+      assert.strictEqual(await q.recoverExpired(), 0);
+      assert.strictEqual(await later(VISIBILITY_TIMEOUT_MS + 1000, () => q.recoverExpired()), 1);
+
+      const recovered = await later(VISIBILITY_TIMEOUT_MS + BACKOFF_MS + 2000, () => q.dequeue());
+      assert.strictEqual(recovered.id, id);
+      assert.strictEqual(recovered.attempts, 1);
+      assert.strictEqual(recovered.lastError.message, 'Lease expired before the job was acknowledged');
+    });
+  });
+});
+
+describe('file queue leases', () => {
+  it('recovers a message renamed without its lease only after the grace period', async () => {
+    const dir = path.join(DATA_DIR, 'unleased-queue');
+    const q = createQueue({ backend: 'file', dir, visibilityTimeoutMs: VISIBILITY_TIMEOUT_MS, leaseGraceMs: 60000 });
+    const { id } = await q.enqueue({ n: 1 });
+    // A consumer renamed the message into processing/ but has not written its lease yet; the rename
+    // keeps the mtime of the enqueue, long past the visibility timeout
+    const [name] = fs.readdirSync(path.join(dir, 'pending'));
+    const leasedPath = path.join(dir, 'processing', `${id}.json`);
+    fs.renameSync(path.join(dir, 'pending', name), leasedPath);
+    const enqueuedAt = new Date(Date.now() - 2 * VISIBILITY_TIMEOUT_MS);
+    fs.utimesSync(leasedPath, enqueuedAt, enqueuedAt);
+
+    assert.strictEqual(await q.recoverExpired(), 0);
+    assert.strictEqual(await later(30000, () => q.recoverExpired()), 0);
+    assert.strictEqual(await later(61000, () => q.recoverExpired()), 1);
+    assert.ok(!fs.existsSync(leasedPath));
+  });
+});
+
+describe('startWorker', () => {
+  quiet();
+
+  it('recovers expired leases while it runs, not only when it starts', async () => {
+    const dir = path.join(DATA_DIR, 'worker-queue');
+    // Another worker leased a job and crashed without acknowledging it; its lease runs out after the start
+    const crashed = createQueue({ backend: 'file', dir, visibilityTimeoutMs: 200 });
+    await crashed.enqueue({ n: 1 }, { id: 'crashed-job' });
+    assert.strictEqual((await crashed.dequeue()).id, 'crashed-job');
+
+    const handled = [];
+    const handle = worker.startWorker({
+      queue: createQueue({ backend: 'file', dir, backoffMs: 1 }),
+      pollIntervalMs: 5,
+      recoverIntervalMs: 10,
+      handler: async (payload) => handled.push(payload)
+    });
+
+    try {
+      const deadline = Date.now() + 5000;
+      while (handled.length === 0 && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      assert.strictEqual(handled.length, 1);
+      assert.strictEqual(handled[0].jobId, 'crashed-job');
+    } finally {
+      await handle.stop();
+    }
+  });
+});
+
+describe('failed phases', () => {
+  quiet();
+
+  const SFDC_ID = 'a1CAb0000000001MAA';
+  let conn;
+  const originals = { connect: salesforce.createSalesforceConnection, run: providers.runConversation };
+  before(() => {
+    salesforce.createSalesforceConnection = async () => conn;
+    providers.runConversation = async (provider) => ({ assistantContent: '<p>Briefing</p>', conversationId: 'conv-1', runId: 'run-1', provider: provider.name });
+  });
+  after(() => {
+    salesforce.createSalesforceConnection = originals.connect;
+    providers.runConversation = originals.run;
+  });
+
+  /**
+   * Runs one briefing job through a worker with a single attempt and returns its record once it failed
+   * @param {string} id - Job ID
+   * @returns {Promise<object>} Job record
+   */
+  const runToFailure = async (id) => {
+    const queue = createQueue({ backend: 'file', dir: path.join(DATA_DIR, `${id}-queue`), maxAttempts: 1 });
+    await jobs.createJob({ id, recordId: 'a0FAb0000000001MAA', sfdcId: SFDC_ID });
+    await queue.enqueue({ sfdcId: SFDC_ID, sfdcToken: 'token', recordId: 'a0FAb0000000001MAA', provider: 'mock', digestTranscripts: false }, { id });
+    const handle = worker.startWorker({ queue, pollIntervalMs: 5 });
+    try {
+      const deadline = Date.now() + 5000;
+      while ((await jobs.getJob(id)).state !== 'failed' && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    } finally {
+      await handle.stop();
+    }
+    return jobs.getJob(id);
+  };
+
+  it('fails the collecting phase instead of briefing from empty data', async () => {
+    conn = createFakeConnection(loadFixture('acme'));
+    conn.failOn('FSR__c', new Error('REQUEST_LIMIT_EXCEEDED'));
+    const job = await runToFailure('collecting-fails');
+
+    assert.strictEqual(job.state, 'failed');
+    assert.strictEqual(job.error.phase, 'collecting');
+    assert.strictEqual(job.error.retryable, true);
+    assert.strictEqual((await jobs.getArtifacts('collecting-fails'))?.wrapperDataString, undefined);
+  });
+
+  it('fails the writing_back phase when the answer cannot be saved', async () => {
+    conn = createFakeConnection(loadFixture('acme'));
+    const update = conn.sobject('WO_Conversation__c').update;
+    conn.sobject = ((sobject) => (name) => {
+      const target = sobject(name);
+      if (name === 'WO_Conversation__c') {
+        target.update = async (record) => {
+          if (record.First_Conversation__c) throw new Error('UNABLE_TO_LOCK_ROW');
+          return update.call(target, record);
+        };
+      }
+      return target;
+    })(conn.sobject.bind(conn));
+    const job = await runToFailure('writing-back-fails');
+
+    assert.strictEqual(job.error.phase, 'writing_back');
+    assert.strictEqual(job.error.userMessage, 'The briefing was generated but could not be saved to this record. Please retry.');
+    assert.strictEqual(conn.records('WO_Conversation__c').find(r => r.Id === SFDC_ID).Chat_Done__c, true);
+  });
+});
@@ -0,0 +1,152 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { quiet } = require('./stubs/environment');
+const recordTypes = require('../record-types');
+const salesforce = require('../salesforce');
+const prompts = require('../prompts');
+const { createFakeConnection, loadFixture } = require('./stubs/salesforce-connection');
+
+const ACCOUNT = '001Ab0000000001IAA';
+const OPPORTUNITY = '006Ab0000000001IAA';
+const CONTACT = '003Ab0000000001IAA';
+const OTHER_CONTACT = '003Ab0000000002IAA';
+const LEAD = '00QAb0000000001MAA';
+const CASE = '500Ab0000000001IAA';
+
+/**
+ * Creates a connection over the acme fixture with Leads and Cases added
+ * @param {Function} edit - Optional change to the fixture
+ * @returns {object} Fake connection
+ */
+const connect = (edit = () => {}) => {
+  const fixture = loadFixture('acme');
+  fixture.Lead = [
+    { Id: LEAD, Name: 'Jane Doe', Company: 'Acme Corp', Email: 'jane.doe@acme.example', Status: 'Working', IsConverted: false, ConvertedAccountId: null, ConvertedContactId: null },
+    { Id: '00QAb0000000002MAA', Name: 'Nobody', Company: 'Unknown', Email: 'nobody@unknown.example', IsConverted: false, ConvertedAccountId: null, ConvertedContactId: null }
+  ];
+  fixture.Case = [
+    { Id: CASE, CaseNumber: '00001001', Subject: 'SMS delivery delays', Status: 'Escalated', Priority: 'High', AccountId: ACCOUNT, ContactId: OTHER_CONTACT },
+    { Id: '500Ab0000000002IAA', CaseNumber: '00001002', Subject: 'Web inquiry', Status: 'New', AccountId: null, ContactId: null }
+  ];
+  edit(fixture);
+  return createFakeConnection(fixture);
+};
+
+describe('detectRecordType', () => {
+  it('recognizes standard key prefixes and takes other IDs as FSR records', () => {
+    assert.strictEqual(recordTypes.detectRecordType(LEAD), 'lead');
+    assert.strictEqual(recordTypes.detectRecordType(OPPORTUNITY), 'opportunity');
+    assert.strictEqual(recordTypes.detectRecordType(ACCOUNT), 'account');
+    assert.strictEqual(recordTypes.detectRecordType(CASE), 'case');
+    assert.strictEqual(recordTypes.detectRecordType('a0FAb0000000001MAA'), 'fsr');
+  });
+
+  it('names the sObject of a record', () => {
+    const profile = { objects: { fsr: { sobject: 'FSR__c' } } };
+    assert.strictEqual(recordTypes.sobjectFor(OPPORTUNITY, profile), 'Opportunity');
+    assert.strictEqual(recordTypes.sobjectFor('a0FAb0000000001MAA', profile), 'FSR__c');
+  });
+});
+
+describe('getParentRecord', () => {
+  quiet();
+  const objects = { fsr: { sobject: 'FSR__c', fields: ['Id', 'Inquiry_Account__c', 'Contact__c'], where: { Id: '$recordId' }, limit: 1 } };
+
+  it('resolves an opportunity to its account and primary contact role', async () => {
+    const conn = connect(fixture => {
+      fixture.OpportunityContactRole.push({ Id: '00KAb0000000003MAA', OpportunityId: OPPORTUNITY, ContactId: OTHER_CONTACT, Role: 'Economic Buyer', IsPrimary: true });
+      fixture.OpportunityContactRole[0].IsPrimary = false;
+    });
+    const parent = await salesforce.getParentRecord(conn, OPPORTUNITY, objects);
+
+    assert.strictEqual(parent.type, 'opportunity');
+    assert.strictEqual(parent.accountId, ACCOUNT);
+    assert.strictEqual(parent.primaryContactId, OTHER_CONTACT);
+  });
+
+  it('resolves a case and an account', async () => {
+    const conn = connect();
+    assert.deepStrictEqual(
+      (({ accountId, primaryContactId }) => ({ accountId, primaryContactId }))(await salesforce.getParentRecord(conn, CASE, objects)),
+      { accountId: ACCOUNT, primaryContactId: OTHER_CONTACT }
+    );
+    const account = await salesforce.getParentRecord(conn, ACCOUNT, objects);
+    assert.strictEqual(account.accountId, ACCOUNT);
+    assert.strictEqual(account.primaryContactId, null);
+  });
+
+  it('resolves a lead through its conversion, else a contact with its email', async () => {
+    const conn = connect();
+    const matched = await salesforce.getParentRecord(conn, LEAD, objects);
+    assert.strictEqual(matched.accountId, ACCOUNT);
+    assert.strictEqual(matched.primaryContactId, CONTACT);
+
+    const converted = connect(fixture => Object.assign(fixture.Lead[0], { IsConverted: true, ConvertedAccountId: '001Ab0000000002IAA', ConvertedContactId: null }));
+    assert.strictEqual((await salesforce.getParentRecord(converted, LEAD, objects)).accountId, '001Ab0000000002IAA');
+
+    const unmatched = await salesforce.getParentRecord(conn, '00QAb0000000002MAA', objects);
+    assert.strictEqual(unmatched.accountId, null);
+  });
+});
+
+describe('collectAllCTAData for other record types', () => {
+  quiet();
+
+  it('collects the account of an opportunity and includes the opportunity', async () => {
+    const data = await salesforce.collectAllCTAData(connect(), OPPORTUNITY);
+
+    assert.strictEqual(data.error, undefined);
+    assert.strictEqual(data.recordType, 'opportunity');
+    assert.strictEqual(data.parentRecord.Id, OPPORTUNITY);
+    assert.strictEqual(data.parentRecord.StageName, 'Discovery');
+    assert.strictEqual(data.accountData.accountId, ACCOUNT);
+    assert.strictEqual(data.primaryContext.relatedContact.contactId, CONTACT);
+    assert.strictEqual(data.primaryContext.primaryCTA, null);
+  });
+
+  it('keeps FSR collections as they were', async () => {
+    const data = await salesforce.collectAllCTAData(connect(), 'a0FAb0000000001MAA');
+
+    assert.strictEqual(data.recordType, 'fsr');
+    assert.strictEqual(data.parentRecord, undefined);
+    assert.strictEqual(data.primaryContext.primaryCTA.recordId, 'a0FAb0000000001MAA');
+  });
+
+  it('keeps a record without an account and what can be reached from it', async () => {
+    const conn = connect(fixture => fixture.Task.push({ Id: '00TAb0000000009MAA', Subject: 'Intro call', WhoId: '00QAb0000000002MAA', Status: 'Completed' }));
+    const lead = await salesforce.collectAllCTAData(conn, '00QAb0000000002MAA');
+
+    assert.strictEqual(lead.error, undefined);
+    assert.strictEqual(lead.recordType, 'lead');
+    assert.strictEqual(lead.parentRecord.Id, '00QAb0000000002MAA');
+    assert.strictEqual(lead.parentRecord.Company, 'Unknown');
+    assert.strictEqual(lead.accountData, null);
+    assert.deepStrictEqual(lead.primaryContext.contactActivities.map(activity => activity.subject), ['Intro call']);
+
+    const inquiry = await salesforce.collectAllCTAData(conn, '500Ab0000000002IAA');
+    assert.strictEqual(inquiry.error, undefined);
+    assert.strictEqual(inquiry.parentRecord.Subject, 'Web inquiry');
+    assert.deepStrictEqual(inquiry.primaryContext.contactActivities, []);
+  });
+
+  it('reports a record that does not exist', async () => {
+    const data = await salesforce.collectAllCTAData(connect(), '500Ab0000000003IAA');
+
+    assert.strictEqual(data.error, 'No Case record found or no account associated');
+    assert.strictEqual(data.recordType, 'case');
+    assert.strictEqual(data.accountData, null);
+  });
+});
+
+describe('briefing template per record type', () => {
+  it('selects the default prompt of the record type', () => {
+    const render = (recordType) => prompts.renderPrompt({ wrapperDataString: '{}', recordType }).template;
+    assert.strictEqual(render('opportunity'), 'opportunity-briefing');
+    assert.strictEqual(render('account'), 'account-health-briefing');
+    assert.strictEqual(render('lead'), 'lead-briefing');
+    assert.strictEqual(render('case'), 'case-briefing');
+    assert.strictEqual(render(undefined), 'cta-briefing');
+    // Follow-ups are answered the same way whatever the record
+    assert.strictEqual(prompts.renderPrompt({ message: 'Next steps?', conversationId: 'conv-1', recordType: 'case' }).template, 'follow-up');
+  });
+});
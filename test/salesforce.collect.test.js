@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { quiet } = require('./stubs/environment');
+const salesforce = require('../salesforce');
+const { createFakeConnection, loadFixture } = require('./stubs/salesforce-connection');
+
+const NOW = '2025-09-01T00:00:00Z';
+const PRIMARY_FSR = 'a0FAb0000000001MAA';
+
+describe('collectAllCTAData', () => {
+  quiet();
+
+  it('builds the primary context for an FSR record', async () => {
+    const conn = createFakeConnection(loadFixture('acme'), { now: NOW });
+    const data = await salesforce.collectAllCTAData(conn, PRIMARY_FSR);
+
+    assert.strictEqual(data.error, undefined);
+    assert.strictEqual(data.primaryContext.primaryCTA.recordId, PRIMARY_FSR);
+    assert.strictEqual(data.primaryContext.primaryCTA.ctaName, 'CTA-0001');
+    assert.strictEqual(data.primaryContext.primaryCTA.ownerName, 'Sam Seller');
+    assert.strictEqual(data.primaryContext.primaryCTA.product, 'Messaging');
+    assert.strictEqual(data.primaryContext.primaryCTA.campaign, 'Q3 Messaging Webinar');
+    assert.strictEqual(data.primaryContext.relatedContact.contactId, '003Ab0000000001IAA');
+    assert.strictEqual(data.primaryContext.relatedContact.isPrimary, true);
+    assert.strictEqual(data.accountData.accountName, 'Acme Corp');
+    assert.strictEqual(data.accountData.employeeCount, 900);
+  });
+
+  it('excludes open CTAs and keeps the others as additional CTAs', async () => {
+    const conn = createFakeConnection(loadFixture('acme'), { now: NOW });
+    const data = await salesforce.collectAllCTAData(conn, PRIMARY_FSR);
+
+    const names = data.additionalCTAs.map(cta => cta.ctaName).sort();
+    assert.deepStrictEqual(names, ['CTA-0002', 'CTA-0005']);
+  });
+
+  it('links opportunities to the primary contact through contact roles', async () => {
+    const conn = createFakeConnection(loadFixture('acme'), { now: NOW });
+    const data = await salesforce.collectAllCTAData(conn, PRIMARY_FSR);
+
+    assert.deepStrictEqual(data.primaryContext.relatedOpportunities.map(o => o.id), ['006Ab0000000001IAA']);
+    assert.strictEqual(data.primaryContext.relatedOpportunities[0].isRelatedToPrimaryContact, true);
+
+    const additionalIds = new Set(data.additionalOpportunities.map(o => o.id));
+    assert.ok(additionalIds.has('006Ab0000000002IAA'));
+    // Created outside LAST_N_MONTHS:6, or on another account
+    assert.ok(!additionalIds.has('006Ab0000000003IAA'));
+    assert.ok(!additionalIds.has('006Ab0000000004IAA'));
+  });
+
+  it('splits Salesloft conversations by primary contact attendance', async () => {
+    const conn = createFakeConnection(loadFixture('acme'), { now: NOW });
+    const data = await salesforce.collectAllCTAData(conn, PRIMARY_FSR);
+
+    assert.deepStrictEqual(data.primaryContext.contactConversations.map(c => c.meetingId), ['m-1']);
+    assert.deepStrictEqual(data.additionalConversations.map(c => c.meetingId), ['m-2']);
+    assert.strictEqual(data.primaryContext.contactConversations[0].attendeeCount, '2');
+    assert.strictEqual(data.additionalConversations[0].attendeeCount, '1');
+  });
+
+  it('collects account and contact activities and the product summary', async () => {
+    const conn = createFakeConnection(loadFixture('acme'), { now: NOW });
+    const data = await salesforce.collectAllCTAData(conn, PRIMARY_FSR);
+
+    assert.deepStrictEqual(data.accountLevelActivities.map(t => t.id), ['00TAb0000000001MAA', '00TAb0000000002MAA']);
+    assert.deepStrictEqual(data.primaryContext.contactActivities.map(t => t.id), ['00TAb0000000003MAA', '00TAb0000000001MAA']);
+    assert.deepStrictEqual(data.productSummaryWrapperResponse.map(p => p.Id), ['00kAb0000000001IAA']);
+  });
+
+  it('fetches a primary contact that belongs to another account', async () => {
+    const conn = createFakeConnection(loadFixture('acme'), { now: NOW });
+    const data = await salesforce.collectAllCTAData(conn, 'a0FAb0000000005MAA');
+
+    assert.strictEqual(data.primaryContext.relatedContact.contactId, '003Ab0000000003IAA');
+    assert.strictEqual(data.primaryContext.relatedContact.contactName, 'Pat Poe');
+    assert.deepStrictEqual(data.additionalContacts.map(c => c.contactId).sort(), ['003Ab0000000001IAA', '003Ab0000000002IAA']);
+    assert.ok(conn.operations.some(op => op.type === 'select' && op.sobject === 'Contact' && op.fields.includes('Last_FSR_Activity__c')));
+  });
+
+  it('returns an empty structure when the FSR has no account', async () => {
+    const conn = createFakeConnection(loadFixture('acme'), { now: NOW });
+    const data = await salesforce.collectAllCTAData(conn, 'a0FAb0000000004MAA');
+
+    assert.strictEqual(data.error, 'No FSR record found or no account associated');
+    assert.strictEqual(data.primaryContext.primaryCTA, null);
+    assert.deepStrictEqual(data.additionalCTAs, []);
+  });
+
+  it('returns an empty structure for an unknown record', async () => {
+    const conn = createFakeConnection(loadFixture('acme'), { now: NOW });
+    const data = await salesforce.collectAllCTAData(conn, 'a0FAb0000000099MAA');
+
+    assert.strictEqual(data.error, 'No FSR record found or no account associated');
+  });
+
+  it('degrades to empty sections when individual queries fail', async () => {
+    const conn = createFakeConnection(loadFixture('acme'), { now: NOW });
+    conn.failOn('Opportunity', new Error('REQUEST_LIMIT_EXCEEDED'));
+    conn.failOn('Salesloft_Conversations__dlm', new Error('INVALID_TYPE'));
+    const data = await salesforce.collectAllCTAData(conn, PRIMARY_FSR);
+
+    assert.strictEqual(data.primaryContext.primaryCTA.recordId, PRIMARY_FSR);
+    assert.deepStrictEqual(data.primaryContext.relatedOpportunities, []);
+    assert.deepStrictEqual(data.additionalOpportunities, []);
+    assert.deepStrictEqual(data.additionalConversations, []);
+    assert.strictEqual(data.accountData.accountName, 'Acme Corp');
+  });
+});
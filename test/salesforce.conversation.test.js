@@ -0,0 +1,189 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { quiet } = require('./stubs/environment');
+const salesforce = require('../salesforce');
+const { isValidId } = require('../soql');
+const { createFakeConnection, loadFixture } = require('./stubs/salesforce-connection');
+
+const EXISTING_ID = 'a1CAb0000000001MAA';
+
+const conversation = (conn, id) => conn.records('WO_Conversation__c').find(r => r.Id === id);
+
+describe('manageConversationRecord', () => {
+  quiet();
+
+  it('reuses the record of a parent that already has a conversation', async () => {
+    const conn = createFakeConnection(loadFixture('acme'));
+    const result = await salesforce.manageConversationRecord(conn, 'a0FAb0000000002MAA', 'conv-new');
+
+    assert.deepStrictEqual(result, { sfdcId: EXISTING_ID, existingConversationId: 'conv-existing', isExisting: true });
+    const record = conversation(conn, EXISTING_ID);
+    assert.strictEqual(record.Conversation_Id__c, 'conv-existing');
+    assert.strictEqual(record.Chat_Done__c, false);
+    assert.strictEqual(record.current_conversation__c, '');
+  });
+
+  it('fills in a missing conversation ID on an existing record', async () => {
+    const fixture = loadFixture('acme');
+    fixture.WO_Conversation__c[0].Conversation_Id__c = null;
+    const conn = createFakeConnection(fixture);
+    const result = await salesforce.manageConversationRecord(conn, 'a0FAb0000000002MAA', 'conv-new');
+
+    assert.strictEqual(result.existingConversationId, 'conv-new');
+    assert.strictEqual(conversation(conn, EXISTING_ID).Conversation_Id__c, 'conv-new');
+  });
+
+  it('creates a record for a parent without one', async () => {
+    const conn = createFakeConnection(loadFixture('acme'));
+    const result = await salesforce.manageConversationRecord(conn, 'a0FAb0000000001MAA', 'conv-new');
+
+    assert.strictEqual(result.isExisting, false);
+    assert.strictEqual(result.existingConversationId, null);
+    assert.ok(isValidId(result.sfdcId));
+    assert.ok(result.sfdcId.startsWith('a1C'));
+    const record = conversation(conn, result.sfdcId);
+    assert.strictEqual(record.Parent_Record_Id__c, 'a0FAb0000000001MAA');
+    assert.strictEqual(record.Conversation_Id__c, 'conv-new');
+    assert.strictEqual(record.Chat_Done__c, false);
+  });
+
+  it('rethrows when the record cannot be created', async () => {
+    const conn = createFakeConnection(loadFixture('acme'));
+    conn.failOn('WO_Conversation__c', new Error('INSUFFICIENT_ACCESS'));
+
+    await assert.rejects(
+      salesforce.manageConversationRecord(conn, 'a0FAb0000000001MAA', 'conv-new'),
+      /INSUFFICIENT_ACCESS/
+    );
+  });
+
+  it('honours SFDC_OBJECT_API_NAME', async () => {
+    process.env.SFDC_OBJECT_API_NAME = 'Custom_Conversation__c';
+    try {
+      const conn = createFakeConnection(loadFixture('acme'));
+      const result = await salesforce.manageConversationRecord(conn, 'a0FAb0000000001MAA', 'conv-new');
+
+      assert.strictEqual(conn.records('Custom_Conversation__c').length, 1);
+      assert.strictEqual(conn.records('Custom_Conversation__c')[0].Id, result.sfdcId);
+    } finally {
+      delete process.env.SFDC_OBJECT_API_NAME;
+    }
+  });
+});
+
+describe('updateConversationRecord', () => {
+  quiet();
+
+  it('writes the first briefing and starts the history', async () => {
+    const fixture = loadFixture('acme');
+    fixture.WO_Conversation__c[0].Conversation_History__c = '';
+    const conn = createFakeConnection(fixture);
+    await salesforce.updateConversationRecord(conn, EXISTING_ID, '<h2>Briefing</h2>', true);
+
+    const record = conversation(conn, EXISTING_ID);
+    assert.strictEqual(record.First_Conversation__c, '<h2>Briefing</h2>');
+    assert.strictEqual(record.current_conversation__c, '');
+    assert.strictEqual(record.Chat_Done__c, true);
+    assert.strictEqual(record.Conversation_History__c, '<ul><li><h2>Briefing</h2></li></ul>');
+  });
+
+  it('writes follow-up answers to the current conversation and appends to the history', async () => {
+    const conn = createFakeConnection(loadFixture('acme'));
+    await salesforce.updateConversationRecord(conn, EXISTING_ID, 'Follow-up answer');
+
+    const record = conversation(conn, EXISTING_ID);
+    assert.strictEqual(record.current_conversation__c, 'Follow-up answer');
+    assert.strictEqual(record.First_Conversation__c, '<p>Earlier briefing</p>');
+    assert.strictEqual(record.Conversation_History__c, '<ul><li>Earlier briefing</li><li>Follow-up answer</li></ul>');
+  });
+
+  it('stores sanitized HTML and converts markdown answers', async () => {
+    const conn = createFakeConnection(loadFixture('acme'));
+    await salesforce.updateConversationRecord(conn, EXISTING_ID, '## Next steps\n- Call **Jane**<script>alert(1)</script>');
+
+    const record = conversation(conn, EXISTING_ID);
+    assert.strictEqual(record.current_conversation__c, '<h2>Next steps</h2><ul><li>Call <strong>Jane</strong></li></ul>');
+    assert.ok(record.Conversation_History__c.endsWith('<li><h2>Next steps</h2><ul><li>Call <strong>Jane</strong></li></ul></li></ul>'));
+  });
+
+  it('archives the oldest turns once the history would exceed 100k characters', async () => {
+    const fixture = loadFixture('acme');
+    const history = `<ul><li>${'x'.repeat(99990)}</li></ul>`;
+    fixture.WO_Conversation__c[0].Conversation_History__c = history;
+    const conn = createFakeConnection(fixture);
+    await salesforce.updateConversationRecord(conn, EXISTING_ID, 'Follow-up answer', false, {
+      summarize: async () => 'Jane is evaluating vendors.'
+    });
+
+    const record = conversation(conn, EXISTING_ID);
+    assert.strictEqual(record.current_conversation__c, 'Follow-up answer');
+    assert.ok(record.Conversation_History__c.includes('<p>Jane is evaluating vendors.</p>'));
+    assert.ok(record.Conversation_History__c.endsWith('<ul><li>Follow-up answer</li></ul>'));
+    const [archive] = conn.records('ContentVersion');
+    assert.strictEqual(archive.FirstPublishLocationId, EXISTING_ID);
+    assert.deepStrictEqual(JSON.parse(Buffer.from(archive.VersionData, 'base64')).turns, ['x'.repeat(99990)]);
+  });
+
+  it('leaves the history alone when the archive cannot be written', async () => {
+    const fixture = loadFixture('acme');
+    const history = `<ul><li>${'x'.repeat(99990)}</li></ul>`;
+    fixture.WO_Conversation__c[0].Conversation_History__c = history;
+    const conn = createFakeConnection(fixture);
+    conn.failOn('ContentVersion', new Error('STORAGE_LIMIT_EXCEEDED'));
+    await salesforce.updateConversationRecord(conn, EXISTING_ID, 'Follow-up answer');
+
+    const record = conversation(conn, EXISTING_ID);
+    assert.strictEqual(record.current_conversation__c, 'Follow-up answer');
+    assert.strictEqual(record.Conversation_History__c, history);
+    const update = conn.operations.find(op => op.type === 'update');
+    assert.ok(!('Conversation_History__c' in update.record));
+  });
+
+  it('fails when the record cannot be updated', async () => {
+    const conn = createFakeConnection(loadFixture('acme'));
+    conn.failOn('WO_Conversation__c', new Error('UNABLE_TO_LOCK_ROW'));
+
+    await assert.rejects(salesforce.updateConversationRecord(conn, EXISTING_ID, 'Follow-up answer'), /UNABLE_TO_LOCK_ROW/);
+  });
+
+  it('does nothing without content', async () => {
+    const conn = createFakeConnection(loadFixture('acme'));
+    await salesforce.updateConversationRecord(conn, EXISTING_ID, '');
+
+    assert.strictEqual(conn.operations.length, 0);
+  });
+});
+
+describe('markConversationFailed', () => {
+  quiet();
+
+  it('writes the failure fields and releases the UI', async () => {
+    const fixture = loadFixture('acme');
+    fixture.WO_Conversation__c.forEach(record => Object.assign(record, { Status__c: null, Error_Message__c: null, Failed_Phase__c: null, Is_Retryable__c: false }));
+    const conn = createFakeConnection(fixture);
+    const updated = await salesforce.markConversationFailed(conn, EXISTING_ID, { phase: 'polling', message: 'x'.repeat(300), retryable: true });
+
+    assert.strictEqual(updated, true);
+    const record = conversation(conn, EXISTING_ID);
+    assert.strictEqual(record.Chat_Done__c, true);
+    assert.strictEqual(record.Status__c, 'Error');
+    assert.strictEqual(record.Error_Message__c.length, 255);
+    assert.strictEqual(record.Failed_Phase__c, 'polling');
+    assert.strictEqual(record.Is_Retryable__c, true);
+  });
+
+  it('releases the UI of orgs without the failure fields', async () => {
+    const schema = { WO_Conversation__c: { Id: {}, Chat_Done__c: {}, Status__c: {} } };
+    const conn = createFakeConnection(loadFixture('acme'), { schema });
+    const updated = await salesforce.markConversationFailed(conn, EXISTING_ID, { phase: 'polling', message: 'Timed out' });
+
+    assert.strictEqual(updated, true);
+    const record = conversation(conn, EXISTING_ID);
+    assert.strictEqual(record.Chat_Done__c, true);
+    assert.strictEqual(record.Status__c, 'Error');
+
+    await salesforce.clearConversationFailure(conn, EXISTING_ID);
+    assert.strictEqual(conversation(conn, EXISTING_ID).Chat_Done__c, false);
+    assert.strictEqual(conversation(conn, EXISTING_ID).Status__c, null);
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { sanitizeHtml, looksLikeMarkdown, markdownToHtml, renderAssistantHtml } = require('../sanitize');
+
+describe('sanitizeHtml', () => {
+  it('keeps headings, lists, tables and formatting', () => {
+    const html = '<h3>Influencers</h3><ul><li><b>Jane</b> &amp; <em>Raj</em></li></ul><table><tr><td colspan="2">Q3</td></tr></table>';
+    assert.strictEqual(sanitizeHtml(html), html);
+  });
+
+  it('removes scripts, styles, event handlers and unknown tags', () => {
+    assert.strictEqual(
+      sanitizeHtml('<p onclick="steal()" style="color:red">Hi<script>alert(1)</script><style>p{}</style> <img src=x onerror=alert(1)><font>there</font></p>'),
+      '<p>Hi there</p>'
+    );
+    assert.strictEqual(sanitizeHtml('<p>a<!-- hidden --></p><iframe src="https://evil.example">x'), '<p>a</p>');
+  });
+
+  it('only keeps https links', () => {
+    assert.strictEqual(sanitizeHtml('<a href="https://acme.example/case" target="_blank">case</a>'), '<a href="https://acme.example/case">case</a>');
+    assert.strictEqual(sanitizeHtml('<a href="javascript:alert(1)">x</a>'), 'x');
+    assert.strictEqual(sanitizeHtml('<a href="&#106;avascript:alert(1)">x</a>'), 'x');
+    assert.strictEqual(sanitizeHtml('<a href="java\tscript:alert(1)">x</a>'), 'x');
+    assert.strictEqual(sanitizeHtml('<a href="http://acme.example">x</a>'), 'x');
+  });
+
+  it('escapes stray markup and balances tags', () => {
+    assert.strictEqual(sanitizeHtml('<p>revenue < $5M & growing'), '<p>revenue &lt; $5M &amp; growing</p>');
+    assert.strictEqual(sanitizeHtml('<ul><li>one</ul></li></p>'), '<ul><li>one</li></ul>');
+    assert.strictEqual(sanitizeHtml('<scr<script>ipt>alert(1)</script>'), '&lt;scr');
+  });
+});
+
+describe('markdown answers', () => {
+  it('detects markdown but not HTML or plain text', () => {
+    assert.strictEqual(looksLikeMarkdown('# Briefing\n- one'), true);
+    assert.strictEqual(looksLikeMarkdown('<h3>Briefing</h3>\n- one'), false);
+    assert.strictEqual(looksLikeMarkdown('Jane is a good fit.'), false);
+  });
+
+  it('converts headings, lists, tables, code and inline formatting', () => {
+    const markdown = [
+      '### 1. CTA Overview',
+      'Jane asked for a **demo** of `Verify`, see [docs](https://acme.example/docs).',
+      '',
+      '1. Call Jane',
+      '2. Send *pricing*',
+      '',
+      '| Company | Result |',
+      '|---|---|',
+      '| Globex | 30% faster |'
+    ].join('\n');
+
+    assert.strictEqual(markdownToHtml(markdown), [
+      '<h3>1. CTA Overview</h3>',
+      '<p>Jane asked for a <strong>demo</strong> of <code>Verify</code>, see <a href="https://acme.example/docs">docs</a>.</p>',
+      '<ol><li>Call Jane</li><li>Send <em>pricing</em></li></ol>',
+      '<table><thead><tr><th>Company</th><th>Result</th></tr></thead><tbody><tr><td>Globex</td><td>30% faster</td></tr></tbody></table>'
+    ].join(''));
+  });
+
+  it('renders assistant content as safe HTML', () => {
+    assert.strictEqual(renderAssistantHtml('- [click](javascript:alert(1)) <b>now</b>'), '<ul><li>click <b>now</b></li></ul>');
+    assert.strictEqual(renderAssistantHtml('```html\n<h3>Briefing</h3>\n```'), '<h3>Briefing</h3>');
+    assert.strictEqual(renderAssistantHtml('Plain answer'), 'Plain answer');
+  });
+});
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { scratchDir, quiet } = require('./stubs/environment');
+
+// The tenant registry lives under DATA_DIR
+const DATA_DIR = scratchDir('schema-', 'DATA_DIR');
+process.env.AUTH_MODE = 'off';
+process.env.TENANTS_FILE = path.join(DATA_DIR, 'tenants.json');
+
+const schema = require('../schema');
+const tenants = require('../tenants');
+const salesforce = require('../salesforce');
+const app = require('../app');
+const { createFakeConnection, loadFixture } = require('./stubs/salesforce-connection');
+
+const ORG = '00DAb0000000001MAA';
+const FSR = 'a0FAb0000000001MAA';
+
+// A conversation object with every stored field as the service expects it
+const COMPLETE = {
+  Id: { type: 'id', length: 18, updateable: false },
+  Conversation_Id__c: { type: 'string', length: 255 },
+  Parent_Record_Id__c: { type: 'string', length: 18 },
+  Chat_Done__c: { type: 'boolean' },
+  First_Conversation__c: { type: 'textarea', length: 131072 },
+  current_conversation__c: { type: 'textarea', length: 131072 },
+  Conversation_History__c: { type: 'textarea', length: 131072 },
+  Status__c: { type: 'picklist', length: 255 },
+  Error_Message__c: { type: 'string', length: 255 },
+  Failed_Phase__c: { type: 'picklist', length: 255 },
+  Is_Retryable__c: { type: 'boolean' },
+  Prompt_Template_Version__c: { type: 'string', length: 80 }
+};
+
+/**
+ * Creates a connection whose conversation object has the given fields
+ * @param {object} fields - Field => describe metadata
+ * @returns {object} Fake connection
+ */
+const connectionWith = (fields) => createFakeConnection(loadFixture('acme'), {
+  schema: { WO_Conversation__c: fields },
+  userInfo: { id: '005Ab0000000001IAA', organizationId: ORG }
+});
+
+const statusOf = (report, key) => report.fields.find(result => result.key === key).status;
+
+afterEach(() => {
+  fs.rmSync(process.env.TENANTS_FILE, { force: true });
+  tenants.clearTenantCache();
+});
+
+describe('resolveFields', () => {
+  it('defaults to the WO_Conversation__c fields', () => {
+    const fields = schema.resolveFields();
+    assert.strictEqual(fields.history, 'Conversation_History__c');
+    assert.strictEqual(fields.currentConversation, 'current_conversation__c');
+    assert.strictEqual(Object.keys(fields).length, Object.keys(schema.FIELDS).length);
+  });
+
+  it('applies overrides and rejects invalid mappings', () => {
+    assert.strictEqual(schema.resolveFields({ parentRecordId: 'Lead__c' }).parentRecordId, 'Lead__c');
+    assert.throws(() => schema.resolveFields({ summary: 'Summary__c' }), { code: 'INVALID_FIELD_MAPPING', message: /Unknown stored property/ });
+    assert.throws(() => schema.resolveFields({ history: 'Bad Field' }), { code: 'INVALID_FIELD_MAPPING' });
+    assert.throws(() => schema.resolveFields({ history: 'Chat_Done__c' }), /both mapped to Chat_Done__c/);
+  });
+});
+
+describe('checkSchema', () => {
+  it('accepts an object with every field', async () => {
+    const conn = connectionWith(COMPLETE);
+    const report = await schema.checkSchema(conn, { sobject: 'WO_Conversation__c', fields: schema.resolveFields() });
+
+    assert.strictEqual(report.ok, true);
+    assert.ok(report.fields.every(result => result.status === 'ok'));
+  });
+
+  it('reports missing fields and fields of the wrong type or length', async () => {
+    const { Chat_Done__c, Is_Retryable__c, ...fields } = COMPLETE;
+    const conn = connectionWith({
+      ...fields,
+      Conversation_Id__c: { type: 'string', length: 20 },
+      First_Conversation__c: { type: 'string', length: 255 },
+      current_conversation__c: { type: 'textarea', length: 131072, updateable: false }
+    });
+    const report = await schema.checkSchema(conn, { sobject: 'WO_Conversation__c', fields: schema.resolveFields() });
+
+    assert.strictEqual(report.ok, false);
+    assert.strictEqual(statusOf(report, 'chatDone'), 'missing');
+    assert.strictEqual(statusOf(report, 'conversationId'), 'too_short');
+    assert.strictEqual(statusOf(report, 'firstConversation'), 'wrong_type');
+    assert.strictEqual(statusOf(report, 'currentConversation'), 'read_only');
+    assert.match(schema.formatReport(report), /FAIL chatDone\s+Chat_Done__c - field does not exist/);
+    assert.match(schema.formatReport(report), /warn retryable\s+Is_Retryable__c/);
+  });
+
+  it('passes when only optional fields are missing', async () => {
+    const { Status__c, Error_Message__c, Failed_Phase__c, Is_Retryable__c, Prompt_Template_Version__c, ...required } = COMPLETE;
+    const report = await schema.checkSchema(connectionWith(required), { sobject: 'WO_Conversation__c', fields: schema.resolveFields() });
+
+    assert.strictEqual(report.ok, true);
+    assert.strictEqual(statusOf(report, 'status'), 'missing');
+  });
+
+  it('checks the mapped fields', async () => {
+    const { Conversation_History__c, ...fields } = COMPLETE;
+    const conn = connectionWith({ ...fields, Assistant_History__c: { type: 'textarea', length: 131072 } });
+    const report = await schema.checkSchema(conn, { sobject: 'WO_Conversation__c', fields: schema.resolveFields({ history: 'Assistant_History__c' }) });
+
+    assert.strictEqual(report.ok, true);
+    assert.strictEqual(report.fields.find(result => result.key === 'history').field, 'Assistant_History__c');
+  });
+
+  it('reports an object that cannot be described', async () => {
+    const conn = connectionWith(COMPLETE);
+    conn.failOn('WO_Conversation__c', new Error('NOT_FOUND'));
+    const report = await schema.checkSchema(conn, { sobject: 'WO_Conversation__c', fields: schema.resolveFields() });
+
+    assert.strictEqual(report.ok, false);
+    assert.match(report.error, /Cannot describe WO_Conversation__c: NOT_FOUND/);
+  });
+});
+
+describe('mapped conversation fields', () => {
+  quiet();
+
+  it('stores conversations in the fields the tenant maps', async () => {
+    fs.writeFileSync(process.env.TENANTS_FILE, JSON.stringify({
+      tenants: { [ORG]: { fields: { parentRecordId: 'Lead__c', history: 'Assistant_History__c' } } }
+    }));
+    const { Parent_Record_Id__c, Conversation_History__c, ...fields } = COMPLETE;
+    const conn = connectionWith({ ...fields, Lead__c: Parent_Record_Id__c, Assistant_History__c: Conversation_History__c });
+
+    const { sfdcId } = await salesforce.manageConversationRecord(conn, FSR, 'conv-mapped');
+    await salesforce.updateConversationRecord(conn, sfdcId, '<p>Briefing</p>', true);
+
+    const record = conn.records('WO_Conversation__c').find(r => r.Id === sfdcId);
+    assert.strictEqual(record.Lead__c, FSR);
+    assert.strictEqual(record.Parent_Record_Id__c, undefined);
+    assert.match(record.Assistant_History__c, /Briefing/);
+    assert.deepStrictEqual(await salesforce.findConversationRecord(conn, FSR), { sfdcId, conversationId: 'conv-mapped' });
+  });
+
+  it('rejects an invalid mapping in the registry', () => {
+    fs.writeFileSync(process.env.TENANTS_FILE, JSON.stringify({ tenants: { [ORG]: { fields: { notes: 'Notes__c' } } } }));
+    assert.throws(() => tenants.resolveTenant(ORG), { code: 'INVALID_TENANT_CONFIG', message: /Unknown stored property "notes"/ });
+  });
+});
+
+describe('GET /schema', () => {
+  quiet();
+  let server;
+  let url;
+  const original = salesforce.createSalesforceConnection;
+
+  before(async () => {
+    await new Promise(resolve => { server = app.listen(0, resolve); });
+    url = `http://localhost:${server.address().port}`;
+  });
+  after(() => {
+    salesforce.createSalesforceConnection = original;
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  it('reports the conversation object of the caller\'s org', async () => {
+    const { Chat_Done__c, ...fields } = COMPLETE;
+    salesforce.createSalesforceConnection = async () => connectionWith(fields);
+
+    const response = await fetch(`${url}/schema`, { headers: { 'X-Sfdc-Token': 'token' } });
+    const body = await response.json();
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(body.orgId, ORG);
+    assert.strictEqual(body.ok, false);
+    assert.strictEqual(statusOf(body, 'chatDone'), 'missing');
+  });
+
+  it('requires a Salesforce session', async () => {
+    assert.strictEqual((await fetch(`${url}/schema`)).status, 400);
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { quiet } = require('./stubs/environment');
+process.env.AUTH_MODE = 'off';
+const { soql, quote, escapeLiteral, isValidId, assertId, toCaseSafeId } = require('../soql');
+const salesforce = require('../salesforce');
+const app = require('../app');
+const { createFakeConnection, loadFixture } = require('./stubs/salesforce-connection');
+
+describe('Salesforce IDs', () => {
+  it('accepts 15-character IDs and 18-character IDs with a matching checksum', () => {
+    assert.strictEqual(isValidId('001Ab0000000001'), true);
+    assert.strictEqual(isValidId('001Ab0000000001IAA'), true);
+    assert.strictEqual(toCaseSafeId('a0FAb0000000001'), 'a0FAb0000000001MAA');
+  });
+
+  it('rejects bad checksums, lengths and characters', () => {
+    assert.strictEqual(isValidId('001Ab0000000001AAA'), false);
+    assert.strictEqual(isValidId('001Ab000000001'), false);
+    assert.strictEqual(isValidId('001Ab00000000001IAA'), false);
+    assert.strictEqual(isValidId("001Ab000000000'"), false);
+    assert.strictEqual(isValidId(null), false);
+    assert.throws(() => assertId("x' OR Name != '", 'recordId'), (error) => error.code === 'INVALID_ID' && /recordId/.test(error.message));
+  });
+});
+
+describe('soql', () => {
+  it('escapes literals', () => {
+    assert.strictEqual(escapeLiteral("O'Brien \\ \n"), "O\\'Brien \\\\ \\n");
+    assert.strictEqual(quote(null), 'null');
+    assert.strictEqual(quote(3), '3');
+    assert.strictEqual(quote(false), 'false');
+    assert.strictEqual(quote(['a', "b'"]), "('a', 'b\\'')");
+  });
+
+  it('quotes every interpolated value', () => {
+    const name = "x' OR Name != '";
+    assert.strictEqual(soql`SELECT Id FROM Account WHERE Name = ${name}`, "SELECT Id FROM Account WHERE Name = 'x\\' OR Name != \\''");
+  });
+
+  it('validates IDs and identifiers', () => {
+    assert.strictEqual(
+      soql`SELECT Id FROM ${soql.identifier('WO_Conversation__c')} WHERE Id IN ${soql.id(['001Ab0000000001IAA', '001Ab0000000002IAA'])}`,
+      "SELECT Id FROM WO_Conversation__c WHERE Id IN ('001Ab0000000001IAA', '001Ab0000000002IAA')"
+    );
+    assert.throws(() => soql`SELECT Id FROM ${soql.identifier('Account WHERE Id != null')}`, /Invalid SOQL identifier/);
+    assert.throws(() => soql`SELECT Id FROM Account WHERE Id = ${soql.id("001' OR Id != '")}`, /Invalid Salesforce ID/);
+  });
+});
+
+describe('salesforce.js query safety', () => {
+  quiet();
+
+  it('rejects a malformed parent record ID before querying', async () => {
+    const conn = createFakeConnection(loadFixture('acme'));
+    await assert.rejects(salesforce.manageConversationRecord(conn, "a0FAb0000000002MAA' OR Id != '", null), /Invalid Salesforce ID/);
+    assert.strictEqual(conn.operations.length, 0);
+  });
+
+  it('rejects a malformed record ID before collecting', async () => {
+    const conn = createFakeConnection(loadFixture('acme'));
+    await assert.rejects(salesforce.collectAllCTAData(conn, 'not-an-id'), /Invalid Salesforce ID/);
+    assert.strictEqual(conn.operations.length, 0);
+  });
+
+  it('returns no product lines for an invalid account ID', async () => {
+    const conn = createFakeConnection(loadFixture('acme'));
+    assert.deepStrictEqual(await salesforce.getProductSummary(conn, "001' OR Name != '"), []);
+    assert.strictEqual(conn.operations.length, 0);
+  });
+});
+
+describe('POST /jobs', () => {
+  quiet();
+
+  let server;
+  let url;
+  before(async () => {
+    await new Promise(resolve => {
+      server = app.listen(0, () => resolve());
+    });
+    url = `http://localhost:${server.address().port}`;
+  });
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('rejects malformed record IDs with a 400', async () => {
+    const response = await fetch(`${url}/jobs`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sfdcToken: 'token', recordId: "a0FAb0000000001MAA' OR Id != '", provider: 'mock' })
+    });
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual((await response.json()).error, 'Invalid recordId');
+  });
+
+  it('rejects 18-character IDs with a wrong checksum', async () => {
+    const response = await fetch(`${url}/jobs`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sfdcToken: 'token', recordId: 'a0FAb0000000001AAA', provider: 'mock' })
+    });
+
+    assert.strictEqual(response.status, 400);
+  });
+});
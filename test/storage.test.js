@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { scratchDir } = require('./stubs/environment');
+
+// The file store writes under DATA_DIR
+scratchDir('storage-', 'DATA_DIR');
+
+const storage = require('../storage');
+const { createRedisStub } = require('./stubs/redis');
+
+const backends = {
+  file: () => storage.createStateStore({ backend: 'file' }),
+  redis: () => storage.createStateStore({ backend: 'redis', client: createRedisStub() })
+};
+
+Object.entries(backends).forEach(([backend, create]) => {
+  describe(`${backend} state store`, () => {
+    it('stores, lists and deletes values by collection', async () => {
+      const store = create();
+      await store.set('things', 'a', { n: 1 });
+      await store.set('things', 'b', { n: 2 });
+      await store.set('things', 'a', { n: 3 });
+
+      assert.deepStrictEqual(await store.get('things', 'a'), { n: 3 });
+      assert.strictEqual(await store.get('things', 'missing'), null);
+      assert.strictEqual(await store.has('things', 'b'), true);
+      assert.deepStrictEqual((await store.keys('things')).sort(), ['a', 'b']);
+
+      assert.strictEqual(await store.delete('things', 'a'), true);
+      assert.strictEqual(await store.delete('things', 'a'), false);
+      assert.deepStrictEqual(await store.keys('things'), ['b']);
+    });
+
+    it('reads logs from the offset of the previous read', async () => {
+      const store = create();
+      assert.deepStrictEqual(await store.read('logs', 'one'), { entries: [], offset: 0 });
+
+      await store.append('logs', 'one', { step: 1 });
+      await store.append('logs', 'one', { step: 2 });
+      const first = await store.read('logs', 'one');
+      assert.deepStrictEqual(first.entries.map(entry => entry.value), [{ step: 1 }, { step: 2 }]);
+      assert.strictEqual(first.entries[1].position, first.offset);
+
+      await store.append('logs', 'one', { step: 3 });
+      const next = await store.read('logs', 'one', first.offset);
+      assert.deepStrictEqual(next.entries.map(entry => entry.value), [{ step: 3 }]);
+      assert.deepStrictEqual((await store.read('logs', 'one', next.offset)).entries, []);
+
+      assert.strictEqual(await store.delete('logs', 'one'), true);
+      assert.deepStrictEqual(await store.read('logs', 'one'), { entries: [], offset: 0 });
+    });
+  });
+});
+
+describe('createStateStore', () => {
+  it('keeps the state next to a Redis queue unless told otherwise', () => {
+    const env = { STATE_BACKEND: process.env.STATE_BACKEND, QUEUE_BACKEND: process.env.QUEUE_BACKEND };
+    try {
+      delete process.env.STATE_BACKEND;
+      process.env.QUEUE_BACKEND = 'redis';
+      assert.strictEqual(storage.createStateStore({ client: createRedisStub() }).backend, 'redis');
+      process.env.STATE_BACKEND = 'file';
+      assert.strictEqual(storage.createStateStore().backend, 'file');
+      process.env.STATE_BACKEND = 'disk';
+      assert.throws(() => storage.createStateStore(), /Unknown STATE_BACKEND: disk/);
+    } finally {
+      Object.entries(env).forEach(([name, value]) => {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      });
+    }
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Test Environment
+ * Setup shared by the test files:
+ *   scratchDir(prefix, env) - temporary directory removed after the file's tests, optionally exported as an
+ *                             environment variable (DATA_DIR, PROMPTS_DIR, ...). Modules read those when they
+ *                             are required, so call it before requiring them
+ *   quiet()                 - silences console.log/console.error for the surrounding describe block
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { before, after } = require('node:test');
+
+/**
+ * Creates a temporary directory that is removed once the tests of the file are done
+ * @param {string} prefix - Directory name prefix
+ * @param {string} env - Environment variable to point at the directory, if any
+ * @returns {string} Directory path
+ */
+function scratchDir(prefix, env) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  if (env) process.env[env] = dir;
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Silences console output while the tests of the surrounding describe block run
+ */
+function quiet() {
+  const original = { log: console.log, error: console.error };
+  before(() => { console.log = () => {}; console.error = () => {}; });
+  after(() => Object.assign(console, original));
+}
+
+module.exports = {
+  scratchDir,
+  quiet
+};
@@ -0,0 +1,114 @@
+/**
+ * Fake Redis Client
+ * In-memory stand-in for an ioredis client, for the Redis backends of the state store (storage.js)
+ * and the job queue (queue/redis.js).
+ *
+ * Supports what they use, with ioredis return values:
+ *   get / set / del / exists
+ *   sadd / srem / smembers
+ *   rpush / lrange
+ *   zadd / zrem / zrange / zrangebyscore (with LIMIT)
+ *   eval of the claim script of queue/redis.js (the only script it runs)
+ *   multi() chains of the above, whose exec() resolves to [[null, result], ...]
+ *
+ * Test helpers:
+ *   client.data - Map of every key to its string, Set, array or sorted set (Map of member to score) value
+ */
+
+/**
+ * Creates a fake Redis client
+ * @returns {object} Client
+ */
+function createRedisStub() {
+  const data = new Map();
+
+  const setOf = (key) => {
+    if (!data.has(key)) data.set(key, new Set());
+    return data.get(key);
+  };
+  const listOf = (key) => {
+    if (!data.has(key)) data.set(key, []);
+    return data.get(key);
+  };
+  const sortedSetOf = (key) => {
+    if (!data.has(key)) data.set(key, new Map());
+    return data.get(key);
+  };
+  // Members ordered by score, then member, as Redis orders sorted sets
+  const sortedMembers = (key) => [...(data.get(key) || new Map())]
+    .sort(([a, scoreA], [b, scoreB]) => scoreA - scoreB || a.localeCompare(b));
+  const score = (value) => (value === '-inf' ? -Infinity : value === '+inf' ? Infinity : Number(value));
+  // Redis ranges include the stop index; negative indexes count from the end
+  const range = (items, start, stop) => {
+    const from = start < 0 ? Math.max(items.length + start, 0) : start;
+    const to = stop < 0 ? items.length + stop : stop;
+    return items.slice(from, to + 1);
+  };
+
+  const commands = {
+    get: (key) => (data.has(key) ? data.get(key) : null),
+    set: (key, value) => {
+      data.set(key, String(value));
+      return 'OK';
+    },
+    del: (...keys) => keys.filter(key => data.delete(key)).length,
+    exists: (...keys) => keys.filter(key => data.has(key)).length,
+    sadd: (key, ...members) => {
+      const set = setOf(key);
+      const before = set.size;
+      members.forEach(member => set.add(String(member)));
+      return set.size - before;
+    },
+    srem: (key, ...members) => members.filter(member => data.get(key)?.delete(String(member))).length,
+    smembers: (key) => [...(data.get(key) || [])],
+    rpush: (key, ...values) => listOf(key).push(...values.map(String)),
+    lrange: (key, start, stop) => range(data.get(key) || [], start, stop),
+    zadd: (key, value, member) => {
+      const set = sortedSetOf(key);
+      const added = set.has(String(member)) ? 0 : 1;
+      set.set(String(member), Number(value));
+      return added;
+    },
+    zrem: (key, ...members) => members.filter(member => data.get(key)?.delete(String(member))).length,
+    zrange: (key, start, stop) => range(sortedMembers(key).map(([member]) => member), start, stop),
+    zrangebyscore: (key, min, max, limit, offset = 0, count = Infinity) => {
+      const members = sortedMembers(key)
+        .filter(([, value]) => value >= score(min) && value <= score(max))
+        .map(([member]) => member);
+      return limit === 'LIMIT' ? members.slice(offset, offset + count) : members;
+    },
+    // Claims the first due id of KEYS[1] into KEYS[2], leased until ARGV[2]
+    eval: (script, keyCount, pending, processing, now, leaseUntil) => {
+      const [id] = commands.zrangebyscore(pending, '-inf', now, 'LIMIT', 0, 1);
+      if (!id) return null;
+      commands.zrem(pending, id);
+      commands.zadd(processing, leaseUntil, id);
+      return id;
+    }
+  };
+
+  const client = { data };
+  Object.entries(commands).forEach(([name, command]) => {
+    client[name] = async (...args) => command(...args);
+  });
+
+  client.multi = () => {
+    const queued = [];
+    const chain = {
+      exec: async () => queued.map(([name, args]) => [null, commands[name](...args)])
+    };
+    Object.keys(commands).forEach(name => {
+      chain[name] = (...args) => {
+        queued.push([name, args]);
+        return chain;
+      };
+    });
+    return chain;
+  };
+
+  return client;
+}
+
+module.exports = {
+  createRedisStub
+};
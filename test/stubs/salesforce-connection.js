@@ -0,0 +1,638 @@
+/**
+ * Fake Salesforce Connection
+ * In-memory stand-in for a jsforce Connection, seeded from JSON fixtures
+ * (test/fixtures/salesforce/*.json map sObject names to record arrays).
+ *
+ * Supports what salesforce.js uses:
+ *   conn.identity()
+ *   conn.query(soql)                              - SELECT/FROM/WHERE/ORDER BY/LIMIT, child subqueries
+ *   conn.queryMore(nextRecordsUrl)                - next batch of a query (see options.batchSize)
+ *   conn.sobject(name).select(fields).where(...).sort(...).limit(n).execute()
+ *   conn.sobject(name).retrieve(id) / create(record) / update(record) / describe()
+ *   conn.request(url)                             - blob fields (/sobjects/<name>/<id>/<field>) of base64 records
+ *
+ * Test helpers:
+ *   conn.operations      - log of every call ({ type, sobject, ... })
+ *   conn.records(name)   - current records of an sObject
+ *   conn.failOn(name, e) - make every call on an sObject reject with e (clearFailures() resets)
+ */
+const { toCaseSafeId } = require('../../soql');
+
+// Child relationship names used in subqueries, mapped to the child object and its parent lookup
+const CHILD_RELATIONSHIPS = {
+  OpportunityContactRoles: { sobject: 'OpportunityContactRole', field: 'OpportunityId' }
+};
+
+// Key prefixes for generated record IDs
+const KEY_PREFIXES = {
+  Account: '001',
+  Contact: '003',
+  Opportunity: '006',
+  Task: '00T',
+  OpportunityLineItem: '00k',
+  ContentVersion: '068',
+  FSR__c: 'a0F',
+  WO_Conversation__c: 'a1C'
+};
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Finds a key on an object case-insensitively (SOQL field names are case-insensitive)
+ */
+function findKey(obj, name) {
+  if (!obj || typeof obj !== 'object') return undefined;
+  if (Object.prototype.hasOwnProperty.call(obj, name)) return name;
+  const lower = name.toLowerCase();
+  return Object.keys(obj).find(k => k.toLowerCase() === lower);
+}
+
+/**
+ * Reads a dotted field path (e.g. Opportunity.AccountId) from a record
+ */
+function getPath(record, fieldPath) {
+  return fieldPath.split('.').reduce((value, segment) => {
+    const key = findKey(value, segment);
+    return key === undefined ? undefined : value[key];
+  }, record);
+}
+
+/**
+ * Splits a string on a separator, ignoring separators inside parentheses or quotes
+ */
+function splitTopLevel(str, separator) {
+  const parts = [];
+  let depth = 0;
+  let inQuote = false;
+  let current = '';
+  const upper = str.toUpperCase();
+  for (let i = 0; i < str.length; i++) {
+    const ch = str[i];
+    if (ch === "'" && str[i - 1] !== '\\') inQuote = !inQuote;
+    if (!inQuote) {
+      if (ch === '(') depth++;
+      if (ch === ')') depth--;
+      if (depth === 0 && upper.startsWith(separator, i)) {
+        parts.push(current);
+        current = '';
+        i += separator.length - 1;
+        continue;
+      }
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * Finds a top-level SOQL keyword (outside parentheses and quotes)
+ */
+function indexOfKeyword(str, keyword) {
+  let depth = 0;
+  let inQuote = false;
+  const upper = str.toUpperCase();
+  for (let i = 0; i < str.length; i++) {
+    const ch = str[i];
+    if (ch === "'" && str[i - 1] !== '\\') inQuote = !inQuote;
+    if (inQuote) continue;
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (depth === 0 && upper.startsWith(keyword, i) && /\s/.test(str[i - 1] || ' ') && /\s/.test(str[i + keyword.length] || ' ')) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Evaluates a SOQL date literal relative to `now`
+ */
+function dateLiteral(token, now) {
+  const match = /^(LAST_N_MONTHS|LAST_N_DAYS|NEXT_N_DAYS):(\d+)$/i.exec(token);
+  if (match) {
+    const n = Number(match[2]);
+    const date = new Date(now);
+    switch (match[1].toUpperCase()) {
+      case 'LAST_N_MONTHS':
+        date.setUTCDate(1);
+        date.setUTCHours(0, 0, 0, 0);
+        date.setUTCMonth(date.getUTCMonth() - n);
+        return date;
+      case 'LAST_N_DAYS':
+        date.setUTCHours(0, 0, 0, 0);
+        date.setUTCDate(date.getUTCDate() - n);
+        return date;
+      default:
+        date.setUTCDate(date.getUTCDate() + n);
+        return date;
+    }
+  }
+  if (/^TODAY$/i.test(token)) {
+    const date = new Date(now);
+    date.setUTCHours(0, 0, 0, 0);
+    return date;
+  }
+  return null;
+}
+
+/**
+ * Parses a SOQL literal value
+ */
+function parseLiteral(token, now) {
+  const trimmed = token.trim();
+  if (trimmed.startsWith("'")) {
+    return trimmed.slice(1, -1).replace(/\\(.)/g, (_, ch) => ({ n: '\n', r: '\r', t: '\t' })[ch] || ch);
+  }
+  if (trimmed.startsWith('(')) {
+    return splitTopLevel(trimmed.slice(1, -1), ',').map(t => parseLiteral(t, now));
+  }
+  if (/^null$/i.test(trimmed)) return null;
+  if (/^true$/i.test(trimmed)) return true;
+  if (/^false$/i.test(trimmed)) return false;
+  if (/^-?\d+(\.\d+)?$/.test(trimmed)) return Number(trimmed);
+  if (/^\d{4}-\d{2}-\d{2}/.test(trimmed)) return new Date(trimmed);
+  const literal = dateLiteral(trimmed, now);
+  if (literal) return literal;
+  throw new Error(`MALFORMED_QUERY: unsupported literal ${trimmed}`);
+}
+
+/**
+ * Compares a record value with a filter value using a SOQL operator
+ */
+function compare(actual, operator, expected) {
+  if (expected instanceof Date) {
+    if (actual === null || actual === undefined) return false;
+    actual = new Date(actual).getTime();
+    expected = expected.getTime();
+  }
+  const normalize = (v) => (v === undefined ? null : v);
+  switch (operator) {
+    case '=':
+      return normalize(actual) === normalize(expected);
+    case '!=':
+    case '<>':
+      return normalize(actual) !== normalize(expected);
+    case '<':
+      return actual !== null && actual !== undefined && actual < expected;
+    case '<=':
+      return actual !== null && actual !== undefined && actual <= expected;
+    case '>':
+      return actual !== null && actual !== undefined && actual > expected;
+    case '>=':
+      return actual !== null && actual !== undefined && actual >= expected;
+    case 'IN':
+      return expected.includes(actual);
+    case 'NOT IN':
+      return !expected.includes(actual);
+    case 'LIKE': {
+      const pattern = new RegExp('^' + String(expected).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.') + '$', 'i');
+      return pattern.test(String(actual ?? ''));
+    }
+    default:
+      throw new Error(`MALFORMED_QUERY: unsupported operator ${operator}`);
+  }
+}
+
+/**
+ * Builds a predicate from a SOQL WHERE clause (AND/OR of simple comparisons)
+ */
+function parseCondition(clause, now) {
+  const orParts = splitTopLevel(clause, ' OR ');
+  if (orParts.length > 1) {
+    const predicates = orParts.map(p => parseCondition(p, now));
+    return (record) => predicates.some(p => p(record));
+  }
+  const andParts = splitTopLevel(clause, ' AND ');
+  if (andParts.length > 1) {
+    const predicates = andParts.map(p => parseCondition(p, now));
+    return (record) => predicates.every(p => p(record));
+  }
+
+  let condition = andParts[0] || '';
+  if (condition.startsWith('(') && condition.endsWith(')')) {
+    return parseCondition(condition.slice(1, -1), now);
+  }
+  const match = /^([\w.]+)\s*(NOT IN|IN|LIKE|!=|<>|<=|>=|=|<|>)\s*([\s\S]+)$/i.exec(condition);
+  if (!match) throw new Error(`MALFORMED_QUERY: cannot parse condition "${condition}"`);
+  const [, field, operator, rawValue] = match;
+  const value = parseLiteral(rawValue, now);
+  return (record) => compare(getPath(record, field), operator.toUpperCase(), value);
+}
+
+/**
+ * Builds a predicate from a jsforce where() object ({ Field: value | { $ne, $in, ... } })
+ */
+function parseConditionObject(conditions, now) {
+  const operators = { $eq: '=', $ne: '!=', $lt: '<', $lte: '<=', $gt: '>', $gte: '>=', $in: 'IN', $nin: 'NOT IN', $like: 'LIKE' };
+  const predicates = Object.entries(conditions).map(([field, spec]) => {
+    if (field === '$or') {
+      const branches = spec.map(c => parseConditionObject(c, now));
+      return (record) => branches.some(p => p(record));
+    }
+    if (field === '$and') {
+      const branches = spec.map(c => parseConditionObject(c, now));
+      return (record) => branches.every(p => p(record));
+    }
+    if (spec !== null && typeof spec === 'object' && !Array.isArray(spec) && !(spec instanceof Date)) {
+      const checks = Object.entries(spec).map(([op, value]) => {
+        if (!operators[op]) throw new Error(`MALFORMED_QUERY: unsupported operator ${op}`);
+        const expected = typeof value === 'string' && /^(LAST_N_|NEXT_N_|TODAY)/i.test(value) ? dateLiteral(value, now) : value;
+        return (record) => compare(getPath(record, field), operators[op], expected);
+      });
+      return (record) => checks.every(c => c(record));
+    }
+    if (Array.isArray(spec)) {
+      return (record) => compare(getPath(record, field), 'IN', spec);
+    }
+    return (record) => compare(getPath(record, field), '=', spec);
+  });
+  return (record) => predicates.every(p => p(record));
+}
+
+/**
+ * Parses a sort spec ('-CreatedDate', 'CreatedDate DESC, Name', { CreatedDate: -1 })
+ */
+function parseSort(spec) {
+  if (!spec) return [];
+  if (typeof spec === 'object') {
+    return Object.entries(spec).map(([field, dir]) => ({ field, desc: dir === -1 || /^desc/i.test(String(dir)) }));
+  }
+  // Mongoose style ('-CreatedDate Name') unless written as an ORDER BY clause, as jsforce does
+  const parts = /,|\s+(asc|desc)\s*$/i.test(spec) ? spec.split(',') : spec.split(/\s+/);
+  return parts.map(part => part.trim()).filter(Boolean).map(part => {
+    if (part.startsWith('-')) return { field: part.slice(1), desc: true };
+    const [field, dir] = part.split(/\s+/);
+    return { field, desc: /^desc/i.test(dir || '') };
+  });
+}
+
+/**
+ * Sorts records by a parsed sort spec (nulls last)
+ */
+function sortRecords(records, sortSpec) {
+  if (sortSpec.length === 0) return records;
+  return [...records].sort((a, b) => {
+    for (const { field, desc } of sortSpec) {
+      const av = getPath(a, field);
+      const bv = getPath(b, field);
+      if (av === bv) continue;
+      if (av === null || av === undefined) return 1;
+      if (bv === null || bv === undefined) return -1;
+      const result = av < bv ? -1 : 1;
+      return desc ? -result : result;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Creates a fake connection
+ * @param {object} fixtures - { [sObjectName]: records[] }
+ * @param {object} options - Options
+ * @param {string} options.now - Reference time for relative date literals (defaults to the current time)
+ * @param {object} options.identity - Result of conn.identity()
+ * @param {object} options.schema - { [sObjectName]: { [field]: { type, length } } }; when given, unknown fields
+ *   in queries and DML reject with INVALID_FIELD like a real org
+ * @param {object} options.userInfo - { id, organizationId } of the session's user, as createSalesforceConnection
+ *   leaves it on the connection after identity() (unset by default)
+ * @param {number} options.batchSize - Records per conn.query() batch; the rest is read with queryMore (all at once
+ *   by default)
+ * @returns {object} Fake connection
+ */
+function createFakeConnection(fixtures = {}, options = {}) {
+  const now = options.now ? new Date(options.now) : new Date();
+  const db = clone(fixtures);
+  const failures = {};
+  const operations = [];
+  let idCounter = 0;
+  // Records of queries not read yet, by nextRecordsUrl
+  const cursors = new Map();
+  let cursorCounter = 0;
+
+  const batch = (records) => {
+    const size = options.batchSize || records.length;
+    if (records.length <= size) return { totalSize: records.length, done: true, records };
+    cursorCounter += 1;
+    const nextRecordsUrl = `/services/data/v42.0/query/01gFake-${cursorCounter}`;
+    cursors.set(nextRecordsUrl, records.slice(size));
+    return { totalSize: records.length, done: false, nextRecordsUrl, records: records.slice(0, size) };
+  };
+
+  const table = (name) => {
+    const key = findKey(db, name);
+    if (key) return db[key];
+    db[name] = [];
+    return db[name];
+  };
+
+  const checkFailure = (name) => {
+    const failure = failures[name.toLowerCase()];
+    if (failure) return Promise.reject(failure instanceof Error ? failure : new Error(String(failure)));
+    return null;
+  };
+
+  const invalidField = (sobject, field) => {
+    const error = new Error(`No such column '${field}' on entity '${sobject}'.`);
+    error.errorCode = 'INVALID_FIELD';
+    error.name = 'INVALID_FIELD';
+    return error;
+  };
+
+  const assertFields = (sobject, fields) => {
+    const schema = options.schema && options.schema[findKey(options.schema, sobject)];
+    if (!schema) return;
+    for (const field of fields) {
+      const first = field.split('.')[0];
+      // Relationship paths are validated by their first segment (Owner.Name -> OwnerId / Owner)
+      const known = findKey(schema, first) !== undefined ||
+        findKey(schema, first.replace(/__r$/i, '__c')) !== undefined ||
+        findKey(schema, `${first}Id`) !== undefined;
+      if (!known) throw invalidField(sobject, field);
+    }
+  };
+
+  const project = (sobject, record, fields) => {
+    const result = { attributes: { type: sobject, url: `/services/data/v42.0/sobjects/${sobject}/${record.Id}` } };
+    for (const field of fields) {
+      if (field.startsWith('(')) {
+        const sub = parseSoql(field.slice(1, -1));
+        const rel = CHILD_RELATIONSHIPS[findKey(CHILD_RELATIONSHIPS, sub.sobject)];
+        if (!rel) throw new Error(`MALFORMED_QUERY: unknown child relationship ${sub.sobject}`);
+        const children = runSelect(rel.sobject, {
+          ...sub,
+          where: (child) => getPath(child, rel.field) === record.Id && (!sub.where || sub.where(child))
+        });
+        result[sub.sobject] = children.length > 0 ? { totalSize: children.length, done: true, records: children } : null;
+        continue;
+      }
+      const first = field.split('.')[0];
+      const key = findKey(record, first);
+      if (key !== undefined) result[key] = clone(record[key]);
+    }
+    return result;
+  };
+
+  function runSelect(sobject, query) {
+    assertFields(sobject, query.fields.filter(f => !f.startsWith('(')));
+    let records = table(sobject).filter(record => !query.where || query.where(record));
+    records = sortRecords(records, query.sort || []);
+    if (query.offset) records = records.slice(query.offset);
+    if (query.limit !== undefined && query.limit !== null) records = records.slice(0, query.limit);
+    return records.map(record => project(sobject, record, query.fields));
+  }
+
+  function parseSoql(soql) {
+    const text = soql.replace(/\s+/g, ' ').trim();
+    if (!/^SELECT /i.test(text)) throw new Error(`MALFORMED_QUERY: ${soql}`);
+    const fromIndex = indexOfKeyword(text, 'FROM');
+    if (fromIndex === -1) throw new Error(`MALFORMED_QUERY: missing FROM in ${soql}`);
+
+    const fields = splitTopLevel(text.slice(7, fromIndex), ',');
+    let rest = text.slice(fromIndex + 5);
+    const clause = (keyword) => {
+      const index = indexOfKeyword(` ${rest}`, keyword);
+      return index === -1 ? -1 : index - 1;
+    };
+
+    const limitIndex = clause('LIMIT');
+    const limit = limitIndex === -1 ? undefined : Number(rest.slice(limitIndex + 6).trim().split(' ')[0]);
+    if (limitIndex !== -1) rest = rest.slice(0, limitIndex).trim();
+
+    const orderIndex = clause('ORDER BY');
+    const sort = orderIndex === -1 ? [] : parseSort(rest.slice(orderIndex + 9).replace(/NULLS (FIRST|LAST)/gi, ''));
+    if (orderIndex !== -1) rest = rest.slice(0, orderIndex).trim();
+
+    const whereIndex = clause('WHERE');
+    const where = whereIndex === -1 ? null : parseCondition(rest.slice(whereIndex + 6).trim(), now);
+    const sobject = (whereIndex === -1 ? rest : rest.slice(0, whereIndex)).trim();
+
+    return { fields, sobject, where, sort, limit };
+  }
+
+  function queryBuilder(sobject) {
+    const state = { fields: ['Id'], predicate: null, sort: [], limit: undefined, offset: undefined };
+    const builder = {
+      select(fields) {
+        state.fields = Array.isArray(fields) ? fields : splitTopLevel(fields, ',');
+        return builder;
+      },
+      // Like jsforce, a second where() replaces the first rather than ANDing with it
+      where(conditions) {
+        state.predicate = typeof conditions === 'string' ? parseCondition(conditions, now) : parseConditionObject(conditions, now);
+        return builder;
+      },
+      sort(spec) {
+        state.sort = parseSort(spec);
+        return builder;
+      },
+      orderby(spec) {
+        return builder.sort(spec);
+      },
+      limit(n) {
+        state.limit = n;
+        return builder;
+      },
+      offset(n) {
+        state.offset = n;
+        return builder;
+      },
+      async execute() {
+        operations.push({ type: 'select', sobject, fields: state.fields });
+        const failure = checkFailure(sobject);
+        if (failure) return failure;
+        return runSelect(sobject, {
+          fields: state.fields,
+          where: state.predicate,
+          sort: state.sort,
+          limit: state.limit,
+          offset: state.offset
+        });
+      }
+    };
+    builder.run = builder.execute;
+    builder.exec = builder.execute;
+    builder.then = (resolve, reject) => builder.execute().then(resolve, reject);
+    return builder;
+  }
+
+  const conn = {
+    instanceUrl: options.instanceUrl || 'https://fake.my.salesforce.com',
+    accessToken: options.accessToken || 'fake-token',
+    userInfo: options.userInfo,
+    operations,
+
+    async identity() {
+      operations.push({ type: 'identity' });
+      if (options.identityError) throw options.identityError;
+      return options.identity || {
+        user_id: '005Ab0000000001IAA',
+        organization_id: '00DAb0000000001IAA',
+        username: 'rep@acme.example',
+        display_name: 'Test Rep'
+      };
+    },
+
+    async query(soql) {
+      operations.push({ type: 'query', soql });
+      const parsed = parseSoql(soql);
+      const failure = checkFailure(parsed.sobject);
+      if (failure) return failure;
+      return batch(runSelect(parsed.sobject, parsed));
+    },
+
+    async queryMore(nextRecordsUrl) {
+      operations.push({ type: 'queryMore', nextRecordsUrl });
+      if (!cursors.has(nextRecordsUrl)) throw new Error(`Unknown query locator: ${nextRecordsUrl}`);
+      const records = cursors.get(nextRecordsUrl);
+      cursors.delete(nextRecordsUrl);
+      return batch(records);
+    },
+
+    async request(info) {
+      const url = typeof info === 'string' ? info : info.url;
+      operations.push({ type: 'request', url });
+      const match = /\/sobjects\/(\w+)\/(\w+)\/(\w+)$/.exec(url);
+      if (!match) throw new Error(`Unsupported request URL: ${url}`);
+      const failure = checkFailure(match[1]);
+      if (failure) return failure;
+      const record = table(match[1]).find(r => r.Id === match[2]);
+      if (!record || record[match[3]] === undefined) {
+        const error = new Error('The requested resource does not exist');
+        error.errorCode = 'NOT_FOUND';
+        throw error;
+      }
+      // Blob fields are created as base64 and served as the raw body, like the REST API
+      return Buffer.from(record[match[3]], 'base64').toString('utf8');
+    },
+
+    sobject(name) {
+      return {
+        select: (fields) => queryBuilder(name).select(fields),
+        find: (conditions, fields) => {
+          const builder = queryBuilder(name);
+          if (fields) builder.select(fields);
+          if (conditions) builder.where(conditions);
+          return builder;
+        },
+        async retrieve(id) {
+          operations.push({ type: 'retrieve', sobject: name, id });
+          const failure = checkFailure(name);
+          if (failure) return failure;
+          const record = table(name).find(r => r.Id === id);
+          if (!record) {
+            const error = new Error('The requested resource does not exist');
+            error.errorCode = 'NOT_FOUND';
+            throw error;
+          }
+          return { attributes: { type: name }, ...clone(record) };
+        },
+        async create(record) {
+          operations.push({ type: 'create', sobject: name, record: clone(record) });
+          const failure = checkFailure(name);
+          if (failure) return failure;
+          assertFields(name, Object.keys(record));
+          idCounter += 1;
+          const prefix = KEY_PREFIXES[name] || 'a9Z';
+          const id = toCaseSafeId(`${prefix}Fk${String(idCounter).padStart(10, '0')}`);
+          table(name).push({ ...clone(record), Id: id });
+          return { id, success: true, errors: [] };
+        },
+        async update(record) {
+          operations.push({ type: 'update', sobject: name, record: clone(record) });
+          const failure = checkFailure(name);
+          if (failure) return failure;
+          assertFields(name, Object.keys(record).filter(k => k !== 'Id'));
+          const existing = table(name).find(r => r.Id === record.Id);
+          if (!existing) {
+            const error = new Error('entity is deleted');
+            error.errorCode = 'ENTITY_IS_DELETED';
+            throw error;
+          }
+          Object.assign(existing, clone(record));
+          return { id: record.Id, success: true, errors: [] };
+        },
+        async describe() {
+          operations.push({ type: 'describe', sobject: name });
+          const failure = checkFailure(name);
+          if (failure) return failure;
+          return describeSObject(name);
+        }
+      };
+    },
+
+    records(name) {
+      return table(name);
+    },
+
+    failOn(name, error) {
+      failures[name.toLowerCase()] = error;
+    },
+
+    clearFailures() {
+      Object.keys(failures).forEach(key => delete failures[key]);
+    }
+  };
+
+  function describeSObject(name) {
+    const schema = options.schema && options.schema[findKey(options.schema, name)];
+    const fieldMap = {};
+    if (schema) {
+      Object.entries(schema).forEach(([field, meta]) => { fieldMap[field] = meta || {}; });
+    } else {
+      // Without an explicit schema, derive fields from the fixture records
+      table(name).forEach(record => {
+        Object.entries(record).forEach(([field, value]) => {
+          if (value && typeof value === 'object' && !Array.isArray(value)) {
+            fieldMap[field] = { type: 'relationship' };
+          } else if (!fieldMap[field]) {
+            fieldMap[field] = { type: typeof value === 'number' ? 'double' : (typeof value === 'boolean' ? 'boolean' : 'string') };
+          }
+        });
+      });
+      fieldMap.Id = fieldMap.Id || { type: 'id' };
+    }
+
+    const fields = [];
+    Object.entries(fieldMap).forEach(([field, meta]) => {
+      if (meta.type === 'relationship') {
+        // A nested object in a fixture is the parent of a lookup: Owner -> OwnerId, Campaign__r -> Campaign__c
+        const lookup = field.endsWith('__r') ? field.replace(/__r$/, '__c') : `${field}Id`;
+        if (!fieldMap[lookup]) fields.push({ name: lookup, type: 'reference', relationshipName: field, length: 18 });
+        return;
+      }
+      const relationshipName = meta.relationshipName ||
+        (meta.type === 'reference' ? (field.endsWith('__c') ? field.replace(/__c$/, '__r') : field.replace(/Id$/, '')) : null);
+      fields.push({ name: field, type: meta.type || 'string', length: meta.length || 0, relationshipName, updateable: meta.updateable !== false });
+    });
+    // Lookups seen only as Id fields still expose their relationship when the parent object is nested elsewhere
+    fields.forEach(field => {
+      if (field.type !== 'reference' && /(Id|__c)$/.test(field.name) && fieldMap[field.name.replace(/__c$/, '__r')]?.type === 'relationship') {
+        field.type = 'reference';
+        field.relationshipName = field.name.replace(/__c$/, '__r');
+      }
+      if (field.type !== 'reference' && /Id$/.test(field.name) && field.name !== 'Id' && fieldMap[field.name.replace(/Id$/, '')]?.type === 'relationship') {
+        field.type = 'reference';
+        field.relationshipName = field.name.replace(/Id$/, '');
+      }
+    });
+
+    return { name, keyPrefix: KEY_PREFIXES[name] || null, fields };
+  }
+
+  return conn;
+}
+
+/**
+ * Loads a fixture file from test/fixtures/salesforce
+ * @param {string} name - Fixture name without extension
+ * @returns {object} Fixture records by sObject
+ */
+function loadFixture(name) {
+  return clone(require(`../fixtures/salesforce/${name}.json`));
+}
+
+module.exports = {
+  createFakeConnection,
+  loadFixture
+};
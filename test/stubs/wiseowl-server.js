@@ -0,0 +1,181 @@
+/**
+ * WiseOwl Stub Server
+ * In-repo Express stand-in for the WiseOwl v2 conversations API, for offline end-to-end runs.
+ * Point the service at it with WISEOWL_BASE_URL=http://localhost:<port>.
+ *
+ * Scripting (per run, consumed in PUT order; `defaultRun` is used once `runs` is exhausted):
+ *   {
+ *     createDelayMs, createStatus, createMalformed,   // POST /conversations behaviour
+ *     runs: [{
+ *       putDelayMs, putStatus, putMalformed,           // PUT /conversations/:id behaviour
+ *       pollDelayMs,                                   // delay for every GET /runs/:runId
+ *       pollStatuses: [500, 503],                      // statuses returned by the first polls, in order
+ *       malformedPolls: 0,                             // number of polls answered with a non-JSON body
+ *       pollsBeforeDone: 1,                            // successful polls returning `entries` before done
+ *       entries: [['tool', {...}]],                    // intermediate entries returned while not done
+ *       done: [...],                                   // payload of the ['done', payload] tuple
+ *       stream: false                                  // answer streamMode 'stream' PUTs as server-sent events
+ *     }],
+ *     defaultRun: { ... }
+ *   }
+ *
+ * Control endpoints: POST /__stub/script, POST /__stub/reset, GET /__stub/requests
+ */
+const express = require('express');
+
+const BASE_PATH = '/wise-owl/api/v2/conversations';
+
+const DEFAULT_DONE = [
+  { role: 'user', parts: [{ type: 'TEXT', content: 'stub input' }] },
+  { role: 'assistant', parts: [{ type: 'MARKDOWN', content: '<h2>Stub briefing</h2><p>Generated by the WiseOwl stub.</p>' }] }
+];
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms || 0));
+
+/**
+ * Creates a scriptable WiseOwl stub
+ * @param {object} initialScript - Script as described above
+ * @returns {object} { app, setScript, reset, requests, listen }
+ */
+function createWiseOwlStub(initialScript = {}) {
+  const app = express();
+  app.use(express.json({ limit: '50mb' }));
+
+  let script = {};
+  let runQueue = [];
+  let conversationCounter = 0;
+  let runCounter = 0;
+  const runs = new Map();
+  const requests = [];
+
+  function setScript(next = {}) {
+    script = next;
+    runQueue = [...(next.runs || [])];
+  }
+
+  function reset() {
+    setScript(initialScript);
+    runs.clear();
+    requests.length = 0;
+    conversationCounter = 0;
+    runCounter = 0;
+  }
+
+  // Record every API call so tests can assert on headers and bodies
+  app.use(BASE_PATH, (req, res, next) => {
+    requests.push({ method: req.method, path: req.originalUrl, headers: req.headers, body: req.body });
+    if (!req.headers['x-twilio-e2-auth-token'] || req.headers['x-twilio-e2-ingress'] !== 'SALESFORCE') {
+      return res.status(401).json({ error: 'Missing Twilio ingress headers' });
+    }
+    next();
+  });
+
+  app.post(BASE_PATH, async (req, res) => {
+    await delay(script.createDelayMs);
+    if (script.createStatus) return res.status(script.createStatus).json({ error: 'Injected create failure' });
+    if (script.createMalformed) return res.type('text/plain').send('<<malformed>>');
+
+    conversationCounter += 1;
+    res.json({ conversation: { id: `stub-conversation-${conversationCounter}`, applicationId: req.body.applicationId } });
+  });
+
+  app.put(`${BASE_PATH}/:conversationId`, async (req, res) => {
+    const runScript = runQueue.length > 0 ? runQueue.shift() : (script.defaultRun || {});
+    await delay(runScript.putDelayMs);
+    if (runScript.putStatus) return res.status(runScript.putStatus).json({ error: 'Injected put failure' });
+    if (runScript.putMalformed) return res.type('text/plain').send('<<malformed>>');
+
+    runCounter += 1;
+    const runId = `stub-run-${runCounter}`;
+    const run = {
+      ...runScript,
+      conversationId: req.params.conversationId,
+      input: req.body.input,
+      pollStatuses: [...(runScript.pollStatuses || [])],
+      malformedPolls: runScript.malformedPolls || 0,
+      pollsBeforeDone: runScript.pollsBeforeDone ?? 1,
+      polls: 0
+    };
+    runs.set(runId, run);
+
+    if (req.body.streamMode === 'stream' && runScript.stream) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'x-run-id': runId });
+      for (const entry of run.entries || []) {
+        res.write(`data: ${JSON.stringify(entry)}\n\n`);
+        await delay(run.pollDelayMs);
+      }
+      res.write(`data: ${JSON.stringify([['done', run.done || DEFAULT_DONE]])}\n\n`);
+      return res.end();
+    }
+
+    res.json({ runId });
+  });
+
+  app.get(`${BASE_PATH}/:conversationId/runs/:runId`, async (req, res) => {
+    const run = runs.get(req.params.runId);
+    if (!run) return res.status(404).json({ error: 'Unknown run' });
+
+    await delay(run.pollDelayMs);
+    if (run.pollStatuses.length > 0) {
+      const status = run.pollStatuses.shift();
+      return res.status(status).json({ error: `Injected poll failure ${status}` });
+    }
+    if (run.malformedPolls > 0) {
+      run.malformedPolls -= 1;
+      return res.type('text/plain').send('<<malformed>>');
+    }
+
+    run.polls += 1;
+    if (run.polls <= run.pollsBeforeDone) {
+      return res.json(run.entries || []);
+    }
+    res.json([['done', run.done || DEFAULT_DONE]]);
+  });
+
+  app.post('/__stub/script', (req, res) => {
+    setScript(req.body || {});
+    res.json({ ok: true });
+  });
+
+  app.post('/__stub/reset', (_, res) => {
+    reset();
+    res.json({ ok: true });
+  });
+
+  app.get('/__stub/requests', (_, res) => {
+    res.json(requests.map(({ method, path, body }) => ({ method, path, body })));
+  });
+
+  reset();
+
+  /**
+   * Starts listening
+   * @param {number} port - Port (0 picks a free one)
+   * @returns {Promise<object>} { server, url }
+   */
+  function listen(port = 0) {
+    return new Promise(resolve => {
+      const server = app.listen(port, () => {
+        resolve({ server, url: `http://localhost:${server.address().port}` });
+      });
+    });
+  }
+
+  return { app, setScript, reset, requests, listen };
+}
+
+// Standalone: `npm run stub:wiseowl` (WISEOWL_STUB_PORT, WISEOWL_STUB_SCRIPT=path/to/script.json)
+if (require.main === module) {
+  const initialScript = process.env.WISEOWL_STUB_SCRIPT ? require(require('path').resolve(process.env.WISEOWL_STUB_SCRIPT)) : {};
+  createWiseOwlStub(initialScript)
+    .listen(Number(process.env.WISEOWL_STUB_PORT) || 4010)
+    .then(({ url }) => {
+      console.log(`WiseOwl stub listening at ${url}`);
+      console.log(`Set WISEOWL_BASE_URL=${url} to use it`);
+    });
+}
+
+module.exports = {
+  createWiseOwlStub,
+  DEFAULT_DONE
+};
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { scratchDir, quiet } = require('./stubs/environment');
+
+// The registry file, job records and the queue live under DATA_DIR
+const DATA_DIR = scratchDir('tenants-', 'DATA_DIR');
+process.env.TENANTS_FILE = path.join(DATA_DIR, 'tenants.json');
+
+const tenants = require('../tenants');
+const salesforce = require('../salesforce');
+const providers = require('../providers');
+const jobs = require('../jobs');
+const worker = require('../worker');
+const { createFakeConnection, loadFixture } = require('./stubs/salesforce-connection');
+
+const PRODUCTION = '00DAb0000000001MAA';
+const PARTNER = '00DAb0000000002MAA';
+const FSR = 'a0FAb0000000001MAA';
+const OPPORTUNITY = '006Ab0000000001IAA';
+
+/**
+ * Writes the registry file and drops the loaded copy
+ * @param {object} registry - Registry contents
+ */
+const writeRegistry = (registry) => {
+  fs.writeFileSync(process.env.TENANTS_FILE, JSON.stringify(registry));
+  tenants.clearTenantCache();
+};
+
+const REGISTRY = {
+  defaults: { provider: { name: 'wiseowl', applicationId: 'shared-application', isProd: false } },
+  tenants: {
+    // Registered with the 15-character ID
+    [PRODUCTION.substring(0, 15)]: {
+      name: 'production',
+      instanceUrl: 'https://acme.my.salesforce.com',
+      provider: { isProd: true }
+    },
+    [PARTNER]: {
+      name: 'partner',
+      objects: { conversation: 'Partner_Conversation__c' },
+      provider: { name: 'mock', model: 'partner-model', apiKeyEnv: 'PARTNER_LLM_KEY' },
+      profile: 'enterprise',
+      segment: 'partner',
+      promptTemplate: 'custom-message@1'
+    }
+  }
+};
+
+afterEach(() => {
+  delete process.env.TENANTS_STRICT;
+  tenants.clearTenantCache();
+});
+
+describe('resolveTenant', () => {
+  it('falls back to the environment without a registry', () => {
+    tenants.clearTenantCache();
+    const tenant = tenants.resolveTenant(PRODUCTION);
+
+    assert.strictEqual(tenant.registered, false);
+    assert.strictEqual(tenant.objects.conversation, 'WO_Conversation__c');
+    assert.strictEqual(tenant.objects.turn, 'WO_Conversation_Turn__c');
+    assert.strictEqual(tenant.profile, 'default');
+    assert.strictEqual(tenant.provider.name, 'wiseowl');
+  });
+
+  it('layers the org entry over the registry defaults, matching 15- and 18-character IDs', () => {
+    writeRegistry(REGISTRY);
+
+    const production = tenants.resolveTenant(PRODUCTION);
+    assert.strictEqual(production.registered, true);
+    assert.strictEqual(production.name, 'production');
+    assert.strictEqual(production.instanceUrl, 'https://acme.my.salesforce.com');
+    assert.deepStrictEqual(production.provider, { name: 'wiseowl', applicationId: 'shared-application', isProd: true });
+
+    // Another provider does not inherit the WiseOwl settings
+    const partner = tenants.resolveTenant(PARTNER.substring(0, 15));
+    assert.deepStrictEqual(partner.provider, { name: 'mock', model: 'partner-model', apiKeyEnv: 'PARTNER_LLM_KEY' });
+    assert.deepStrictEqual(partner.objects, { conversation: 'Partner_Conversation__c', turn: 'WO_Conversation_Turn__c' });
+
+    assert.strictEqual(tenants.resolveTenant('00DAb0000000003MAA').name, 'default');
+    assert.deepStrictEqual(tenants.listTenants().map(tenant => tenant.name), ['production', 'partner']);
+  });
+
+  it('rejects unregistered orgs in strict mode', () => {
+    writeRegistry(REGISTRY);
+    process.env.TENANTS_STRICT = 'true';
+    assert.throws(() => tenants.resolveTenant('00DAb0000000003MAA'), { code: 'UNKNOWN_TENANT' });
+    assert.strictEqual(tenants.resolveTenant(PARTNER).name, 'partner');
+  });
+
+  it('validates the registry', () => {
+    const invalid = (entry) => {
+      writeRegistry({ tenants: { [PARTNER]: entry } });
+      return () => tenants.resolveTenant(PARTNER);
+    };
+    assert.throws(invalid({ color: 'blue' }), { code: 'INVALID_TENANT_CONFIG', message: /unknown settings: color/ });
+    assert.throws(invalid({ objects: { conversation: 'Bad Name' } }), { code: 'INVALID_TENANT_CONFIG' });
+    assert.throws(invalid({ provider: { name: 'openai', apiKey: 'sk-secret' } }), /apiKeyEnv/);
+    assert.throws(invalid({ provider: { name: 'nope' } }), /Unknown LLM provider/);
+    assert.throws(invalid({ profile: 'missing' }), /Unknown collection profile/);
+    assert.throws(invalid({ promptTemplate: 'missing@1' }), /Unknown prompt template/);
+    assert.throws(invalid({ instanceUrl: 'https://evil.example' }), /invalid instanceUrl/);
+    writeRegistry({ tenants: { '001Ab0000000001AAA': {} } });
+    assert.throws(() => tenants.resolveTenant(PARTNER), /Invalid org ID/);
+  });
+});
+
+describe('providerSettings', () => {
+  it('returns the turn parameters of the job provider only', () => {
+    writeRegistry(REGISTRY);
+    process.env.PARTNER_LLM_KEY = 'partner-key';
+    try {
+      const partner = tenants.resolveTenant(PARTNER);
+      assert.deepStrictEqual(tenants.providerSettings(partner, 'mock'), { model: 'partner-model', apiKey: 'partner-key' });
+      assert.deepStrictEqual(tenants.providerSettings(partner, 'wiseowl'), {});
+      assert.deepStrictEqual(tenants.providerSettings(tenants.resolveTenant(PRODUCTION), 'wiseowl'), { applicationId: 'shared-application' });
+    } finally {
+      delete process.env.PARTNER_LLM_KEY;
+    }
+  });
+});
+
+describe('tenant context of a connection', () => {
+  quiet();
+
+  const connectTo = (orgId) => createFakeConnection(loadFixture('acme'), { userInfo: { id: '005Ab0000000001IAA', organizationId: orgId } });
+
+  it('stores conversations in the object mapped for the org', async () => {
+    writeRegistry(REGISTRY);
+    const conn = connectTo(PARTNER);
+
+    const { sfdcId, isExisting } = await salesforce.manageConversationRecord(conn, FSR, 'conv-partner');
+
+    assert.strictEqual(isExisting, false);
+    assert.strictEqual(conn.records('Partner_Conversation__c')[0].Id, sfdcId);
+    assert.ok(!conn.operations.some(op => op.sobject === 'WO_Conversation__c' && op.type === 'create'));
+    assert.deepStrictEqual(await salesforce.findConversationRecord(connectTo(PRODUCTION), FSR), null);
+  });
+
+  it('runs jobs with the prompt, profile and provider settings of the org', async () => {
+    writeRegistry(REGISTRY);
+    const conn = connectTo(PARTNER);
+    const originals = { connect: salesforce.createSalesforceConnection, run: providers.runConversation };
+    const calls = [];
+    salesforce.createSalesforceConnection = async () => conn;
+    providers.runConversation = async (provider, params) => {
+      calls.push(params);
+      return { assistantContent: '<p>Partner answer</p>', conversationId: 'conv-partner', runId: 'run-1', provider: provider.name };
+    };
+    try {
+      const { sfdcId } = await salesforce.manageConversationRecord(conn, FSR, 'conv-partner');
+      await jobs.createJob({ id: 'tenant-job', recordId: FSR, sfdcId });
+      await worker.processJob({ jobId: 'tenant-job', sfdcId, sfdcToken: 'token', recordId: FSR, provider: 'mock', digestTranscripts: false });
+
+      const job = await jobs.getJob('tenant-job');
+      assert.strictEqual(job.promptTemplate, 'custom-message@1');
+      assert.strictEqual(calls[0].model, 'partner-model');
+      // The enterprise profile collects no call transcripts
+      assert.ok(!conn.operations.some(op => op.sobject === 'Salesloft_Conversations__dlm'));
+      assert.strictEqual(conn.records('Partner_Conversation__c')[0].First_Conversation__c, '<p>Partner answer</p>');
+    } finally {
+      salesforce.createSalesforceConnection = originals.connect;
+      providers.runConversation = originals.run;
+    }
+  });
+
+  it('keeps the briefing template of other record types', async () => {
+    writeRegistry(REGISTRY);
+    const conn = connectTo(PARTNER);
+    const originals = { connect: salesforce.createSalesforceConnection, run: providers.runConversation };
+    salesforce.createSalesforceConnection = async () => conn;
+    providers.runConversation = async (provider) => ({ assistantContent: '<p>Opportunity briefing</p>', conversationId: 'conv-opportunity', runId: 'run-2', provider: provider.name });
+    try {
+      const { sfdcId } = await salesforce.manageConversationRecord(conn, OPPORTUNITY, 'conv-opportunity');
+      await jobs.createJob({ id: 'tenant-opportunity-job', recordId: OPPORTUNITY, sfdcId });
+      await worker.processJob({ jobId: 'tenant-opportunity-job', sfdcId, sfdcToken: 'token', recordId: OPPORTUNITY, provider: 'mock', digestTranscripts: false, createEmailDraft: false });
+
+      assert.match((await jobs.getJob('tenant-opportunity-job')).promptTemplate, /^opportunity-briefing@/);
+    } finally {
+      salesforce.createSalesforceConnection = originals.connect;
+      providers.runConversation = originals.run;
+    }
+  });
+});
@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const { describe, it, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { scratchDir, quiet } = require('./stubs/environment');
+
+// Digests are cached under DATA_DIR
+const DATA_DIR = scratchDir('digests-', 'DATA_DIR');
+
+const transcripts = require('../transcripts');
+const salesforce = require('../salesforce');
+const { createFakeConnection, loadFixture } = require('./stubs/salesforce-connection');
+
+/**
+ * Creates a provider that answers every turn through a callback and records the inputs
+ * @param {Function} answer - Receives the input, returns the assistant content
+ * @returns {object} Provider implementation with an `inputs` list
+ */
+function scriptedProvider(answer) {
+  const inputs = [];
+  return {
+    name: 'scripted',
+    pollIntervalMs: 0,
+    inputs,
+    createConversation: async () => `scripted-${inputs.length + 1}`,
+    sendTurn: async ({ input }) => {
+      inputs.push(input);
+      return { runId: `run-${inputs.length}`, done: true, result: answer(input) };
+    },
+    pollRun: async () => { throw new Error('not polled'); },
+    extractAssistantContent: (result) => result
+  };
+}
+
+const LONG_TRANSCRIPT = [
+  'Jane: Our current SMS vendor drops messages during peak sales.',
+  'Jane: We are also talking to Vonage.',
+  'Sam: I will send the migration plan by Friday.'
+].map(line => `${'Small talk about the weather. '.repeat(120)}\n${line}`).join('\n');
+
+describe('chunkTranscript', () => {
+  it('cuts at line breaks within the chunk size', () => {
+    const chunks = transcripts.chunkTranscript(LONG_TRANSCRIPT, 5000);
+
+    assert.strictEqual(chunks.length, 3);
+    assert.ok(chunks.every(chunk => chunk.length <= 5000));
+    assert.ok(chunks[1].endsWith('Jane: We are also talking to Vonage.'));
+    assert.deepStrictEqual(transcripts.chunkTranscript('short', 5000), ['short']);
+  });
+});
+
+describe('parseDigest and mergeDigests', () => {
+  it('reads the JSON object out of a fenced answer', () => {
+    const digest = transcripts.parseDigest('Here you go:\n```json\n{"painPoints":["Dropped SMS"],"competitors":"Vonage"}\n```');
+
+    assert.deepStrictEqual(digest, { painPoints: ['Dropped SMS'], stakeholders: [], competitors: [], commitments: [] });
+    assert.strictEqual(transcripts.parseDigest('<p>No JSON here</p>'), null);
+  });
+
+  it('drops entries repeated across chunks', () => {
+    const merged = transcripts.mergeDigests([
+      { painPoints: ['Dropped SMS'], stakeholders: [{ name: 'Jane Doe', role: 'VP' }], competitors: ['Vonage'], commitments: [] },
+      { painPoints: ['dropped sms ', 'Slow support'], stakeholders: [{ name: 'jane doe', role: 'unknown' }], competitors: ['Vonage', 'Sinch'], commitments: [{ owner: 'Sam', action: 'Send plan' }] }
+    ]);
+
+    assert.deepStrictEqual(merged.painPoints, ['Dropped SMS', 'Slow support']);
+    assert.deepStrictEqual(merged.stakeholders, [{ name: 'Jane Doe', role: 'VP' }]);
+    assert.deepStrictEqual(merged.competitors, ['Vonage', 'Sinch']);
+    assert.strictEqual(merged.commitments.length, 1);
+  });
+});
+
+describe('digestConversations', () => {
+  quiet();
+
+  let fixture;
+  beforeEach(() => {
+    fs.rmSync(path.join(DATA_DIR, 'transcript-digests'), { recursive: true, force: true });
+    fixture = loadFixture('acme');
+    fixture.Salesloft_Conversations__dlm[0].meetingtranscript__c = LONG_TRANSCRIPT;
+    process.env.TRANSCRIPT_CHUNK_CHARS = '5000';
+  });
+  after(() => delete process.env.TRANSCRIPT_CHUNK_CHARS);
+
+  const collect = () => salesforce.collectAllCTAData(createFakeConnection(fixture, { now: '2025-09-01T00:00:00Z' }), 'a0FAb0000000001MAA');
+
+  const answerPerChunk = (input) => {
+    if (input.includes('Jane: We are also talking to Vonage.')) return JSON.stringify({ competitors: ['Vonage'], stakeholders: [{ name: 'Jane Doe' }] });
+    if (input.includes('Sam: I will send the migration plan')) return JSON.stringify({ commitments: [{ owner: 'Sam', action: 'Send migration plan', due: 'Friday' }] });
+    return JSON.stringify({ painPoints: ['SMS dropped during peak sales'], stakeholders: [{ name: 'Jane Doe', role: 'unknown' }] });
+  };
+
+  it('replaces long transcripts with a digest merged from every chunk', async () => {
+    const provider = scriptedProvider(answerPerChunk);
+    const data = await collect();
+    const stats = await transcripts.digestConversations(data, { provider });
+
+    assert.deepStrictEqual(stats, { digested: 1, cached: 0, failed: 0, skipped: 0 });
+    assert.strictEqual(provider.inputs.length, 3);
+    assert.ok(provider.inputs[0].includes('Excerpt 1 of 3'));
+    assert.ok(provider.inputs[0].includes('Attendees: Jane Doe, Sam Seller'));
+
+    const [meeting] = data.primaryContext.contactConversations;
+    assert.strictEqual(meeting.meetingTranscript, null);
+    assert.deepStrictEqual(meeting.transcriptDigest, {
+      painPoints: ['SMS dropped during peak sales'],
+      stakeholders: [{ name: 'Jane Doe', role: 'unknown' }],
+      competitors: ['Vonage'],
+      commitments: [{ owner: 'Sam', action: 'Send migration plan', due: 'Friday' }]
+    });
+    // Short transcripts are kept as they are
+    assert.ok(data.additionalConversations[0].meetingTranscript);
+    assert.strictEqual(data.additionalConversations[0].transcriptDigest, undefined);
+  });
+
+  it('reuses cached digests across jobs', async () => {
+    await transcripts.digestConversations(await collect(), { provider: scriptedProvider(answerPerChunk) });
+
+    const provider = scriptedProvider(() => { throw new Error('should not be called'); });
+    const data = await collect();
+    const stats = await transcripts.digestConversations(data, { provider });
+
+    assert.deepStrictEqual(stats, { digested: 0, cached: 1, failed: 0, skipped: 0 });
+    assert.strictEqual(provider.inputs.length, 0);
+    assert.deepStrictEqual(data.primaryContext.contactConversations[0].transcriptDigest.competitors, ['Vonage']);
+  });
+
+  it('keeps the transcript when the provider does not return JSON', async () => {
+    const data = await collect();
+    const stats = await transcripts.digestConversations(data, { provider: scriptedProvider(() => '<p>Sorry</p>') });
+
+    assert.deepStrictEqual(stats, { digested: 0, cached: 0, failed: 1, skipped: 0 });
+    assert.strictEqual(data.primaryContext.contactConversations[0].meetingTranscript, LONG_TRANSCRIPT);
+    assert.strictEqual(fs.readdirSync(path.join(DATA_DIR, 'transcript-digests')).length, 0);
+  });
+
+  it('keeps cached digests apart per tenant', async () => {
+    await transcripts.digestConversations(await collect(), { provider: scriptedProvider(answerPerChunk), tenantId: '00DAb0000000001MAA' });
+
+    const provider = scriptedProvider(answerPerChunk);
+    const stats = await transcripts.digestConversations(await collect(), { provider, tenantId: '00DAb0000000002MAA' });
+
+    assert.deepStrictEqual(stats, { digested: 1, cached: 0, failed: 0, skipped: 0 });
+    assert.strictEqual(provider.inputs.length, 3);
+    assert.strictEqual(fs.readdirSync(path.join(DATA_DIR, 'transcript-digests')).length, 2);
+  });
+
+  it('summarizes a bounded number of meetings with a bounded number of turns in flight', async () => {
+    fixture.Salesloft_Conversations__dlm.forEach(meeting => { meeting.meetingtranscript__c = LONG_TRANSCRIPT; });
+    process.env.TRANSCRIPT_DIGEST_MAX_MEETINGS = '1';
+    let active = 0;
+    let peak = 0;
+    const provider = scriptedProvider(answerPerChunk);
+    const sendTurn = provider.sendTurn;
+    provider.sendTurn = async (params) => {
+      active += 1;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active -= 1;
+      return sendTurn(params);
+    };
+    try {
+      const data = await collect();
+      const stats = await transcripts.digestConversations(data, { provider });
+
+      assert.deepStrictEqual(stats, { digested: 1, cached: 0, failed: 0, skipped: 1 });
+      assert.strictEqual(provider.inputs.length, 3);
+      assert.strictEqual(peak, 2);
+      assert.strictEqual(data.additionalConversations[0].meetingTranscript, LONG_TRANSCRIPT);
+    } finally {
+      delete process.env.TRANSCRIPT_DIGEST_MAX_MEETINGS;
+    }
+  });
+
+  it('is off unless the job or TRANSCRIPT_DIGESTS turns it on', () => {
+    assert.strictEqual(transcripts.digestsEnabled(undefined), false);
+    assert.strictEqual(transcripts.digestsEnabled(true), true);
+    process.env.TRANSCRIPT_DIGESTS = 'true';
+    try {
+      assert.strictEqual(transcripts.digestsEnabled(undefined), true);
+      assert.strictEqual(transcripts.digestsEnabled(false), false);
+    } finally {
+      delete process.env.TRANSCRIPT_DIGESTS;
+    }
+  });
+});
@@ -0,0 +1,167 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { scratchDir, quiet } = require('./stubs/environment');
+
+// Job records and the queue are written under DATA_DIR
+scratchDir('turns-', 'DATA_DIR');
+process.env.AUTH_MODE = 'off';
+
+const turns = require('../turns');
+const salesforce = require('../salesforce');
+const providers = require('../providers');
+const jobs = require('../jobs');
+const worker = require('../worker');
+const app = require('../app');
+const { createFakeConnection, loadFixture } = require('./stubs/salesforce-connection');
+
+const CONVERSATION = 'a1CAb0000000001MAA';
+
+describe('buildTurns', () => {
+  it('records the question and the answer with the run metadata', () => {
+    const exchange = turns.buildTurns({
+      message: 'Who else should I loop in?',
+      html: '<p>Raj Patel</p>',
+      askedAt: '2025-09-01T10:00:00.000Z',
+      answeredAt: '2025-09-01T10:00:30.000Z',
+      meta: { runId: 'run-1', provider: 'wiseowl', promptTemplate: 'follow-up@1', latencyMs: 30000, jobId: 'job-1' }
+    });
+
+    assert.deepStrictEqual(exchange.map(t => [t.role, t.content, t.at]), [
+      ['user', 'Who else should I loop in?', '2025-09-01T10:00:00.000Z'],
+      ['assistant', '<p>Raj Patel</p>', '2025-09-01T10:00:30.000Z']
+    ]);
+    assert.strictEqual(exchange[1].provider, 'wiseowl');
+    assert.strictEqual(exchange[1].latencyMs, 30000);
+    assert.strictEqual(exchange[1].tokenEstimate, 4);
+  });
+
+  it('has no user turn for first-turn briefings', () => {
+    assert.deepStrictEqual(turns.buildTurns({ html: '<p>Briefing</p>' }).map(t => t.role), ['assistant']);
+  });
+});
+
+describe('saveTurns', () => {
+  quiet();
+
+  it('numbers new turns after the stored ones and lists them in order', async () => {
+    const conn = createFakeConnection(loadFixture('acme'));
+    const ids = await turns.saveTurns(conn, CONVERSATION, turns.buildTurns({ message: 'Next steps?', html: '<p>Call Jane</p>', meta: { runId: 'run-2' } }));
+
+    assert.strictEqual(ids.length, 2);
+    const listed = await turns.listTurns(conn, CONVERSATION);
+    assert.deepStrictEqual(listed.map(t => [t.sequence, t.role, t.content]), [
+      [1, 'assistant', '<p>Earlier briefing</p>'],
+      [2, 'user', 'Next steps?'],
+      [3, 'assistant', '<p>Call Jane</p>']
+    ]);
+    assert.strictEqual(listed[2].runId, 'run-2');
+  });
+
+  it('reads every batch and orders turns without a sequence number by CreatedDate, then Id', async () => {
+    const fixture = loadFixture('acme');
+    const turn = (id, role, createdDate) => ({ Id: id, Conversation__c: CONVERSATION, Role__c: role, Content__c: `<p>${id}</p>`, CreatedDate: createdDate });
+    fixture.WO_Conversation_Turn__c = [
+      turn('a1DAb0000000003MAA', 'assistant', '2025-09-01T10:00:05.000Z'),
+      turn('a1DAb0000000002MAA', 'user', '2025-09-01T10:00:00.000Z'),
+      turn('a1DAb0000000001MAA', 'assistant', '2025-09-01T10:00:00.000Z')
+    ];
+    const conn = createFakeConnection(fixture, { batchSize: 2 });
+
+    const listed = await turns.listTurns(conn, CONVERSATION);
+    assert.deepStrictEqual(listed.map(t => t.content), ['<p>a1DAb0000000001MAA</p>', '<p>a1DAb0000000002MAA</p>', '<p>a1DAb0000000003MAA</p>']);
+    assert.ok(conn.operations.some(op => op.type === 'queryMore'));
+  });
+
+  it('stores nothing in orgs without the turn object', async () => {
+    const fixture = loadFixture('acme');
+    delete fixture.WO_Conversation_Turn__c;
+    const conn = createFakeConnection(fixture);
+
+    assert.deepStrictEqual(await turns.saveTurns(conn, CONVERSATION, turns.buildTurns({ html: '<p>x</p>' })), []);
+    assert.deepStrictEqual(await turns.listTurns(conn, CONVERSATION), []);
+    assert.ok(!conn.operations.some(op => op.type === 'create'));
+  });
+});
+
+describe('follow-up jobs', () => {
+  quiet();
+
+  let conn;
+  const originals = { connect: salesforce.createSalesforceConnection, run: providers.runConversation };
+  before(() => {
+    salesforce.createSalesforceConnection = async () => conn;
+    providers.runConversation = async (provider, params) => ({ assistantContent: '<p>Loop in **Raj**</p>', conversationId: params.conversationId, runId: 'run-9', provider: provider.name });
+  });
+  after(() => {
+    salesforce.createSalesforceConnection = originals.connect;
+    providers.runConversation = originals.run;
+  });
+
+  it('stores the question and answer and renders the history from them', async () => {
+    conn = createFakeConnection(loadFixture('acme'));
+    await jobs.createJob({ id: 'turns-follow-up', recordId: 'a0FAb0000000002MAA', sfdcId: CONVERSATION });
+    await worker.processJob({
+      jobId: 'turns-follow-up', sfdcId: CONVERSATION, sfdcToken: 'token', recordId: 'a0FAb0000000002MAA',
+      message: 'Who <else>?', conversationId: 'conv-existing', isExisting: true, provider: 'mock'
+    });
+
+    const stored = await turns.listTurns(conn, CONVERSATION);
+    assert.deepStrictEqual(stored.slice(1).map(t => [t.sequence, t.role, t.runId, t.provider, t.promptTemplate, t.jobId]), [
+      [2, 'user', 'run-9', null, 'follow-up@1', 'turns-follow-up'],
+      [3, 'assistant', 'run-9', 'mock', 'follow-up@1', 'turns-follow-up']
+    ]);
+    assert.strictEqual(typeof stored[2].latencyMs, 'number');
+    const record = conn.records('WO_Conversation__c').find(r => r.Id === CONVERSATION);
+    assert.strictEqual(record.Conversation_History__c, '<ul><li>Earlier briefing</li><li><p><b>Rep:</b> Who &lt;else&gt;?</p></li><li><p>Loop in **Raj**</p></li></ul>');
+  });
+});
+
+describe('GET /conversations/:recordId/export', () => {
+  quiet();
+
+  let server;
+  let url;
+  let conn;
+  const originalConnect = salesforce.createSalesforceConnection;
+  before(async () => {
+    salesforce.createSalesforceConnection = async () => conn;
+    await new Promise(resolve => {
+      server = app.listen(0, () => resolve());
+    });
+    url = `http://localhost:${server.address().port}`;
+  });
+  after(() => {
+    salesforce.createSalesforceConnection = originalConnect;
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  const get = () => fetch(`${url}/conversations/a0FAb0000000002MAA/export`, { headers: { 'X-Sfdc-Token': 'token' } });
+
+  it('returns the stored turns as JSON', async () => {
+    conn = createFakeConnection(loadFixture('acme'));
+    const response = await get();
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-disposition'), /conversation-a0FAb0000000002MAA\.json/);
+    const body = await response.json();
+
+    assert.strictEqual(body.source, 'turns');
+    assert.strictEqual(body.conversationId, 'conv-existing');
+    assert.deepStrictEqual(body.turns.map(t => [t.sequence, t.role, t.runId]), [[1, 'assistant', 'run-earlier']]);
+  });
+
+  it('falls back to the HTML history for conversations without stored turns', async () => {
+    const fixture = loadFixture('acme');
+    delete fixture.WO_Conversation_Turn__c;
+    const record = fixture.WO_Conversation__c.find(r => r.Parent_Record_Id__c === 'a0FAb0000000002MAA');
+    record.Conversation_History__c = '<ul><li>Earlier briefing</li><li><p><b>Rep:</b> Who &lt;else&gt;?</p></li><li><p>Loop in Raj</p></li></ul>';
+    conn = createFakeConnection(fixture);
+    const body = await (await get()).json();
+
+    assert.strictEqual(body.source, 'history');
+    assert.deepStrictEqual(body.turns, [
+      { sequence: 1, role: 'assistant', content: 'Earlier briefing' },
+      { sequence: 2, role: 'user', content: 'Who <else>?' },
+      { sequence: 3, role: 'assistant', content: '<p>Loop in Raj</p>' }
+    ]);
+  });
+});
@@ -0,0 +1,136 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { quiet } = require('./stubs/environment');
+
+// The stub answers right away; do not wait 2s between polls
+process.env.WISEOWL_POLL_INTERVAL_MS = '0';
+
+const wiseowl = require('../wiseowl');
+const { runConversation } = require('../providers/runner');
+const { createWiseOwlStub } = require('./stubs/wiseowl-server');
+
+const PARTIAL = ['messages', [{ role: 'assistant', parts: [{ type: 'MARKDOWN', content: '<p>Drafting...</p>' }] }]];
+
+describe('WiseOwl against the stub server', () => {
+  quiet();
+
+  const stub = createWiseOwlStub();
+  let server;
+  let baseUrl;
+  before(async () => {
+    ({ server, url: baseUrl } = await stub.listen(0));
+  });
+  after(() => new Promise(resolve => server.close(resolve)));
+  beforeEach(() => stub.reset());
+
+  const run = (params = {}) => wiseowl.processConversation({ accessToken: 'wo-token', input: 'Brief me', context: 'FSR page', baseUrl, ...params });
+  const calls = (method) => stub.requests.filter(request => request.method === method);
+
+  it('creates a conversation, sends the turn and returns the answer once the run is done', async () => {
+    const result = await run();
+
+    assert.strictEqual(result.conversationId, 'stub-conversation-1');
+    assert.strictEqual(result.runId, 'stub-run-1');
+    assert.strictEqual(result.provider, 'wiseowl');
+    assert.strictEqual(result.assistantContent, '<h2>Stub briefing</h2><p>Generated by the WiseOwl stub.</p>');
+
+    const [put] = calls('PUT');
+    assert.strictEqual(put.body.input, 'Brief me');
+    assert.deepStrictEqual(put.body.systemContext, { pageContext: 'FSR page' });
+    const token = JSON.parse(Buffer.from(put.headers['x-twilio-e2-auth-token'], 'base64').toString('utf8'));
+    assert.deepStrictEqual(token, { authToken: 'wo-token', authTokenType: 'SALESFORCE' });
+  });
+
+  it('continues an existing conversation', async () => {
+    const result = await run({ conversationId: 'conv-existing' });
+
+    assert.strictEqual(result.conversationId, 'conv-existing');
+    assert.strictEqual(calls('POST').length, 0);
+    assert.strictEqual(calls('PUT')[0].path, '/wise-owl/api/v2/conversations/conv-existing');
+  });
+
+  it('forwards intermediate entries once each while polling', async () => {
+    stub.setScript({ runs: [{ pollsBeforeDone: 3, entries: [PARTIAL] }] });
+    const events = [];
+    const started = [];
+    await run({ onEvent: (type, data) => events.push([type, data]), onRunStarted: (ids) => started.push(ids) });
+
+    assert.deepStrictEqual(started, [{ conversationId: 'stub-conversation-1', runId: 'stub-run-1' }]);
+    assert.deepStrictEqual(events.map(([type]) => type), ['run', 'text', 'done']);
+    assert.deepStrictEqual(events[1][1], { content: '<p>Drafting...</p>' });
+    assert.strictEqual(calls('GET').length, 4);
+  });
+
+  it('rides out transient poll failures', async () => {
+    stub.setScript({ runs: [{ pollStatuses: [500, 503, 502], malformedPolls: 1, done: [{ role: 'assistant', content: 'Recovered' }] }] });
+    const result = await run();
+
+    assert.strictEqual(result.assistantContent, 'Recovered');
+    assert.strictEqual(calls('GET').length, 6);
+  });
+
+  it('gives up after five consecutive poll failures', async () => {
+    stub.setScript({ runs: [{ pollStatuses: [500, 500, 500, 500, 500] }] });
+
+    await assert.rejects(run(), error => error.response?.status === 500);
+    assert.strictEqual(calls('GET').length, 5);
+  });
+
+  it('fails right away on a client error', async () => {
+    stub.setScript({ runs: [{ pollStatuses: [404] }] });
+
+    await assert.rejects(run(), error => error.response?.status === 404);
+    assert.strictEqual(calls('GET').length, 1);
+  });
+
+  it('reports failures to create the conversation or start the run', async () => {
+    stub.setScript({ createStatus: 503 });
+    await assert.rejects(run(), error => error.response?.status === 503);
+
+    stub.setScript({ runs: [{ putMalformed: true }] });
+    await assert.rejects(run(), /Failed to start conversation run/);
+  });
+
+  it('reads a streamed run without polling', async () => {
+    stub.setScript({ runs: [{ stream: true, entries: [PARTIAL], done: [{ role: 'assistant', content: 'Streamed' }] }] });
+    const events = [];
+    const result = await run({ streamMode: 'stream', onEvent: (type) => events.push(type) });
+
+    assert.strictEqual(result.assistantContent, 'Streamed');
+    assert.strictEqual(result.runId, 'stub-run-1');
+    assert.deepStrictEqual(events, ['run', 'text', 'done']);
+    assert.strictEqual(calls('PUT')[0].body.streamMode, 'stream');
+    assert.strictEqual(calls('GET').length, 0);
+  });
+
+  it('falls back to polling when the server does not stream', async () => {
+    const result = await run({ streamMode: 'stream' });
+
+    assert.strictEqual(result.assistantContent, '<h2>Stub briefing</h2><p>Generated by the WiseOwl stub.</p>');
+    assert.strictEqual(calls('GET').length, 2);
+  });
+
+  it('stops polling when the signal aborts', async () => {
+    stub.setScript({ runs: [{ pollsBeforeDone: 1000 }] });
+    const controller = new AbortController();
+    const cancelled = new Error('Job cancelled');
+
+    await assert.rejects(
+      runConversation(wiseowl.provider, {
+        accessToken: 'wo-token',
+        input: 'Brief me',
+        baseUrl,
+        signal: controller.signal,
+        onRunStarted: () => controller.abort(cancelled)
+      }),
+      error => error === cancelled
+    );
+    assert.strictEqual(calls('GET').length, 0);
+  });
+
+  it('requires an access token and input', async () => {
+    await assert.rejects(run({ accessToken: undefined }), /Missing access_token for WiseOwl API/);
+    await assert.rejects(run({ input: '' }), /Missing input for WiseOwl API/);
+    assert.strictEqual(stub.requests.length, 0);
+  });
+});
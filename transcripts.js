@@ -0,0 +1,254 @@
+/**
+ * Transcript Digests Module
+ * Condenses long Salesloft meeting transcripts before they reach the briefing prompt. Each transcript
+ * is split into chunks, every chunk is sent through the LLM provider with the transcript-digest
+ * template (map), and the chunk answers are merged into one digest per meeting (reduce):
+ *   { painPoints, stakeholders, competitors, commitments }
+ * Digests are opt-in, since every chunk is a provider turn of its own. They are cached on disk per tenant,
+ * digest template version and meetingid__c, so a meeting is only summarized once across jobs. A job
+ * summarizes a bounded number of meetings, with a bounded number of chunk turns in flight.
+ */
+const path = require('path');
+const crypto = require('crypto');
+const prompts = require('./prompts');
+const { runConversation } = require('./providers/runner');
+const { dataDir, writeJsonAtomic, readJson } = require('./storage');
+
+const DIGEST_TEMPLATE = 'transcript-digest';
+const DIGEST_KEYS = ['painPoints', 'stakeholders', 'competitors', 'commitments'];
+
+// Transcripts shorter than this are passed through verbatim
+const MIN_CHARS = () => Number(process.env.TRANSCRIPT_DIGEST_MIN_CHARS) || 4000;
+// Maximum characters sent to the provider per chunk
+const CHUNK_CHARS = () => Number(process.env.TRANSCRIPT_CHUNK_CHARS) || 12000;
+// Meetings summarized per job; longer transcripts of further meetings are left to the context packer
+const MAX_MEETINGS = () => Number(process.env.TRANSCRIPT_DIGEST_MAX_MEETINGS) || 3;
+// Chunk turns a job runs against the provider at the same time
+const CONCURRENCY = () => Number(process.env.TRANSCRIPT_DIGEST_CONCURRENCY) || 2;
+
+// Tenants may run different providers and models, and a new template version asks for a different digest
+const digestPath = (meetingId, tenantId, template) => path.join(
+  dataDir('transcript-digests'),
+  `${crypto.createHash('sha256').update(`${tenantId || 'default'}|${template}|${meetingId}`).digest('hex').slice(0, 24)}.json`
+);
+
+/**
+ * Tells whether digests are enabled for a job
+ * @param {boolean} requested - Job option; undefined falls back to TRANSCRIPT_DIGESTS (default off)
+ * @returns {boolean} True when transcripts should be digested
+ */
+function digestsEnabled(requested) {
+  if (requested !== undefined && requested !== null) return requested === true || requested === 'true';
+  return process.env.TRANSCRIPT_DIGESTS === 'true';
+}
+
+/**
+ * Creates a limiter running at most `limit` tasks at a time
+ * @param {number} limit - Maximum tasks in flight
+ * @returns {Function} Runs a task (async function) once a slot is free and returns its result
+ */
+function createLimiter(limit) {
+  let active = 0;
+  const waiting = [];
+  const next = () => {
+    if (active >= limit || waiting.length === 0) return;
+    active += 1;
+    waiting.shift()();
+  };
+  return async (task) => {
+    await new Promise(resolve => {
+      waiting.push(resolve);
+      next();
+    });
+    try {
+      return await task();
+    } finally {
+      active -= 1;
+      next();
+    }
+  };
+}
+
+/**
+ * Splits a transcript into chunks, preferring line and sentence breaks
+ * @param {string} text - Transcript
+ * @param {number} size - Maximum chunk length
+ * @returns {Array} Chunks
+ */
+function chunkTranscript(text, size = CHUNK_CHARS()) {
+  const chunks = [];
+  let rest = String(text || '');
+  while (rest.length > size) {
+    const window = rest.slice(0, size);
+    let cut = window.lastIndexOf('\n');
+    if (cut < size / 2) cut = window.lastIndexOf('. ') + 1;
+    if (cut < size / 2) cut = size;
+    chunks.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut);
+  }
+  if (rest.trim()) chunks.push(rest.trim());
+  return chunks;
+}
+
+/**
+ * Parses the JSON object in a provider answer (models sometimes wrap it in prose or code fences)
+ * @param {string} content - Assistant content
+ * @returns {object|null} Digest with every key as an array, or null if no JSON object was found
+ */
+function parseDigest(content) {
+  const text = String(content || '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+  try {
+    const parsed = JSON.parse(text.slice(start, end + 1));
+    return Object.fromEntries(DIGEST_KEYS.map(key => [key, Array.isArray(parsed[key]) ? parsed[key] : []]));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Merges chunk digests into one, dropping repeated entries
+ * @param {Array} digests - Chunk digests
+ * @returns {object} Meeting digest
+ */
+function mergeDigests(digests) {
+  const merged = Object.fromEntries(DIGEST_KEYS.map(key => [key, []]));
+  const seen = Object.fromEntries(DIGEST_KEYS.map(key => [key, new Set()]));
+  digests.forEach(digest => {
+    DIGEST_KEYS.forEach(key => {
+      (digest[key] || []).forEach(item => {
+        // Stakeholders are the same person when the name matches, other entries when the whole value does
+        const identity = key === 'stakeholders' && item?.name ? item.name : (typeof item === 'string' ? item : JSON.stringify(item));
+        const normalized = String(identity).trim().toLowerCase();
+        if (!normalized || seen[key].has(normalized)) return;
+        seen[key].add(normalized);
+        merged[key].push(item);
+      });
+    });
+  });
+  return merged;
+}
+
+/**
+ * Summarizes one meeting through the provider (map over chunks, then merge)
+ * @param {object} conversation - Processed Salesloft conversation (see processSalesloftData)
+ * @param {object} options - Provider options
+ * @param {object} options.provider - Provider implementation
+ * @param {string} options.template - Digest template reference ("name@version")
+ * @param {Function} options.limit - Limiter the chunk turns run through (see createLimiter)
+ * @param {AbortSignal} options.signal - Optional abort signal
+ * @returns {object} Cache entry { meetingId, template, chunks, digest, createdAt }
+ */
+async function summarizeMeeting(conversation, options) {
+  const { provider, template, limit, signal, ...providerParams } = options;
+  const chunks = chunkTranscript(conversation.meetingTranscript);
+
+  const digests = await Promise.all(chunks.map((chunk, index) => limit(async () => {
+    if (signal?.aborted) throw signal.reason;
+    const prompt = prompts.renderPrompt({
+      template,
+      variables: {
+        meeting: {
+          title: conversation.summaryPreview || conversation.meetingId,
+          date: conversation.formattedDate || conversation.createdDate || 'unknown',
+          attendees: conversation.attendeesDetails || 'unknown'
+        },
+        chunk: { index: index + 1, total: chunks.length },
+        transcript: chunk
+      }
+    });
+
+    // Every chunk runs in a fresh conversation so earlier chunks do not leak into the answer
+    const result = await runConversation(provider, {
+      ...providerParams,
+      input: prompt.text,
+      context: 'the user is not on a record page to provide any context',
+      conversationId: null,
+      signal
+    });
+    const digest = parseDigest(result.assistantContent);
+    if (!digest) {
+      throw new Error(`${provider.name} did not return a JSON digest for chunk ${index + 1} of meeting ${conversation.meetingId}`);
+    }
+    return digest;
+  })));
+
+  return {
+    meetingId: conversation.meetingId,
+    template,
+    chunks: chunks.length,
+    digest: mergeDigests(digests),
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Replaces long transcripts in the collected CTA data with their digests. Cached digests are always used;
+ * at most TRANSCRIPT_DIGEST_MAX_MEETINGS meetings are summarized, the others are counted as skipped
+ * @param {object} ctaData - Result of collectAllCTAData (changed in place)
+ * @param {object} options - Provider options
+ * @param {object} options.provider - Provider implementation
+ * @param {string} options.tenantId - Tenant the digests are cached for (its org ID)
+ * @param {AbortSignal} options.signal - Optional abort signal
+ * @param {string} options.accessToken - Provider access token, plus any other turn parameters
+ * @returns {object} Stats { digested, cached, failed, skipped }
+ */
+async function digestConversations(ctaData, options) {
+  const { tenantId, ...providerOptions } = options;
+  const stats = { digested: 0, cached: 0, failed: 0, skipped: 0 };
+  const { name, version } = prompts.selectTemplate({ template: DIGEST_TEMPLATE });
+  const template = `${name}@${version}`;
+  const useDigest = (conversation, entry) => {
+    conversation.transcriptDigest = entry.digest;
+    conversation.meetingTranscript = null;
+  };
+
+  const pending = [];
+  const conversations = [
+    ...(ctaData?.primaryContext?.contactConversations || []),
+    ...(ctaData?.additionalConversations || [])
+  ];
+  for (const conversation of conversations) {
+    if (!conversation?.meetingId || (conversation.meetingTranscript || '').length < MIN_CHARS()) continue;
+    const cachedEntry = await readJson(digestPath(conversation.meetingId, tenantId, template));
+    if (cachedEntry?.digest) {
+      useDigest(conversation, cachedEntry);
+      stats.cached += 1;
+    } else {
+      pending.push(conversation);
+    }
+  }
+
+  // The full transcripts of the meetings left out stay in the payload; the context packer trims them if needed
+  const selected = pending.slice(0, MAX_MEETINGS());
+  stats.skipped = pending.length - selected.length;
+  const limit = createLimiter(CONCURRENCY());
+  await Promise.all(selected.map(async (conversation) => {
+    try {
+      const entry = await summarizeMeeting(conversation, { ...providerOptions, template, limit });
+      await writeJsonAtomic(digestPath(conversation.meetingId, tenantId, template), entry);
+      useDigest(conversation, entry);
+      stats.digested += 1;
+    } catch (error) {
+      if (options.signal?.aborted) throw options.signal.reason;
+      console.error(`Could not digest transcript of meeting ${conversation.meetingId}:`, error.message);
+      stats.failed += 1;
+    }
+  }));
+
+  if (stats.digested + stats.cached + stats.failed + stats.skipped > 0) {
+    console.log(`Transcript digests: ${stats.digested} new, ${stats.cached} cached, ${stats.failed} failed, ${stats.skipped} skipped`);
+  }
+  return stats;
+}
+
+module.exports = {
+  digestsEnabled,
+  chunkTranscript,
+  parseDigest,
+  mergeDigests,
+  createLimiter,
+  digestConversations
+};
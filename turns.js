@@ -0,0 +1,145 @@
+/**
+ * Conversation Turns Module
+ * Stores each turn of a conversation (the rep's question or the assistant's answer) as a
+ * WO_Conversation_Turn__c child record of WO_Conversation__c, with the metadata of the run that
+ * produced it. The HTML history field is rendered from these turns (see history.renderTurn).
+ * The turn object is the tenant's (see tenants.js).
+ * Orgs without the turn object or some of its fields keep working: missing fields are skipped.
+ */
+const salesforce = require('./salesforce');
+const { estimateTokens } = require('./context-packer');
+const { soql, assertIdentifier } = require('./soql');
+const tenants = require('./tenants');
+
+const ROLES = ['user', 'assistant'];
+// Long Text Area maximum
+const CONTENT_LIMIT = 131072;
+// Most turns listed per conversation record
+const MAX_TURNS = 2000;
+
+// Turn properties and the WO_Conversation_Turn__c fields that hold them
+const FIELDS = {
+  conversation: 'Conversation__c',
+  sequence: 'Sequence__c',
+  role: 'Role__c',
+  content: 'Content__c',
+  at: 'Occurred_At__c',
+  runId: 'Run_Id__c',
+  provider: 'Provider__c',
+  promptTemplate: 'Prompt_Template__c',
+  tokenEstimate: 'Token_Estimate__c',
+  latencyMs: 'Latency_Ms__c',
+  jobId: 'Job_Id__c'
+};
+
+const turnObject = (conn) => tenants.forConnection(conn).objects.turn;
+
+/**
+ * Builds the turns of one exchange
+ * @param {object} params - Exchange
+ * @param {string} params.message - Rep question (none for first-turn briefings)
+ * @param {string} params.html - Sanitized assistant answer
+ * @param {string} params.askedAt - When the question was sent (ISO timestamp)
+ * @param {string} params.answeredAt - When the answer arrived (ISO timestamp)
+ * @param {object} params.meta - Run metadata { runId, provider, promptTemplate, latencyMs, jobId }
+ * @returns {Array} Turns, question first
+ */
+function buildTurns({ message, html, askedAt, answeredAt, meta = {} }) {
+  const { runId = null, provider = null, promptTemplate = null, latencyMs = null, jobId = null } = meta;
+  const turns = [];
+  if (message) {
+    turns.push({ role: 'user', content: String(message), at: askedAt, runId, provider: null, promptTemplate, tokenEstimate: estimateTokens(message), latencyMs: null, jobId });
+  }
+  turns.push({ role: 'assistant', content: html, at: answeredAt, runId, provider, promptTemplate, tokenEstimate: estimateTokens(html), latencyMs, jobId });
+  return turns;
+}
+
+/**
+ * Converts a turn record to a turn
+ * @param {object} record - WO_Conversation_Turn__c record
+ * @returns {object} Turn
+ */
+function fromRecord(record) {
+  const turn = {};
+  Object.entries(FIELDS).forEach(([key, field]) => {
+    if (key !== 'conversation') turn[key] = record[field] ?? null;
+  });
+  return { id: record.Id, ...turn };
+}
+
+/**
+ * Stores turns as child records of a conversation record, numbering them after the existing ones.
+ * Best-effort: a failure is logged and leaves the rendered history as the only record.
+ * @param {object} conn - JSForce connection
+ * @param {string} sfdcId - Conversation record ID
+ * @param {Array} turns - Turns from buildTurns
+ * @returns {Array} Created turn record IDs
+ */
+async function saveTurns(conn, sfdcId, turns) {
+  const sobject = turnObject(conn);
+  try {
+    const available = await salesforce.getAvailableFields(conn, sobject, Object.values(FIELDS));
+    if (!available.includes(FIELDS.conversation)) {
+      console.log(`${sobject} is not available, conversation turns are not stored`);
+      return [];
+    }
+
+    let sequence = 0;
+    if (available.includes(FIELDS.sequence)) {
+      const last = await conn.query(
+        soql`SELECT ${soql.identifier(FIELDS.sequence)} FROM ${soql.identifier(sobject)} WHERE ${soql.identifier(FIELDS.conversation)} = ${soql.id(sfdcId, 'sfdcId')} ORDER BY ${soql.identifier(FIELDS.sequence)} DESC LIMIT 1`
+      );
+      sequence = Number(last.records[0]?.[FIELDS.sequence]) || 0;
+    }
+
+    const ids = [];
+    for (const turn of turns) {
+      if (!ROLES.includes(turn.role)) throw new Error(`Unknown turn role: ${turn.role}`);
+      sequence += 1;
+      const values = { ...turn, conversation: sfdcId, sequence, content: String(turn.content).substring(0, CONTENT_LIMIT) };
+      const record = {};
+      Object.entries(FIELDS).forEach(([key, field]) => {
+        if (available.includes(field) && values[key] !== undefined) record[field] = values[key];
+      });
+      const result = await conn.sobject(sobject).create(record);
+      if (!result.success) throw new Error(result.errors?.[0]?.message || `Failed to create ${sobject}`);
+      ids.push(result.id);
+    }
+    console.log(`Stored ${ids.length} turn(s) for conversation record ${sfdcId}`);
+    return ids;
+  } catch (error) {
+    console.error(`Failed to store conversation turns for ${sfdcId}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Lists the stored turns of a conversation record, oldest first, up to MAX_TURNS
+ * @param {object} conn - JSForce connection
+ * @param {string} sfdcId - Conversation record ID
+ * @returns {Array} Turns (empty when the org has no turn object)
+ */
+async function listTurns(conn, sfdcId) {
+  const sobject = turnObject(conn);
+  const available = await salesforce.getAvailableFields(conn, sobject, Object.values(FIELDS));
+  if (!available.includes(FIELDS.conversation)) return [];
+  // Turns created in the same second keep a stable order without a sequence number
+  const order = available.includes(FIELDS.sequence) ? [FIELDS.sequence] : ['CreatedDate', 'Id'];
+  let result = await conn.query(
+    soql`SELECT Id, ${soql.raw(available.map(assertIdentifier).join(', '))} FROM ${soql.identifier(sobject)} WHERE ${soql.identifier(FIELDS.conversation)} = ${soql.id(sfdcId, 'sfdcId')} ORDER BY ${soql.raw(order.map(field => `${assertIdentifier(field)} ASC`).join(', '))}`
+  );
+  const records = [...result.records];
+  // Long conversations come back in batches
+  while (!result.done && result.nextRecordsUrl && records.length < MAX_TURNS) {
+    result = await conn.queryMore(result.nextRecordsUrl);
+    records.push(...result.records);
+  }
+  return records.slice(0, MAX_TURNS).map(fromRecord);
+}
+
+module.exports = {
+  FIELDS,
+  buildTurns,
+  saveTurns,
+  listTurns
+};
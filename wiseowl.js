@@ -1,35 +1,58 @@
 /**
  * WiseOwl Integration Module
- * Handles all interactions with the WiseOwl API
+ * Handles all interactions with the WiseOwl API and implements the WiseOwl LLM provider
  */
 const axios = require('axios');
+const { runConversation } = require('./providers/runner');
+const prompts = require('./prompts');
 
 // Constants
 const INGRESS = "SALESFORCE";
 const APPLICATION_ID = "wiseowl-salesforce-application";
 
+/**
+ * Returns the conversations endpoint for the environment
+ * @param {boolean} isProd - Whether to use production or development environment
+ * @param {string} baseUrl - Optional origin overriding the environment (defaults to WISEOWL_BASE_URL),
+ *   e.g. http://localhost:4010 for the stub in test/stubs/wiseowl-server.js
+ * @returns {string} Base URL for /conversations
+ */
+function conversationsUrl(isProd = true, baseUrl = process.env.WISEOWL_BASE_URL) {
+  const domain = baseUrl
+    ? baseUrl.replace(/\/$/, '')
+    : (isProd ? 'https://www.twilio.com' : 'https://www.dev.twilio.com');
+  return `${domain}/wise-owl/api/v2/conversations`;
+}
+
+/**
+ * Builds the Twilio ingress headers for a WiseOwl request
+ * @param {string} accessToken - Access token for the WiseOwl API
+ * @returns {object} Request headers
+ */
+function buildHeaders(accessToken) {
+  const encodedAuthToken = Buffer.from(JSON.stringify({ authToken: accessToken, authTokenType: INGRESS })).toString('base64');
+  return {
+    'x-twilio-e2-ingress': INGRESS,
+    'x-twilio-e2-auth-token': encodedAuthToken,
+    'Content-Type': 'application/json'
+  };
+}
+
 /**
  * Creates a new WiseOwl conversation
  * @param {string} accessToken - Access token for the WiseOwl API
  * @param {boolean} isProd - Whether to use production or development environment
+ * @param {string} baseUrl - Optional origin overriding the environment
+ * @param {string} applicationId - WiseOwl application of the tenant (defaults to APPLICATION_ID)
  * @returns {string} Conversation ID
  */
-async function createConversation(accessToken, isProd = true) {
+async function createConversation(accessToken, isProd = true, baseUrl, applicationId = APPLICATION_ID) {
   if (!accessToken) {
     throw new Error('Missing access_token for WiseOwl API');
   }
 
-  const domainForCreate = isProd ? 'https://www.twilio.com' : 'https://www.dev.twilio.com';
-  const baseCreateUrl = `${domainForCreate}/wise-owl/api/v2/conversations`;
-  const encodedAuthTokenLocal = Buffer.from(JSON.stringify({ authToken: accessToken, authTokenType: INGRESS })).toString('base64');
-  const createHeaders = {
-    'x-twilio-e2-ingress': INGRESS,
-    'x-twilio-e2-auth-token': encodedAuthTokenLocal,
-    'Content-Type': 'application/json'
-  };
-
   try {
-    const postResp = await axios.post(baseCreateUrl, { applicationId: APPLICATION_ID }, { headers: createHeaders });
+    const postResp = await axios.post(conversationsUrl(isProd, baseUrl), { applicationId }, { headers: buildHeaders(accessToken) });
     const conversationId = postResp.data.conversation?.id;
     
     if (!conversationId) {
@@ -44,81 +67,84 @@ async function createConversation(accessToken, isProd = true) {
 }
 
 /**
- * Processes a conversation through the WiseOwl API
- * @param {object} params - Parameters for processing
- * @returns {string} Assistant content
+ * Sends one user turn to a WiseOwl conversation
+ * @param {object} params - Turn parameters
+ * @param {string} params.accessToken - Access token for the WiseOwl API
+ * @param {string} params.conversationId - Conversation ID
+ * @param {string} params.input - Prompt text
+ * @param {string} params.context - Page context passed as systemContext
+ * @param {string} params.streamMode - 'polling' (default) or 'stream' when the WiseOwl deployment supports it
+ * @param {string} params.applicationId - WiseOwl application of the tenant (defaults to APPLICATION_ID)
+ * @param {Function} params.onEntry - Receives intermediate [kind, payload] entries while streaming
+ * @returns {object} { runId, done, result } - done is set when the streamed run already finished
  */
-async function processConversation(params) {
-  const { 
-    accessToken, 
-    input, 
-    context = "the user is not on a record page to provide any context", 
-    conversationId = null, 
-    isProd = true 
+async function sendTurn(params) {
+  const {
+    accessToken,
+    conversationId,
+    input,
+    context,
+    isProd = true,
+    baseUrl,
+    applicationId = APPLICATION_ID,
+    signal,
+    onEntry = () => {},
+    streamMode = process.env.WISEOWL_STREAM_MODE || 'polling'
   } = params;
 
   if (!accessToken) throw new Error('Missing access_token for WiseOwl API');
   if (!input) throw new Error('Missing input for WiseOwl API');
 
-  const encodedAuthToken = Buffer.from(JSON.stringify({ authToken: accessToken, authTokenType: INGRESS })).toString('base64');
-  const domain = isProd ? 'https://www.twilio.com' : 'https://www.dev.twilio.com';
-  const baseUrl = `${domain}/wise-owl/api/v2/conversations`;
-  const headers = {
-    'x-twilio-e2-ingress': INGRESS,
-    'x-twilio-e2-auth-token': encodedAuthToken,
-    'Content-Type': 'application/json'
-  };
-
-  // Step 1: Create conversation if necessary
-  let finalConversationId = conversationId;
-  if (!finalConversationId) {
-    const postResponse = await axios.post(baseUrl, { applicationId: APPLICATION_ID }, { headers });
-    finalConversationId = postResponse.data.conversation?.id;
-    if (!finalConversationId) {
-      throw new Error('Failed to obtain conversationId from WiseOwl API');
-    }
-  }
-
-  // Step 2: PUT input
-  const putUrl = `${baseUrl}/${finalConversationId}`;
-  const putResp = await axios.put(putUrl, {
-    applicationId: APPLICATION_ID,
+  const putResp = await axios.put(`${conversationsUrl(isProd, baseUrl)}/${conversationId}`, {
+    applicationId,
     input,
-    streamMode: 'polling',
+    streamMode,
     systemContext: { pageContext: context }
-  }, { headers });
+  }, { headers: buildHeaders(accessToken), signal, ...(streamMode === 'stream' ? { responseType: 'stream' } : {}) });
 
-  const runId = putResp.data.runId;
-  if (!runId) throw new Error('Failed to start conversation run');
+  if (streamMode === 'stream' && isEventStream(putResp.headers)) {
+    const runId = putResp.headers['x-run-id'] || null;
+    const streamed = await readRunStream(putResp.data, onEntry, signal);
+    if (!streamed.isDone && !runId) throw new Error('WiseOwl stream ended before the run completed');
+    return { runId, done: streamed.isDone, result: streamed.chatDoneResult };
+  }
 
-  // Step 3: Poll for completion
-  const pollUrl = `${putUrl}/runs/${runId}`;
-  let isDoneLocal = false;
-  let chatDoneResult = null;
-  let consecutiveErrors = 0;
-  const maxConsecutiveErrors = 5;
+  // Servers without streaming support answer with the usual { runId } JSON body
+  const putData = streamMode === 'stream' ? await readJsonStream(putResp.data) : putResp.data;
+  const runId = putData?.runId;
+  if (!runId) throw new Error('Failed to start conversation run');
+  return { runId, done: false };
+}
 
-  while (!isDoneLocal) {
-    await new Promise(r => setTimeout(r, 2000));
-    try {
-      const pollResponse = await axios.get(pollUrl, { headers });
-      const responseData = pollResponse.data;
-      consecutiveErrors = 0;
-      if (Array.isArray(responseData) && responseData.length > 0) {
-        const firstElement = responseData[0];
-        if (Array.isArray(firstElement) && firstElement.length > 0 && firstElement[0] === 'done') {
-          isDoneLocal = true;
-          chatDoneResult = firstElement[1];
-        }
-      }
-    } catch (pollError) {
-      consecutiveErrors++;
-      if (consecutiveErrors >= maxConsecutiveErrors) throw pollError;
-      if (pollError.response?.status >= 400 && pollError.response?.status < 500) throw pollError;
+/**
+ * Polls a WiseOwl run once
+ * @param {object} params - Poll parameters (accessToken, isProd, baseUrl, conversationId, runId, signal)
+ * @returns {object} { done, result, entries }
+ */
+async function pollRun(params) {
+  const { accessToken, isProd = true, baseUrl, conversationId, runId, signal } = params;
+
+  const pollResponse = await axios.get(`${conversationsUrl(isProd, baseUrl)}/${conversationId}/runs/${runId}`, {
+    headers: buildHeaders(accessToken),
+    signal
+  });
+  const responseData = pollResponse.data;
+  if (Array.isArray(responseData) && responseData.length > 0) {
+    const firstElement = responseData[0];
+    if (Array.isArray(firstElement) && firstElement.length > 0 && firstElement[0] === 'done') {
+      return { done: true, result: firstElement[1], entries: [] };
     }
+    return { done: false, result: null, entries: responseData };
   }
+  return { done: false, result: null, entries: [] };
+}
 
-  // Extract assistant response content (prefer MARKDOWN part) from chatDoneResult
+/**
+ * Extracts assistant response content (prefer MARKDOWN part) from a run's done payload
+ * @param {Array|string} chatDoneResult - Second element of the ['done', ...] tuple
+ * @returns {string} Assistant content, or the serialized payload if none was found
+ */
+function extractAssistantContent(chatDoneResult) {
   let assistantContent = '';
   try {
     if (Array.isArray(chatDoneResult)) {
@@ -146,108 +172,134 @@ async function processConversation(params) {
     assistantContent = Array.isArray(chatDoneResult) ? JSON.stringify(chatDoneResult) : (chatDoneResult || '');
   }
 
-  return {
-    assistantContent,
-    conversationId: finalConversationId
-  };
+  return assistantContent;
 }
 
 /**
- * Builds the prompt for the WiseOwl API
- * @param {object} params - Parameters for building the prompt
- * @returns {string} The formatted prompt
+ * Checks whether a response is a streamed run (server-sent events or newline-delimited JSON)
+ * @param {object} responseHeaders - Axios response headers
+ * @returns {boolean} True if the body should be read as a stream of run entries
  */
-function buildPrompt(params) {
-  const { 
-    message, 
-    conversationId, 
-    wrapperDataString
-  } = params;
-
-  if (conversationId && message) {
-    // For existing conversation, append HTML format requirement
-    return `${message} ( Strictly use HTML output format and consider already provided data in previous request for analysis)`;
-  } else {
-    // For new conversation or no message, use the full prompt template
-    return message || `You are a Senior Sales Research Analyst for Twilio SDR/AE teams. Your role is to read Salesforce CRM data (provided as JSON data), extract the most relevant and actionable insights, and produce a 360-degree, context-rich prospect briefing tailored for the specific Marketing CTA assigned.
-
-        If a human research analyst has level 10 of knowledge, you will have level 280 of knowledge in this role. Be careful: you must produce high-quality, high-clarity results because if you don't, I will lose a critical sales opportunity. Give your best and be proud of your ability.
-
-        Here is the Salesforce CRM data in JSON format:
-        ${wrapperDataString}
-
-        Your output must follow this exact structure in order:
-
-        1. **CTA Overview**
-          - Explain why this CTA exists for this account at this moment.
-          - Highlight the key triggering event, data point, or marketing signal.
-
-        2. **Account Summary**
-          - Provide account context (industry, size, region, key priorities).
-          - Show how this CTA ties to account-level trends, pains, and opportunities.
-
-        3. **Contact Summary**
-          - For the primary CTA contact, include name, title, responsibilities, decision-making authority, and recent relevant activities.
-
-        4. **Contact Activity Summary**
-          - Summarize past and recent engagement with Twilio, including events, assets, meetings, and conversions.
-          - Interpret what this engagement likely signals about interest and readiness.
-
-        5. **Previous SDR/AE Outcomes**
-          - Always specify full name and role of the SDR and AE who last worked this account or contact.
-          - Summarize their specific contributions (e.g., "secured discovery meeting," "delivered technical ROI session").
-          - Note interaction style or relationship context (e.g., "built strong rapport with CTO," "gained early support from Ops Director").
-          - State previous outcome (paused, lost, delayed, moved to budget cycle, etc.).
-          - Clarify current relevance — are champions or blockers from prior cycles still in place and can they be leveraged?
-
-        6. **Recommended Influencers**
-          - Identify most influential contact based on past engagements, activities, discussions and salesloft conversations.
-          - Include a clear reasoning on why this contact is influential citing conversations and interactions.
-          - Suggest how to engage them in this cycle.
+function isEventStream(responseHeaders) {
+  const contentType = String(responseHeaders?.['content-type'] || '');
+  return contentType.includes('text/event-stream') || contentType.includes('ndjson');
+}
 
-        7. **Buying Signals & Urgency Factors**
-          - Identify signals in the account that indicate urgency or high intent.
-          - Link these to potential timelines or competitive pressure.
+/**
+ * Reads a streamed run, forwarding entries until the done tuple arrives
+ * @param {Readable} stream - Response body stream
+ * @param {Function} onEntry - Receives intermediate [kind, payload] entries
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {object} { isDone, chatDoneResult }
+ */
+async function readRunStream(stream, onEntry, signal) {
+  let buffer = '';
+  let isDone = false;
+  let chatDoneResult = null;
 
-        8. **Competitor & Risk Insights**
-          - Include any competitor presence or risk factors.
-          - Suggest ways to neutralize risks or differentiate Twilio.
+  const handleLine = (line) => {
+    // Accept both SSE ("data: [...]") and plain NDJSON lines
+    const trimmed = line.startsWith('data:') ? line.slice(5).trim() : line.trim();
+    if (!trimmed || trimmed.startsWith(':') || trimmed.startsWith('event:') || trimmed.startsWith('id:')) return;
 
-        9. **Relevant Benefits for This Prospect**
-          - List 3–5 product or solution benefits tailored to the account's specific pains and goals.
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (e) {
+      return;
+    }
+    // A line may carry a single [kind, payload] tuple or a list of them
+    const entries = Array.isArray(parsed) && Array.isArray(parsed[0]) ? parsed : [parsed];
+    for (const entry of entries) {
+      if (Array.isArray(entry) && entry[0] === 'done') {
+        isDone = true;
+        chatDoneResult = entry[1];
+      } else {
+        onEntry(entry);
+      }
+    }
+  };
 
-        10. **Industry Peer Proof**
-            - Use https://customers.twilio.com/ to get this data, provide 2–3 examples of similar companies in the same industry/region that adopted Twilio solutions.
-            - Strictly pull use case, twilio products used, proof-points metrics present in the page and and the exact source link
-            - Also provide Relevant Benefits, Positioning Tips and Closing Summary based on this analysis.
+  for await (const chunk of stream) {
+    if (signal?.aborted) throw signal.reason;
+    buffer += chunk.toString('utf8');
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      handleLine(buffer.slice(0, newlineIndex));
+      buffer = buffer.slice(newlineIndex + 1);
+    }
+    if (isDone) break;
+  }
+  if (!isDone && buffer) handleLine(buffer);
 
-        11. **Action Recommendations**
-            - List immediate next steps the SDR should take.
-            - Assign priority and explain why each action matters.
+  return { isDone, chatDoneResult };
+}
 
-        12. **Disposition Brief**
-            - Provide a clear recommendation on whether to CONVERT or REJECT this CTA based on the data analysis.
-            - Include specific reasoning citing key data points, engagement signals, timing factors, and opportunity potential.
-            - If recommending conversion, specify the qualification level (hot, warm, cold) and expected timeline.
-            - If recommending rejection, provide clear rationale and suggest alternative nurturing approaches.
+/**
+ * Reads a whole response stream and parses it as JSON
+ * @param {Readable} stream - Response body stream
+ * @returns {object|null} Parsed body, or null if it is not JSON
+ */
+async function readJsonStream(stream) {
+  let raw = '';
+  for await (const chunk of stream) {
+    raw += chunk.toString('utf8');
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    return null;
+  }
+}
 
-        13. **Follow-up Email Template**
-            - Create a personalized ,short, persuasive email template ready for the SDR to send.
-            - Reference specific CTA triggers, account context, and relevant pain points identified in the analysis.
-            - Include appropriate Twilio value proposition tied to the prospect's situation.
-            - Suggest a clear call-to-action (meeting request, demo, discovery call, etc.).
-            - Keep tone professional yet conversational, avoiding generic sales language.
+/**
+ * Processes a conversation through the WiseOwl API
+ * @param {object} params - Parameters for processing
+ * @param {AbortSignal} params.signal - Optional signal that stops the polling loop (job cancellation)
+ * @param {Function} params.onRunStarted - Optional callback receiving { conversationId, runId }
+ * @param {Function} params.onEvent - Optional callback receiving (type, data) for intermediate run events
+ * @param {string} params.streamMode - 'polling' (default) or 'stream' when the WiseOwl deployment supports it
+ * @returns {string} Assistant content
+ */
+async function processConversation(params) {
+  if (!params.accessToken) throw new Error('Missing access_token for WiseOwl API');
+  if (!params.input) throw new Error('Missing input for WiseOwl API');
 
-        **Tone:** Clear, confident, consultative, and prospect-specific. Avoid generic phrasing. Every point must be backed by Salesforce data.
+  return runConversation(provider, params);
+}
 
-        **Output Format:** Rich text with headings and bold emphasis where useful, follow html tag structure, strictly not markdown`;
-  }
+/**
+ * Builds the prompt for the WiseOwl API from the prompt templates (see prompts.js)
+ * @param {object} params - Parameters for building the prompt
+ * @returns {string} The formatted prompt
+ */
+function buildPrompt(params) {
+  return prompts.renderPrompt(params).text;
 }
 
+// WiseOwl implementation of the provider interface (see providers/runner.js)
+const provider = {
+  name: 'wiseowl',
+  // Overridable so offline tests against the stub server do not wait 2s per poll
+  get pollIntervalMs() {
+    return process.env.WISEOWL_POLL_INTERVAL_MS !== undefined ? Number(process.env.WISEOWL_POLL_INTERVAL_MS) : 2000;
+  },
+  requiresAccessToken: true,
+  createConversation: (params) => createConversation(params.accessToken, params.isProd, params.baseUrl, params.applicationId),
+  sendTurn,
+  pollRun,
+  extractAssistantContent
+};
+
 module.exports = {
   createConversation,
+  sendTurn,
+  pollRun,
   processConversation,
+  extractAssistantContent,
   buildPrompt,
+  conversationsUrl,
+  provider,
   INGRESS,
   APPLICATION_ID
 };
@@ -0,0 +1,663 @@
+/**
+ * Background Worker
+ * Dequeues jobs enqueued by POST /jobs, runs data collection plus WiseOwl and writes the result back
+ */
+const salesforce = require('./salesforce');
+const prompts = require('./prompts');
+const contextPacker = require('./context-packer');
+const contextRefresh = require('./context-refresh');
+const transcripts = require('./transcripts');
+const { getContextCache } = require('./cache');
+const briefing = require('./briefing');
+const disposition = require('./disposition');
+const emailDraft = require('./email-draft');
+const history = require('./history');
+const turns = require('./turns');
+const { renderAssistantHtml } = require('./sanitize');
+const profiles = require('./profiles');
+const providers = require('./providers');
+const tenants = require('./tenants');
+const recordTypes = require('./record-types');
+const jobs = require('./jobs');
+const { getQueue } = require('./queue');
+
+/**
+ * Reads the product category of the primary CTA from the collected data, for template selection
+ * @param {string} wrapperDataString - Collected data as JSON
+ * @returns {string|undefined} Product category
+ */
+function primaryCTAProduct(wrapperDataString) {
+  try {
+    return JSON.parse(wrapperDataString)?.primaryContext?.primaryCTA?.product || undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Processes a single job
+ * @param {object} params - Job payload as enqueued by POST /jobs (plus resumeFrom on retries)
+ * @param {object} options - Processing options
+ * @param {AbortSignal} options.signal - Aborts the job when cancellation is requested
+ * @returns {object} Result summary stored on the job record
+ */
+async function processJob(params, options = {}) {
+  const {
+    jobId,
+    sfdcId,
+    sfdcToken,
+    instanceUrl,
+    orgId,
+    access_token,
+    recordId,
+    message,
+    conversationId,
+    isExisting,
+    isProd,
+    streamMode,
+    resumeFrom,
+    provider: providerName,
+    profile: requestedProfile,
+    segment,
+    promptTemplate,
+    contextBudget,
+    digestTranscripts,
+    outputFormat,
+    writeDisposition,
+    dispositionDryRun,
+    createEmailDraft,
+    draftType,
+    refreshContext
+  } = params;
+  const { signal } = options;
+  if (params.type === 'email') return processEmailJob(params, options);
+  const recordType = recordTypes.detectRecordType(recordId);
+  const isFSR = recordType === recordTypes.FSR_TYPE;
+  // Only first-turn briefings are structured; follow-up answers stay free-form HTML
+  const structured = !message && briefing.resolveOutputFormat(outputFormat, recordType) === 'structured';
+
+  // Progress events are best-effort; a failed write never fails the job
+  const emit = (type, data) => {
+    if (!jobId) return;
+    jobs.appendEvent(jobId, type, data).catch(eventErr => {
+      console.error(`Failed to record ${type} event for job ${jobId}:`, eventErr.message);
+    });
+  };
+
+  // Records phase transitions in the job registry and stops at the boundary if cancelled
+  const enterPhase = async (state, patch) => {
+    if (signal?.aborted) throw signal.reason;
+    if (jobId) await jobs.setState(jobId, state, patch);
+  };
+
+  const provider = providers.getProvider(providerName);
+
+  // Retries resume at the failed phase, reusing the stored outputs of the phases before it
+  const artifacts = resumeFrom && jobId ? await jobs.getArtifacts(jobId) : {};
+  const canSkip = (phase, artifactKey) => !!resumeFrom &&
+    jobs.PHASES.indexOf(phase) < jobs.PHASES.indexOf(resumeFrom) &&
+    artifacts[artifactKey] !== undefined;
+  const saveArtifacts = async (patch) => {
+    if (jobId) await jobs.saveArtifacts(jobId, patch);
+  };
+
+  // Create Salesforce connection for processing; the org's stored credential takes over once the caller's session expires
+  const conn = await salesforce.createSalesforceConnection(sfdcToken, { instanceUrl, orgId });
+  const tenant = tenants.forConnection(conn);
+  const profile = requestedProfile || tenant.profile;
+  // Every provider turn of the job (answer, transcript digests, history summaries) uses the tenant's settings
+  const providerParams = { accessToken: access_token, isProd, ...tenants.providerSettings(tenant, provider.name) };
+  if (resumeFrom) {
+    console.log(`Resuming job ${jobId} at phase ${resumeFrom}`);
+    await salesforce.clearConversationFailure(conn, sfdcId);
+  }
+
+  // Set up data and prompt based on whether this is an existing conversation
+  let wrapperDataString = "{}";
+  // Changes since the conversation's last collection, sent instead of the full data on follow-ups
+  let refreshDelta = null;
+  // Data collected by this job, kept as the conversation's snapshot once the answer is written back
+  let collected = null;
+
+  if (canSkip('collecting', 'wrapperDataString')) {
+    wrapperDataString = artifacts.wrapperDataString;
+    refreshDelta = artifacts.refreshDelta || null;
+  } else if (!isExisting) {
+    // Only collect data if this is a new conversation
+    await enterPhase('collecting');
+    try {
+      let cacheInfo = null;
+      const ctaData = await salesforce.collectAllCTAData(conn, recordId, {
+        profile,
+        cache: getContextCache(),
+        onCache: (info) => { cacheInfo = info; }
+      });
+      console.log('Successfully collected CTA data for background job');
+      // Before digesting, which rewrites the transcripts in place
+      collected = JSON.parse(JSON.stringify(ctaData));
+      if (cacheInfo && jobId) await jobs.updateJob(jobId, { cache: cacheInfo });
+      if (transcripts.digestsEnabled(digestTranscripts)) {
+        const digestStats = await transcripts.digestConversations(ctaData, { provider, ...providerParams, tenantId: tenant.orgId, signal });
+        if (jobId) await jobs.updateJob(jobId, { transcripts: digestStats });
+        emit('transcripts', digestStats);
+      }
+      // Fit the payload into the model's context; what was cut is kept on the job for review
+      const packed = contextPacker.packContext(ctaData, { budget: contextBudget });
+      wrapperDataString = packed.text;
+      if (jobId) await jobs.updateJob(jobId, { context: packed.report });
+      emit('context', packed.report);
+      emit('collection', {
+        status: 'complete',
+        profile: profile || null,
+        cache: cacheInfo ? cacheInfo.account : null,
+        contacts: (ctaData.additionalContacts?.length || 0) + (ctaData.primaryContext?.relatedContact ? 1 : 0),
+        activities: ctaData.accountLevelActivities?.length || 0,
+        opportunities: (ctaData.additionalOpportunities?.length || 0) + (ctaData.primaryContext?.relatedOpportunities?.length || 0),
+        conversations: (ctaData.additionalConversations?.length || 0) + (ctaData.primaryContext?.contactConversations?.length || 0),
+        bytes: wrapperDataString.length
+      });
+    } catch (dataError) {
+      // A briefing from empty data is worse than none: the collecting phase fails and can be retried
+      console.error('Error collecting CTA data:', dataError.message);
+      emit('collection', { status: 'failed', message: dataError.message });
+      throw dataError;
+    }
+    await saveArtifacts({ wrapperDataString });
+  } else {
+    // Follow-up: re-collect when asked to, or when records changed since the conversation's last collection
+    let reason = refreshContext === true || refreshContext === 'true' ? 'requested' : null;
+    let stale = [];
+    const snapshot = await contextRefresh.loadSnapshot(sfdcId);
+    if (!reason && snapshot && contextRefresh.stalenessChecksEnabled()) {
+      stale = await contextRefresh.findStaleSections(conn, snapshot);
+      if (stale.length > 0) reason = 'stale';
+    }
+
+    if (reason) {
+      await enterPhase('collecting');
+      try {
+        collected = await salesforce.collectAllCTAData(conn, recordId, { profile, cache: getContextCache(), refresh: true });
+        let delta = snapshot ? contextRefresh.diffContext(snapshot.data, collected) : null;
+        // Without a snapshot (conversations started before snapshots were kept), or when the changes alone do not
+        // fit the budget, the current data is packed like a first briefing and sent with every record as added
+        const packed = contextPacker.packContext(collected, { budget: contextBudget });
+        const full = !delta || contextPacker.estimateTokens(JSON.stringify(delta.sections, null, 2)) > packed.report.budget;
+        if (full) delta = contextRefresh.diffContext(null, JSON.parse(packed.text));
+        refreshDelta = delta.total > 0 ? delta : null;
+        const summary = {
+          reason,
+          stale,
+          since: snapshot?.collectedAt || null,
+          full,
+          ...(full ? { context: packed.report } : {}),
+          changes: delta.total,
+          sections: Object.fromEntries(Object.entries(delta.sections).map(([name, section]) => [
+            name,
+            { added: section.added.length, changed: section.changed.length, removed: section.removed.length }
+          ]))
+        };
+        console.log(`Refreshed context for SFDC record ${sfdcId} (${reason}): ${delta.total} change(s)`);
+        if (jobId) await jobs.updateJob(jobId, { refresh: summary });
+        emit('refresh', summary);
+      } catch (refreshError) {
+        console.error('Error refreshing CTA data:', refreshError);
+        emit('refresh', { reason, status: 'failed', message: refreshError.message });
+      }
+      await saveArtifacts({ wrapperDataString, refreshDelta });
+    } else {
+      console.log('Using existing conversation, no data changed since the last collection');
+    }
+  }
+
+  // Build the prompt
+  let input;
+  let promptId = null;
+  if (canSkip('prompting', 'input')) {
+    input = artifacts.input;
+    promptId = artifacts.promptId || null;
+  } else {
+    await enterPhase('prompting');
+    console.log('Building prompt with conversation ID:', conversationId);
+    const prompt = prompts.renderPrompt({
+      message,
+      conversationId,
+      wrapperDataString,
+      recordType,
+      ctaType: primaryCTAProduct(wrapperDataString),
+      segment: segment || tenant.segment || profile,
+      // The tenant's briefing template replaces the CTA briefing; other record types keep their own
+      template: promptTemplate || (structured ? 'cta-briefing-structured' : undefined) || (refreshDelta ? 'context-update' : undefined) ||
+        (!message && isFSR && tenant.promptTemplate) || undefined,
+      variables: { schema: briefing.BRIEFING_SCHEMA, delta: refreshDelta?.sections }
+    });
+    input = prompt.text;
+    console.log(`Prompt built successfully with template ${prompt.id}, sending to ${provider.name}`);
+    emit('prompt', { length: input.length, isFollowUp: !!(conversationId && message), template: prompt.id, hash: prompt.hash });
+    if (jobId) await jobs.updateJob(jobId, { promptTemplate: prompt.id, promptHash: prompt.hash });
+    await salesforce.recordPromptVersion(conn, sfdcId, prompt.id);
+    promptId = prompt.id;
+    await saveArtifacts({ input, promptId });
+  }
+
+  // Process the conversation with the selected LLM provider
+  let result;
+  if (canSkip('polling', 'result')) {
+    result = artifacts.result;
+  } else {
+    await enterPhase('polling');
+    console.log(`Starting ${provider.name} conversation processing`);
+    const startedAt = Date.now();
+    result = await providers.runConversation(provider, {
+      ...providerParams,
+      input,
+      context: "the user is not on a record page to provide any context",
+      conversationId,
+      streamMode,
+      signal,
+      onEvent: emit,
+      onRunStarted: async ({ runId, conversationId: runConversationId }) => {
+        if (jobId) await jobs.updateJob(jobId, { runId, conversationId: runConversationId });
+      }
+    });
+    console.log(`${provider.name} processing completed`);
+
+    if (structured) {
+      let parsed = briefing.parseBriefing(result.assistantContent);
+      let repaired = false;
+      if (parsed.errors.length > 0) {
+        // One repair turn in the same conversation, quoting what failed validation
+        console.log(`Structured briefing failed validation (${parsed.errors.length} error(s)), asking for a repair`);
+        emit('structured', { status: 'repairing', errors: parsed.errors.slice(0, 20) });
+        const repairPrompt = prompts.renderPrompt({
+          template: 'briefing-repair',
+          variables: { errors: parsed.errors.slice(0, 20).map(error => `- ${error}`).join('\n'), schema: briefing.BRIEFING_SCHEMA }
+        });
+        result = await providers.runConversation(provider, {
+          ...providerParams,
+          input: repairPrompt.text,
+          context: "the user is not on a record page to provide any context",
+          conversationId: result.conversationId,
+          streamMode,
+          signal,
+          onEvent: emit
+        });
+        parsed = briefing.parseBriefing(result.assistantContent);
+        repaired = parsed.errors.length === 0;
+      }
+      result.structured = {
+        briefing: parsed.briefing,
+        valid: parsed.errors.length === 0,
+        repaired,
+        errors: parsed.errors.slice(0, 20)
+      };
+      emit('structured', { status: parsed.briefing ? 'valid' : 'invalid', repaired, errors: result.structured.errors });
+    }
+    result.askedAt = new Date(startedAt).toISOString();
+    result.answeredAt = new Date().toISOString();
+    result.latencyMs = Date.now() - startedAt;
+    await saveArtifacts({ result });
+  }
+
+  // Update the Salesforce record with the result
+  await enterPhase('writing_back');
+  let content = result.assistantContent;
+  let briefingFields = [];
+  if (result.structured?.briefing) {
+    content = briefing.renderBriefingHtml(result.structured.briefing);
+    briefingFields = await salesforce.writeBriefingFields(conn, sfdcId, briefing.toRecordFields(result.structured.briefing));
+  } else if (result.structured) {
+    // The raw answer is still stored so the rep gets something; the job records why it is not structured
+    console.error(`Structured briefing for SFDC record ${sfdcId} is invalid after repair, storing the raw answer`);
+  }
+  if (result.structured && jobId) {
+    const { valid, repaired, errors } = result.structured;
+    await jobs.updateJob(jobId, { structured: { valid, repaired, errors, fields: briefingFields } });
+  }
+  const exchange = turns.buildTurns({
+    message,
+    html: renderAssistantHtml(content),
+    askedAt: result.askedAt,
+    answeredAt: result.answeredAt,
+    meta: { runId: result.runId, provider: provider.name, promptTemplate: promptId, latencyMs: result.latencyMs, jobId }
+  });
+  await salesforce.updateConversationRecord(conn, sfdcId, content, !message, {
+    summarize: history.createSummarizer({ provider, ...providerParams, signal }),
+    turns: exchange
+  });
+  await turns.saveTurns(conn, sfdcId, exchange);
+  if (collected) {
+    try {
+      await contextRefresh.saveSnapshot(sfdcId, { recordId, profile, data: collected });
+    } catch (snapshotError) {
+      // The next follow-up finds the same changes again against the older snapshot
+      console.error(`Could not save the context snapshot of ${sfdcId}:`, snapshotError.message);
+    }
+  }
+
+  // Opt-in: write the recommendation of a first-turn briefing back to the originating record. Only CTA
+  // briefings recommend a disposition; the other record types have no MQL status to set
+  const dispositionSettings = disposition.resolveSettings({ enabled: writeDisposition, dryRun: dispositionDryRun });
+  if (dispositionSettings.enabled && !message && isFSR) {
+    const outcome = await disposition.applyDisposition(conn, {
+      sobject: profiles.loadProfile(profile).objects.fsr.sobject,
+      recordId,
+      disposition: disposition.extractDisposition({ structured: result.structured?.briefing, html: content }),
+      settings: dispositionSettings,
+      jobId,
+      conversationRecordId: sfdcId
+    });
+    emit('disposition', { action: outcome.action, reason: outcome.reason || null, changes: outcome.changes });
+    if (jobId) await jobs.updateJob(jobId, { disposition: { action: outcome.action, auditId: outcome.id, changes: outcome.changes } });
+  }
+
+  // Opt-in: draft the briefing's follow-up email for the primary contact. Best-effort, the briefing is already saved
+  if (emailDraft.draftsEnabled(createEmailDraft) && !message) {
+    const email = emailDraft.parseEmail({ structured: result.structured?.briefing, html: content });
+    let draft;
+    if (!email) {
+      draft = { status: 'skipped', reason: 'No follow-up email found in the briefing' };
+    } else {
+      try {
+        const created = await emailDraft.createDraft(conn, {
+          type: emailDraft.resolveDraftType(draftType),
+          recordId,
+          email,
+          mergeData: emailDraft.mergeDataFromContext(wrapperDataString)
+        });
+        draft = { status: 'created', type: created.type, id: created.id, subject: created.subject, unresolved: created.unresolved };
+      } catch (draftError) {
+        console.error(`Could not create email draft for ${recordId}:`, draftError.message);
+        draft = { status: 'failed', reason: draftError.message };
+      }
+    }
+    emit('email', draft);
+    if (jobId) await jobs.updateJob(jobId, { emailDraft: draft });
+  }
+
+  console.log(`Background processing completed for SFDC record ${sfdcId}`);
+  return {
+    conversationId: result.conversationId,
+    runId: result.runId,
+    provider: provider.name,
+    contentLength: content.length,
+    structured: result.structured ? result.structured.valid : undefined
+  };
+}
+
+/**
+ * Regenerates the follow-up email of an existing briefing in another tone and drafts it in Salesforce
+ * @param {object} params - Job payload as enqueued by POST /conversations/:recordId/email
+ * @param {object} options - Processing options
+ * @param {AbortSignal} options.signal - Aborts the job when cancellation is requested
+ * @returns {object} Result summary stored on the job record
+ */
+async function processEmailJob(params, options = {}) {
+  const { jobId, sfdcToken, instanceUrl, orgId, access_token, recordId, conversationId, isProd, streamMode, provider: providerName, profile, tone, draftType } = params;
+  const { signal } = options;
+  const emit = (type, data) => {
+    if (!jobId) return;
+    jobs.appendEvent(jobId, type, data).catch(eventErr => {
+      console.error(`Failed to record ${type} event for job ${jobId}:`, eventErr.message);
+    });
+  };
+  const enterPhase = async (state, patch) => {
+    if (signal?.aborted) throw signal.reason;
+    if (jobId) await jobs.setState(jobId, state, patch);
+  };
+
+  const provider = providers.getProvider(providerName);
+  const conn = await salesforce.createSalesforceConnection(sfdcToken, { instanceUrl, orgId });
+  const providerParams = { accessToken: access_token, isProd, ...tenants.providerSettings(tenants.forConnection(conn), provider.name) };
+
+  // Merge fields come from the same contact data the briefing was built from (usually a cache hit)
+  await enterPhase('collecting');
+  const ctaData = await salesforce.collectAllCTAData(conn, recordId, { profile, cache: getContextCache() });
+  const mergeData = emailDraft.mergeDataFromContext(ctaData);
+
+  await enterPhase('prompting');
+  const prompt = prompts.renderPrompt({
+    template: 'email-regenerate',
+    variables: { tone, contactName: mergeData.contact?.contactName || 'the primary contact' }
+  });
+  if (jobId) await jobs.updateJob(jobId, { promptTemplate: prompt.id, promptHash: prompt.hash });
+
+  await enterPhase('polling');
+  const result = await providers.runConversation(provider, {
+    ...providerParams,
+    input: prompt.text,
+    context: "the user is not on a record page to provide any context",
+    conversationId,
+    streamMode,
+    signal,
+    onEvent: emit,
+    onRunStarted: async ({ runId, conversationId: runConversationId }) => {
+      if (jobId) await jobs.updateJob(jobId, { runId, conversationId: runConversationId });
+    }
+  });
+  const email = emailDraft.parseEmailAnswer(result.assistantContent);
+
+  await enterPhase('writing_back');
+  const created = await emailDraft.createDraft(conn, { type: emailDraft.resolveDraftType(draftType), recordId, email, mergeData });
+  const draft = { status: 'created', type: created.type, id: created.id, subject: created.subject, unresolved: created.unresolved, tone };
+  emit('email', draft);
+  if (jobId) await jobs.updateJob(jobId, { emailDraft: draft });
+
+  console.log(`Regenerated follow-up email for ${recordId} as ${created.type} ${created.id}`);
+  return {
+    conversationId: result.conversationId,
+    runId: result.runId,
+    provider: provider.name,
+    emailDraft: { type: created.type, id: created.id }
+  };
+}
+
+/**
+ * Decides whether a failed job is worth another attempt
+ * @param {Error} error - The failure
+ * @returns {boolean} False for failures a retry cannot fix (bad tokens, rejected requests)
+ */
+function isRetryableError(error) {
+  const status = error?.response?.status;
+  if (status && status >= 400 && status < 500 && status !== 408 && status !== 429) return false;
+  if (/^Authentication failed/.test(error?.message || '')) return false;
+  if (error?.code === 'INVALID_ID') return false;
+  return true;
+}
+
+/**
+ * Builds the message shown to the rep when a job fails
+ * @param {Error} error - The failure
+ * @param {string} phase - Phase that failed
+ * @returns {string} User-readable message
+ */
+function describeFailure(error, phase) {
+  const status = error?.response?.status;
+  if (status === 401 || status === 403 || /^Authentication failed/.test(error?.message || '')) {
+    return 'Your session expired before the briefing finished. Refresh the page and retry.';
+  }
+  switch (phase) {
+    case 'collecting':
+      return 'We could not load the Salesforce data for this record. Please retry in a few minutes.';
+    case 'prompting':
+      return 'We could not prepare the briefing request. Please retry.';
+    case 'polling':
+      return 'The assistant did not return a response. Please retry in a few minutes.';
+    case 'writing_back':
+      return 'The briefing was generated but could not be saved to this record. Please retry.';
+    default:
+      return 'The briefing could not be started. Please retry.';
+  }
+}
+
+/**
+ * Decides whether POST /jobs/:id/retry can recover a failed job (possibly with fresh tokens)
+ * @param {Error} error - The failure
+ * @returns {boolean} False only for requests a retry would reject again
+ */
+function canRetryManually(error) {
+  const status = error?.response?.status;
+  if (error?.code === 'INVALID_ID') return false;
+  return !(status === 400 || status === 404 || status === 422);
+}
+
+/**
+ * Writes the final failure of a job to its WO_Conversation__c record
+ * @param {object} payload - Job payload
+ * @param {object} error - Error details recorded on the job (message, phase, retryable)
+ */
+async function reportFailure(payload, error) {
+  try {
+    const conn = await salesforce.createSalesforceConnection(payload.sfdcToken, { instanceUrl: payload.instanceUrl, orgId: payload.orgId });
+    await salesforce.markConversationFailed(conn, payload.sfdcId, {
+      phase: error.phase,
+      message: error.userMessage,
+      retryable: error.retryable
+    });
+  } catch (reportErr) {
+    console.error(`Could not write failure to SFDC record ${payload.sfdcId}:`, reportErr.message);
+  }
+}
+
+/**
+ * Runs the worker loop until stopped
+ * @param {object} options - Worker options
+ * @param {object} options.queue - Queue adapter (defaults to the configured queue)
+ * @param {number} options.pollIntervalMs - Delay between polls when the queue is empty
+ * @param {number} options.recoverIntervalMs - How often expired leases return to the queue (defaults to
+ *   QUEUE_RECOVER_INTERVAL_MS, then one minute)
+ * @param {number} options.pruneIntervalMs - How often jobs and context snapshots past their retention are deleted
+ *   (defaults to JOB_PRUNE_INTERVAL_MS, then one hour; see jobs.pruneJobs and contextRefresh.pruneSnapshots)
+ * @param {Function} options.handler - Job handler (defaults to processJob)
+ * @returns {object} Handle with a stop() method that resolves once the current job finishes
+ */
+function startWorker(options = {}) {
+  const {
+    queue = getQueue(),
+    pollIntervalMs = Number(process.env.WORKER_POLL_INTERVAL_MS) || 1000,
+    recoverIntervalMs = Number(process.env.QUEUE_RECOVER_INTERVAL_MS) || 60000,
+    pruneIntervalMs = Number(process.env.JOB_PRUNE_INTERVAL_MS) || 60 * 60 * 1000,
+    handler = processJob
+  } = options;
+
+  let running = true;
+  let wake = null;
+
+  async function runOnce() {
+    const job = await queue.dequeue();
+    if (!job) return false;
+
+    // Jobs cancelled while still queued are dropped without running
+    if (await jobs.isCancelRequested(job.id)) {
+      console.log(`Job ${job.id} was cancelled before it started`);
+      await jobs.setState(job.id, 'cancelled');
+      await queue.ack(job.id);
+      return true;
+    }
+
+    console.log(`Worker picked up job ${job.id} (attempt ${job.attempts + 1}/${job.maxAttempts})`);
+    const registered = await jobs.updateJob(job.id, { attempts: job.attempts + 1 });
+    // Automatic retries also pick up at the phase that failed last time
+    const resumeFrom = job.payload.resumeFrom || (job.attempts > 0 ? registered?.error?.phase : undefined);
+    const cancellation = jobs.watchCancellation(job.id);
+    try {
+      const result = await handler({ ...job.payload, jobId: job.id, resumeFrom }, { signal: cancellation.signal });
+      await queue.ack(job.id);
+      await jobs.setState(job.id, 'done', { result: result || null, error: null });
+      console.log(`Job ${job.id} completed`);
+    } catch (jobErr) {
+      if (jobErr instanceof jobs.JobCancelledError || cancellation.signal.aborted) {
+        console.log(`Job ${job.id} cancelled`);
+        await queue.ack(job.id);
+        await jobs.setState(job.id, 'cancelled');
+        return true;
+      }
+
+      console.error(`Job ${job.id} failed:`, jobErr?.message || jobErr);
+      const current = await jobs.getJob(job.id);
+      // A failure before the first phase of a resumed run still belongs to the resumed phase
+      const phase = current?.state === 'queued' && resumeFrom ? resumeFrom : current?.state;
+      const error = {
+        message: jobErr?.message || String(jobErr),
+        userMessage: describeFailure(jobErr, phase),
+        phase,
+        status: jobErr?.response?.status || null,
+        retryable: canRetryManually(jobErr),
+        at: new Date().toISOString()
+      };
+      const result = await queue.fail(job.id, jobErr, { retryable: isRetryableError(jobErr) });
+      if (result?.dead) {
+        console.error(`Job ${job.id} moved to dead-letter list after ${result.attempts} attempt(s)`);
+        await jobs.setState(job.id, 'failed', { error });
+        // A failed email regeneration leaves the briefing on the conversation record intact
+        if (job.payload.type !== 'email') await reportFailure(job.payload, error);
+      } else if (result) {
+        console.log(`Job ${job.id} will be retried at ${new Date(result.availableAt).toISOString()}`);
+        await jobs.setState(job.id, 'queued', { error });
+      }
+    } finally {
+      cancellation.dispose();
+    }
+    return true;
+  }
+
+  // Leases of workers that crashed mid-job expire while this one keeps running, so check on an interval
+  let lastRecovery = 0;
+  async function recoverExpired() {
+    if (Date.now() - lastRecovery < recoverIntervalMs) return;
+    lastRecovery = Date.now();
+    const recovered = await queue.recoverExpired();
+    if (recovered > 0) {
+      console.log(`Recovered ${recovered} job(s) whose lease expired`);
+    }
+  }
+
+  let lastPrune = 0;
+  async function pruneState() {
+    if (Date.now() - lastPrune < pruneIntervalMs) return;
+    lastPrune = Date.now();
+    const pruned = await jobs.pruneJobs();
+    if (pruned > 0) {
+      console.log(`Deleted ${pruned} job(s) past their retention`);
+    }
+    const snapshots = await contextRefresh.pruneSnapshots();
+    if (snapshots > 0) {
+      console.log(`Deleted ${snapshots} expired context snapshot(s)`);
+    }
+  }
+
+  const loop = (async () => {
+    while (running) {
+      let didWork = false;
+      try {
+        await recoverExpired();
+        await pruneState();
+        didWork = await runOnce();
+      } catch (loopErr) {
+        console.error('Worker loop error:', loopErr?.message || loopErr);
+      }
+      if (!didWork && running) {
+        await new Promise(resolve => {
+          wake = resolve;
+          setTimeout(resolve, pollIntervalMs);
+        });
+        wake = null;
+      }
+    }
+  })();
+
+  return {
+    async stop() {
+      running = false;
+      if (wake) wake();
+      await loop;
+    }
+  };
+}
+
+module.exports = {
+  processJob,
+  isRetryableError,
+  canRetryManually,
+  describeFailure,
+  startWorker
+};